@@ -1,722 +1,6489 @@
 import React, { useState, useEffect, useMemo, useRef } from 'react';
-import { PieChart, Pie, Cell, Tooltip, Legend, ResponsiveContainer, LineChart, Line, XAxis, YAxis, CartesianGrid } from 'recharts';
+import { PieChart, Pie, Cell, Tooltip, Legend, ResponsiveContainer, LineChart, Line, XAxis, YAxis, CartesianGrid, ReferenceArea, ReferenceLine } from 'recharts';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, onAuthStateChanged, signInWithCustomToken } from 'firebase/auth';
+import {
+    getAuth, signInAnonymously, onAuthStateChanged, signInWithCustomToken, connectAuthEmulator, EmailAuthProvider, GoogleAuthProvider, linkWithCredential, linkWithPopup,
+    signInWithEmailAndPassword, signInWithPopup, signOut, sendPasswordResetEmail, sendEmailVerification, reauthenticateWithCredential, reauthenticateWithPopup, deleteUser
+} from 'firebase/auth';
 import { 
-    getFirestore, collection, addDoc, onSnapshot, doc, updateDoc, query, Timestamp, setLogLevel, deleteDoc, getDocs, where, writeBatch
+    initializeFirestore, persistentLocalCache, persistentMultipleTabManager, connectFirestoreEmulator, waitForPendingWrites,
+    collection, setDoc, onSnapshot, doc, updateDoc, query, Timestamp, setLogLevel, deleteDoc, getDocs, getDocsFromServer, where, writeBatch, arrayUnion, increment,
+    runTransaction, FieldValue, getDoc, deleteField, terminate, clearIndexedDbPersistence
 } from 'firebase/firestore';
-import { getStorage, ref, uploadBytes, getDownloadURL } from "firebase/storage";
-import { Plus, Pill, History, BarChart2, Stethoscope, Package, ChevronLeft, Users, User, Calendar, Droplets, HeartPulse, FileText, Bell, Upload, Trash2, AlertTriangle } from 'lucide-react';
+import { getStorage, ref, uploadBytes, getDownloadURL, deleteObject, listAll, connectStorageEmulator } from "firebase/storage";
+import interactionRules from './interactions.json';
+import fhirBundleSchema from './fhir-bundle.schema.json';
+import { Plus, Pill, History, BarChart2, Stethoscope, Package, ChevronLeft, Users, User, Calendar, Droplets, HeartPulse, FileText, Bell, Upload, Trash2, AlertTriangle, Pencil, Ban, Undo2, Activity, Scale, Thermometer, Wind, FlaskConical, Settings, TrendingUp, Contact, FolderOpen, Cloud, CloudOff, RefreshCw, Share2, LogOut, Eye } from 'lucide-react';
 
 // --- Firebase Configuration ---
 const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-health-dashboard';
 const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+// Local emulator hosts, e.g. { firestore: 'localhost:8080', auth: 'localhost:9099', storage: 'localhost:9199' }
+const firebaseEmulators = typeof __firebase_emulators !== 'undefined' ? __firebase_emulators : null;
+
+// --- Dosing Schedules ---
+// Medicines carry a `schedule` object. Documents saved before schedules existed only have the
+// legacy `dosage` string and `times`, and are converted on read by getSchedule.
+const SCHEDULE_TYPES = [
+    { value: 'daily', label: 'Every day' },
+    { value: 'weekdays', label: 'Specific weekdays' },
+    { value: 'alternate', label: 'Alternate days' },
+    { value: 'interval', label: 'Every N hours' },
+    { value: 'taper', label: 'Tapering course' },
+    { value: 'prn', label: 'As needed (PRN)' },
+];
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DOSES_PER_DAY = { 'Once a day': 1, 'Twice a day': 2, 'Thrice a day': 3, 'Once a week': 1 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDate = (value) => {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate();
+    const date = new Date(value);
+    return isNaN(date) ? null : date;
+};
+
+const atTime = (day, hhmm) => {
+    const [hours, minutes] = hhmm.split(':').map(Number);
+    const date = new Date(day);
+    date.setHours(hours || 0, minutes || 0, 0, 0);
+    return date;
+};
+
+const startOfDay = (value) => {
+    const date = new Date(value);
+    date.setHours(0, 0, 0, 0);
+    return date;
+};
+
+// 'YYYY-MM-DD' strings from <input type="date"> are local calendar days
+const parseDateInput = (value) => value ? new Date(`${value}T00:00`) : null;
+const toDateInputValue = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const getSchedule = (med) => {
+    if (med.schedule) return med.schedule;
+    const addedAt = toDate(med.createdAt);
+    const times = (med.times?.length ? med.times : ['08:00']).slice(0, DOSES_PER_DAY[med.dosage] || undefined);
+    const startDate = addedAt ? toDateInputValue(addedAt) : '';
+    if (med.dosage === 'Once a week') return { type: 'weekdays', weekdays: [addedAt ? addedAt.getDay() : 1], times, startDate };
+    return { type: 'daily', times, startDate };
+};
+
+// Index of the tapering step active on `day`, or -1 outside the course.
+const getTaperStepIndex = (schedule, day) => {
+    const courseStart = parseDateInput(schedule.startDate);
+    if (!courseStart || !schedule.steps?.length) return -1;
+    let offset = Math.round((startOfDay(day) - courseStart) / DAY_MS);
+    if (offset < 0) return -1;
+    for (let i = 0; i < schedule.steps.length; i++) {
+        offset -= Number(schedule.steps[i].days) || 0;
+        if (offset < 0) return i;
+    }
+    return -1;
+};
+
+const describeSchedule = (schedule) => {
+    const perDay = schedule.times?.length || 0;
+    const timesLabel = perDay === 1 ? 'once' : perDay === 2 ? 'twice' : `${perDay}x`;
+    switch (schedule.type) {
+        case 'weekdays': return `${schedule.weekdays.map(d => WEEKDAY_LABELS[d]).join(', ')}${perDay > 1 ? ` (${timesLabel} a day)` : ''}`;
+        case 'alternate': return `Every other day${perDay > 1 ? ` (${timesLabel})` : ''}`;
+        case 'interval': return `Every ${schedule.everyHours}h`;
+        case 'taper': return `Taper ${schedule.steps.map(step => step.dose).join('→')} ${schedule.doseUnit || 'mg'}`;
+        case 'prn': return schedule.maxPerDay ? `As needed (max ${schedule.maxPerDay}/day)` : 'As needed';
+        default: return perDay === 1 ? 'Once a day' : perDay === 2 ? 'Twice a day' : perDay === 3 ? 'Thrice a day' : `${perDay}x a day`;
+    }
+};
+
+// Expected dose times for a medicine between `from` and `to`. Slots never fall before the
+// medicine was added, after it was discontinued or outside the schedule's start/end dates.
+// PRN medicines have none.
+const buildDoseSlots = (med, from, to) => {
+    const schedule = getSchedule(med);
+    if (schedule.type === 'prn') return [];
+
+    const addedAt = toDate(med.createdAt);
+    const courseStart = parseDateInput(schedule.startDate);
+    const courseEnd = parseDateInput(schedule.endDate);
+    const start = [from, addedAt, courseStart].filter(Boolean).reduce((a, b) => (b > a ? b : a));
+    const end = [to, courseEnd && new Date(courseEnd.getTime() + DAY_MS - 1), med.discontinued && (toDate(med.discontinuedAt) || from)]
+        .filter(Boolean).reduce((a, b) => (b < a ? b : a));
+    const slots = [];
+    const pushSlot = (scheduledAt) => {
+        if (scheduledAt >= start && scheduledAt <= end) slots.push({ medicineId: med.id, medicineName: med.name, scheduledAt });
+    };
+
+    if (schedule.type === 'interval') {
+        const stepMs = (Number(schedule.everyHours) || 24) * 60 * 60 * 1000;
+        const anchor = atTime(courseStart || startOfDay(addedAt || start), schedule.times?.[0] || '08:00');
+        const first = anchor.getTime() + Math.max(0, Math.ceil((start - anchor) / stepMs)) * stepMs;
+        for (let t = first; t <= end.getTime(); t += stepMs) pushSlot(new Date(t));
+        return slots;
+    }
+
+    const times = schedule.times?.length ? schedule.times : ['08:00'];
+    const anchorDay = courseStart || startOfDay(addedAt || start);
+    for (const day = startOfDay(start); day <= end; day.setDate(day.getDate() + 1)) {
+        if (schedule.type === 'weekdays' && !schedule.weekdays?.includes(day.getDay())) continue;
+        if (schedule.type === 'alternate' && Math.round((day - anchorDay) / DAY_MS) % 2 !== 0) continue;
+        if (schedule.type === 'taper' && getTaperStepIndex(schedule, day) === -1) continue;
+        times.forEach(time => pushSlot(atTime(day, time)));
+    }
+    return slots.sort((a, b) => a.scheduledAt - b.scheduledAt);
+};
+
+// --- Dose Quantities ---
+// Stock and per-dose quantities are counted in the medicine's `unit`. Medicines saved before
+// quantities existed have none of these fields and are treated as one unit per dose.
+const MEDICINE_FORMS = [
+    { value: 'tablet', label: 'Tablet', unit: 'tablet' },
+    { value: 'capsule', label: 'Capsule', unit: 'capsule' },
+    { value: 'syrup', label: 'Syrup / Liquid', unit: 'ml' },
+    { value: 'injection', label: 'Injection', unit: 'units' },
+    { value: 'inhaler', label: 'Inhaler', unit: 'puff' },
+    { value: 'drops', label: 'Drops', unit: 'drop' },
+    { value: 'other', label: 'Other', unit: 'unit' },
+];
+const STRENGTH_UNITS = ['mg', 'mcg', 'g', 'ml', 'mg/ml', 'IU', 'units/ml', '%'];
+const COUNTABLE_UNITS = ['tablet', 'capsule', 'puff', 'drop', 'unit', 'patch', 'sachet'];
+
+const unitLabel = (quantity, unit = 'unit') => `${unit}${quantity !== 1 && COUNTABLE_UNITS.includes(unit) ? 's' : ''}`;
+const formatQuantity = (quantity, unit = 'unit') => `${quantity} ${unitLabel(quantity, unit)}`;
+
+const describeStrength = (med) => [med.strength && `${med.strength} ${med.strengthUnit || ''}`.trim(), MEDICINE_FORMS.find(f => f.value === med.form)?.label].filter(Boolean).join(' ');
+
+// Quantity for a dose on `date`. Tapering steps are in strength units, so they are converted
+// into units of stock when the strength is known (e.g. 30 mg of 10 mg tablets = 3 tablets).
+const getDoseQuantity = (med, date = new Date()) => {
+    const schedule = getSchedule(med);
+    if (schedule.type === 'taper' && med.strength && (schedule.doseUnit || 'mg') === med.strengthUnit) {
+        const step = schedule.steps[getTaperStepIndex(schedule, date)];
+        if (step) return Math.round((step.dose / med.strength) * 100) / 100;
+    }
+    return Number(med.doseQuantity) || 1;
+};
+
+// --- Refill Forecasting ---
+const DEFAULT_LOW_STOCK_DAYS = 7;
+const FORECAST_HORIZON_DAYS = 365;
+const PRN_USAGE_LOOKBACK_DAYS = 30;
+
+// Projects when the current stock runs out. Scheduled medicines walk their upcoming slots;
+// PRN medicines use the average daily quantity logged recently. Returns null when nothing is
+// consumed within the horizon (e.g. a finished course or an unused PRN medicine).
+const forecastRunOut = (med, logs = [], now = new Date()) => {
+    const stock = Number(med.stock) || 0;
+    if (getSchedule(med).type === 'prn') {
+        const since = new Date(now.getTime() - PRN_USAGE_LOOKBACK_DAYS * DAY_MS);
+        const used = logs
+            .filter(log => log.medicineId === med.id && log.status !== 'skipped' && toDate(log.takenAt) >= since)
+            .reduce((sum, log) => sum + (log.quantity ?? 1), 0);
+        if (!used) return null;
+        const daysLeft = stock / (used / PRN_USAGE_LOOKBACK_DAYS);
+        return { runOutDate: new Date(now.getTime() + daysLeft * DAY_MS), daysLeft: Math.floor(daysLeft) };
+    }
+
+    let remaining = stock;
+    const slots = buildDoseSlots(med, now, new Date(now.getTime() + FORECAST_HORIZON_DAYS * DAY_MS));
+    for (const slot of slots) {
+        const quantity = getDoseQuantity(med, slot.scheduledAt);
+        if (remaining < quantity) {
+            return { runOutDate: slot.scheduledAt, daysLeft: Math.floor((slot.scheduledAt - now) / DAY_MS) };
+        }
+        remaining -= quantity;
+    }
+    return null;
+};
+
+const isLowStock = (med, forecast) => med.stock <= 0 || (!!forecast && forecast.daysLeft < (med.lowStockDays ?? DEFAULT_LOW_STOCK_DAYS));
+
+// --- Adherence Engine ---
+// A log counts for a slot if it falls between EARLY minutes before and LATE minutes after it.
+// Within GRACE minutes after the slot the dose is on time, after that it is late.
+const DOSE_EARLY_WINDOW_MIN = 60;
+const DOSE_GRACE_WINDOW_MIN = 60;
+const DOSE_LATE_WINDOW_MIN = 240;
+
+// Pairs each slot with a log and classifies it. Logs recorded from a reminder carry the
+// `scheduledAt` of their slot and match it exactly; other logs take the earliest unused slot
+// whose window they fall in.
+const matchDoseLogs = (slots, medLogs, now = new Date()) => {
+    const minute = 60 * 1000;
+    const candidates = medLogs
+        .map(log => ({ log, at: toDate(log.takenAt), scheduledMs: toDate(log.scheduledAt)?.getTime() }))
+        .filter(c => c.at)
+        .sort((a, b) => a.at - b.at);
+    const used = new Set();
+
+    return slots.map(slot => {
+        const slotMs = slot.scheduledAt.getTime();
+        const windowStart = slotMs - DOSE_EARLY_WINDOW_MIN * minute;
+        const windowEnd = slotMs + DOSE_LATE_WINDOW_MIN * minute;
+        let index = candidates.findIndex((c, i) => !used.has(i) && c.scheduledMs === slotMs);
+        if (index === -1) index = candidates.findIndex((c, i) => !used.has(i) && c.scheduledMs === undefined && c.at >= windowStart && c.at <= windowEnd);
+        if (index !== -1) {
+            used.add(index);
+            const match = candidates[index];
+            const delay = (match.at - slot.scheduledAt) / minute;
+            const status = match.log.status === 'skipped' ? 'skipped' : delay <= DOSE_GRACE_WINDOW_MIN ? 'taken' : 'late';
+            return { ...slot, status, log: match.log };
+        }
+        return { ...slot, status: now.getTime() > windowEnd ? 'missed' : 'pending', log: null };
+    });
+};
+
+const summarizeSlots = (slots) => {
+    const counts = { taken: 0, late: 0, missed: 0, skipped: 0, pending: 0 };
+    slots.forEach(slot => { counts[slot.status]++; });
+    const due = counts.taken + counts.late + counts.missed + counts.skipped;
+    return { ...counts, due, percent: due ? Math.round(((counts.taken + counts.late) / due) * 100) : null };
+};
+
+// Adherence per medicine and for the whole profile over [from, to].
+const computeAdherence = (medicines, logs, from, to = new Date(), now = new Date()) => {
+    const byMedicine = medicines.map(med => {
+        const slots = matchDoseLogs(buildDoseSlots(med, from, to), logs.filter(log => log.medicineId === med.id), now);
+        return { medicineId: med.id, name: med.name, slots, ...summarizeSlots(slots) };
+    });
+    const allSlots = byMedicine.flatMap(m => m.slots);
+    return { overall: summarizeSlots(allSlots), byMedicine, slots: allSlots };
+};
+
+const adherenceColor = (percent) => percent === null ? 'bg-gray-500' : percent >= 80 ? 'bg-green-500' : percent >= 50 ? 'bg-yellow-500' : 'bg-red-500';
+
+// --- Interaction Checks ---
+// Offline checks against the bundled ruleset in interactions.json: ingredient pairs with a known
+// interaction, the same active ingredient in two medicines, and two drugs of the same class.
+const SEVERITY_STYLES = {
+    contraindicated: 'bg-red-800/80 border-red-600 text-red-100',
+    major: 'bg-red-900/60 border-red-700 text-red-200',
+    moderate: 'bg-yellow-800/50 border-yellow-600 text-yellow-200',
+    minor: 'bg-gray-700 border-gray-600 text-gray-200',
+};
+const SEVERITY_ORDER = ['contraindicated', 'major', 'moderate', 'minor'];
+
+const normalizeIngredient = (name, rules = interactionRules) => {
+    const key = name.trim().toLowerCase().replace(/\s+/g, ' ');
+    return rules.aliases[key] || key;
+};
+
+// Explicit `ingredients` win; otherwise known ingredient and brand names are looked up in the
+// medicine name so that "Crocin 500" is still recognised as acetaminophen.
+const getIngredients = (med, rules = interactionRules) => {
+    if (med.ingredients?.length) return [...new Set(med.ingredients.map(i => normalizeIngredient(i, rules)))];
+    const name = ` ${(med.name || '').toLowerCase().replace(/[^a-z0-9-]+/g, ' ')} `;
+    const knownTerms = [...Object.keys(rules.aliases), ...rules.interactions.flatMap(r => r.ingredients), ...Object.values(rules.classes).flat()];
+    const found = knownTerms.filter(term => name.includes(` ${term} `)).map(term => normalizeIngredient(term, rules));
+    return found.length ? [...new Set(found)] : [normalizeIngredient(med.name || '', rules)];
+};
+
+const checkInteractions = (medicines, rules = interactionRules) => {
+    const withIngredients = medicines.map(med => ({ med, ingredients: getIngredients(med, rules) }));
+    const classOf = (ingredient) => Object.keys(rules.classes).find(c => rules.classes[c].includes(ingredient));
+    const warnings = [];
+    const add = (type, severity, a, b, ingredients, description) => {
+        const ids = [a.med.id, b.med.id].sort();
+        warnings.push({
+            id: `${type}:${[...ingredients].sort().join('+')}:${ids.join('+')}`,
+            type, severity, description, ingredients,
+            medicineIds: ids,
+            medicineNames: [a.med.name, b.med.name],
+        });
+    };
+
+    withIngredients.forEach((a, i) => withIngredients.slice(i + 1).forEach(b => {
+        a.ingredients.forEach(x => b.ingredients.forEach(y => {
+            if (x === y) {
+                add('duplicate', 'major', a, b, [x], `${a.med.name} and ${b.med.name} both contain ${x}. Taking both can lead to an overdose.`);
+                return;
+            }
+            const rule = rules.interactions.find(r => r.ingredients.includes(x) && r.ingredients.includes(y));
+            if (rule) add('interaction', rule.severity, a, b, [x, y], rule.description);
+            else if (classOf(x) && classOf(x) === classOf(y)) {
+                add('duplicate-therapy', 'moderate', a, b, [x, y], `${a.med.name} and ${b.med.name} are both ${classOf(x)}. Check with the doctor that both are intended.`);
+            }
+        }));
+    }));
+    return warnings.sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+};
+
+// --- Vital Classification ---
+// Thresholds live on the profile (`vitalTargets`) because targets differ, e.g. for people with
+// diabetes or for children. BP follows the ACC/AHA categories; glucose ranges are per reading
+// type with inclusive upper bounds in mg/dL.
+const VITAL_TARGET_PRESETS = {
+    standard: {
+        label: 'Standard adult',
+        bp: { lowSystolic: 90, lowDiastolic: 60, elevatedSystolic: 120, stage1Systolic: 130, stage1Diastolic: 80, stage2Systolic: 140, stage2Diastolic: 90, crisisSystolic: 180, crisisDiastolic: 120 },
+        glucose: {
+            Fasting: { low: 70, targetMax: 99, elevatedMax: 125 },
+            PP: { low: 70, targetMax: 139, elevatedMax: 199 },
+            Random: { low: 70, targetMax: 139, elevatedMax: 199 },
+        },
+    },
+    diabetic: {
+        label: 'Diabetes (ADA targets)',
+        bp: { lowSystolic: 90, lowDiastolic: 60, elevatedSystolic: 120, stage1Systolic: 130, stage1Diastolic: 80, stage2Systolic: 140, stage2Diastolic: 90, crisisSystolic: 180, crisisDiastolic: 120 },
+        glucose: {
+            Fasting: { low: 80, targetMax: 130, elevatedMax: 180 },
+            PP: { low: 80, targetMax: 179, elevatedMax: 250 },
+            Random: { low: 80, targetMax: 179, elevatedMax: 250 },
+        },
+    },
+};
+
+const VITAL_CLASS_STYLES = {
+    low: { label: 'Low', badge: 'bg-blue-500' },
+    normal: { label: 'Normal', badge: 'bg-green-500' },
+    elevated: { label: 'Elevated', badge: 'bg-yellow-500' },
+    stage1: { label: 'Stage 1', badge: 'bg-orange-500' },
+    stage2: { label: 'Stage 2', badge: 'bg-red-500' },
+    crisis: { label: 'Crisis', badge: 'bg-red-700' },
+    high: { label: 'High', badge: 'bg-red-500' },
+    underweight: { label: 'Underweight', badge: 'bg-blue-500' },
+    overweight: { label: 'Overweight', badge: 'bg-yellow-500' },
+    obese: { label: 'Obese', badge: 'bg-red-500' },
+};
+
+const getVitalTargets = (profile) => {
+    const saved = profile?.vitalTargets;
+    const base = VITAL_TARGET_PRESETS[saved?.preset] || VITAL_TARGET_PRESETS.standard;
+    return {
+        preset: saved?.preset || 'standard',
+        bp: { ...base.bp, ...saved?.bp },
+        glucose: Object.fromEntries(Object.entries(base.glucose).map(([type, range]) => [type, { ...range, ...saved?.glucose?.[type] }])),
+    };
+};
+
+const classifyBloodPressure = ({ systolic, diastolic }, targets) => {
+    const s = Number(systolic), d = Number(diastolic), t = targets.bp;
+    if (s > t.crisisSystolic || d > t.crisisDiastolic) return 'crisis';
+    if (s >= t.stage2Systolic || d >= t.stage2Diastolic) return 'stage2';
+    if (s >= t.stage1Systolic || d >= t.stage1Diastolic) return 'stage1';
+    if (s >= t.elevatedSystolic) return 'elevated';
+    if (s < t.lowSystolic || d < t.lowDiastolic) return 'low';
+    return 'normal';
+};
+
+const classifyGlucose = ({ value, type }, targets) => {
+    const v = Number(value), range = targets.glucose[type] || targets.glucose.Random;
+    if (v < range.low) return 'low';
+    if (v <= range.targetMax) return 'normal';
+    if (v <= range.elevatedMax) return 'elevated';
+    return 'high';
+};
+
+const CHART_RANGES = [{ value: 7, label: '7d' }, { value: 30, label: '30d' }, { value: 90, label: '90d' }, { value: 365, label: '1y' }];
+const MOVING_AVERAGE_DAYS = 7;
+
+// Adds `<key>Avg` to each point: the mean of that key over the trailing window of days
+const withMovingAverage = (points, keys, windowDays = MOVING_AVERAGE_DAYS) => points.map(point => {
+    const inWindow = points.filter(p => p.t <= point.t && p.t > point.t - windowDays * DAY_MS);
+    const averages = Object.fromEntries(keys.map(key => {
+        const values = inWindow.map(p => p[key]).filter(v => typeof v === 'number' && !isNaN(v));
+        return [`${key}Avg`, values.length ? Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 10) / 10 : null];
+    }));
+    return { ...point, ...averages };
+});
+
+// --- Units ---
+// Readings keep the unit they were entered in (`unit` on the document). Values are converted to
+// the profile's preferred unit (`units` on the profile) for display and export, and to the base
+// unit for validation, classification and targets. Readings without a unit are in the base unit.
+const MMOL_TO_MGDL = 18.0182;
+
+const linearUnit = (factor, decimals, ucum) => ({ toBase: v => v * factor, fromBase: v => v / factor, decimals, ucum });
+
+const UNIT_DIMENSIONS = {
+    glucose: { label: 'Blood sugar', base: 'mg/dL', units: { 'mg/dL': linearUnit(1, 0, 'mg/dL'), 'mmol/L': linearUnit(MMOL_TO_MGDL, 1, 'mmol/L') } },
+    temperature: { label: 'Temperature', base: '°C', units: {
+        '°C': linearUnit(1, 1, 'Cel'),
+        '°F': { toBase: v => (v - 32) * 5 / 9, fromBase: v => v * 9 / 5 + 32, decimals: 1, ucum: '[degF]' },
+    } },
+    weight: { label: 'Weight', base: 'kg', units: { kg: linearUnit(1, 1, 'kg'), lb: linearUnit(0.45359237, 1, '[lb_av]') } },
+};
+
+const getUnitPreferences = (profile) => Object.fromEntries(Object.entries(UNIT_DIMENSIONS)
+    .map(([dimension, { base, units }]) => [dimension, units[profile?.units?.[dimension]] ? profile.units[dimension] : base]));
+
+const convertUnit = (value, dimension, from, to) => {
+    const { base, units } = UNIT_DIMENSIONS[dimension];
+    const source = from || base, target = to || base;
+    const number = Number(value);
+    if (source === target || isNaN(number)) return number;
+    const factor = 10 ** units[target].decimals;
+    return Math.round(units[target].fromBase(units[source].toBase(number)) * factor) / factor;
+};
+
+// --- Metric Types ---
+// Registry of the vitals and lab values a profile can record. Each type names its collection,
+// its fields (unit, accepted entry range, chart colour, LOINC code) and optionally how readings
+// are classified and which target bands are shaded. Blood pressure and sugar keep their original
+// collections; every other type lives in `metricReadings` with a `metricType` field.
+const METRIC_READINGS = 'metricReadings';
+
+const BUILT_IN_METRIC_TYPES = [
+    {
+        id: 'bloodPressure', name: 'Blood Pressure', icon: HeartPulse, collection: 'bloodPressureReadings', category: 'vital-signs',
+        loinc: { code: '85354-9', display: 'Blood pressure panel with all children optional' },
+        fields: [
+            { key: 'systolic', label: 'Systolic', unit: 'mmHg', min: 50, max: 260, color: '#ec4899', loinc: { code: '8480-6', display: 'Systolic blood pressure' } },
+            { key: 'diastolic', label: 'Diastolic', unit: 'mmHg', min: 30, max: 160, color: '#22d3ee', loinc: { code: '8462-4', display: 'Diastolic blood pressure' } },
+        ],
+        format: r => `${r.systolic}/${r.diastolic} mmHg`,
+        context: [
+            { key: 'arm', label: 'Arm', options: ['Left arm', 'Right arm'] },
+            { key: 'position', label: 'Position', options: ['Sitting', 'Standing', 'Lying down'] },
+        ],
+        classify: (r, targets) => classifyBloodPressure(r, targets),
+        bands: (targets) => [
+            { key: 'sys', y1: targets.bp.lowSystolic, y2: targets.bp.elevatedSystolic, fill: '#ec4899' },
+            { key: 'dia', y1: targets.bp.lowDiastolic, y2: targets.bp.stage1Diastolic, fill: '#22d3ee' },
+        ],
+    },
+    {
+        id: 'bloodSugar', name: 'Blood Sugar', icon: Droplets, collection: 'bloodSugarReadings', category: 'laboratory',
+        fields: [{ key: 'value', label: 'Glucose', unit: 'mg/dL', dimension: 'glucose', min: 10, max: 800, color: '#a855f7' }],
+        variant: { key: 'type', label: 'Type', options: ['Fasting', 'PP', 'Random'] },
+        context: [{ key: 'mealTag', label: 'Meal', options: ['Before breakfast', 'After breakfast', 'Before lunch', 'After lunch', 'Before dinner', 'After dinner', 'Bedtime', 'Overnight'] }],
+        linksDose: true,
+        classify: (r, targets) => classifyGlucose(r, targets),
+        bands: (targets, variant) => [{ key: 'target', y1: targets.glucose[variant].low, y2: targets.glucose[variant].targetMax, fill: '#22c55e' }],
+    },
+    {
+        id: 'weight', name: 'Weight', icon: Scale, collection: METRIC_READINGS, category: 'vital-signs', usesHeight: true,
+        fields: [{ key: 'value', label: 'Weight', unit: 'kg', dimension: 'weight', min: 1, max: 400, color: '#38bdf8', loinc: { code: '29463-7', display: 'Body weight' } }],
+        derived: (r, profile) => {
+            const bmi = calculateBmi(r.value, profile?.heightCm);
+            return bmi ? `BMI ${bmi}` : null;
+        },
+        classify: (r, targets, profile) => {
+            const bmi = calculateBmi(r.value, profile?.heightCm);
+            if (!bmi) return null;
+            if (bmi < 18.5) return 'underweight';
+            if (bmi < 25) return 'normal';
+            return bmi < 30 ? 'overweight' : 'obese';
+        },
+    },
+    {
+        id: 'pulse', name: 'Heart Rate', icon: Activity, collection: METRIC_READINGS, category: 'vital-signs',
+        fields: [{ key: 'value', label: 'Pulse', unit: 'bpm', ucum: '/min', min: 20, max: 250, color: '#f43f5e', normal: { min: 60, max: 100 }, loinc: { code: '8867-4', display: 'Heart rate' } }],
+    },
+    {
+        id: 'spo2', name: 'SpO2', icon: Wind, collection: METRIC_READINGS, category: 'vital-signs',
+        fields: [{ key: 'value', label: 'SpO2', unit: '%', min: 50, max: 100, color: '#60a5fa', normal: { min: 95 }, loinc: { code: '59408-5', display: 'Oxygen saturation in Arterial blood by Pulse oximetry' } }],
+    },
+    {
+        id: 'temperature', name: 'Temperature', icon: Thermometer, collection: METRIC_READINGS, category: 'vital-signs',
+        fields: [{ key: 'value', label: 'Temperature', unit: '°C', dimension: 'temperature', ucum: 'Cel', min: 30, max: 45, color: '#f97316', normal: { min: 36.1, max: 37.2 }, loinc: { code: '8310-5', display: 'Body temperature' } }],
+    },
+    {
+        id: 'hba1c', name: 'HbA1c', icon: FlaskConical, collection: METRIC_READINGS, category: 'laboratory',
+        fields: [{ key: 'value', label: 'HbA1c', unit: '%', min: 3, max: 20, step: '0.1', color: '#c084fc', normal: { max: 5.6 }, loinc: { code: '4548-4', display: 'Hemoglobin A1c/Hemoglobin.total in Blood' } }],
+    },
+    {
+        id: 'lipids', name: 'Lipid Panel', icon: FlaskConical, collection: METRIC_READINGS, category: 'laboratory',
+        loinc: { code: '24331-1', display: 'Lipid 1996 panel - Serum or Plasma' },
+        fields: [
+            { key: 'total', label: 'Total', unit: 'mg/dL', min: 50, max: 600, color: '#facc15', normal: { max: 199 }, loinc: { code: '2093-3', display: 'Cholesterol [Mass/volume] in Serum or Plasma' } },
+            { key: 'ldl', label: 'LDL', unit: 'mg/dL', min: 10, max: 400, color: '#f87171', normal: { max: 99 }, loinc: { code: '13457-7', display: 'Cholesterol in LDL [Mass/volume] in Serum or Plasma by calculation' } },
+            { key: 'hdl', label: 'HDL', unit: 'mg/dL', min: 5, max: 150, color: '#4ade80', normal: { min: 40 }, loinc: { code: '2085-9', display: 'Cholesterol in HDL [Mass/volume] in Serum or Plasma' } },
+            { key: 'triglycerides', label: 'Triglycerides', unit: 'mg/dL', min: 10, max: 3000, color: '#fb923c', normal: { max: 149 }, loinc: { code: '2571-8', display: 'Triglyceride [Mass/volume] in Serum or Plasma' } },
+        ],
+    },
+];
+
+const VITAL_COLLECTIONS = [...new Set(BUILT_IN_METRIC_TYPES.map(type => type.collection))];
+const CUSTOM_METRIC_COLORS = ['#f59e0b', '#14b8a6', '#e879f9', '#84cc16'];
+
+const calculateBmi = (weightKg, heightCm) => {
+    if (!weightKg || !heightCm) return null;
+    return Math.round((Number(weightKg) / (Number(heightCm) / 100) ** 2) * 10) / 10;
+};
+
+// Custom metrics are stored on the profile as { id, name, unit, min, max, normalMin, normalMax }
+const toCustomMetricType = (metric, index) => ({
+    id: `custom:${metric.id}`, name: metric.name, icon: Activity, collection: METRIC_READINGS, category: 'exam', custom: metric,
+    fields: [{
+        key: 'value', label: metric.name, unit: metric.unit, min: metric.min, max: metric.max, step: 'any',
+        color: CUSTOM_METRIC_COLORS[index % CUSTOM_METRIC_COLORS.length],
+        ...((metric.normalMin !== undefined || metric.normalMax !== undefined) && { normal: { min: metric.normalMin, max: metric.normalMax } }),
+    }],
+});
+
+const getMetricTypes = (profile) => [...BUILT_IN_METRIC_TYPES, ...(profile?.customMetrics || []).map(toCustomMetricType)];
+
+const getMetricReadings = (type, vitals) => (vitals[type.collection] || [])
+    .filter(r => type.collection !== METRIC_READINGS || r.metricType === type.id);
+
+// Readings can be back-dated with `measuredAt`; older ones only have createdAt
+const getMeasuredAt = (reading) => toDate(reading.measuredAt) || toDate(reading.createdAt);
+
+const describeReadingContext = (type, reading) => (type.context || []).map(c => reading[c.key]).filter(Boolean).join(', ');
+
+// Readings that link to a dose (blood sugar) store a copy of the dose, so the link still reads
+// well after the log is undone or the backup is restored under new IDs.
+const DOSE_LINK_WINDOW_HOURS = 6;
+
+const findNearbyDoses = (logs, when, windowHours = DOSE_LINK_WINDOW_HOURS) => logs
+    .filter(log => log.status !== 'skipped' && toDate(log.takenAt) && Math.abs(toDate(log.takenAt) - when) <= windowHours * 60 * 60 * 1000)
+    .sort((a, b) => Math.abs(toDate(a.takenAt) - when) - Math.abs(toDate(b.takenAt) - when));
+
+const toLinkedDose = (log) => ({ logId: log.id, medicineId: log.medicineId, medicineName: log.medicineName, takenAt: log.takenAt });
+
+const describeDoseLink = (linkedDose, when) => {
+    const minutes = Math.round((when - toDate(linkedDose.takenAt)) / 60000);
+    const hours = Math.floor(Math.abs(minutes) / 60), rest = Math.abs(minutes) % 60;
+    const duration = hours ? `${hours}h${rest ? ` ${rest}m` : ''}` : `${rest}m`;
+    return `${duration} ${minutes >= 0 ? 'after' : 'before'} ${linkedDose.medicineName}`;
+};
+
+const getMetricDimension = (type) => type.fields.find(f => f.dimension)?.dimension;
+const fieldUnit = (field, units) => field.dimension ? units[field.dimension] : field.unit;
+
+// Copies of a reading with unit-bearing fields converted to the preferred or the base unit
+const toDisplayReading = (type, reading, units) => {
+    const dimension = getMetricDimension(type);
+    if (!dimension) return reading;
+    return { ...reading, ...Object.fromEntries(type.fields.filter(f => f.dimension && reading[f.key] !== undefined && reading[f.key] !== '')
+        .map(f => [f.key, convertUnit(reading[f.key], dimension, reading.unit, units[dimension])])), unit: units[dimension] };
+};
+const toBaseReading = (type, reading) => {
+    const dimension = getMetricDimension(type);
+    return dimension ? toDisplayReading(type, reading, { [dimension]: UNIT_DIMENSIONS[dimension].base }) : reading;
+};
+
+const formatMetricReading = (type, reading, units) => {
+    const display = toDisplayReading(type, reading, units);
+    if (type.format) return type.format(display);
+    const variant = type.variant ? ` (${display[type.variant.key]})` : '';
+    if (type.fields.length === 1) return `${display[type.fields[0].key]} ${fieldUnit(type.fields[0], units)}${variant}`;
+    return type.fields.map(f => `${f.label} ${display[f.key] ?? '–'}`).join(' · ') + ` ${fieldUnit(type.fields[0], units)}${variant}`;
+};
+
+// Types without their own classifier are compared against each field's normal range
+const classifyMetricReading = (type, reading, targets, profile) => {
+    const base = toBaseReading(type, reading);
+    if (type.classify) return type.classify(base, targets, profile);
+    const levels = type.fields.filter(f => f.normal).map(f => {
+        const value = Number(base[f.key]);
+        if (f.normal.min !== undefined && value < f.normal.min) return 'low';
+        if (f.normal.max !== undefined && value > f.normal.max) return 'high';
+        return 'normal';
+    });
+    if (levels.length === 0) return null;
+    return levels.find(level => level === 'high') || levels.find(level => level === 'low') || 'normal';
+};
+
+// Target bands are defined in base units and converted for the chart
+const getMetricBands = (type, targets, variant, units) => {
+    const dimension = getMetricDimension(type);
+    const toDisplay = value => dimension ? convertUnit(value, dimension, null, units[dimension]) : value;
+    let bands = [];
+    if (type.bands) bands = type.bands(targets, variant);
+    else if (type.fields.length === 1 && type.fields[0].normal) {
+        const { normal, min, max } = type.fields[0];
+        bands = [{ key: 'normal', y1: normal.min ?? min, y2: normal.max ?? max, fill: '#22c55e' }];
+    }
+    return bands.map(band => ({ ...band, y1: toDisplay(band.y1), y2: toDisplay(band.y2) }));
+};
+
+// `values` are form inputs in the preferred units; ranges are checked in base units
+const validateMetricReading = (type, values, units) => type.fields.flatMap(f => {
+    const value = Number(values[f.key]);
+    if (values[f.key] === '' || values[f.key] === undefined || isNaN(value)) return [`${f.label} is required.`];
+    const unit = fieldUnit(f, units);
+    const toBase = v => f.dimension ? convertUnit(v, f.dimension, unit, null) : v;
+    const toDisplay = v => f.dimension ? convertUnit(v, f.dimension, null, unit) : v;
+    if (toBase(value) < f.min || toBase(value) > f.max) return [`${f.label} must be between ${toDisplay(f.min)} and ${toDisplay(f.max)} ${unit}.`];
+    return [];
+});
+
+// --- Symptom Journal ---
+// Symptoms and side effects live in the `symptoms` collection:
+// { symptom, severity, occurredAt, notes, medicineId?, medicineName? }
+const SYMPTOM_SEVERITIES = [
+    { value: 'mild', label: 'Mild', badge: 'bg-yellow-500' },
+    { value: 'moderate', label: 'Moderate', badge: 'bg-orange-500' },
+    { value: 'severe', label: 'Severe', badge: 'bg-red-600' },
+];
+const COMMON_SYMPTOMS = ['Headache', 'Nausea', 'Dizziness', 'Fatigue', 'Rash', 'Stomach upset', 'Muscle pain', 'Cough', 'Insomnia', 'Swelling'];
+
+const getSeverity = (value) => SYMPTOM_SEVERITIES.find(s => s.value === value) || SYMPTOM_SEVERITIES[0];
+
+const describeSymptom = (entry) => `${entry.symptom} (${getSeverity(entry.severity).label.toLowerCase()})${entry.medicineName ? `, possibly from ${entry.medicineName}` : ''}`;
+
+// Readings and symptoms since `from`, newest first, for the history timeline
+const buildHealthTimeline = (profile, vitals, symptoms, from = null) => {
+    const units = getUnitPreferences(profile);
+    const readings = getMetricTypes(profile).flatMap(type => getMetricReadings(type, vitals).map(d => {
+        const when = getMeasuredAt(d);
+        const detail = [describeReadingContext(type, d), d.linkedDose && describeDoseLink(d.linkedDose, when)].filter(Boolean).join(', ');
+        return { id: `${type.id}:${d.id}`, kind: 'reading', when, title: `${type.name}: ${formatMetricReading(type, d, units)}`, detail, notes: d.notes };
+    }));
+    const entries = symptoms.map(entry => ({ id: `symptom:${entry.id}`, kind: 'symptom', when: toDate(entry.occurredAt), title: `Symptom: ${describeSymptom(entry)}`, detail: '', notes: entry.notes }));
+    return [...readings, ...entries].filter(e => e.when && (!from || e.when >= from)).sort((a, b) => b.when - a.when);
+};
+
+// --- Medication–Vitals Correlation ---
+// Compares one vital before and after a medicine was started, and on days its doses were taken
+// as scheduled vs. days with missed or skipped doses. Values are in the profile's display units.
+const CORRELATION_WINDOWS = [14, 30, 90];
+
+const getMedicineStartDate = (med) => parseDateInput(getSchedule(med).startDate) || toDate(med.createdAt);
+
+// Least-squares slope as change per week; null without at least two distinct times
+const linearSlopePerWeek = (points) => {
+    if (points.length < 2) return null;
+    const xs = points.map(p => p.t / DAY_MS);
+    const mx = xs.reduce((a, b) => a + b, 0) / xs.length;
+    const my = points.reduce((sum, p) => sum + p.value, 0) / points.length;
+    const sxx = xs.reduce((sum, x) => sum + (x - mx) ** 2, 0);
+    if (sxx === 0) return null;
+    const sxy = xs.reduce((sum, x, i) => sum + (x - mx) * (points[i].value - my), 0);
+    return Math.round((sxy / sxx) * 7 * 10) / 10;
+};
+
+const summarizeValues = (points) => {
+    if (points.length === 0) return null;
+    const values = points.map(p => p.value);
+    return {
+        count: values.length,
+        mean: Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 10) / 10,
+        min: Math.min(...values),
+        max: Math.max(...values),
+        slopePerWeek: linearSlopePerWeek(points),
+    };
+};
+
+// Returns day key ('YYYY-MM-DD') => true/false, or undefined for days without due doses. A day is
+// adherent when none of its due doses were missed or skipped; PRN medicines count a logged dose.
+const getAdherentDays = (med, logs, from, to, now) => {
+    const days = {};
+    if (getSchedule(med).type === 'prn') {
+        logs.filter(log => log.medicineId === med.id && log.status !== 'skipped' && toDate(log.takenAt))
+            .forEach(log => { days[toDateInputValue(toDate(log.takenAt))] = true; });
+        return (day) => days[day] || false;
+    }
+    computeAdherence([med], logs, from, to, now).slots.filter(slot => slot.status !== 'pending').forEach(slot => {
+        const day = toDateInputValue(slot.scheduledAt);
+        days[day] = (days[day] ?? true) && (slot.status === 'taken' || slot.status === 'late');
+    });
+    return (day) => days[day];
+};
+
+const analyzeMedicationEffect = (med, type, readings, logs, { windowDays = 30, variant = null, units }, now = new Date()) => {
+    const start = getMedicineStartDate(med);
+    const from = new Date(start.getTime() - windowDays * DAY_MS);
+    const to = new Date(Math.min(start.getTime() + windowDays * DAY_MS, now.getTime()));
+    const inRange = readings
+        .filter(r => !type.variant || !variant || r[type.variant.key] === variant)
+        .map(r => ({ when: getMeasuredAt(r), display: toDisplayReading(type, r, units) }))
+        .filter(r => r.when && r.when >= from && r.when <= to);
+    const isAdherent = getAdherentDays(med, logs, start, to, now);
+
+    const fields = type.fields.map(f => {
+        const points = inRange.map(r => ({ t: r.when.getTime(), value: Number(r.display[f.key]) })).filter(p => !isNaN(p.value));
+        const afterPoints = points.filter(p => p.t >= start.getTime());
+        const before = summarizeValues(points.filter(p => p.t < start.getTime()));
+        const after = summarizeValues(afterPoints);
+        return {
+            key: f.key, label: f.label, unit: fieldUnit(f, units),
+            before, after,
+            change: before && after ? Math.round((after.mean - before.mean) * 10) / 10 : null,
+            adherent: summarizeValues(afterPoints.filter(p => isAdherent(toDateInputValue(new Date(p.t))) === true)),
+            nonAdherent: summarizeValues(afterPoints.filter(p => isAdherent(toDateInputValue(new Date(p.t))) === false)),
+        };
+    });
+    return { start, from, to, fields };
+};
+
+// --- Data Repository ---
+// Firestore paths come from dataPaths only. Every collection has a schema: records are checked
+// and numeric strings coerced before they are written, and full records are stamped with the
+// collection's schemaVersion. Older documents are upgraded by the collection's migrations when
+// they are read, and the upgrade is written back once.
+const dataPaths = {
+    profiles: (userId) => `/artifacts/${appId}/users/${userId}/profiles`,
+    profile: (userId, profileId) => `${dataPaths.profiles(userId)}/${profileId}`,
+    contacts: (userId) => `/artifacts/${appId}/users/${userId}/contacts`,
+    sharedWithMe: (userId) => `/artifacts/${appId}/users/${userId}/sharedWithMe`,
+    profileShares: () => `/artifacts/${appId}/profileShares`,
+    profileInvites: () => `/artifacts/${appId}/profileInvites`,
+};
+
+// 'contacts' belong to the signed-in account. Profiles and their records stay with the account
+// that owns the profile, which differs from userId for profiles shared with this account.
+const collectionPath = (userId, profileId, name, ownerId = userId) => {
+    if (name === 'contacts') return dataPaths.contacts(userId);
+    if (name === 'profiles') return dataPaths.profiles(ownerId);
+    if (!profileId) throw new Error(`No profile selected for ${name}.`);
+    return `${dataPaths.profile(ownerId, profileId)}/${name}`;
+};
+
+const isNumericString = (value) => typeof value === 'string' && value.trim() !== '' && !isNaN(value);
+
+// Readings saved from the vitals form before it converted its inputs are strings
+const coerceNumbers = (fields) => (data) => ({
+    ...data,
+    ...Object.fromEntries(Object.keys(fields).filter(key => fields[key].type === 'number' && isNumericString(data[key])).map(key => [key, Number(data[key])])),
+});
+
+const readingFields = (collectionName) => ({
+    ...Object.fromEntries(BUILT_IN_METRIC_TYPES.filter(type => type.collection === collectionName).flatMap(type => type.fields).map(f => [f.key, { type: 'number' }])),
+    ...(collectionName === METRIC_READINGS && { metricType: { type: 'string', required: true } }),
+    measuredAt: { type: 'timestamp' },
+    unit: { type: 'string' },
+    notes: { type: 'string' },
+});
+
+// Readings saved before units were tracked are in the base unit (mg/dL for glucose)
+const addBaseUnit = (collectionName) => (data) => {
+    const type = BUILT_IN_METRIC_TYPES.find(t => t.collection === collectionName && (collectionName !== METRIC_READINGS || t.id === data.metricType));
+    const dimension = type && getMetricDimension(type);
+    return dimension && !data.unit ? { ...data, unit: UNIT_DIMENSIONS[dimension].base } : data;
+};
+
+const defineSchema = (fields, migrations = []) => ({
+    fields,
+    migrations: [{ version: 2, up: coerceNumbers(fields) }, ...migrations],
+});
+
+const COLLECTION_SCHEMAS = {
+    profiles: defineSchema({
+        name: { type: 'string', required: true },
+        relationship: { type: 'string' },
+        heightCm: { type: 'number', nullable: true },
+        acknowledgedWarnings: { type: 'array' },
+        customMetrics: { type: 'array' },
+        vitalTargets: { type: 'object' },
+        alertSettings: { type: 'object' },
+    }),
+    contacts: defineSchema({
+        type: { type: 'string', required: true },
+        name: { type: 'string', required: true },
+        specialty: { type: 'string' },
+    }),
+    medicines: defineSchema({
+        name: { type: 'string', required: true },
+        stock: { type: 'number', required: true },
+        strength: { type: 'number', nullable: true },
+        doseQuantity: { type: 'number', min: 0 },
+        lowStockDays: { type: 'number', min: 0 },
+        unit: { type: 'string' },
+        ingredients: { type: 'array' },
+        schedule: { type: 'object' },
+        doctor: { type: 'string' },
+        doctorId: { type: 'string', nullable: true },
+        discontinued: { type: 'boolean' },
+        discontinuedAt: { type: 'timestamp', nullable: true },
+    }, [
+        // The legacy `dosage` string and `times` become a schedule; getSchedule still reads both
+        { version: 2, up: (data) => data.schedule ? data : { ...data, schedule: getSchedule(data) } },
+    ]),
+    medicineLogs: defineSchema({
+        medicineId: { type: 'string', required: true },
+        medicineName: { type: 'string', required: true },
+        quantity: { type: 'number', min: 0 },
+        unit: { type: 'string' },
+        status: { type: 'string' },
+        scheduledAt: { type: 'timestamp' },
+        takenAt: { type: 'timestamp', required: true },
+        recordedBy: { type: 'object' },
+    }),
+    refills: defineSchema({
+        medicineId: { type: 'string', required: true },
+        medicineName: { type: 'string', required: true },
+        quantity: { type: 'number', required: true, min: 0 },
+        pharmacy: { type: 'string' },
+        pharmacyId: { type: 'string', nullable: true },
+        refilledAt: { type: 'timestamp', required: true },
+    }),
+    appointments: defineSchema({
+        doctor: { type: 'string', required: true },
+        doctorId: { type: 'string', nullable: true },
+        date: { type: 'timestamp', required: true },
+        status: { type: 'string' },
+        questions: { type: 'array' },
+        reminders: { type: 'array' },
+        outcome: { type: 'object', nullable: true },
+    }),
+    symptoms: defineSchema({
+        symptom: { type: 'string', required: true },
+        severity: { type: 'string', required: true },
+        occurredAt: { type: 'timestamp', required: true },
+        medicineId: { type: 'string', nullable: true },
+    }),
+    documents: defineSchema({
+        name: { type: 'string', required: true },
+        type: { type: 'string', required: true },
+        date: { type: 'timestamp' },
+        url: { type: 'string' },
+        storagePath: { type: 'string', nullable: true },
+        size: { type: 'number', nullable: true },
+        tags: { type: 'array' },
+        includeInReport: { type: 'boolean' },
+        medicineId: { type: 'string', nullable: true },
+        appointmentId: { type: 'string', nullable: true },
+    }),
+    alertRules: defineSchema({
+        type: { type: 'string', required: true },
+        enabled: { type: 'boolean' },
+        medicineId: { type: 'string', nullable: true },
+        minutes: { type: 'number', min: 1 },
+        days: { type: 'number', min: 1 },
+        metricTypeId: { type: 'string' },
+        field: { type: 'string' },
+        operator: { type: 'string' },
+        threshold: { type: 'number' },
+        variant: { type: 'string', nullable: true },
+    }),
+    alerts: defineSchema({
+        ruleId: { type: 'string', required: true },
+        type: { type: 'string', required: true },
+        severity: { type: 'string' },
+        title: { type: 'string', required: true },
+        message: { type: 'string' },
+        status: { type: 'string', required: true },
+        triggeredAt: { type: 'timestamp', required: true },
+        acknowledgedAt: { type: 'timestamp' },
+        acknowledgedBy: { type: 'object' },
+        resolvedAt: { type: 'timestamp' },
+        resolvedBy: { type: 'object' },
+        deliveries: { type: 'object' },
+    }),
+    ...Object.fromEntries(VITAL_COLLECTIONS.map(name => [name, defineSchema(readingFields(name), [{ version: 2, up: addBaseUnit(name) }])])),
+};
+
+const getSchemaVersion = (collectionName) => Math.max(1, ...COLLECTION_SCHEMAS[collectionName].migrations.map(m => m.version));
+
+const checkFieldType = (spec, value) => {
+    switch (spec.type) {
+        case 'string': return typeof value === 'string' ? null : 'must be text';
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+            return spec.min !== undefined && value < spec.min ? `must be at least ${spec.min}` : null;
+        case 'boolean': return typeof value === 'boolean' ? null : 'must be true or false';
+        case 'timestamp': return value instanceof Timestamp ? null : 'must be a date';
+        case 'array': return Array.isArray(value) ? null : 'must be a list';
+        default: return value && typeof value === 'object' ? null : 'must be an object';
+    }
+};
+
+// Returns the record to write, or throws with every problem found. Partial records (updates)
+// only check the fields they contain and keep their schemaVersion.
+const prepareRecord = (collectionName, data, { partial = false } = {}) => {
+    const schema = COLLECTION_SCHEMAS[collectionName];
+    if (!schema) throw new Error(`Unknown collection "${collectionName}".`);
+    const record = coerceNumbers(schema.fields)(data);
+    const errors = [];
+    Object.entries(schema.fields).forEach(([key, spec]) => {
+        const value = record[key];
+        if (value === undefined) {
+            if (spec.required && !partial) errors.push(`${key} is required`);
+            delete record[key];
+        } else if (value === null) {
+            if (!spec.nullable) errors.push(`${key} is required`);
+        } else if (!(value instanceof FieldValue)) {
+            const problem = checkFieldType(spec, value);
+            if (problem) errors.push(`${key} ${problem}`);
+        }
+    });
+    if (errors.length > 0) throw new Error(`Invalid ${collectionName} record: ${errors.join(', ')}.`);
+    return partial ? record : { ...record, schemaVersion: getSchemaVersion(collectionName) };
+};
+
+// Returns `data` itself when it is already current
+const migrateRecord = (collectionName, data) => {
+    const schema = COLLECTION_SCHEMAS[collectionName];
+    const from = data.schemaVersion ?? 1;
+    if (!schema || from >= getSchemaVersion(collectionName)) return data;
+    const upgraded = schema.migrations.filter(m => m.version > from).sort((a, b) => a.version - b.version).reduce((record, m) => m.up(record), data);
+    return { ...upgraded, schemaVersion: getSchemaVersion(collectionName) };
+};
+
+// Snapshot documents as records with their IDs, upgraded to the current schema. Upgrades are
+// not written back when `writeBack` is off, e.g. for someone with view-only access.
+const readSnapshot = (db, collectionName, snapshot, { writeBack = true } = {}) => {
+    const upgrades = [];
+    const records = snapshot.docs.map(d => {
+        const data = d.data();
+        const record = migrateRecord(collectionName, data);
+        if (record !== data) upgrades.push(batch => batch.update(d.ref, record));
+        return { id: d.id, ...record };
+    });
+    if (writeBack && upgrades.length > 0) commitInChunks(db, upgrades).catch(e => console.error(`Error upgrading ${collectionName}:`, e));
+    return records;
+};
+
+// Writes for one account and, optionally, one of its own profiles or one shared with it by
+// `ownerId`. Every write validates before it starts and throws right away on invalid data;
+// otherwise it returns the acknowledgement promise.
+const createRepository = (db, userId, profileId = null, ownerId = userId) => {
+    const docRef = (name, id = null) => id ? doc(db, collectionPath(userId, profileId, name, ownerId), id) : doc(collection(db, collectionPath(userId, profileId, name, ownerId)));
+    const writer = (target) => ({
+        set: (name, id, data) => target.set(docRef(name, id), prepareRecord(name, data)),
+        update: (name, id, fields) => target.update(docRef(name, id), prepareRecord(name, fields, { partial: true })),
+        remove: (name, id) => target.delete(docRef(name, id)),
+    });
+    const batchWrite = (build) => {
+        const batch = writeBatch(db);
+        build(writer(batch));
+        return batch.commit();
+    };
+
+    // A medicine's stock and the dose or refill record that changed it. Online this runs as a
+    // transaction on the server's stock, so two devices cannot both take the last tablet. It does
+    // nothing when the record already exists, so a transaction that failed as 'unavailable'
+    // after its commit went through can be retried by the write queue without counting twice.
+    // Transactions need the server, so a change made while offline is a batch with increment()
+    // instead, which may leave the stock below zero. A record whose transaction was tried once
+    // never falls back to the batch, which could not tell whether that transaction went through.
+    const attemptedTransactions = new Set();
+    const changeStock = (medicineId, delta, recordName, recordId, data) => {
+        const record = prepareRecord(recordName, data);
+        if (typeof navigator !== 'undefined' && !navigator.onLine && !attemptedTransactions.has(recordId)) {
+            return batchWrite(w => {
+                w.update('medicines', medicineId, { stock: increment(delta) });
+                w.set(recordName, recordId, record);
+            });
+        }
+        attemptedTransactions.add(recordId);
+        return runTransaction(db, async (transaction) => {
+            const existing = await transaction.get(docRef(recordName, recordId));
+            if (existing.exists()) return;
+            const medicine = await transaction.get(docRef('medicines', medicineId));
+            if (!medicine.exists()) throw Object.assign(new Error(`${record.medicineName} no longer exists.`), { code: 'not-found' });
+            const stock = (Number(medicine.data().stock) || 0) + delta;
+            if (stock < 0) throw Object.assign(new Error(`Not enough ${record.medicineName} in stock.`), { code: 'failed-precondition' });
+            const w = writer(transaction);
+            w.update('medicines', medicineId, { stock });
+            w.set(recordName, recordId, record);
+        });
+    };
+
+    return {
+        newId: (name) => docRef(name).id,
+        ...writer({ set: setDoc, update: updateDoc, delete: deleteDoc }),
+        batch: batchWrite,
+        // Like commitInChunks, with each operation given a writer instead of the raw batch
+        writeInChunks: async (operations) => {
+            for (let i = 0; i < operations.length; i += BATCH_LIMIT) await batchWrite(w => operations.slice(i, i + BATCH_LIMIT).forEach(op => op(w)));
+        },
+        takeDose: (medicineId, logId, log) => changeStock(medicineId, -log.quantity, 'medicineLogs', logId, log),
+        recordRefill: (medicineId, refillId, refill) => changeStock(medicineId, refill.quantity, 'refills', refillId, refill),
+        // Creates the alert unless it exists, whatever its status. Resolves to whether it was
+        // created. Offline nothing is created, and the next check tries again.
+        raiseAlert: (alertId, alert) => {
+            const record = prepareRecord('alerts', alert);
+            if (typeof navigator !== 'undefined' && !navigator.onLine) return Promise.resolve(false);
+            return runTransaction(db, async (transaction) => {
+                const existing = await transaction.get(docRef('alerts', alertId));
+                if (existing.exists()) return false;
+                transaction.set(docRef('alerts', alertId), record);
+                return true;
+            }).catch(e => {
+                if (e.code === 'unavailable') return false;
+                throw e;
+            });
+        },
+    };
+};
+
+// --- Backup & Restore ---
+// Versioned JSON backups of whole profiles. Timestamps are written as tagged objects so they
+// come back as Firestore Timestamps; document IDs are regenerated on import and references
+// between documents (medicineId on logs and refills) are remapped to the new IDs. Entries for a
+// medicine that has since been deleted keep its name and old medicineId, as they do in the app.
+const PROFILE_COLLECTIONS = ['medicines', 'medicineLogs', 'appointments', ...VITAL_COLLECTIONS, 'refills', 'symptoms', 'documents', 'alertRules', 'alerts'];
+const MEDICINE_REFERENCING_COLLECTIONS = ['medicineLogs', 'refills', 'symptoms', 'documents', 'alertRules'];
+const BACKUP_FORMAT = 'meditrack-backup';
+const BACKUP_VERSION = 1;
+const BATCH_LIMIT = 450;
+
+const serializeValue = (value) => {
+    if (value instanceof Timestamp) return { __type: 'timestamp', seconds: value.seconds, nanoseconds: value.nanoseconds };
+    if (Array.isArray(value)) return value.map(serializeValue);
+    if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, serializeValue(v)]));
+    return value;
+};
+
+const deserializeValue = (value) => {
+    if (value && value.__type === 'timestamp') return new Timestamp(value.seconds, value.nanoseconds);
+    if (Array.isArray(value)) return value.map(deserializeValue);
+    if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, deserializeValue(v)]));
+    return value;
+};
+
+const downloadFile = (filename, content, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+// Runs write operations (each `batch => void`) in as many batches as needed
+const commitInChunks = async (db, operations) => {
+    for (let i = 0; i < operations.length; i += BATCH_LIMIT) {
+        const batch = writeBatch(db);
+        operations.slice(i, i + BATCH_LIMIT).forEach(op => op(batch));
+        await batch.commit();
+    }
+};
+
+// Profiles shared with the account are read from their owner's path
+const buildBackup = async (db, userId, profiles) => {
+    const backupProfiles = [];
+    for (const profile of profiles) {
+        const { id, ownerId = userId, role, ...data } = profile;
+        const collections = {};
+        for (const name of PROFILE_COLLECTIONS) {
+            const snapshot = await getDocs(query(collection(db, collectionPath(userId, id, name, ownerId))));
+            collections[name] = snapshot.docs.map(d => ({ id: d.id, data: serializeValue(d.data()) }));
+        }
+        backupProfiles.push({ id, data: serializeValue(data), collections });
+    }
+    return { format: BACKUP_FORMAT, version: BACKUP_VERSION, exportedAt: new Date().toISOString(), appId, profiles: backupProfiles };
+};
+
+// Returns a list of problems; an empty list means the backup can be imported.
+const validateBackup = (backup) => {
+    const errors = [];
+    if (!backup || backup.format !== BACKUP_FORMAT) return ['This is not a MediTrack backup file.'];
+    if (!Number.isInteger(backup.version) || backup.version > BACKUP_VERSION) errors.push(`Unsupported backup version ${backup.version}.`);
+    if (!Array.isArray(backup.profiles) || backup.profiles.length === 0) errors.push('The backup contains no profiles.');
+    (backup.profiles || []).forEach((profile, i) => {
+        const label = profile?.data?.name || `Profile ${i + 1}`;
+        if (!profile?.id || typeof profile.data?.name !== 'string') errors.push(`${label}: missing id or name.`);
+        Object.entries(profile?.collections || {}).forEach(([name, docs]) => {
+            if (!PROFILE_COLLECTIONS.includes(name)) errors.push(`${label}: unknown collection "${name}".`);
+            else if (!Array.isArray(docs) || docs.some(d => !d?.id || !d.data || typeof d.data !== 'object')) errors.push(`${label}: malformed ${name} entries.`);
+        });
+    });
+    return errors;
+};
+
+const summarizeBackup = (backup) => backup.profiles.map(profile => ({
+    id: profile.id,
+    name: profile.data.name,
+    counts: Object.fromEntries(PROFILE_COLLECTIONS.map(name => [name, profile.collections?.[name]?.length || 0])),
+}));
+
+const stableStringify = (value) => {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') return `{${Object.keys(value).sort().map(k => `${k}:${stableStringify(value[k])}`).join(',')}}`;
+    return JSON.stringify(value);
+};
+
+// Restored documents get their own copy of the file, so they are compared without its location
+const restoreContentKey = (name, data) => stableStringify(serializeValue(name === 'documents' ? { ...data, storagePath: null, url: null } : data));
+
+// Copies the file of a restored document record into `folder` and points the record at the copy,
+// so deleting either record never removes the other's file. A file that cannot be read any more
+// (deleted, or in another account) is not copied: the record keeps its link without a storagePath.
+// Returns the path of the copy.
+const copyDocumentFile = async (storage, data, folder) => {
+    try {
+        const source = ref(storage, data.storagePath);
+        const target = ref(storage, `${folder}/${Date.now()}_${source.name.replace(/^\d+_/, '')}`);
+        await uploadBytes(target, await getBytes(source), { contentType: data.contentType });
+        Object.assign(data, { storagePath: target.fullPath, url: await getDownloadURL(target) });
+        return target.fullPath;
+    } catch (e) {
+        console.error(`Could not copy the file of ${data.name}:`, e);
+        data.storagePath = null;
+        return null;
+    }
+};
+
+// Imports one backup profile. mode 'new' creates a profile, 'merge' adds what the target does
+// not have yet (medicines are matched by name, other documents by content) and 'replace' deletes
+// what the target had once the backup is written, so a failed restore never leaves it empty.
+// Document files are copied for the restored records. An alert's ID names its rule and what
+// triggered it, so restored alerts keep that ID with the new IDs in it, and the rules do not
+// raise them again. Restored dose logs are attributed to `recordedBy`, the account restoring
+// them, as the security rules require. Returns the number of documents created per collection.
+const restoreProfileBackup = async (db, storage, userId, backupProfile, { mode, targetProfileId = null, recordedBy }) => {
+    const profilesPath = dataPaths.profiles(userId);
+    const operations = [];
+    const replaced = [];
+    const replacedFiles = [];
+    const restoredFiles = [];
+    const created = {};
+    const existing = {};
+    let profileRef;
+
+    if (mode === 'new') {
+        profileRef = doc(collection(db, profilesPath));
+    } else {
+        profileRef = doc(db, profilesPath, targetProfileId);
+        for (const name of PROFILE_COLLECTIONS) {
+            const snapshot = await getDocs(query(collection(db, collectionPath(userId, targetProfileId, name))));
+            if (mode === 'replace') snapshot.docs.forEach(d => {
+                replaced.push(batch => batch.delete(d.ref));
+                if (name === 'documents' && d.data().storagePath) replacedFiles.push(d.data().storagePath);
+            });
+            else existing[name] = snapshot.docs.map(d => ({ id: d.id, data: d.data() }));
+        }
+    }
+
+    const idMap = {};
+    PROFILE_COLLECTIONS.forEach(name => {
+        created[name] = 0;
+        const known = new Map((existing[name] || []).map(d => [restoreContentKey(name, d.data), d.id]));
+        (backupProfile.collections?.[name] || []).forEach(entry => {
+            const data = deserializeValue(entry.data);
+            if (MEDICINE_REFERENCING_COLLECTIONS.includes(name) && data.medicineId) data.medicineId = idMap[data.medicineId] || data.medicineId;
+            if (name === 'documents' && data.appointmentId) data.appointmentId = idMap[data.appointmentId] || data.appointmentId;
+            if (name === 'alerts' && data.ruleId) data.ruleId = idMap[data.ruleId] || data.ruleId;
+            if (data.outcome?.prescribedMedicineIds) data.outcome.prescribedMedicineIds = data.outcome.prescribedMedicineIds.map(medId => idMap[medId] || medId);
+            // Contacts belong to the account, not the backup; names are linked again after loading
+            CONTACT_REFERENCES.filter(reference => reference.collection === name).forEach(reference => delete data[reference.idField]);
+            if (name === 'medicines') {
+                const sameName = (existing.medicines || []).find(m => m.data.name?.trim().toLowerCase() === data.name?.trim().toLowerCase());
+                if (sameName) {
+                    idMap[entry.id] = sameName.id;
+                    return;
+                }
+            } else if (known.has(restoreContentKey(name, data))) {
+                idMap[entry.id] = known.get(restoreContentKey(name, data));
+                return;
+            }
+            const ref = name === 'alerts'
+                ? doc(db, collectionPath(userId, profileRef.id, name), entry.id.split('_').map(part => idMap[part] || part).join('_'))
+                : doc(collection(db, collectionPath(userId, profileRef.id, name)));
+            // The target raised this alert itself since the backup was made
+            if (name === 'alerts' && (existing.alerts || []).some(d => d.id === ref.id)) return;
+            idMap[entry.id] = ref.id;
+            created[name]++;
+            if (name === 'documents' && data.storagePath) restoredFiles.push(data);
+            if (name === 'medicineLogs') data.recordedBy = recordedBy;
+            operations.push(batch => batch.set(ref, data));
+        });
+    });
+
+    const copiedFiles = [];
+    for (const data of restoredFiles) {
+        const path = await copyDocumentFile(storage, data, `${dataPaths.profile(userId, profileRef.id)}/documents`);
+        if (path) copiedFiles.push(path);
+    }
+
+    const profileData = deserializeValue(backupProfile.data);
+    // Acknowledged warning IDs end in the medicine IDs they cover
+    const acknowledgedWarnings = (profileData.acknowledgedWarnings || []).map(id => {
+        const parts = id.split(':');
+        parts[parts.length - 1] = parts[parts.length - 1].split('+').map(medId => idMap[medId] || medId).sort().join('+');
+        return parts.join(':');
+    });
+    if (mode === 'new') operations.unshift(batch => batch.set(profileRef, { ...profileData, acknowledgedWarnings }));
+    else if (acknowledgedWarnings.length) operations.push(batch => batch.update(profileRef, { acknowledgedWarnings: arrayUnion(...acknowledgedWarnings) }));
+
+    try {
+        await commitInChunks(db, operations);
+    } catch (e) {
+        await Promise.allSettled(copiedFiles.map(path => deleteObject(ref(storage, path))));
+        throw e;
+    }
+    await commitInChunks(db, replaced);
+    const results = await Promise.allSettled(replacedFiles.map(path => deleteObject(ref(storage, path))));
+    results.filter(r => r.status === 'rejected').forEach(r => console.error("Could not delete document file:", r.reason));
+    return { profileId: profileRef.id, created };
+};
+
+// Deletes a profile with all its documents, its sharing and open invites, then its uploaded
+// files: the document files and prescriptions the records link to and anything else in the
+// profile's Storage folder, such as prescriptions that were never moved into the document
+// vault. A failed file deletion only leaves files that are no longer listed. The records are
+// listed from the server, never the partial local cache, so offline this fails as 'unavailable'
+// and the write queue runs it again once the device is back online.
+const deleteProfileData = async (db, storage, userId, profileId) => {
+    const operations = [];
+    const storagePaths = [];
+    for (const name of PROFILE_COLLECTIONS) {
+        const snapshot = await getDocsFromServer(query(collection(db, collectionPath(userId, profileId, name))));
+        snapshot.docs.forEach(d => operations.push(batch => batch.delete(d.ref)));
+        if (name === 'documents') snapshot.docs.forEach(d => d.data().storagePath && storagePaths.push(d.data().storagePath));
+        if (name === 'medicines') snapshot.docs.forEach(d => d.data().prescriptionUrl && storagePaths.push(d.data().prescriptionUrl));
+    }
+    const invites = await getDocsFromServer(query(collection(db, dataPaths.profileInvites()), where('profileId', '==', profileId), where('ownerId', '==', userId)));
+    invites.docs.forEach(d => operations.push(batch => batch.delete(d.ref)));
+    operations.push(batch => batch.delete(doc(db, dataPaths.profileShares(), profileId)));
+    operations.push(batch => batch.delete(doc(db, dataPaths.profiles(userId), profileId)));
+    await commitInChunks(db, operations);
+    if (storage) {
+        const folderFiles = await listStorageFiles(ref(storage, dataPaths.profile(userId, profileId))).catch(e => {
+            console.error("Could not list the profile's files:", e);
+            return [];
+        });
+        const paths = new Set([...storagePaths.map(path => ref(storage, path).fullPath), ...folderFiles.map(file => file.fullPath)]);
+        const results = await Promise.allSettled([...paths].map(path => deleteObject(ref(storage, path))));
+        results.filter(r => r.status === 'rejected').forEach(r => console.error("Could not delete document file:", r.reason));
+    }
+};
+
+// Every file in a Storage folder and its subfolders
+const listStorageFiles = async (folder) => {
+    const { items, prefixes } = await listAll(folder);
+    const nested = await Promise.all(prefixes.map(listStorageFiles));
+    return [...items, ...nested.flat()];
+};
+
+// --- CSV Export & Import ---
+// Column values are read with (record, unit preferences, profile)
+const CSV_EXPORTS = {
+    medicineLogs: {
+        label: 'Medicine logs',
+        dateOf: d => toDate(d.takenAt),
+        columns: [
+            { header: 'Date', value: d => toDate(d.takenAt)?.toISOString() },
+            { header: 'Medicine', value: d => d.medicineName },
+            { header: 'Status', value: d => d.status || 'taken' },
+            { header: 'Quantity', value: d => d.quantity ?? 1 },
+            { header: 'Unit', value: d => d.unit || 'unit' },
+            { header: 'Scheduled For', value: d => toDate(d.scheduledAt)?.toISOString() },
+            { header: 'Reason', value: d => d.reason },
+        ],
+    },
+    bloodPressureReadings: {
+        label: 'Blood pressure',
+        dateOf: getMeasuredAt,
+        columns: [
+            { header: 'Date', value: d => getMeasuredAt(d)?.toISOString() },
+            { header: 'Systolic (mmHg)', value: d => d.systolic },
+            { header: 'Diastolic (mmHg)', value: d => d.diastolic },
+            { header: 'Arm', value: d => d.arm },
+            { header: 'Position', value: d => d.position },
+            { header: 'Notes', value: d => d.notes },
+        ],
+    },
+    bloodSugarReadings: {
+        label: 'Blood sugar',
+        dateOf: getMeasuredAt,
+        columns: [
+            { header: 'Date', value: d => getMeasuredAt(d)?.toISOString() },
+            { header: 'Glucose', value: (d, units) => convertUnit(d.value, 'glucose', d.unit, units.glucose) },
+            { header: 'Unit', value: (d, units) => units.glucose },
+            { header: 'Type', value: d => d.type },
+            { header: 'Meal', value: d => d.mealTag },
+            { header: 'Linked Dose', value: d => d.linkedDose && describeDoseLink(d.linkedDose, getMeasuredAt(d)) },
+            { header: 'Notes', value: d => d.notes },
+        ],
+    },
+    metricReadings: {
+        label: 'Other vitals',
+        dateOf: getMeasuredAt,
+        columns: [
+            { header: 'Date', value: d => getMeasuredAt(d)?.toISOString() },
+            { header: 'Metric', value: (d, units, profile) => getMetricTypes(profile).find(t => t.id === d.metricType)?.name || d.metricType },
+            { header: 'Reading', value: (d, units, profile) => {
+                const type = getMetricTypes(profile).find(t => t.id === d.metricType);
+                return type ? formatMetricReading(type, d, units) : d.value;
+            } },
+            { header: 'Notes', value: d => d.notes },
+        ],
+    },
+    symptoms: {
+        label: 'Symptoms',
+        dateOf: d => toDate(d.occurredAt),
+        columns: [
+            { header: 'Date', value: d => toDate(d.occurredAt)?.toISOString() },
+            { header: 'Symptom', value: d => d.symptom },
+            { header: 'Severity', value: d => d.severity },
+            { header: 'Medicine', value: d => d.medicineName },
+            { header: 'Notes', value: d => d.notes },
+        ],
+    },
+    appointments: {
+        label: 'Appointments',
+        dateOf: d => toDate(d.date),
+        columns: [
+            { header: 'Date', value: d => toDate(d.date)?.toISOString() },
+            { header: 'Doctor', value: d => d.doctor },
+            { header: 'Specialty', value: d => d.specialty },
+            { header: 'Location', value: d => d.location },
+            { header: 'Reason', value: d => d.reason },
+            { header: 'Status', value: d => getAppointmentStatus(d).label },
+            { header: 'Outcome', value: d => d.outcome?.notes },
+        ],
+    },
+};
+
+// Fields a vitals CSV can be mapped onto, with header patterns used to guess the mapping. A
+// list of patterns is tried in order, so a "Date" column wins over a date-and-time column and a
+// column named just "Time" is left for the separate time field.
+const CSV_IMPORT_TARGETS = {
+    bloodPressureReadings: {
+        label: 'Blood pressure',
+        fields: [
+            { key: 'date', label: 'Date', required: true, pattern: [/date/i, /^(?!time$).*(time|when)/i] },
+            { key: 'time', label: 'Time (if separate)', pattern: /^time$/i },
+            { key: 'systolic', label: 'Systolic', required: true, pattern: /sys/i },
+            { key: 'diastolic', label: 'Diastolic', required: true, pattern: /dia/i },
+        ],
+    },
+    bloodSugarReadings: {
+        label: 'Blood sugar',
+        fields: [
+            { key: 'date', label: 'Date', required: true, pattern: [/date/i, /^(?!time$).*(time|when)/i] },
+            { key: 'time', label: 'Time (if separate)', pattern: /^time$/i },
+            { key: 'value', label: 'Glucose value', required: true, pattern: /gluc|sugar|value|reading|bg/i },
+            { key: 'type', label: 'Meal / type', pattern: /type|meal|tag|context/i },
+            { key: 'unit', label: 'Unit', pattern: /^unit/i },
+        ],
+    },
+};
+
+const escapeCsv = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows, columns, units, profile) => [
+    columns.map(c => escapeCsv(c.header)).join(','),
+    ...rows.map(row => columns.map(c => escapeCsv(c.value(row, units, profile))).join(',')),
+].join('\r\n');
+
+// RFC 4180 parser; the delimiter (comma, semicolon or tab) is taken from the header line.
+const parseCsv = (text) => {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t'].sort((a, b) => firstLine.split(b).length - firstLine.split(a).length)[0];
+    const rows = [];
+    let row = [], field = '', inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') inQuotes = false;
+            else field += char;
+        } else if (char === '"') inQuotes = true;
+        else if (char === delimiter) { row.push(field); field = ''; }
+        else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field); rows.push(row); row = []; field = '';
+        } else field += char;
+    }
+    if (field || row.length) { row.push(field); rows.push(row); }
+    const [headers = [], ...data] = rows.filter(r => r.some(cell => cell.trim() !== ''));
+    return { headers: headers.map(h => h.trim()), rows: data };
+};
+
+const guessCsvMapping = (headers, target) => Object.fromEntries(CSV_IMPORT_TARGETS[target].fields.map(field => {
+    const index = [field.pattern].flat().map(pattern => headers.findIndex(h => pattern.test(h))).find(i => i !== -1) ?? -1;
+    return [field.key, index === -1 ? '' : String(index)];
+}));
+
+// dateFormat is 'auto' (ISO and anything Date understands), 'dmy' or 'mdy' for slashed dates
+const parseCsvDate = (dateText, timeText = '', dateFormat = 'auto') => {
+    const text = `${dateText} ${timeText}`.trim();
+    const slashed = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})(?:[ T](\d{1,2}):(\d{2}))?/);
+    if (slashed && dateFormat !== 'auto') {
+        const [, a, b, y, hh = '0', mm = '0'] = slashed;
+        const [day, month] = dateFormat === 'dmy' ? [a, b] : [b, a];
+        const year = y.length === 2 ? 2000 + Number(y) : Number(y);
+        const date = new Date(year, Number(month) - 1, Number(day), Number(hh), Number(mm));
+        return isNaN(date) ? null : date;
+    }
+    const date = new Date(/^\d{4}-\d{2}-\d{2} \d/.test(text) ? text.replace(' ', 'T') : text);
+    return isNaN(date) ? null : date;
+};
+
+// After-meal words are checked first and only as whole words, so "after breakfast" is not
+// read as fasting because it contains "fast"
+const normalizeMealType = (text = '') => {
+    if (/\b(pp|post(prandial)?|after)\b/i.test(text)) return 'PP';
+    if (/\b(fast(ing)?|before|pre(prandial)?)\b/i.test(text)) return 'Fasting';
+    return 'Random';
+};
+
+// Turns mapped CSV rows into readings. Glucose values keep their unit: a unit column or a unit
+// in the value header wins, otherwise values that are all below 35 are taken as mmol/L.
+const mapCsvReadings = ({ headers, rows }, target, mapping, dateFormat = 'auto') => {
+    const cell = (row, key) => (mapping[key] === '' || mapping[key] === undefined ? '' : (row[Number(mapping[key])] || '').trim());
+    const valueHeader = mapping.value !== undefined && mapping.value !== '' ? headers[Number(mapping.value)] : '';
+    const numericValues = rows.map(row => parseFloat(cell(row, 'value'))).filter(v => !isNaN(v));
+    const defaultUnit = /mmol/i.test(valueHeader) ? 'mmol/L' : /mg/i.test(valueHeader) ? 'mg/dL'
+        : numericValues.length && numericValues.every(v => v < 35) ? 'mmol/L' : 'mg/dL';
+
+    const readings = [];
+    let skipped = 0;
+    rows.forEach(row => {
+        const measuredAt = parseCsvDate(cell(row, 'date'), cell(row, 'time'), dateFormat);
+        if (target === 'bloodPressureReadings') {
+            const systolic = parseFloat(cell(row, 'systolic'));
+            const diastolic = parseFloat(cell(row, 'diastolic'));
+            if (!measuredAt || isNaN(systolic) || isNaN(diastolic)) { skipped++; return; }
+            readings.push({ systolic, diastolic, measuredAt: Timestamp.fromDate(measuredAt) });
+        } else {
+            const raw = parseFloat(cell(row, 'value').replace(',', '.'));
+            if (!measuredAt || isNaN(raw)) { skipped++; return; }
+            const unitText = cell(row, 'unit');
+            const unit = /mmol/i.test(unitText) ? 'mmol/L' : /mg/i.test(unitText) ? 'mg/dL' : defaultUnit;
+            readings.push({ value: raw, unit, type: normalizeMealType(cell(row, 'type')), measuredAt: Timestamp.fromDate(measuredAt) });
+        }
+    });
+    return { readings, skipped, detectedUnit: target === 'bloodSugarReadings' ? defaultUnit : null };
+};
+
+// --- FHIR R4 Export ---
+// Builds a `collection` Bundle for one profile and checks it against the structural schema in
+// fhir-bundle.schema.json before it is offered for download.
+const LOINC = 'http://loinc.org';
+const UCUM = 'http://unitsofmeasure.org';
+const OBSERVATION_CATEGORY = 'http://terminology.hl7.org/CodeSystem/observation-category';
+const GLUCOSE_LOINC = {
+    Fasting: { code: '1558-6', display: 'Fasting glucose [Mass/volume] in Serum or Plasma' },
+    PP: { code: '1521-4', display: 'Glucose [Mass/volume] in Serum or Plasma --2 hours post meal' },
+    Random: { code: '2339-0', display: 'Glucose [Mass/volume] in Blood' },
+};
+const FHIR_WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const fhirCategory = (code, display) => [{ coding: [{ system: OBSERVATION_CATEGORY, code, display }] }];
+const fhirQuantity = (value, unit, code) => ({ value: Number(value), unit, system: UCUM, code: code || (unit === 'mmHg' ? 'mm[Hg]' : unit) });
+const fhirFieldQuantity = (value, field, units) => field.dimension
+    ? fhirQuantity(value, units[field.dimension], UNIT_DIMENSIONS[field.dimension].units[units[field.dimension]].ucum)
+    : fhirQuantity(value, field.unit, field.ucum);
+const fhirLoincConcept = (loinc, text) => loinc ? { coding: [{ system: LOINC, ...loinc }], text } : { text };
+
+const toFhirTiming = (schedule) => {
+    const timeOfDay = (schedule.times || []).map(t => `${t}:00`);
+    switch (schedule.type) {
+        case 'weekdays': return { repeat: { frequency: timeOfDay.length, period: 1, periodUnit: 'd', dayOfWeek: schedule.weekdays.map(d => FHIR_WEEKDAYS[d]), timeOfDay } };
+        case 'alternate': return { repeat: { frequency: timeOfDay.length, period: 2, periodUnit: 'd', timeOfDay } };
+        case 'interval': return { repeat: { frequency: 1, period: Number(schedule.everyHours), periodUnit: 'h' } };
+        case 'prn': return undefined;
+        default: return { repeat: { frequency: timeOfDay.length, period: 1, periodUnit: 'd', timeOfDay } };
+    }
+};
+
+const buildFhirBundle = (profile, { medicines, logs, appointments, vitals }, now = new Date()) => {
+    const newUrl = () => `urn:uuid:${crypto.randomUUID()}`;
+    const patientUrl = newUrl();
+    const subject = { reference: patientUrl, display: profile.name };
+    const entries = [{ fullUrl: patientUrl, resource: { resourceType: 'Patient', name: [{ text: profile.name }] } }];
+    const statementUrls = {};
+
+    medicines.forEach(med => {
+        const schedule = getSchedule(med);
+        const url = newUrl();
+        statementUrls[med.id] = url;
+        const courseEnd = toDate(med.discontinuedAt) || parseDateInput(schedule.endDate);
+        entries.push({ fullUrl: url, resource: {
+            resourceType: 'MedicationStatement',
+            status: med.discontinued ? 'stopped' : courseEnd && courseEnd < now ? 'completed' : 'active',
+            medicationCodeableConcept: { text: [med.name, describeStrength(med)].filter(Boolean).join(' ') },
+            subject,
+            ...(schedule.startDate && { effectivePeriod: { start: schedule.startDate, ...(courseEnd && { end: toDateInputValue(courseEnd) }) } }),
+            ...(med.doctor && { informationSource: { display: `Dr. ${med.doctor}` } }),
+            dosage: [{
+                text: describeSchedule(schedule),
+                ...(toFhirTiming(schedule) && { timing: toFhirTiming(schedule) }),
+                ...(schedule.type === 'prn' && { asNeededBoolean: true }),
+                ...(schedule.type === 'prn' && schedule.maxPerDay && { maxDosePerPeriod: { numerator: { value: schedule.maxPerDay }, denominator: { value: 1, unit: 'd', system: UCUM, code: 'd' } } }),
+                doseAndRate: [{ doseQuantity: { value: getDoseQuantity(med), unit: med.unit || 'unit' } }],
+            }],
+        } });
+    });
+
+    logs.filter(log => toDate(log.takenAt)).forEach(log => {
+        const skipped = log.status === 'skipped';
+        entries.push({ fullUrl: newUrl(), resource: {
+            resourceType: 'MedicationAdministration',
+            status: skipped ? 'not-done' : 'completed',
+            ...(skipped && log.reason && { statusReason: [{ text: log.reason }] }),
+            medicationCodeableConcept: { text: log.medicineName },
+            subject,
+            effectiveDateTime: toDate(log.takenAt).toISOString(),
+            ...(statementUrls[log.medicineId] && { supportingInformation: [{ reference: statementUrls[log.medicineId] }] }),
+            ...(!skipped && { dosage: { dose: { value: log.quantity ?? 1, unit: log.unit || 'unit' } } }),
+        } });
+    });
+
+    // Single-field metrics become a valueQuantity, multi-field ones (BP, lipids) a panel with components
+    // The glucose LOINC codes are mass concentrations, so glucose is always exported in mg/dL
+    const units = { ...getUnitPreferences(profile), glucose: 'mg/dL' };
+    getMetricTypes(profile).forEach(type => getMetricReadings(type, vitals).filter(getMeasuredAt).forEach(stored => {
+        const d = toDisplayReading(type, stored, units);
+        const loinc = type.id === 'bloodSugar' ? GLUCOSE_LOINC[d.type] || GLUCOSE_LOINC.Random : type.loinc || type.fields[0].loinc;
+        const fields = type.fields.filter(f => d[f.key] !== undefined && d[f.key] !== '');
+        if (fields.length === 0) return;
+        entries.push({ fullUrl: newUrl(), resource: {
+            resourceType: 'Observation',
+            status: 'final',
+            category: fhirCategory(type.category, type.category === 'vital-signs' ? 'Vital Signs' : type.category === 'laboratory' ? 'Laboratory' : 'Exam'),
+            code: fhirLoincConcept(loinc, type.variant ? `${type.name} (${d[type.variant.key]})` : type.name),
+            subject,
+            effectiveDateTime: getMeasuredAt(d).toISOString(),
+            ...(d.notes && { note: [{ text: d.notes }] }),
+            ...(type.fields.length === 1
+                ? { valueQuantity: fhirFieldQuantity(d[fields[0].key], fields[0], units) }
+                : { component: fields.map(f => ({ code: fhirLoincConcept(f.loinc, f.label), valueQuantity: fhirFieldQuantity(d[f.key], f, units) })) }),
+        } });
+    }));
+
+    const FHIR_APPOINTMENT_STATUS = { completed: 'fulfilled', cancelled: 'cancelled', 'no-show': 'noshow' };
+    appointments.filter(a => toDate(a.date)).forEach(a => {
+        const start = toDate(a.date);
+        entries.push({ fullUrl: newUrl(), resource: {
+            resourceType: 'Appointment',
+            status: FHIR_APPOINTMENT_STATUS[getAppointmentStatus(a).value] || (start < now ? 'fulfilled' : 'booked'),
+            description: `Appointment with Dr. ${a.doctor}${a.reason ? `: ${a.reason}` : ''}`,
+            ...(a.specialty && { serviceType: [{ text: a.specialty }] }),
+            ...(a.outcome?.notes && { comment: a.outcome.notes }),
+            start: start.toISOString(),
+            participant: [
+                { actor: subject, status: 'accepted' },
+                { actor: { display: `Dr. ${a.doctor}` }, status: 'accepted' },
+            ],
+        } });
+    });
+
+    return { resourceType: 'Bundle', type: 'collection', timestamp: now.toISOString(), entry: entries };
+};
+
+// Minimal JSON Schema validator for the keywords the bundled schemas use
+const validateJsonSchema = (value, schema, root = schema, path = '$') => {
+    if (schema.$ref) return validateJsonSchema(value, schema.$ref.slice(2).split('/').reduce((node, key) => node[key], root), root, path);
+    const errors = [];
+    const typeOf = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+    if (schema.type && schema.type !== typeOf && !(schema.type === 'integer' && Number.isInteger(value))) return [`${path}: expected ${schema.type}, got ${typeOf}`];
+    if ('const' in schema && value !== schema.const) errors.push(`${path}: expected ${JSON.stringify(schema.const)}`);
+    if (schema.enum && !schema.enum.includes(value)) errors.push(`${path}: ${JSON.stringify(value)} is not one of ${schema.enum.join(', ')}`);
+    if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) errors.push(`${path}: "${value}" does not match ${schema.pattern}`);
+    if (typeOf === 'object') {
+        (schema.required || []).filter(key => !(key in value)).forEach(key => errors.push(`${path}: missing ${key}`));
+        Object.entries(schema.properties || {}).forEach(([key, sub]) => {
+            if (key in value) errors.push(...validateJsonSchema(value[key], sub, root, `${path}.${key}`));
+        });
+    }
+    if (typeOf === 'array') {
+        if (schema.minItems && value.length < schema.minItems) errors.push(`${path}: needs at least ${schema.minItems} item(s)`);
+        if (schema.items) value.forEach((item, i) => errors.push(...validateJsonSchema(item, schema.items, root, `${path}[${i}]`)));
+    }
+    if (schema.anyOf && !schema.anyOf.some(sub => validateJsonSchema(value, sub, root, path).length === 0)) errors.push(`${path}: does not match any allowed shape`);
+    (schema.allOf || []).forEach(sub => {
+        if (sub.if && validateJsonSchema(value, sub.if, root, path).length === 0) errors.push(...validateJsonSchema(value, sub.then, root, path));
+        else if (!sub.if) errors.push(...validateJsonSchema(value, sub, root, path));
+    });
+    return errors;
+};
+
+// --- Appointments ---
+// Appointments carry a status and, once the visit has happened, an `outcome`
+// { notes, prescribedMedicineIds, followUpId }. Older documents without a status are scheduled.
+const APPOINTMENT_STATUSES = [
+    { value: 'scheduled', label: 'Scheduled', badge: 'bg-cyan-600' },
+    { value: 'completed', label: 'Completed', badge: 'bg-green-600' },
+    { value: 'cancelled', label: 'Cancelled', badge: 'bg-gray-500' },
+    { value: 'no-show', label: 'No-show', badge: 'bg-red-600' },
+];
+const APPOINTMENT_REMINDER_OPTIONS = [
+    { value: 7 * 24 * 60, label: '1 week before' },
+    { value: 24 * 60, label: '1 day before' },
+    { value: 3 * 60, label: '3 hours before' },
+    { value: 60, label: '1 hour before' },
+];
+const DEFAULT_APPOINTMENT_REMINDERS = [24 * 60, 3 * 60];
+const DASHBOARD_APPOINTMENT_DAYS = 30;
+
+const getAppointmentStatus = (apt) => APPOINTMENT_STATUSES.find(s => s.value === apt.status) || APPOINTMENT_STATUSES[0];
+const describeAppointment = (apt) => [`Dr. ${apt.doctor}`, apt.specialty].filter(Boolean).join(' · ');
+
+// Past visits that are still scheduled are waiting for their outcome to be recorded
+const needsOutcome = (apt, now = new Date()) => getAppointmentStatus(apt).value === 'scheduled' && toDate(apt.date) < now;
+
+// The latest reminder that is already due for each upcoming scheduled appointment
+const getDueAppointmentReminders = (appointments, now = new Date()) => appointments.flatMap(apt => {
+    const at = toDate(apt.date);
+    if (!at || at <= now || getAppointmentStatus(apt).value !== 'scheduled') return [];
+    const due = (apt.reminders ?? DEFAULT_APPOINTMENT_REMINDERS).filter(minutes => at.getTime() - minutes * 60 * 1000 <= now.getTime());
+    if (due.length === 0) return [];
+    const minutes = Math.min(...due);
+    return [{ key: `apt:${apt.id}@${minutes}`, appointmentId: apt.id, remindAt: at.getTime() - minutes * 60 * 1000, appointmentAt: at.getTime() }];
+});
+
+// --- Contacts ---
+// Doctors and pharmacies live in a per-account `contacts` collection shared by all profiles.
+// Medicines, appointments and refills keep the name next to the `doctorId` / `pharmacyId`
+// reference, so they still read correctly if the contact is deleted.
+const CONTACT_TYPES = [
+    { value: 'doctor', label: 'Doctor', plural: 'Doctors' },
+    { value: 'pharmacy', label: 'Pharmacy', plural: 'Pharmacies' },
+];
+const CONTACT_REFERENCES = [
+    { collection: 'medicines', type: 'doctor', nameField: 'doctor', idField: 'doctorId' },
+    { collection: 'appointments', type: 'doctor', nameField: 'doctor', idField: 'doctorId' },
+    { collection: 'refills', type: 'pharmacy', nameField: 'pharmacy', idField: 'pharmacyId' },
+];
+
+// "Dr. Shah", "Shah" and "dr shah" are the same doctor
+const stripDoctorTitle = (name) => String(name || '').trim().replace(/^dr\.?\s+/i, '').trim();
+const normalizeContactName = (name) => stripDoctorTitle(name).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+const toContactName = (type, name) => type === 'doctor' ? stripDoctorTitle(name) : String(name || '').trim();
+
+const findContact = (contacts, type, name) => {
+    const key = normalizeContactName(name);
+    return key ? contacts.find(c => c.type === type && normalizeContactName(c.name) === key) : undefined;
+};
+
+// Groups names that are not linked to a contact yet by their normalized form. Each group is
+// linked to the matching contact, or becomes a new one named after its most used spelling.
+const planContactMigration = (contacts, data) => {
+    const groups = {};
+    CONTACT_REFERENCES.forEach(reference => (data[reference.collection] || []).forEach(record => {
+        const key = normalizeContactName(record[reference.nameField]);
+        if (!key || record[reference.idField] !== undefined) return;
+        const groupKey = `${reference.type}:${key}`;
+        if (!groups[groupKey]) groups[groupKey] = { type: reference.type, spellings: {}, specialty: '', records: [] };
+        const group = groups[groupKey];
+        const spelling = toContactName(reference.type, record[reference.nameField]);
+        group.spellings[spelling] = (group.spellings[spelling] || 0) + 1;
+        if (!group.specialty && record.specialty) group.specialty = record.specialty;
+        group.records.push({ reference, id: record.id });
+    }));
+    const capitalized = (s) => s !== s.toLowerCase();
+    return Object.values(groups).map(({ type, spellings, specialty, records }) => {
+        const [name] = Object.entries(spellings).sort(([a, x], [b, y]) => y - x || capitalized(b) - capitalized(a))[0];
+        const existing = findContact(contacts, type, name);
+        return { type, name: existing ? existing.name : name, contactId: existing?.id || null, specialty, records };
+    });
+};
+
+// Everything in a profile that references a contact, by id
+const getContactActivity = (contact, { medicines, appointments, refills }) => {
+    const seen = appointments.filter(a => a.doctorId === contact.id).sort((a, b) => toDate(b.date) - toDate(a.date));
+    const prescribedIds = new Set([
+        ...medicines.filter(med => med.doctorId === contact.id).map(med => med.id),
+        ...seen.flatMap(a => a.outcome?.prescribedMedicineIds || []),
+    ]);
+    return {
+        medicines: medicines.filter(med => prescribedIds.has(med.id)),
+        appointments: seen,
+        refills: refills.filter(r => r.pharmacyId === contact.id).sort((a, b) => toDate(b.refilledAt) - toDate(a.refilledAt)),
+    };
+};
+
+// --- Documents ---
+// Prescriptions, lab reports and other records are stored in Storage under the profile and
+// described by a `documents` record: { name, type, date, issuer, tags, medicineId, appointmentId,
+// includeInReport, storagePath, url, contentType, size }.
+const DOCUMENT_TYPES = [
+    { value: 'prescription', label: 'Prescription' },
+    { value: 'lab', label: 'Lab report' },
+    { value: 'discharge', label: 'Discharge summary' },
+    { value: 'imaging', label: 'Imaging' },
+    { value: 'insurance', label: 'Insurance' },
+    { value: 'other', label: 'Other' },
+];
+const DOCUMENT_FILE_TYPES = {
+    'application/pdf': ['pdf'],
+    'image/jpeg': ['jpg', 'jpeg'],
+    'image/png': ['png'],
+    'image/webp': ['webp'],
+};
+const DOCUMENT_MAX_BYTES = 10 * 1024 * 1024;
+
+const getDocumentType = (d) => DOCUMENT_TYPES.find(t => t.value === d.type) || DOCUMENT_TYPES[DOCUMENT_TYPES.length - 1];
+const fileExtension = (name) => String(name || '').split(/[?#]/)[0].split('.').pop().toLowerCase();
+const formatFileSize = (bytes) => bytes < 1024 * 1024 ? `${Math.max(1, Math.round(bytes / 1024))} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+const parseTags = (text) => [...new Set(text.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+
+// Browsers leave `type` empty for some files; the extension decides then
+const getDocumentContentType = (file) => file.type
+    ? (DOCUMENT_FILE_TYPES[file.type] ? file.type : null)
+    : Object.keys(DOCUMENT_FILE_TYPES).find(type => DOCUMENT_FILE_TYPES[type].includes(fileExtension(file.name))) || null;
+
+const validateDocumentFile = (file) => {
+    if (!getDocumentContentType(file)) return `${file.name}: only PDF, JPG, PNG and WebP files can be uploaded.`;
+    if (file.size === 0) return `${file.name} is empty.`;
+    if (file.size > DOCUMENT_MAX_BYTES) return `${file.name} is ${formatFileSize(file.size)}; files can be up to ${formatFileSize(DOCUMENT_MAX_BYTES)}.`;
+    return null;
+};
+
+const isImageDocument = (d) => d.contentType?.startsWith('image/');
+const isPdfDocument = (d) => d.contentType === 'application/pdf';
+
+// Used to embed images in the PDF report. Storage must allow CORS reads from the app's origin.
+const fetchAsDataUrl = async (url) => {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const blob = await response.blob();
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+};
+
+// --- PDF Report ---
+// The report is built in two steps: buildReportModel collects everything for the chosen period
+// and sections into plain blocks (headings, tables, charts, notes, images), and renderReportPdf
+// draws those blocks with jsPDF. Only the renderer touches the PDF library.
+const REPORT_SECTIONS = [
+    { id: 'summary', label: 'Clinician summary' },
+    { id: 'medications', label: 'Medications' },
+    { id: 'adherence', label: 'Adherence & dose log' },
+    { id: 'vitals', label: 'Vitals with charts' },
+    { id: 'appointments', label: 'Appointments' },
+    { id: 'symptoms', label: 'Symptoms' },
+    { id: 'documents', label: 'Attached documents' },
+];
+const DEFAULT_REPORT_DAYS = 90;
+const REPORT_COLORS = { primary: [6, 182, 212], vitals: [139, 92, 246], text: [55, 65, 81], muted: [120, 120, 120] };
+
+const roundTo = (value, decimals = 1) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+const inPeriod = (date, from, to) => !!date && date >= from && date <= to;
+
+// Per metric type: the readings in the period, per-field average/min/max in the preferred
+// units, and how many of the classified readings were outside the normal range.
+const summarizeVitalsForReport = (profile, vitals, from, to) => {
+    const units = getUnitPreferences(profile);
+    const targets = getVitalTargets(profile);
+    return getMetricTypes(profile).map(type => {
+        const readings = getMetricReadings(type, vitals)
+            .filter(r => inPeriod(getMeasuredAt(r), from, to))
+            .sort((a, b) => getMeasuredAt(a) - getMeasuredAt(b));
+        if (readings.length === 0) return null;
+        const display = readings.map(r => toDisplayReading(type, r, units));
+        const fields = type.fields.map(f => {
+            const values = display.map(r => Number(r[f.key])).filter(Number.isFinite);
+            return {
+                key: f.key,
+                label: f.label,
+                unit: fieldUnit(f, units),
+                average: values.length ? roundTo(values.reduce((sum, v) => sum + v, 0) / values.length) : null,
+                min: values.length ? Math.min(...values) : null,
+                max: values.length ? Math.max(...values) : null,
+            };
+        });
+        const levels = readings.map(r => classifyMetricReading(type, r, targets, profile));
+        return {
+            type,
+            readings,
+            levels,
+            fields,
+            count: readings.length,
+            classified: levels.filter(Boolean).length,
+            outOfRange: levels.filter(level => level && level !== 'normal').length,
+        };
+    }).filter(Boolean);
+};
+
+const describeFieldStat = (fields, stat) => fields.length === 1
+    ? `${fields[0][stat] ?? '–'} ${fields[0].unit}`
+    : `${fields.map(f => `${f.label} ${f[stat] ?? '–'}`).join(' · ')} ${fields[0].unit}`;
+
+// `sections` lists REPORT_SECTIONS ids; `documents` images are added as 'image' blocks and
+// loaded by the caller.
+const buildReportModel = (profile, data, { from, to, sections }, now = new Date()) => {
+    const { medicines = [], logs = [], appointments = [], vitals = {}, symptoms = [], documents = [] } = data;
+    const units = getUnitPreferences(profile);
+    const include = (id) => sections.includes(id);
+    const blocks = [];
+    const heading = (text) => blocks.push({ kind: 'heading', text });
+    const table = (head, body, options = {}) => blocks.push({ kind: 'table', head, body, color: REPORT_COLORS.primary, ...options });
+    const note = (text) => blocks.push({ kind: 'note', text });
+
+    const vitalSummaries = summarizeVitalsForReport(profile, vitals, from, to);
+    const periodMedicines = medicines.filter(med => {
+        const start = getMedicineStartDate(med);
+        const stopped = med.discontinued ? toDate(med.discontinuedAt) : null;
+        return (!start || start <= to) && (!stopped || stopped >= from);
+    });
+    const adherence = computeAdherence(periodMedicines, logs, from, to, now);
+    const periodLogs = logs.filter(log => inPeriod(toDate(log.takenAt), from, to)).sort((a, b) => toDate(b.takenAt) - toDate(a.takenAt));
+    const periodAppointments = appointments.filter(a => inPeriod(toDate(a.date), from, to)).sort((a, b) => toDate(a.date) - toDate(b.date));
+    const periodSymptoms = symptoms.filter(s => inPeriod(toDate(s.occurredAt), from, to)).sort((a, b) => toDate(b.occurredAt) - toDate(a.occurredAt));
+
+    if (include('summary')) {
+        heading('Clinician Summary');
+        const severe = periodSymptoms.filter(s => s.severity === 'severe').length;
+        note([
+            `Adherence: ${adherence.overall.percent === null ? 'no scheduled doses' : `${adherence.overall.percent}% of ${adherence.overall.due} scheduled doses (${adherence.overall.missed} missed, ${adherence.overall.skipped} skipped)`}`,
+            `Active medications: ${periodMedicines.filter(med => !med.discontinued).length}`,
+            `Symptoms recorded: ${periodSymptoms.length}${severe ? ` (${severe} severe)` : ''}`,
+            `Appointments: ${periodAppointments.length}`,
+        ].join('\n'));
+        if (vitalSummaries.length > 0) {
+            table(['Measure', 'Readings', 'Average', 'Lowest', 'Highest', 'Out of Range'], vitalSummaries.map(s => [
+                s.type.name,
+                String(s.count),
+                describeFieldStat(s.fields, 'average'),
+                describeFieldStat(s.fields, 'min'),
+                describeFieldStat(s.fields, 'max'),
+                s.classified ? `${s.outOfRange} of ${s.classified}` : '–',
+            ]), { color: REPORT_COLORS.vitals });
+        }
+    }
+
+    if (include('medications')) {
+        heading('Medications');
+        if (periodMedicines.length === 0) note('No medications in this period.');
+        else table(['Medication', 'Strength', 'Doctor', 'Dosage', 'Per Dose', 'Status'], periodMedicines.map(m => [
+            m.name,
+            describeStrength(m),
+            m.doctor || '',
+            describeSchedule(getSchedule(m)),
+            formatQuantity(getDoseQuantity(m), m.unit),
+            m.discontinued ? `Stopped ${toDate(m.discontinuedAt)?.toLocaleDateString() || ''}`.trim() : 'Active',
+        ]));
+    }
+
+    if (include('adherence')) {
+        heading('Adherence');
+        const scheduled = adherence.byMedicine.filter(m => m.due > 0);
+        if (scheduled.length === 0) note('No scheduled doses were due in this period.');
+        else table(['Medication', 'Adherence', 'Taken', 'Late', 'Missed', 'Skipped'], scheduled.map(m => [m.name, `${m.percent}%`, m.taken, m.late, m.missed, m.skipped].map(String)));
+        heading('Dose Log');
+        if (periodLogs.length === 0) note('No doses were logged in this period.');
+        else table(['Medication', 'Quantity', 'Date & Time'], periodLogs.map(l => [
+            l.medicineName,
+            l.status === 'skipped' ? `Skipped${l.reason ? ` (${l.reason})` : ''}` : formatQuantity(l.quantity ?? 1, l.unit),
+            toDate(l.takenAt).toLocaleString(),
+        ]));
+    }
+
+    if (include('vitals')) {
+        heading('Vitals');
+        if (vitalSummaries.length === 0) note('No readings in this period.');
+        const targets = getVitalTargets(profile);
+        vitalSummaries.forEach(({ type, readings, levels }) => {
+            blocks.push({
+                kind: 'chart',
+                title: type.name,
+                unit: fieldUnit(type.fields[0], units),
+                from,
+                to,
+                series: type.fields.map(f => ({
+                    label: f.label,
+                    color: f.color,
+                    points: readings.map(r => ({ t: getMeasuredAt(r).getTime(), v: Number(toDisplayReading(type, r, units)[f.key]) })).filter(p => Number.isFinite(p.v)),
+                })),
+                // Variant types (e.g. fasting vs. post-meal glucose) have no single target band
+                bands: type.variant ? [] : getMetricBands(type, targets, undefined, units),
+            });
+            table(['Date & Time', 'Reading', 'Context & Notes', 'Classification'], readings.map((r, i) => [
+                getMeasuredAt(r).toLocaleString(),
+                formatMetricReading(type, r, units),
+                [describeReadingContext(type, r), r.linkedDose && describeDoseLink(r.linkedDose, getMeasuredAt(r)), r.notes].filter(Boolean).join(' – '),
+                levels[i] ? VITAL_CLASS_STYLES[levels[i]]?.label || levels[i] : '',
+            ]), { color: REPORT_COLORS.vitals });
+        });
+    }
+
+    if (include('appointments')) {
+        heading('Appointments');
+        if (periodAppointments.length === 0) note('No appointments in this period.');
+        else table(['Date & Time', 'Doctor', 'Reason', 'Status', 'Outcome'], periodAppointments.map(a => [
+            toDate(a.date).toLocaleString(),
+            [describeAppointment(a), a.location].filter(Boolean).join('\n'),
+            a.reason || '',
+            getAppointmentStatus(a).label,
+            [a.outcome?.notes, a.outcome?.prescribedMedicineIds?.length && `Prescribed: ${a.outcome.prescribedMedicineIds.map(id => medicines.find(m => m.id === id)?.name || 'deleted medicine').join(', ')}`].filter(Boolean).join('\n'),
+        ]));
+    }
+
+    if (include('symptoms')) {
+        heading('Symptoms');
+        if (periodSymptoms.length === 0) note('No symptoms recorded in this period.');
+        else table(['Date & Time', 'Symptom', 'Severity', 'Possibly From', 'Notes'], periodSymptoms.map(s => [
+            toDate(s.occurredAt).toLocaleString(), s.symptom, getSeverity(s.severity).label, s.medicineName || '', s.notes || '',
+        ]));
+    }
+
+    // Documents without a date of their own count from when they were uploaded
+    const documentDate = (d) => toDate(d.date) || toDate(d.createdAt);
+    const reportDocuments = documents.filter(d => d.includeInReport && inPeriod(documentDate(d), from, to)).sort((a, b) => documentDate(a) - documentDate(b));
+    if (include('documents') && reportDocuments.length > 0) {
+        heading('Attached Documents');
+        table(['Document', 'Type', 'Date', 'Issued By'], reportDocuments.map(d => [d.name, getDocumentType(d).label, toDate(d.date)?.toLocaleDateString() || '', d.issuer || '']), {
+            links: reportDocuments.map(d => d.url),
+        });
+        if (reportDocuments.some(isPdfDocument)) note('PDF documents are linked above and not reproduced in this report.');
+        reportDocuments.filter(isImageDocument).forEach(d => blocks.push({ kind: 'image', documentId: d.id, title: d.name }));
+    }
+
+    return {
+        title: `Health Report for ${profile.name}`,
+        period: `${from.toLocaleDateString()} – ${to.toLocaleDateString()}`,
+        generatedAt: now,
+        blocks,
+    };
+};
+
+const hexToRgb = (hex) => {
+    const value = parseInt(String(hex || '#888888').replace('#', ''), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+};
+
+// Line chart drawn with jsPDF primitives; target bands are shaded behind the lines
+const drawReportChart = (doc, block, x, y, width, height) => {
+    const values = [...block.series.flatMap(s => s.points.map(p => p.v)), ...block.bands.flatMap(b => [b.y1, b.y2])].filter(Number.isFinite);
+    const padding = (Math.max(...values) - Math.min(...values)) * 0.1 || 1;
+    const vMin = Math.min(...values) - padding, vMax = Math.max(...values) + padding;
+    const tMin = block.from.getTime(), tMax = block.to.getTime();
+    const px = (t) => x + ((t - tMin) / (tMax - tMin || 1)) * width;
+    const py = (v) => y + height - ((v - vMin) / (vMax - vMin)) * height;
+
+    doc.setFontSize(10);
+    doc.setTextColor(...REPORT_COLORS.text);
+    doc.text(`${block.title} (${block.unit})`, x, y - 3);
+    block.bands.forEach(band => {
+        const [r, g, b] = hexToRgb(band.fill);
+        doc.setFillColor(Math.round(r + (255 - r) * 0.85), Math.round(g + (255 - g) * 0.85), Math.round(b + (255 - b) * 0.85));
+        const top = py(Math.min(Math.max(band.y2, vMin), vMax)), bottom = py(Math.min(Math.max(band.y1, vMin), vMax));
+        if (bottom > top) doc.rect(x, top, width, bottom - top, 'F');
+    });
+    doc.setDrawColor(200, 200, 200);
+    doc.rect(x, y, width, height);
+    doc.setFontSize(7);
+    doc.setTextColor(...REPORT_COLORS.muted);
+    doc.text(String(roundTo(vMax)), x - 1, y + 2, { align: 'right' });
+    doc.text(String(roundTo(vMin)), x - 1, y + height, { align: 'right' });
+    doc.text(block.from.toLocaleDateString(), x, y + height + 4);
+    doc.text(block.to.toLocaleDateString(), x + width, y + height + 4, { align: 'right' });
+
+    block.series.forEach((series, i) => {
+        doc.setDrawColor(...hexToRgb(series.color));
+        doc.setFillColor(...hexToRgb(series.color));
+        series.points.forEach((p, j) => {
+            if (j > 0) doc.line(px(series.points[j - 1].t), py(series.points[j - 1].v), px(p.t), py(p.v));
+            doc.circle(px(p.t), py(p.v), 0.6, 'F');
+        });
+        doc.setTextColor(...hexToRgb(series.color));
+        doc.text(series.label, x + width - 2 - (block.series.length - 1 - i) * 22, y - 3, { align: 'right' });
+    });
+    doc.setTextColor(0, 0, 0);
+};
+
+// Draws the model with jsPDF and the autoTable plugin. `images` maps document IDs to data URLs;
+// images that are missing are reported in `notEmbedded`.
+const renderReportPdf = (jsPDF, model, images = {}) => {
+    const doc = new jsPDF();
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const margin = 14, top = 24, bottom = 18;
+    const notEmbedded = [];
+    let y = top + 6;
+    const ensureSpace = (height) => {
+        if (y + height > pageHeight - bottom) {
+            doc.addPage();
+            y = top;
+        }
+    };
+
+    doc.setFontSize(16);
+    doc.text(model.title, margin, y);
+    doc.setFontSize(10);
+    doc.text(`Period: ${model.period}`, margin, y + 6);
+    y += 14;
+
+    model.blocks.forEach(block => {
+        if (block.kind === 'heading') {
+            ensureSpace(16);
+            doc.setFontSize(13);
+            doc.setTextColor(...REPORT_COLORS.text);
+            doc.text(block.text, margin, y + 4);
+            doc.setTextColor(0, 0, 0);
+            y += 8;
+        } else if (block.kind === 'note') {
+            doc.setFontSize(10);
+            const lines = doc.splitTextToSize(block.text, pageWidth - 2 * margin);
+            ensureSpace(lines.length * 5 + 2);
+            doc.text(lines, margin, y + 4);
+            y += lines.length * 5 + 2;
+        } else if (block.kind === 'table') {
+            doc.autoTable({
+                startY: y,
+                head: [block.head],
+                body: block.body,
+                margin: { top, bottom, left: margin, right: margin },
+                styles: { fontSize: 8 },
+                headStyles: { fillColor: block.color },
+                didDrawCell: (data) => {
+                    if (block.links && data.section === 'body' && data.column.index === 0) doc.link(data.cell.x, data.cell.y, data.cell.width, data.cell.height, { url: block.links[data.row.index] });
+                },
+            });
+            y = doc.lastAutoTable.finalY + 8;
+        } else if (block.kind === 'chart') {
+            ensureSpace(60);
+            drawReportChart(doc, block, margin + 10, y + 6, pageWidth - 2 * margin - 10, 44);
+            y += 60;
+        } else if (block.kind === 'image') {
+            const dataUrl = images[block.documentId];
+            if (!dataUrl) {
+                notEmbedded.push(block.title);
+                return;
+            }
+            const { width, height } = doc.getImageProperties(dataUrl);
+            const scale = Math.min((pageWidth - 2 * margin) / width, (pageHeight - top - bottom - 10) / height, 1);
+            doc.addPage();
+            doc.setFontSize(11);
+            doc.text(block.title, margin, top);
+            doc.addImage(dataUrl, margin, top + 4, width * scale, height * scale);
+            y = pageHeight;
+        }
+    });
+
+    // Headers and footers go on last, once the page count is known
+    const pageCount = doc.getNumberOfPages();
+    for (let page = 1; page <= pageCount; page++) {
+        doc.setPage(page);
+        doc.setFontSize(8);
+        doc.setTextColor(...REPORT_COLORS.muted);
+        doc.text(model.title, margin, 10);
+        doc.text(model.period, pageWidth - margin, 10, { align: 'right' });
+        doc.setDrawColor(220, 220, 220);
+        doc.line(margin, 13, pageWidth - margin, 13);
+        doc.text(`Generated ${model.generatedAt.toLocaleString()} with MediTrack`, margin, pageHeight - 8);
+        doc.text(`Page ${page} of ${pageCount}`, pageWidth - margin, pageHeight - 8, { align: 'right' });
+        doc.setTextColor(0, 0, 0);
+    }
+    return { doc, notEmbedded };
+};
+
+// --- iCalendar (.ics) Export & Import ---
+// RFC 5545 calendars for appointments and dose times. UIDs are stable (`<id>@meditrack`, or the
+// UID an appointment was imported with) so calendar apps update events on re-import and our own
+// import can skip events it already has. Dose times are floating local times, like the schedules.
+const ICS_UID_DOMAIN = 'meditrack';
+const ICS_DOSE_DURATION = 'PT15M';
+const ICS_APPOINTMENT_DURATION = 'PT30M';
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const escapeIcsText = (value) => String(value ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+const unescapeIcsText = (value) => value.replace(/\\([\\;,nN])/g, (_, c) => (c === 'n' || c === 'N' ? '\n' : c));
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldIcsLine = (line) => {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        if (octets + size > (parts.length ? 74 : 75)) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+const pad2 = (n) => String(n).padStart(2, '0');
+const formatIcsUtc = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+const formatIcsLocal = (date) => `${date.getFullYear()}${pad2(date.getMonth() + 1)}${pad2(date.getDate())}T${pad2(date.getHours())}${pad2(date.getMinutes())}00`;
+
+// One recurrence (start and RRULE) per daily dose time of a medicine; none for PRN medicines
+// and weekday schedules without any days, which have no doses. Weekday schedules start on their
+// first scheduled day, as calendars count DTSTART as an occurrence even off the BYDAY days.
+const buildDoseRecurrences = (med) => {
+    const schedule = getSchedule(med);
+    if (schedule.type === 'prn' || (schedule.type === 'weekdays' && !schedule.weekdays?.length)) return [];
+    const firstDay = parseDateInput(schedule.startDate) || startOfDay(toDate(med.createdAt) || new Date());
+    const courseEnd = parseDateInput(schedule.endDate);
+    const until = courseEnd && `;UNTIL=${formatIcsLocal(new Date(courseEnd.getTime() + DAY_MS - 1000))}`;
+    const times = schedule.times?.length ? schedule.times : ['08:00'];
+
+    if (schedule.type === 'interval') {
+        return [{ key: 'interval', start: atTime(firstDay, times[0]), rrule: `FREQ=HOURLY;INTERVAL=${Number(schedule.everyHours) || 24}${until || ''}` }];
+    }
+    if (schedule.type === 'taper') {
+        let stepStart = firstDay;
+        return schedule.steps.flatMap((step, i) => {
+            const start = stepStart;
+            stepStart = new Date(start.getFullYear(), start.getMonth(), start.getDate() + (Number(step.days) || 0));
+            return times.map(time => ({ key: `taper${i}-${time}`, start: atTime(start, time), rrule: `FREQ=DAILY;COUNT=${Number(step.days) || 1}`, note: `${step.dose} ${schedule.doseUnit || 'mg'}` }));
+        });
+    }
+    const rule = schedule.type === 'weekdays' ? `FREQ=WEEKLY;BYDAY=${schedule.weekdays.map(d => ICS_WEEKDAYS[d]).join(',')}`
+        : schedule.type === 'alternate' ? 'FREQ=DAILY;INTERVAL=2'
+        : 'FREQ=DAILY';
+    const offset = schedule.type === 'weekdays' ? Math.min(...schedule.weekdays.map(d => (d - firstDay.getDay() + 7) % 7)) : 0;
+    const startDay = new Date(firstDay.getFullYear(), firstDay.getMonth(), firstDay.getDate() + offset);
+    return times.map(time => ({ key: time, start: atTime(startDay, time), rrule: `${rule}${until || ''}` }));
+};
+
+const buildIcsCalendar = (name, events, now = new Date()) => [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//MediTrack//Health Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+    ...events.flatMap(lines => ['BEGIN:VEVENT', `DTSTAMP:${formatIcsUtc(now)}`, ...lines, 'END:VEVENT']),
+    'END:VCALENDAR',
+].map(foldIcsLine).join('\r\n') + '\r\n';
+
+const getAppointmentUid = (apt) => apt.icsUid || `${apt.id}@${ICS_UID_DOMAIN}`;
+
+const buildAppointmentsIcs = (profile, appointments, now = new Date()) => buildIcsCalendar(`${profile.name} – Appointments`, appointments
+    .filter(a => toDate(a.date))
+    .map(a => {
+        const status = getAppointmentStatus(a).value;
+        const description = [a.reason && `Reason: ${a.reason}`, a.preVisitNotes, ...(a.questions || []).map(q => `- ${q}`)].filter(Boolean).join('\n');
+        return [
+            `UID:${getAppointmentUid(a)}`,
+            `DTSTART:${formatIcsUtc(toDate(a.date))}`,
+            `DURATION:${ICS_APPOINTMENT_DURATION}`,
+            `SUMMARY:${escapeIcsText([describeAppointment(a), a.reason].filter(Boolean).join(': '))}`,
+            ...(a.location ? [`LOCATION:${escapeIcsText(a.location)}`] : []),
+            ...(description ? [`DESCRIPTION:${escapeIcsText(description)}`] : []),
+            `STATUS:${status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+            `X-MEDITRACK-DOCTOR:${escapeIcsText(a.doctor)}`,
+            ...(a.specialty ? [`X-MEDITRACK-SPECIALTY:${escapeIcsText(a.specialty)}`] : []),
+            ...(a.reason ? [`X-MEDITRACK-REASON:${escapeIcsText(a.reason)}`] : []),
+            ...(a.preVisitNotes ? [`X-MEDITRACK-NOTES:${escapeIcsText(a.preVisitNotes)}`] : []),
+            ...(a.questions || []).map(q => `X-MEDITRACK-QUESTION:${escapeIcsText(q)}`),
+            `X-MEDITRACK-STATUS:${status}`,
+            ...(a.reminders ?? DEFAULT_APPOINTMENT_REMINDERS).flatMap(minutes => [
+                'BEGIN:VALARM', 'ACTION:DISPLAY', `TRIGGER:-PT${minutes}M`, `DESCRIPTION:${escapeIcsText(describeAppointment(a))}`, 'END:VALARM',
+            ]),
+        ];
+    }), now);
+
+// Active, scheduled medicines only; discontinued and PRN medicines have no dose times
+const buildDoseScheduleIcs = (profile, medicines, now = new Date()) => buildIcsCalendar(`${profile.name} – Medication`, medicines
+    .filter(med => !med.discontinued)
+    .flatMap(med => buildDoseRecurrences(med).map(({ key, start, rrule, note }) => [
+        `UID:${med.id}-${key.replace(/[^\w-]/g, '')}@${ICS_UID_DOMAIN}`,
+        `DTSTART:${formatIcsLocal(start)}`,
+        `DURATION:${ICS_DOSE_DURATION}`,
+        `RRULE:${rrule}`,
+        `SUMMARY:${escapeIcsText(`Take ${med.name}`)}`,
+        `DESCRIPTION:${escapeIcsText(note || formatQuantity(Number(med.doseQuantity) || 1, med.unit))}`,
+        'CATEGORIES:Medication',
+    ])), now);
+
+// Unfolds and splits an .ics file into components. Each property is { name, params, value }.
+const parseIcs = (text) => {
+    const lines = text.replace(/\r\n[ \t]/g, '').replace(/\n[ \t]/g, '').split(/\r?\n/).filter(Boolean);
+    const root = { name: 'ROOT', properties: [], components: [] };
+    const stack = [root];
+    lines.forEach(line => {
+        const match = line.match(/^([^:;]+)((?:;[^:;=]+=(?:"[^"]*"|[^:;]*))*):(.*)$/);
+        if (!match) return;
+        const [, rawName, rawParams, value] = match;
+        const name = rawName.toUpperCase();
+        const current = stack[stack.length - 1];
+        if (name === 'BEGIN') {
+            const component = { name: value.toUpperCase(), properties: [], components: [] };
+            current.components.push(component);
+            stack.push(component);
+        } else if (name === 'END') {
+            if (stack.length > 1) stack.pop();
+        } else {
+            const params = Object.fromEntries([...rawParams.matchAll(/;([^=]+)=("[^"]*"|[^;]*)/g)].map(([, k, v]) => [k.toUpperCase(), v.replace(/^"|"$/g, '')]));
+            current.properties.push({ name, params, value });
+        }
+    });
+    return root;
+};
+
+// Offset of an IANA time zone from UTC at `date`, in milliseconds
+const getTimeZoneOffset = (date, timeZone) => {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+    }).formatToParts(date).map(p => [p.type, p.value]));
+    return Date.UTC(+parts.year, parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second) - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// UTC ('Z') times are exact and TZID times are wall-clock times in that zone. Floating times,
+// dates and TZIDs that are not IANA zone names (VTIMEZONE blocks are not read) are local time.
+const parseIcsDate = (value, timeZone = null) => {
+    const match = value?.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) return null;
+    const [, y, mo, d, h, mi = '0', s = '0', utc] = match;
+    const wallTime = Date.UTC(+y, mo - 1, +d, +(h || 0), +mi, +s);
+    if (utc) return new Date(wallTime);
+    if (timeZone && h !== undefined) {
+        try {
+            // The zone's offset at the wall time itself, checked once more around DST changes
+            const offset = getTimeZoneOffset(new Date(wallTime), timeZone);
+            const corrected = getTimeZoneOffset(new Date(wallTime - offset), timeZone);
+            return new Date(wallTime - corrected);
+        } catch (e) {
+            console.error(`Unknown time zone ${timeZone}, reading the time as local:`, e);
+        }
+    }
+    return new Date(+y, mo - 1, +d, +(h || 0), +mi, +s);
+};
+
+// Alarm triggers before the event such as -PT30M, -PT3H or -P1D, in minutes
+const parseIcsTrigger = (value) => {
+    const match = value?.match(/^-P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:\d+S)?)?$/);
+    if (!match) return null;
+    const [w, d, h, m] = match.slice(1).map(n => Number(n) || 0);
+    return ((w * 7 + d) * 24 + h) * 60 + m || null;
+};
+
+// Turns the VEVENTs of an .ics file into appointments. Events whose UID is already among the
+// profile's appointments (or earlier in the file) are counted as duplicates instead.
+const mapIcsAppointments = (text, existingAppointments, now = new Date()) => {
+    const knownUids = new Set(existingAppointments.map(getAppointmentUid));
+    const result = { appointments: [], duplicates: 0, skipped: 0 };
+    const events = parseIcs(text).components.flatMap(c => c.components).filter(c => c.name === 'VEVENT');
+    events.forEach(event => {
+        const prop = (name) => event.properties.find(p => p.name === name);
+        const textOf = (name) => prop(name) ? unescapeIcsText(prop(name).value).trim() : '';
+        const uid = textOf('UID');
+        const start = parseIcsDate(prop('DTSTART')?.value, prop('DTSTART')?.params.TZID);
+        if (!start) {
+            result.skipped++;
+            return;
+        }
+        if (uid && knownUids.has(uid)) {
+            result.duplicates++;
+            return;
+        }
+        if (uid) knownUids.add(uid);
+        const ours = !!prop('X-MEDITRACK-DOCTOR');
+        const summary = textOf('SUMMARY');
+        const reminders = event.components.filter(c => c.name === 'VALARM')
+            .map(alarm => parseIcsTrigger(alarm.properties.find(p => p.name === 'TRIGGER')?.value))
+            .filter(Boolean);
+        const importedStatus = textOf('X-MEDITRACK-STATUS');
+        const status = APPOINTMENT_STATUSES.some(s => s.value === importedStatus) ? importedStatus
+            : textOf('STATUS').toUpperCase() === 'CANCELLED' ? 'cancelled'
+            : start < now ? 'completed' : 'scheduled';
+        result.appointments.push({
+            doctor: ours ? textOf('X-MEDITRACK-DOCTOR') : summary.replace(/^dr\.?\s+/i, '') || 'Unknown',
+            specialty: textOf('X-MEDITRACK-SPECIALTY'),
+            location: textOf('LOCATION'),
+            reason: ours ? textOf('X-MEDITRACK-REASON') : '',
+            preVisitNotes: ours ? textOf('X-MEDITRACK-NOTES') : textOf('DESCRIPTION'),
+            questions: event.properties.filter(p => p.name === 'X-MEDITRACK-QUESTION').map(p => unescapeIcsText(p.value)),
+            date: Timestamp.fromDate(start),
+            status,
+            reminders: ours || reminders.length ? [...new Set(reminders)].sort((a, b) => b - a) : DEFAULT_APPOINTMENT_REMINDERS,
+            ...(uid && { icsUid: uid }),
+        });
+    });
+    return result;
+};
+
+// --- Reminder Scheduler ---
+// Reminder state is kept per profile in localStorage so snoozes and pending reminders survive a
+// reload. Each check looks at every slot since the previous check, so doses are still raised
+// when the tab was closed or throttled at the scheduled minute.
+const REMINDER_CHECK_INTERVAL_MS = 30 * 1000;
+const REMINDER_CATCH_UP_HOURS = 12;
+const REMINDER_EXPIRY_HOURS = 24;
+const SNOOZE_OPTIONS_MIN = [5, 15, 60];
+const SKIP_REASONS = ['Felt unwell', 'Side effects', "Doctor's advice", 'Out of stock', 'Forgot to bring it', 'Other'];
+
+const reminderStorageKey = (profileId) => `meditrack:${appId}:reminders:${profileId}`;
+
+const loadReminderState = (profileId) => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(reminderStorageKey(profileId)));
+        if (saved && (saved.lastCheckedAt === null || typeof saved.lastCheckedAt === 'number') && saved.entries) return saved;
+    } catch (e) {
+        console.error("Could not read reminder state:", e);
+    }
+    return { lastCheckedAt: null, entries: {} };
+};
+
+const saveReminderState = (profileId, state) => {
+    try {
+        localStorage.setItem(reminderStorageKey(profileId), JSON.stringify(state));
+    } catch (e) {
+        console.error("Could not save reminder state:", e);
+    }
+};
+
+// Adds reminders for slots since the last check and drops the ones a log now covers.
+const tickReminders = (state, medicines, logs, now = new Date()) => {
+    const nowMs = now.getTime();
+    const catchUpFrom = nowMs - REMINDER_CATCH_UP_HOURS * 60 * 60 * 1000;
+    const from = new Date(Math.max(state.lastCheckedAt ?? catchUpFrom, catchUpFrom) + 1);
+    const entries = {};
+
+    medicines.forEach(med => {
+        const medLogs = logs.filter(log => log.medicineId === med.id);
+        const known = Object.entries(state.entries)
+            .filter(([, entry]) => entry.medicineId === med.id && nowMs - entry.scheduledAt < REMINDER_EXPIRY_HOURS * 60 * 60 * 1000)
+            .map(([key, entry]) => ({ key, entry, scheduledAt: new Date(entry.scheduledAt) }));
+        const fresh = buildDoseSlots(med, from, now)
+            .map(slot => ({ key: `${med.id}@${slot.scheduledAt.getTime()}`, entry: { medicineId: med.id, scheduledAt: slot.scheduledAt.getTime(), snoozedUntil: null, notified: false }, scheduledAt: slot.scheduledAt }))
+            .filter(candidate => !state.entries[candidate.key]);
+        const candidates = [...known, ...fresh].sort((a, b) => a.scheduledAt - b.scheduledAt);
+        const matched = matchDoseLogs(candidates.map(c => ({ scheduledAt: c.scheduledAt })), medLogs, now);
+        candidates.forEach((candidate, i) => {
+            if (!matched[i].log) entries[candidate.key] = candidate.entry;
+        });
+    });
+    // Appointment reminders are managed by tickAppointmentReminders. Keep reminders of medicines
+    // that are not loaded (yet) until they expire.
+    Object.entries(state.entries).forEach(([key, entry]) => {
+        if (entry.kind === 'appointment') entries[key] = entry;
+        else if (!medicines.some(med => med.id === entry.medicineId) && nowMs - entry.scheduledAt < REMINDER_EXPIRY_HOURS * 60 * 60 * 1000) entries[key] = entry;
+    });
+    return { ...state, lastCheckedAt: nowMs, entries };
+};
+
+// Appointment reminders are recomputed from the appointments on every check. Dismissed ones are
+// remembered (with the appointment time) until the appointment has passed.
+const tickAppointmentReminders = (state, appointments, now = new Date()) => {
+    const nowMs = now.getTime();
+    const entries = Object.fromEntries(Object.entries(state.entries).filter(([, entry]) => entry.kind !== 'appointment'));
+    const dismissed = Object.fromEntries(Object.entries(state.dismissed || {}).filter(([, appointmentAt]) => appointmentAt > nowMs));
+    getDueAppointmentReminders(appointments, now).forEach(({ key, appointmentId, remindAt, appointmentAt }) => {
+        if (dismissed[key]) return;
+        entries[key] = state.entries[key] || { kind: 'appointment', appointmentId, scheduledAt: remindAt, appointmentAt, snoozedUntil: null, notified: false };
+    });
+    return { ...state, entries, dismissed };
+};
+
+const isReminderVisible = (entry, now = new Date()) => !entry.snoozedUntil || entry.snoozedUntil <= now.getTime();
+
+let reminderWorkerRegistration = null;
+const getReminderWorker = () => {
+    if (!reminderWorkerRegistration && typeof navigator !== 'undefined' && 'serviceWorker' in navigator) {
+        reminderWorkerRegistration = navigator.serviceWorker.register('sw.js').catch(e => {
+            console.error("Service worker registration failed:", e);
+            return null;
+        });
+    }
+    return reminderWorkerRegistration || Promise.resolve(null);
+};
+
+// Prefers a service-worker notification so it shows while the tab is in the background and can
+// offer action buttons; falls back to a plain page notification.
+const showReminderNotification = async (key, med, scheduledAt, profileId) => {
+    if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+    const title = `Time for ${med.name}`;
+    const options = {
+        body: `${formatQuantity(getDoseQuantity(med, scheduledAt), med.unit)} scheduled for ${scheduledAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`,
+        tag: key,
+        data: { key, profileId },
+    };
+    try {
+        const registration = await getReminderWorker();
+        if (registration) {
+            await registration.showNotification(title, { ...options, requireInteraction: true, actions: [{ action: 'take', title: 'Take' }, { action: 'snooze', title: 'Snooze 15 min' }] });
+        } else {
+            new Notification(title, options);
+        }
+    } catch (e) {
+        console.error("Could not show notification:", e);
+    }
+};
+
+const showAppointmentNotification = async (key, apt) => {
+    if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+    const at = toDate(apt.date);
+    const title = `Appointment: ${describeAppointment(apt)}`;
+    const options = {
+        body: `${at.toLocaleDateString()} at ${at.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}${apt.location ? `, ${apt.location}` : ''}`,
+        tag: key,
+        data: { key },
+    };
+    try {
+        const registration = await getReminderWorker();
+        if (registration) await registration.showNotification(title, { ...options, actions: [{ action: 'snooze', title: 'Snooze 15 min' }] });
+        else new Notification(title, options);
+    } catch (e) {
+        console.error("Could not show notification:", e);
+    }
+};
+
+// --- Caregiver Alerts ---
+// Alert rules live in a profile's `alertRules` collection and triggered alerts in its `alerts`
+// inbox, where they are acknowledged and resolved. Every device that can edit the profile checks
+// the rules. An alert's ID is made from the rule and what triggered it, and it is only created if
+// it does not exist yet (see createRepository), so each alert is raised once however many devices
+// look after the profile.
+// Delivery goes through notifiers: { id, label, scope, notify(alert, profile) }. 'device'
+// notifiers run on every device that sees a new open alert; 'once' notifiers only on the device
+// that raised it, so a webhook is called once per alert.
+const ALERT_RULE_TYPES = [
+    { value: 'missedDose', label: 'Dose not logged', severity: 'warning' },
+    { value: 'vital', label: 'Reading out of range', severity: 'critical' },
+    { value: 'lowStock', label: 'Stock running low', severity: 'info' },
+];
+const ALERT_OPERATORS = [
+    { value: 'above', label: 'above', symbol: '>', test: (value, threshold) => value > threshold },
+    { value: 'below', label: 'below', symbol: '<', test: (value, threshold) => value < threshold },
+];
+const ALERT_STATUSES = [
+    { value: 'open', label: 'Open', className: 'bg-red-500/20 text-red-300' },
+    { value: 'acknowledged', label: 'Acknowledged', className: 'bg-yellow-500/20 text-yellow-300' },
+    { value: 'resolved', label: 'Resolved', className: 'bg-green-500/20 text-green-300' },
+];
+const ALERT_SEVERITY_STYLES = { critical: 'border-red-500', warning: 'border-yellow-500', info: 'border-cyan-500' };
+const ALERT_RULE_PRESETS = [
+    { type: 'missedDose', minutes: 60, medicineId: null },
+    { type: 'vital', metricTypeId: 'bloodPressure', field: 'systolic', operator: 'above', threshold: 160, variant: null },
+    { type: 'vital', metricTypeId: 'bloodSugar', field: 'value', operator: 'below', threshold: 70, variant: 'Fasting' },
+    { type: 'lowStock', days: 5, medicineId: null },
+];
+// Only recent events raise alerts, so a new rule or a device that was offline does not flood the inbox
+const ALERT_LOOKBACK_HOURS = 24;
+const ALERT_CHECK_INTERVAL_MS = 60 * 1000;
+
+const getAlertRuleType = (rule) => ALERT_RULE_TYPES.find(t => t.value === rule.type) || ALERT_RULE_TYPES[0];
+const getAlertStatus = (alert) => ALERT_STATUSES.find(s => s.value === alert.status) || ALERT_STATUSES[0];
+// A rule for a medicine that was deleted never raises alerts again
+const isOrphanedAlertRule = (rule, medicines) => !!rule.medicineId && !medicines.some(m => m.id === rule.medicineId);
+
+// Vital thresholds are kept in base units, like the readings
+const describeAlertRule = (rule, profile, medicines = []) => {
+    const medicine = !rule.medicineId ? 'any medicine' : medicines.find(m => m.id === rule.medicineId)?.name || 'a deleted medicine';
+    switch (rule.type) {
+        case 'missedDose': return `A dose of ${medicine} is not logged within ${rule.minutes} min of its scheduled time`;
+        case 'lowStock': return `Stock of ${medicine} lasts fewer than ${rule.days} days`;
+        default: {
+            const type = getMetricTypes(profile).find(t => t.id === rule.metricTypeId);
+            const field = type?.fields.find(f => f.key === rule.field);
+            if (!field) return 'Reading of a metric that no longer exists';
+            const operator = ALERT_OPERATORS.find(o => o.value === rule.operator) || ALERT_OPERATORS[0];
+            const threshold = field.dimension ? `${rule.threshold} ${UNIT_DIMENSIONS[field.dimension].base}` : `${rule.threshold} ${field.unit || ''}`.trim();
+            return `${rule.variant ? `${rule.variant} ` : ''}${field.label.toLowerCase()} ${operator.symbol} ${threshold}`;
+        }
+    }
+};
+
+// The alerts the rules call for now, as { id, ruleId, type, severity, title, message, triggeredAt }.
+// Whether they were raised before is up to the caller.
+const evaluateAlertRules = (rules, { profile, medicines, logs, vitals, refills }, now = new Date()) => rules.filter(rule => rule.enabled !== false).flatMap(rule => {
+    const since = new Date(Math.max(toDate(rule.createdAt)?.getTime() ?? 0, now.getTime() - ALERT_LOOKBACK_HOURS * 60 * 60 * 1000));
+    const ruleMedicines = medicines.filter(med => !rule.medicineId || med.id === rule.medicineId);
+    const toAlert = (key, fields) => ({ id: `${rule.id}_${key}`, ruleId: rule.id, type: rule.type, severity: getAlertRuleType(rule).severity, ...fields });
+
+    switch (rule.type) {
+        case 'missedDose': {
+            const delayMs = rule.minutes * 60 * 1000;
+            return ruleMedicines.flatMap(med => {
+                const slots = buildDoseSlots(med, since, new Date(now.getTime() - delayMs));
+                return matchDoseLogs(slots, logs.filter(log => log.medicineId === med.id), now)
+                    .filter(slot => !slot.log)
+                    .map(slot => toAlert(`${med.id}_${slot.scheduledAt.getTime()}`, {
+                        title: `${med.name} not logged`,
+                        message: `The dose scheduled for ${slot.scheduledAt.toLocaleString()} was not logged within ${rule.minutes} minutes.`,
+                        triggeredAt: new Date(slot.scheduledAt.getTime() + delayMs),
+                    }));
+            });
+        }
+        case 'vital': {
+            const type = getMetricTypes(profile).find(t => t.id === rule.metricTypeId);
+            const field = type?.fields.find(f => f.key === rule.field);
+            const operator = ALERT_OPERATORS.find(o => o.value === rule.operator);
+            if (!field || !operator) return [];
+            return getMetricReadings(type, vitals)
+                .filter(reading => getMeasuredAt(reading) >= since && (!rule.variant || reading[type.variant?.key] === rule.variant))
+                .filter(reading => operator.test(Number(toBaseReading(type, reading)[field.key]), rule.threshold))
+                .map(reading => toAlert(reading.id, {
+                    title: `${type.name} ${operator.label} limit`,
+                    message: `${formatMetricReading(type, reading, getUnitPreferences(profile))} at ${getMeasuredAt(reading).toLocaleString()} (alert when ${describeAlertRule(rule, profile)}).`,
+                    triggeredAt: getMeasuredAt(reading),
+                }));
+        }
+        case 'lowStock':
+            // Each refill starts a new episode, so the alert can come back once the new stock runs low
+            return ruleMedicines.flatMap(med => {
+                const daysLeft = med.stock <= 0 ? 0 : forecastRunOut(med, logs, now)?.daysLeft;
+                if (daysLeft === undefined || daysLeft >= rule.days) return [];
+                const lastRefill = Math.max(0, ...refills.filter(r => r.medicineId === med.id).map(r => toDate(r.refilledAt)?.getTime() || 0));
+                return [toAlert(`${med.id}_${lastRefill}`, {
+                    title: `${med.name} running low`,
+                    message: `${formatQuantity(med.stock, med.unit)} left, enough for about ${daysLeft} ${daysLeft === 1 ? 'day' : 'days'}.`,
+                    triggeredAt: now,
+                })];
+            });
+        default: return [];
+    }
+});
+
+// The JSON body webhook notifiers post; `to` lets an email relay address the message
+const toAlertPayload = (alert, profile, emails = []) => ({
+    profile: { id: profile.id, name: profile.name },
+    alert: { id: alert.id, type: alert.type, severity: alert.severity, title: alert.title, message: alert.message, triggeredAt: toDate(alert.triggeredAt)?.toISOString() },
+    to: emails,
+    subject: `${profile.name}: ${alert.title}`,
+    text: alert.message,
+});
+
+const createBrowserNotifier = () => ({
+    id: 'browser',
+    label: 'Browser notification',
+    scope: 'device',
+    notify: async (alert, profile) => {
+        if (typeof Notification === 'undefined' || Notification.permission !== 'granted') throw new Error('Notifications are not enabled on this device.');
+        const title = `${profile.name}: ${alert.title}`;
+        const options = { body: alert.message, tag: `alert-${alert.id}`, data: { alertId: alert.id } };
+        const registration = await getReminderWorker();
+        if (registration) await registration.showNotification(title, { ...options, requireInteraction: alert.severity === 'critical' });
+        else new Notification(title, options);
+    },
+});
+
+// Posts the alert to a URL, e.g. an email relay or a chat integration. The endpoint has to
+// accept cross-origin requests from the app.
+const createWebhookNotifier = ({ url, emails = [], fetchImpl = (...args) => fetch(...args) }) => ({
+    id: 'webhook',
+    label: emails.length > 0 ? `Email to ${emails.join(', ')}` : 'Webhook',
+    scope: 'once',
+    notify: async (alert, profile) => {
+        const response = await fetchImpl(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(toAlertPayload(alert, profile, emails)) });
+        if (!response.ok) throw new Error(`The webhook answered ${response.status}.`);
+    },
+});
+
+// Keeps deliveries in memory instead of sending them, to try rules out without spamming anyone
+const createStubNotifier = ({ scope = 'once', fail = false } = {}) => {
+    const sent = [];
+    return {
+        id: 'stub',
+        label: 'Local test log',
+        scope,
+        sent,
+        notify: async (alert, profile) => {
+            if (fail) throw new Error('The stub notifier was set to fail.');
+            sent.push({ alert, profileId: profile.id, at: new Date() });
+        },
+    };
+};
+
+// Notifiers for a profile's alertSettings: { browser, webhookUrl, emails, stub }
+const buildAlertNotifiers = (settings = {}, stub = null) => [
+    ...(settings.browser !== false ? [createBrowserNotifier()] : []),
+    ...(settings.webhookUrl ? [createWebhookNotifier({ url: settings.webhookUrl, emails: settings.emails || [] })] : []),
+    ...(settings.stub && stub ? [stub] : []),
+];
+
+// Resolves to { [notifierId]: 'sent' | error message }; one failing notifier never stops the others
+const deliverAlert = async (notifiers, alert, profile, scope = null) => {
+    const selected = notifiers.filter(n => !scope || n.scope === scope);
+    const results = await Promise.allSettled(selected.map(n => n.notify(alert, profile)));
+    return Object.fromEntries(selected.map((n, i) => [n.id, results[i].status === 'fulfilled' ? 'sent' : results[i].reason?.message || 'failed']));
+};
+
+// Open alerts this device has already shown, kept per profile like the reminder state
+const alertStorageKey = (profileId) => `meditrack:${appId}:notifiedAlerts:${profileId}`;
+
+const loadNotifiedAlerts = (profileId) => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(alertStorageKey(profileId)));
+        if (Array.isArray(saved)) return saved;
+    } catch (e) {
+        console.error("Could not read alert state:", e);
+    }
+    return [];
+};
+
+const saveNotifiedAlerts = (profileId, alertIds) => {
+    try {
+        localStorage.setItem(alertStorageKey(profileId), JSON.stringify(alertIds));
+    } catch (e) {
+        console.error("Could not save alert state:", e);
+    }
+};
+
+// --- Offline Sync ---
+// Firestore keeps a persistent local cache: writes apply to it immediately and reach the server
+// once the device is online. The write queue tracks the server acknowledgements for the sync
+// status and retries writes rejected with a transient error until they go through: after each
+// delay in WRITE_RETRY_DELAYS_MS, then at the last delay, and right away when the device comes
+// back online. Only errors a retry cannot fix mark a write as failed. New documents get their ID
+// up front (never addDoc), so a retried write cannot create a duplicate.
+// Stock conflicts between devices: doses and refills change the server's stock in a transaction,
+// or with increment() while offline (see createRepository), so changes from two devices both
+// count. An edited count in the medicine form applies the difference from the count the form
+// was opened with; other fields are last-write-wins.
+const RETRYABLE_WRITE_CODES = ['unavailable', 'deadline-exceeded', 'resource-exhausted', 'aborted', 'internal'];
+const WRITE_RETRY_DELAYS_MS = [5000, 30000, 120000];
+
+// What the sync status says about a write that failed for good
+const describeWriteError = (e) => {
+    if (e.code === 'permission-denied') return 'The server refused this change, so it was undone on this device.';
+    if (e.code === 'failed-precondition' || e.code === 'not-found') return `${e.message} Nothing was saved.`;
+    return e.message;
+};
+
+const initFirestore = (app) => {
+    const firestoreDb = initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) });
+    if (firebaseEmulators?.firestore) {
+        const [host, port] = firebaseEmulators.firestore.split(':');
+        connectFirestoreEmulator(firestoreDb, host, Number(port));
+    }
+    return firestoreDb;
+};
+
+// `write` starts the write and returns the acknowledgement promise. A write that throws right
+// away was never applied locally, so add() rethrows instead of queueing it. `onDiscard` undoes
+// whatever the write depended on (such as an uploaded file) when a failed write is given up;
+// `onFail` runs when a write fails for good, e.g. to bring back the reminder it answered.
+// `onChange` receives { pending, failed: [{ id, label, error }] }.
+const createWriteQueue = (onChange, delays = WRITE_RETRY_DELAYS_MS) => {
+    const entries = new Map();
+    let nextId = 1;
+    const notify = () => {
+        const all = [...entries.values()];
+        onChange({
+            pending: all.filter(e => e.status !== 'failed').length,
+            failed: all.filter(e => e.status === 'failed').map(({ id, label, error }) => ({ id, label, error })),
+        });
+    };
+    const track = (entry, acknowledged) => {
+        entry.status = 'pending';
+        acknowledged.then(() => {
+            entries.delete(entry.id);
+            notify();
+        }, (e) => {
+            if (!entries.has(entry.id)) return;
+            console.error(`Error syncing "${entry.label}":`, e);
+            if (RETRYABLE_WRITE_CODES.includes(e.code)) {
+                entry.status = 'retrying';
+                entry.timer = setTimeout(() => run(entry), delays[Math.min(entry.attempts++, delays.length - 1)]);
+            } else {
+                entry.status = 'failed';
+                entry.error = describeWriteError(e);
+                entry.onFail?.();
+            }
+            notify();
+        });
+    };
+    const run = (entry) => {
+        let acknowledged;
+        try {
+            acknowledged = Promise.resolve(entry.write());
+        } catch (e) {
+            acknowledged = Promise.reject(e);
+        }
+        track(entry, acknowledged);
+    };
+    return {
+        add(label, write, { onDiscard = null, onFail = null } = {}) {
+            const acknowledged = Promise.resolve(write());
+            const entry = { id: nextId++, label, write, onDiscard, onFail, attempts: 0 };
+            entries.set(entry.id, entry);
+            track(entry, acknowledged);
+            notify();
+        },
+        retry(id) {
+            const entry = entries.get(id);
+            if (entry?.status !== 'failed') return;
+            entry.attempts = 0;
+            run(entry);
+            notify();
+        },
+        discard(id) {
+            const entry = entries.get(id);
+            if (!entry) return;
+            clearTimeout(entry.timer);
+            entries.delete(id);
+            entry.onDiscard?.();
+            notify();
+        },
+        // Runs the writes waiting for their next retry now, e.g. once the device is back online
+        retryWaiting() {
+            entries.forEach(entry => {
+                if (entry.status !== 'retrying') return;
+                clearTimeout(entry.timer);
+                run(entry);
+            });
+        },
+        // Forgets every write without undoing anything, for when the local cache is cleared
+        clear() {
+            entries.forEach(entry => clearTimeout(entry.timer));
+            entries.clear();
+            notify();
+        },
+    };
+};
+
+// --- Accounts ---
+// Everyone starts with an anonymous guest account. Creating an account links the email or Google
+// credential to that user, so the UID and everything stored under it are kept. Signing in to an
+// existing account switches users; the guest account's data stays behind.
+const AUTH_ERROR_MESSAGES = {
+    'auth/email-already-in-use': 'An account with this email already exists. Sign in instead.',
+    'auth/credential-already-in-use': 'This Google account already has a MediTrack account. Sign in instead.',
+    'auth/provider-already-linked': 'This account is already linked to that sign-in method.',
+    'auth/invalid-email': 'Enter a valid email address.',
+    'auth/missing-password': 'Enter your password.',
+    'auth/weak-password': 'Use a password with at least 6 characters.',
+    'auth/invalid-credential': 'The email or password is incorrect.',
+    'auth/wrong-password': 'The email or password is incorrect.',
+    'auth/user-not-found': 'The email or password is incorrect.',
+    'auth/too-many-requests': 'Too many attempts. Try again later.',
+    'auth/popup-closed-by-user': 'The sign-in window was closed before it finished.',
+    'auth/popup-blocked': 'Allow pop-ups for this site to sign in with Google.',
+    'auth/network-request-failed': 'You appear to be offline.',
+    'auth/requires-recent-login': 'For your security, sign in again, then try once more.',
+};
+// Firebase refuses to delete a user whose sign-in is more than 5 minutes old; the margin leaves
+// time to delete the data first
+const GUEST_DELETE_WINDOW_MS = 4 * 60 * 1000;
+const describeAuthError = (e) => AUTH_ERROR_MESSAGES[e.code] || e.message;
+
+const toAccount = (user) => user && {
+    uid: user.uid,
+    isAnonymous: user.isAnonymous,
+    email: user.email,
+    displayName: user.displayName,
+    emailVerified: user.emailVerified,
+    providers: user.providerData.map(p => p.providerId),
+};
+
+// --- Profile Sharing ---
+// A shared profile's records stay under the owner's account. Its share document lists the other
+// members and their roles, and the security rules check it on every read and write. Invites are
+// single-use codes, optionally tied to an email address, that expire after INVITE_TTL_DAYS.
+// Accepting one adds the member to the share and the profile to their sharedWithMe index, which
+// is how the app finds the profiles shared with an account.
+const SHARE_ROLES = [
+    { value: 'viewer', label: 'Viewer', description: 'Can see the profile but not change it' },
+    { value: 'caregiver', label: 'Caregiver', description: 'Can record doses and edit medicines, vitals and appointments' },
+    { value: 'owner', label: 'Owner', description: 'Can also invite people and change or revoke their access' },
+];
+const INVITE_TTL_DAYS = 7;
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 10;
+const VIEW_ONLY_MESSAGE = 'You have view-only access to this profile.';
+
+const getShareRole = (value) => SHARE_ROLES.find(r => r.value === value) || SHARE_ROLES[0];
+// Only the account the profile belongs to can delete it; the owner role can do everything else
+const isOwnProfile = (profile, userId) => !!profile && profile.ownerId === userId;
+const canEditProfile = (profile) => profile?.role === 'owner' || profile?.role === 'caregiver';
+const canManageSharing = (profile) => profile?.role === 'owner';
+const describeMember = (account) => account?.displayName || account?.email || 'Guest';
+
+// The alphabet has 32 characters, so every character is equally likely
+const createInviteCode = () => Array.from(crypto.getRandomValues(new Uint32Array(INVITE_CODE_LENGTH)), v => INVITE_CODE_ALPHABET[v % INVITE_CODE_ALPHABET.length]).join('');
+const normalizeInviteCode = (text) => String(text || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+const getInviteLink = (code) => `${window.location.origin}${window.location.pathname}?invite=${code}`;
+const isInviteExpired = (invite, now = new Date()) => !invite.expiresAt || toDate(invite.expiresAt) <= now;
+
+const shareRef = (db, profileId) => doc(db, dataPaths.profileShares(), profileId);
+
+// The share document is created with the first invite. Resolves to the invite code.
+const createProfileInvite = async (db, account, profile, { role, email = '' }) => {
+    if (!SHARE_ROLES.some(r => r.value === role)) throw new Error(`Unknown role "${role}".`);
+    const share = shareRef(db, profile.id);
+    if (!(await getDoc(share)).exists()) await setDoc(share, { ownerId: profile.ownerId, profileName: profile.name, members: {}, memberNames: {} });
+    const code = createInviteCode();
+    await setDoc(doc(db, dataPaths.profileInvites(), code), {
+        profileId: profile.id,
+        ownerId: profile.ownerId,
+        profileName: profile.name,
+        role,
+        email: email.trim().toLowerCase(),
+        createdBy: account.uid,
+        createdAt: Timestamp.now(),
+        expiresAt: Timestamp.fromMillis(Date.now() + INVITE_TTL_DAYS * DAY_MS),
+    });
+    return code;
+};
+
+// Members with their roles and the open invites of one profile
+const loadProfileSharing = async (db, profile) => {
+    const [share, invites] = await Promise.all([
+        getDoc(shareRef(db, profile.id)),
+        getDocs(query(collection(db, dataPaths.profileInvites()), where('profileId', '==', profile.id), where('ownerId', '==', profile.ownerId))),
+    ]);
+    const { members = {}, memberNames = {} } = share.exists() ? share.data() : {};
+    return {
+        members: Object.entries(members).map(([uid, role]) => ({ uid, role, name: memberNames[uid] || 'Unknown' })),
+        invites: invites.docs.map(d => ({ code: d.id, ...d.data() })).filter(invite => !isInviteExpired(invite)),
+    };
+};
+
+// Open invites sent to the account's email address. Only verified addresses are trusted, since
+// anyone could create an unverified account with someone else's address.
+const loadInvitesForAccount = async (db, account) => {
+    if (!account?.email || !account.emailVerified) return [];
+    const snapshot = await getDocs(query(collection(db, dataPaths.profileInvites()), where('email', '==', account.email.toLowerCase())));
+    return snapshot.docs.map(d => ({ code: d.id, ...d.data() })).filter(invite => !isInviteExpired(invite));
+};
+
+// Throws with a readable message so the sharing panel can show it. Resolves to the invite. The
+// membership, the sharedWithMe entry and the deleted invite are written together, so the code
+// cannot be used twice and a failed accept leaves nothing behind.
+const acceptProfileInvite = async (db, account, code) => {
+    const inviteRef = doc(db, dataPaths.profileInvites(), normalizeInviteCode(code));
+    const snapshot = await getDoc(inviteRef).catch(() => null);
+    const invite = snapshot?.exists() ? snapshot.data() : null;
+    if (!invite || isInviteExpired(invite)) throw new Error('This invite code is not valid or has expired.');
+    if (invite.ownerId === account.uid) throw new Error(`${invite.profileName} is already your profile.`);
+    if (invite.email && invite.email !== account.email?.toLowerCase()) throw new Error(`This invite is for ${invite.email}. Sign in with that address to accept it.`);
+    if (invite.email && !account.emailVerified) throw new Error(`Verify ${account.email} first; the link is in the email we sent when the account was created.`);
+    const batch = writeBatch(db);
+    batch.update(shareRef(db, invite.profileId), {
+        [`members.${account.uid}`]: invite.role,
+        [`memberNames.${account.uid}`]: describeMember(account),
+        inviteCode: snapshot.id,
+    });
+    batch.set(doc(db, dataPaths.sharedWithMe(account.uid), invite.profileId), { ownerId: invite.ownerId, profileName: invite.profileName, role: invite.role, acceptedAt: Timestamp.now() });
+    batch.delete(inviteRef);
+    await batch.commit();
+    return invite;
+};
+
+const setMemberRole = (db, profileId, memberId, role) => updateDoc(shareRef(db, profileId), { [`members.${memberId}`]: role });
+const revokeMember = (db, profileId, memberId) => updateDoc(shareRef(db, profileId), { [`members.${memberId}`]: deleteField(), [`memberNames.${memberId}`]: deleteField() });
+
+// Also used once access was revoked, when the share can no longer be changed by this account
+const leaveSharedProfile = async (db, userId, profileId) => {
+    await revokeMember(db, profileId, userId).catch(e => {
+        if (e.code !== 'permission-denied' && e.code !== 'not-found') throw e;
+    });
+    await deleteDoc(doc(db, dataPaths.sharedWithMe(userId), profileId));
+};
 
 // --- Main App Component ---
 export default function App() {
     // --- State Management ---
     const [view, setView] = useState('dashboard');
     const [profiles, setProfiles] = useState([]);
+    const [sharedIndex, setSharedIndex] = useState([]); // this account's sharedWithMe entries
+    const [sharedProfiles, setSharedProfiles] = useState({}); // share role and profile by profile ID
     const [activeProfileId, setActiveProfileId] = useState(null);
     const [medicines, setMedicines] = useState([]);
     const [logs, setLogs] = useState([]);
     const [appointments, setAppointments] = useState([]);
-    const [bloodPressure, setBloodPressure] = useState([]);
-    const [bloodSugar, setBloodSugar] = useState([]);
+    const [vitals, setVitals] = useState({}); // readings keyed by collection name, see VITAL_COLLECTIONS
+    const [refills, setRefills] = useState([]);
+    const [symptoms, setSymptoms] = useState([]);
+    const [documents, setDocuments] = useState([]);
+    const [alertRules, setAlertRules] = useState([]);
+    const [alerts, setAlerts] = useState([]);
+    const [contacts, setContacts] = useState([]);
+    const [contactsReady, setContactsReady] = useState(false);
+    const [isMigratingContacts, setIsMigratingContacts] = useState(false);
+    
+    const [isLoading, setIsLoading] = useState(true);
+    const [isAuthReady, setIsAuthReady] = useState(false);
+    const firebaseApp = useRef(null);
+    const [db, setDb] = useState(null);
+    const [auth, setAuth] = useState(null);
+    const [storage, setStorage] = useState(null);
+    const [userId, setUserId] = useState(null);
+    const [account, setAccount] = useState(null);
+    const [error, setError] = useState(null);
+    const [editingMedicineId, setEditingMedicineId] = useState(null);
+    const [notificationPermission, setNotificationPermission] = useState(typeof Notification !== 'undefined' ? Notification.permission : 'unsupported');
+    const [syncState, setSyncState] = useState({ pending: 0, failed: [] });
+    const [writeQueue] = useState(() => createWriteQueue(setSyncState));
+    const [isOnline, setIsOnline] = useState(typeof navigator === 'undefined' || navigator.onLine);
+    const [inviteCodeFromLink] = useState(() => typeof window === 'undefined' ? '' : normalizeInviteCode(new URLSearchParams(window.location.search).get('invite')));
+    // A notification action that opened the app, see sw.js: { action, key, profileId, selected }
+    const [reminderLink, setReminderLink] = useState(() => {
+        const params = typeof window === 'undefined' ? null : new URLSearchParams(window.location.search);
+        return params?.get('reminderAction') ? { action: params.get('reminderAction'), key: params.get('key'), profileId: params.get('profile'), selected: false } : null;
+    });
+    const seenProfileIds = useRef(new Set());
+    const raisingAlertIds = useRef(new Set());
+    const [stubNotifier] = useState(() => createStubNotifier());
+
+    // Own profiles first, then the ones shared with this account that are still accessible
+    const allProfiles = useMemo(() => [
+        ...profiles.map(p => ({ ...p, ownerId: userId, role: 'owner' })),
+        ...sharedIndex.flatMap(entry => {
+            const shared = sharedProfiles[entry.id];
+            return shared?.role && shared.profile ? [{ ...shared.profile, ownerId: entry.ownerId, role: shared.role }] : [];
+        }),
+    ], [profiles, sharedIndex, sharedProfiles, userId]);
+    const activeProfile = useMemo(() => allProfiles.find(p => p.id === activeProfileId), [allProfiles, activeProfileId]);
+    const activeOwnerId = activeProfile?.ownerId;
+    const canEdit = !activeProfile || canEditProfile(activeProfile);
+    const isOwnActiveProfile = !activeProfile || isOwnProfile(activeProfile, userId);
+    const repository = useMemo(() => db && userId ? createRepository(db, userId, activeProfileId, activeOwnerId ?? userId) : null, [db, userId, activeProfileId, activeOwnerId]);
+
+    // --- Firebase Initialization ---
+    useEffect(() => {
+        try {
+            setLogLevel('debug');
+            const app = initializeApp(firebaseConfig);
+            firebaseApp.current = app;
+            const firestoreDb = initFirestore(app);
+            const firebaseAuth = getAuth(app);
+            const firebaseStorage = getStorage(app);
+            if (firebaseEmulators?.auth) connectAuthEmulator(firebaseAuth, `http://${firebaseEmulators.auth}`, { disableWarnings: true });
+            if (firebaseEmulators?.storage) {
+                const [host, port] = firebaseEmulators.storage.split(':');
+                connectStorageEmulator(firebaseStorage, host, Number(port));
+            }
+            setDb(firestoreDb);
+            setAuth(firebaseAuth);
+            setStorage(firebaseStorage);
+
+            const unsubscribe = onAuthStateChanged(firebaseAuth, async (user) => {
+                if (user) {
+                    setUserId(user.uid);
+                    setAccount(toAccount(user));
+                    setIsAuthReady(true);
+                } else {
+                    try {
+                        if (initialAuthToken) await signInWithCustomToken(firebaseAuth, initialAuthToken);
+                        else await signInAnonymously(firebaseAuth);
+                    } catch (authError) {
+                        console.error("Authentication Error:", authError);
+                        setError("Failed to authenticate.");
+                        setIsLoading(false);
+                    }
+                }
+            });
+            return () => unsubscribe();
+        } catch (e) {
+            console.error("Firebase Init Error:", e);
+            setError("Could not initialize the application.");
+            setIsLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        const update = () => setIsOnline(navigator.onLine);
+        const reconnect = () => {
+            update();
+            writeQueue.retryWaiting();
+        };
+        window.addEventListener('online', reconnect);
+        window.addEventListener('offline', update);
+        return () => {
+            window.removeEventListener('online', reconnect);
+            window.removeEventListener('offline', update);
+        };
+    }, [writeQueue]);
+
+    // Writes made offline in an earlier session are still in the local cache; count them as
+    // pending until the server has them
+    useEffect(() => {
+        if (!db || !userId) return;
+        writeQueue.add('Changes from an earlier session', () => waitForPendingWrites(db));
+    }, [db, userId, writeQueue]);
+
+    // --- Profile Fetching & Management ---
+    useEffect(() => {
+        if (!isAuthReady || !db || !userId) return;
+
+        const q = query(collection(db, dataPaths.profiles(userId)));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setProfiles(readSnapshot(db, 'profiles', snapshot));
+            setIsLoading(false);
+        }, (err) => {
+            console.error("Error fetching profiles:", err);
+            setError("Could not load profiles.");
+            setIsLoading(false);
+        });
+        return () => unsubscribe();
+    }, [isAuthReady, db, userId]);
+
+    useEffect(() => {
+        if (!isAuthReady || !db || !userId) return;
+        const unsubscribe = onSnapshot(query(collection(db, dataPaths.sharedWithMe(userId))), (snapshot) => {
+            setSharedIndex(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+        }, (err) => console.error("Error fetching shared profiles:", err));
+        return () => unsubscribe();
+    }, [isAuthReady, db, userId]);
+
+    // Follows each shared profile and this account's role in it. Entries whose access was revoked,
+    // or whose profile was deleted, are removed from the index.
+    useEffect(() => {
+        if (!db || !userId || sharedIndex.length === 0) return;
+        const setShared = (profileId, fields) => setSharedProfiles(prev => ({ ...prev, [profileId]: { ...prev[profileId], ...fields } }));
+        const dropEntry = (profileId) => {
+            setShared(profileId, { role: null });
+            leaveSharedProfile(db, userId, profileId).catch(e => console.error("Error removing shared profile:", e));
+        };
+        const unsubscribers = sharedIndex.flatMap(entry => [
+            onSnapshot(shareRef(db, entry.id), (snapshot) => {
+                const role = snapshot.exists() ? snapshot.data().members?.[userId] : null;
+                if (role) setShared(entry.id, { role });
+                else if (!snapshot.metadata.fromCache) dropEntry(entry.id);
+            }, (err) => {
+                if (err.code === 'permission-denied') dropEntry(entry.id);
+                else console.error("Error fetching profile share:", err);
+            }),
+            onSnapshot(doc(db, dataPaths.profile(entry.ownerId, entry.id)), (snapshot) => {
+                if (snapshot.exists()) setShared(entry.id, { profile: { id: entry.id, ...migrateRecord('profiles', snapshot.data()) } });
+            }, (err) => {
+                if (err.code !== 'permission-denied') console.error("Error fetching shared profile:", err);
+            }),
+        ]);
+        return () => unsubscribers.forEach(unsub => unsub());
+    }, [db, userId, sharedIndex]);
+
+    // Falls back to the first profile when the active one is deleted or no longer shared. A profile
+    // that was just added is not listed yet, so only profiles seen before count as gone.
+    useEffect(() => {
+        if (isLoading) return;
+        allProfiles.forEach(p => seenProfileIds.current.add(p.id));
+        const isGone = !activeProfileId || (seenProfileIds.current.has(activeProfileId) && !activeProfile);
+        if (isGone && (allProfiles[0]?.id ?? null) !== activeProfileId) setActiveProfileId(allProfiles[0]?.id ?? null);
+    }, [allProfiles, activeProfile, activeProfileId, isLoading]);
+
+    useEffect(() => {
+        if (inviteCodeFromLink) setView('profiles');
+    }, [inviteCodeFromLink]);
+
+    const handleReminderLinkDone = () => {
+        setReminderLink(null);
+        window.history.replaceState(null, '', window.location.pathname);
+    };
+
+    // Opens the profile the reminder belongs to; the reminder system then runs the action
+    useEffect(() => {
+        if (!reminderLink || reminderLink.selected) return;
+        if (!reminderLink.profileId) handleReminderLinkDone();
+        if (!allProfiles.some(p => p.id === reminderLink.profileId)) return;
+        setActiveProfileId(reminderLink.profileId);
+        setReminderLink({ ...reminderLink, selected: true });
+    }, [reminderLink, allProfiles]);
+
+    // Contacts are shared by all profiles of the account
+    useEffect(() => {
+        if (!isAuthReady || !db || !userId) return;
+        const unsubscribe = onSnapshot(query(collection(db, dataPaths.contacts(userId))), (snapshot) => {
+            setContacts(readSnapshot(db, 'contacts', snapshot));
+            setContactsReady(true);
+        }, (err) => console.error("Error fetching contacts:", err));
+        return () => unsubscribe();
+    }, [isAuthReady, db, userId]);
+
+    // --- Data Fetching for Active Profile ---
+    useEffect(() => {
+        if (!activeProfileId || !activeOwnerId || !db || !userId) {
+            const resetState = [setMedicines, setLogs, setAppointments, setRefills, setSymptoms, setDocuments, setAlertRules, setAlerts];
+            resetState.forEach(setter => setter([]));
+            setVitals({});
+            return;
+        };
+
+        const collectionsToFetch = [
+            { name: 'medicines', setter: setMedicines },
+            { name: 'medicineLogs', setter: setLogs },
+            { name: 'appointments', setter: setAppointments },
+            { name: 'refills', setter: setRefills },
+            { name: 'symptoms', setter: setSymptoms },
+            { name: 'documents', setter: setDocuments },
+            { name: 'alertRules', setter: setAlertRules },
+            { name: 'alerts', setter: setAlerts },
+            ...VITAL_COLLECTIONS.map(name => ({ name, setter: data => setVitals(prev => ({ ...prev, [name]: data })) })),
+        ];
+
+        const unsubscribers = collectionsToFetch.map(({ name, setter }) => {
+            const q = query(collection(db, collectionPath(userId, activeProfileId, name, activeOwnerId)));
+            return onSnapshot(q, (snapshot) => {
+                setter(readSnapshot(db, name, snapshot, { writeBack: canEdit }));
+            }, (err) => console.error(`Error fetching ${name}:`, err));
+        });
+
+        return () => unsubscribers.forEach(unsub => unsub());
+    }, [activeProfileId, activeOwnerId, canEdit, db, userId]);
+
+    // Prescriptions uploaded before the document vault only have a URL on the medicine. The record
+    // ID is derived from the medicine, so running this again rewrites the same document. Like the
+    // contacts migration below, this only runs on the profile owner's own account.
+    useEffect(() => {
+        if (!db || !userId || !activeProfileId || !storage || !isOwnActiveProfile) return;
+        const legacy = medicines.filter(med => med.prescriptionUrl);
+        if (legacy.length === 0) return;
+        const operations = legacy.flatMap(med => {
+            let storagePath = null;
+            try {
+                storagePath = ref(storage, med.prescriptionUrl).fullPath;
+            } catch (e) {
+                // Not a Storage URL; the document keeps only the link
+            }
+            const fileName = (storagePath || '').split('/').pop().replace(/^\d+_/, '');
+            return [
+                batch => batch.set(doc(db, collectionPath(userId, activeProfileId, 'documents'), `prescription-${med.id}`), prepareRecord('documents', {
+                    name: fileName || `${med.name} prescription`,
+                    type: 'prescription',
+                    date: med.createdAt || Timestamp.now(),
+                    issuer: med.doctor || '',
+                    tags: [],
+                    medicineId: med.id,
+                    appointmentId: null,
+                    includeInReport: false,
+                    storagePath,
+                    url: med.prescriptionUrl,
+                    contentType: Object.keys(DOCUMENT_FILE_TYPES).find(type => DOCUMENT_FILE_TYPES[type].includes(fileExtension(fileName))) || null,
+                    size: null,
+                    createdAt: med.createdAt || Timestamp.now()
+                })),
+                batch => batch.update(doc(db, collectionPath(userId, activeProfileId, 'medicines'), med.id), { prescriptionUrl: null }),
+            ];
+        });
+        commitInChunks(db, operations).catch(e => console.error("Error migrating prescriptions:", e));
+    }, [medicines, db, userId, activeProfileId, storage, isOwnActiveProfile]);
+
+    // Doctor and pharmacy names saved before the contacts directory existed are grouped into
+    // contacts. Runs once contacts have loaded so existing ones are reused, never concurrently.
+    useEffect(() => {
+        if (!db || !userId || !activeProfileId || !contactsReady || isMigratingContacts || !isOwnActiveProfile) return;
+        const groups = planContactMigration(contacts, { medicines, appointments, refills });
+        if (groups.length === 0) return;
+        const operations = groups.flatMap(group => {
+            const contactId = group.contactId || repository.newId('contacts');
+            return [
+                ...(group.contactId ? [] : [batch => batch.set('contacts', contactId, { type: group.type, name: group.name, specialty: group.specialty, phone: '', address: '', notes: '', createdAt: Timestamp.now() })]),
+                ...group.records.map(({ reference, id }) => batch => batch.update(reference.collection, id, { [reference.idField]: contactId, [reference.nameField]: group.name })),
+            ];
+        });
+        setIsMigratingContacts(true);
+        repository.writeInChunks(operations)
+            .catch(e => console.error("Error migrating contacts:", e))
+            .finally(() => setIsMigratingContacts(false));
+    }, [contacts, contactsReady, medicines, appointments, refills, isMigratingContacts, db, userId, activeProfileId, isOwnActiveProfile]);
+    
+    // --- CRUD Handlers ---
+    // Viewers can look but not change anything; the security rules refuse their writes as well
+    const ensureCanEdit = () => {
+        if (canEdit) return true;
+        setError(VIEW_ONLY_MESSAGE);
+        return false;
+    };
+
+    // Links a typed doctor or pharmacy name to its contact, adding names not in the directory yet.
+    // Contacts belong to this account, so records of a profile shared with it only keep the name.
+    const linkContact = (reference, data, details = {}) => {
+        const name = toContactName(reference.type, data[reference.nameField]);
+        if (!name || !isOwnActiveProfile) return { ...data, [reference.nameField]: name, [reference.idField]: null };
+        const existing = findContact(contacts, reference.type, name);
+        if (existing) return { ...data, [reference.nameField]: existing.name, [reference.idField]: existing.id };
+        const contactId = repository.newId('contacts');
+        const contact = { type: reference.type, name, specialty: '', phone: '', address: '', notes: '', ...details, createdAt: Timestamp.now() };
+        writeQueue.add(`Add contact ${name}`, () => repository.set('contacts', contactId, contact));
+        return { ...data, [reference.nameField]: name, [reference.idField]: contactId };
+    };
+
+    // Resolves to the document's ID, or null if the write could not be made. The change is in the
+    // local cache at that point; the write queue reports whether the server accepted it.
+    const handleAddOrUpdate = async (collectionName, data, id = null) => {
+        if (!db || !userId || !activeProfileId || !ensureCanEdit()) return null;
+        try {
+            const reference = CONTACT_REFERENCES.find(r => r.collection === collectionName && r.nameField in data);
+            if (reference) data = linkContact(reference, data, data.specialty ? { specialty: data.specialty } : {});
+            const label = `Save ${collectionName.slice(0, -1)}${data.name ? ` ${data.name}` : ''}`;
+            if (id) {
+                writeQueue.add(label, () => repository.update(collectionName, id, data));
+            } else {
+                const newId = repository.newId(collectionName);
+                const record = { ...data, createdAt: Timestamp.now() };
+                writeQueue.add(label, () => repository.set(collectionName, newId, record));
+                id = newId;
+            }
+            setView('dashboard'); // Go back to dashboard after add/update
+            return id;
+        } catch (e) {
+            console.error(`Error saving to ${collectionName}:`, e);
+            setError(`Failed to save ${collectionName.slice(0, -1)}. ${e.message}`);
+            return null;
+        }
+    };
+    
+    // Adds many documents at once, e.g. from a CSV import. Items keep their own createdAt.
+    // Who recorded a dose, for profiles that several accounts look after. The security rules only
+    // accept dose logs recorded by the signed-in account.
+    const recordedBy = { uid: userId, name: describeMember(account) };
+
+    const handleBulkAdd = async (collectionName, items) => {
+        if (!db || !userId || !activeProfileId) return;
+        if (!canEdit) throw new Error(VIEW_ONLY_MESSAGE);
+        const now = Timestamp.now();
+        const attribution = collectionName === 'medicineLogs' ? { recordedBy } : {};
+        await repository.writeInChunks(items.map(item => batch => batch.set(collectionName, repository.newId(collectionName), { createdAt: now, ...item, ...attribution })));
+    };
+
+    const handleDelete = async (collectionName, id) => {
+        if (!db || !userId || !activeProfileId || !ensureCanEdit()) return;
+        try {
+            writeQueue.add(`Delete ${collectionName.slice(0, -1)}`, () => repository.remove(collectionName, id));
+        } catch (e) {
+            console.error(`Error deleting from ${collectionName}:`, e);
+            setError(`Failed to delete ${collectionName.slice(0, -1)}.`);
+        }
+    };
+
+    const handleSetDiscontinued = async (med, discontinued) => {
+        if (!db || !userId || !activeProfileId || !ensureCanEdit()) return;
+        try {
+            writeQueue.add(`${discontinued ? 'Stop' : 'Resume'} ${med.name}`, () => repository.update('medicines', med.id, {
+                discontinued,
+                discontinuedAt: discontinued ? Timestamp.now() : null
+            }));
+        } catch (e) {
+            console.error("Error updating medicine:", e);
+            setError("Failed to update medicine.");
+        }
+    };
+
+    // Removes a dose log and gives its quantity back to the medicine's stock in one batch
+    const handleUndoLog = async (log) => {
+        if (!db || !userId || !activeProfileId || !ensureCanEdit()) return;
+        try {
+            const returnsStock = log.status !== 'skipped' && medicines.some(m => m.id === log.medicineId);
+            writeQueue.add(`Undo dose of ${log.medicineName}`, () => repository.batch(batch => {
+                batch.remove('medicineLogs', log.id);
+                if (returnsStock) batch.update('medicines', log.medicineId, { stock: increment(log.quantity ?? 1) });
+            }));
+        } catch (e) {
+            console.error("Error undoing log:", e);
+            setError("Failed to undo dose.");
+        }
+    };
+
+    const handleEditMedicine = (med) => {
+        setEditingMedicineId(med.id);
+        setView('editMedicine');
+    };
+
+    // Resolves to whether the dose was queued, so reminders stay up when it was refused here.
+    // The server can still refuse it later (another device took the last tablet); `onFailed`
+    // runs then, so the caller can bring its reminder back.
+    const handleTakeDose = async (med, quantity = getDoseQuantity(med), scheduledAt = null, { onFailed = null } = {}) => {
+        if (!db || !userId || !activeProfileId || !(quantity > 0) || !ensureCanEdit()) return false;
+        if (med.stock < quantity) {
+            setError(`Not enough ${med.name} in stock for ${formatQuantity(quantity, med.unit)}.`);
+            return false;
+        }
+        try {
+            const logId = repository.newId('medicineLogs');
+            const log = {
+                medicineId: med.id,
+                medicineName: med.name,
+                quantity,
+                unit: med.unit || 'unit',
+                ...(scheduledAt && { scheduledAt: Timestamp.fromDate(scheduledAt) }),
+                takenAt: Timestamp.now(),
+                recordedBy
+            };
+            writeQueue.add(`Dose of ${med.name}`, () => repository.takeDose(med.id, logId, log), { onFail: onFailed });
+            return true;
+        } catch (e) {
+            console.error("Error taking dose:", e);
+            setError("Failed to record dose.");
+            return false;
+        }
+    };
+
+    const handleSkipDose = async (med, scheduledAt, reason, { onFailed = null } = {}) => {
+        if (!db || !userId || !activeProfileId || !ensureCanEdit()) return false;
+        try {
+            const logId = repository.newId('medicineLogs');
+            const log = {
+                medicineId: med.id,
+                medicineName: med.name,
+                status: 'skipped',
+                reason,
+                quantity: 0,
+                unit: med.unit || 'unit',
+                scheduledAt: Timestamp.fromDate(scheduledAt),
+                takenAt: Timestamp.now(),
+                recordedBy
+            };
+            writeQueue.add(`Skipped dose of ${med.name}`, () => repository.set('medicineLogs', logId, log), { onFail: onFailed });
+            return true;
+        } catch (e) {
+            console.error("Error skipping dose:", e);
+            setError("Failed to record skipped dose.");
+            return false;
+        }
+    };
+
+    const handleEnableNotifications = async () => {
+        if (typeof Notification === 'undefined') return;
+        const permission = await Notification.requestPermission();
+        setNotificationPermission(permission);
+        if (permission === 'granted') getReminderWorker();
+    };
+
+    const handleRecordRefill = async (med, { quantity, pharmacy }) => {
+        if (!db || !userId || !activeProfileId || !(quantity > 0) || !ensureCanEdit()) return;
+        try {
+            const pharmacyFields = linkContact(CONTACT_REFERENCES.find(r => r.collection === 'refills'), { pharmacy });
+            const refillId = repository.newId('refills');
+            const refill = {
+                medicineId: med.id,
+                medicineName: med.name,
+                quantity,
+                unit: med.unit || 'unit',
+                ...pharmacyFields,
+                refilledAt: Timestamp.now()
+            };
+            writeQueue.add(`Refill of ${med.name}`, () => repository.recordRefill(med.id, refillId, refill));
+        } catch (e) {
+            console.error("Error recording refill:", e);
+            setError("Failed to record refill.");
+        }
+    };
+
+    // Status changes stay on the appointments view, unlike handleAddOrUpdate
+    const handleUpdateAppointment = async (id, fields) => {
+        if (!db || !userId || !activeProfileId || !ensureCanEdit()) return;
+        try {
+            writeQueue.add('Update appointment', () => repository.update('appointments', id, fields));
+        } catch (e) {
+            console.error("Error updating appointment:", e);
+            setError("Failed to update appointment.");
+        }
+    };
+
+    // Completes the visit and, when a follow-up date is given, books the follow-up in the same batch
+    const handleRecordAppointmentOutcome = async (apt, { notes, prescribedMedicineIds, followUpAt }) => {
+        if (!db || !userId || !activeProfileId || !ensureCanEdit()) return;
+        try {
+            const followUpId = followUpAt ? repository.newId('appointments') : null;
+            const followUp = followUpAt && {
+                doctor: apt.doctor,
+                doctorId: apt.doctorId ?? null,
+                specialty: apt.specialty || '',
+                location: apt.location || '',
+                reason: apt.reason ? `Follow-up: ${apt.reason}` : 'Follow-up',
+                preVisitNotes: '',
+                questions: [],
+                date: Timestamp.fromDate(followUpAt),
+                status: 'scheduled',
+                reminders: apt.reminders ?? DEFAULT_APPOINTMENT_REMINDERS,
+                followUpOf: apt.id,
+                createdAt: Timestamp.now()
+            };
+            writeQueue.add(`Outcome of visit to ${apt.doctor}`, () => repository.batch(batch => {
+                if (followUpId) batch.set('appointments', followUpId, followUp);
+                batch.update('appointments', apt.id, { status: 'completed', outcome: { notes, prescribedMedicineIds, followUpId } });
+            }));
+        } catch (e) {
+            console.error("Error recording appointment outcome:", e);
+            setError("Failed to record appointment outcome.");
+        }
+    };
+
+    // Uploads the file, then records it through the write queue. Uploads need a connection, the
+    // record does not. The Storage object is removed again if the record is invalid, or when a
+    // record the server rejected is discarded. Resolves to whether the document was added.
+    const handleUploadDocument = async (file, metadata) => {
+        if (!db || !storage || !userId || !activeProfileId || !ensureCanEdit()) return false;
+        const problem = validateDocumentFile(file);
+        if (problem) {
+            setError(problem);
+            return false;
+        }
+        const contentType = getDocumentContentType(file);
+        const fileRef = ref(storage, `${dataPaths.profile(activeOwnerId ?? userId, activeProfileId)}/documents/${Date.now()}_${file.name.replace(/[^\w.-]+/g, '_')}`);
+        try {
+            const snapshot = await uploadBytes(fileRef, file, { contentType });
+            try {
+                const url = await getDownloadURL(snapshot.ref);
+                const documentId = repository.newId('documents');
+                const record = { ...metadata, storagePath: fileRef.fullPath, url, contentType, size: file.size, createdAt: Timestamp.now() };
+                writeQueue.add(`Add document ${metadata.name}`, () => repository.set('documents', documentId, record), {
+                    onDiscard: () => deleteObject(fileRef).catch(e => console.error("Could not remove uploaded file:", e)),
+                });
+            } catch (e) {
+                await deleteObject(fileRef).catch(cleanupError => console.error("Could not remove uploaded file:", cleanupError));
+                throw e;
+            }
+            return true;
+        } catch (e) {
+            console.error("Error uploading document:", e);
+            setError(`Failed to upload ${file.name}.`);
+            return false;
+        }
+    };
+
+    const handleUpdateDocument = async (id, fields) => {
+        if (!db || !userId || !activeProfileId || !ensureCanEdit()) return;
+        try {
+            writeQueue.add('Update document', () => repository.update('documents', id, fields));
+        } catch (e) {
+            console.error("Error updating document:", e);
+            setError("Failed to update document.");
+        }
+    };
+
+    // The Storage object goes first, so a failure never leaves a file that is no longer listed.
+    // Deleting the file needs a connection; the record is then removed through the write queue.
+    const handleDeleteDocument = async (document) => {
+        if (!db || !storage || !userId || !activeProfileId || !ensureCanEdit()) return;
+        try {
+            if (document.storagePath) {
+                await deleteObject(ref(storage, document.storagePath)).catch(e => {
+                    if (e.code !== 'storage/object-not-found') throw e;
+                });
+            }
+            writeQueue.add(`Delete document ${document.name}`, () => repository.remove('documents', document.id));
+        } catch (e) {
+            console.error("Error deleting document:", e);
+            setError("Failed to delete document.");
+        }
+    };
+
+    // Prescription files are uploaded once the medicine is saved, so they can link to it
+    const handleSaveMedicine = async (med, files, id = null, openedStock = null) => {
+        if (id) {
+            const { stock, ...fields } = med;
+            med = stock === openedStock ? fields : { ...fields, stock: increment(stock - openedStock) };
+        }
+        const medicineId = await handleAddOrUpdate('medicines', med, id);
+        if (!medicineId) return;
+        for (const file of files) {
+            await handleUploadDocument(file, { name: file.name, type: 'prescription', date: Timestamp.now(), issuer: med.doctor, tags: [], medicineId, appointmentId: null, includeInReport: false });
+        }
+    };
+
+    const handleSaveContact = async (contact, id = null) => {
+        if (!db || !userId) return;
+        try {
+            if (id) writeQueue.add(`Save contact ${contact.name}`, () => repository.update('contacts', id, contact));
+            else {
+                const contactId = repository.newId('contacts');
+                const record = { ...contact, createdAt: Timestamp.now() };
+                writeQueue.add(`Add contact ${contact.name}`, () => repository.set('contacts', contactId, record));
+            }
+        } catch (e) {
+            console.error("Error saving contact:", e);
+            setError("Failed to save contact.");
+        }
+    };
+
+    // Records keep the contact's name, so only the directory entry is removed
+    const handleDeleteContact = async (id) => {
+        if (!db || !userId) return;
+        try {
+            writeQueue.add('Delete contact', () => repository.remove('contacts', id));
+        } catch (e) {
+            console.error("Error deleting contact:", e);
+            setError("Failed to delete contact.");
+        }
+    };
+
+    const handleUpdateProfile = async (fields) => {
+        if (!db || !userId || !activeProfileId || !ensureCanEdit()) return;
+        try {
+            writeQueue.add('Update profile', () => repository.update('profiles', activeProfileId, fields));
+        } catch (e) {
+            console.error("Error updating profile:", e);
+            setError("Failed to update profile.");
+        }
+    };
+
+    const handleAcknowledgeWarning = async (warningId) => {
+        if (!db || !userId || !activeProfileId || !ensureCanEdit()) return;
+        try {
+            writeQueue.add('Acknowledge warning', () => repository.update('profiles', activeProfileId, { acknowledgedWarnings: arrayUnion(warningId) }));
+        } catch (e) {
+            console.error("Error acknowledging warning:", e);
+            setError("Failed to acknowledge warning.");
+        }
+    };
+
+    const handleProfileChange = (profileId) => {
+        setActiveProfileId(profileId);
+        setView('dashboard');
+    };
+
+    const handleAddProfile = async (profileName, relationship) => {
+        if (!db || !userId || profiles.length >= 10) {
+            setError("You can add a maximum of 10 profiles.");
+            return;
+        }
+        try {
+            // Not `repository`, which writes to the owner's account while a shared profile is active
+            const ownRepository = createRepository(db, userId);
+            const profileId = ownRepository.newId('profiles');
+            writeQueue.add(`Add profile ${profileName}`, () => ownRepository.set('profiles', profileId, { name: profileName, relationship }));
+            setActiveProfileId(profileId);
+            setView('dashboard');
+        } catch (e) {
+            console.error("Error adding profile:", e);
+            setError("Failed to add profile.");
+        }
+    };
+
+    const handleExportBackup = async (scope) => {
+        if (!db || !userId) return;
+        try {
+            const backup = await buildBackup(db, userId, scope === 'all' ? allProfiles : [activeProfile]);
+            const name = scope === 'all' ? 'All_Profiles' : activeProfile.name;
+            downloadFile(`${name}_MediTrack_Backup_${toDateInputValue(new Date())}.json`, JSON.stringify(backup, null, 2), 'application/json');
+        } catch (e) {
+            console.error("Error exporting backup:", e);
+            setError("Failed to export backup.");
+        }
+    };
+
+    // Throws with a readable message so the import panel can show it
+    const handleImportBackup = async (backup, { mode, profileIds }) => {
+        if (!db || !storage || !userId) return [];
+        const selected = backup.profiles.filter(p => profileIds.includes(p.id));
+        if (mode === 'new' && profiles.length + selected.length > 10) throw new Error("You can add a maximum of 10 profiles.");
+        if (mode !== 'new' && (selected.length !== 1 || !activeProfileId)) throw new Error("Choose exactly one profile to merge into or replace the active profile.");
+        if (mode !== 'new' && !isOwnActiveProfile) throw new Error("Backups can only be restored into your own profiles. Import as a new profile instead.");
+        const results = [];
+        for (const backupProfile of selected) {
+            const result = await restoreProfileBackup(db, storage, userId, backupProfile, { mode, targetProfileId: activeProfileId, recordedBy });
+            results.push({ name: backupProfile.data.name, ...result });
+        }
+        if (mode === 'new' && results.length) setActiveProfileId(results[0].profileId);
+        return results;
+    };
+
+    const handleDeleteProfile = async (profileIdToDelete) => {
+        const profile = profiles.find(p => p.id === profileIdToDelete);
+        if (!db || !userId || !profile) return;
+        
+        try {
+            writeQueue.add(`Delete profile ${profile.name}`, () => deleteProfileData(db, storage, userId, profileIdToDelete));
+            // Active profile will be updated by the onSnapshot listener in the useEffect hook
+            setView('dashboard');
+        } catch (e) {
+            console.error("Error deleting profile:", e);
+            setError("Failed to delete profile.");
+        }
+    };
+
+    // Rules stay on the alerts view, unlike handleAddOrUpdate
+    const handleSaveAlertRule = async (rule, id = null) => {
+        if (!db || !userId || !activeProfileId || !ensureCanEdit()) return;
+        try {
+            if (id) writeQueue.add('Update alert rule', () => repository.update('alertRules', id, rule));
+            else {
+                const ruleId = repository.newId('alertRules');
+                const record = { enabled: true, ...rule, createdAt: Timestamp.now() };
+                writeQueue.add('Add alert rule', () => repository.set('alertRules', ruleId, record));
+            }
+        } catch (e) {
+            console.error("Error saving alert rule:", e);
+            setError(`Failed to save alert rule. ${e.message}`);
+        }
+    };
+
+    const handleSetAlertStatus = async (alert, status) => {
+        if (!db || !userId || !activeProfileId || !ensureCanEdit()) return;
+        try {
+            const now = Timestamp.now();
+            const fields = status === 'resolved'
+                ? { status, resolvedAt: now, resolvedBy: recordedBy }
+                : { status, acknowledgedAt: now, acknowledgedBy: recordedBy };
+            writeQueue.add(`${getAlertStatus({ status }).label}: ${alert.title}`, () => repository.update('alerts', alert.id, fields));
+        } catch (e) {
+            console.error("Error updating alert:", e);
+            setError("Failed to update alert.");
+        }
+    };
+
+    // Sends a sample alert through every configured notifier. Resolves to the delivery results.
+    const handleTestAlertDelivery = async (settings) => {
+        const sample = { id: `test_${Date.now()}`, type: 'test', severity: 'info', title: 'Test alert', message: `This is a test of the alert delivery for ${activeProfile.name}.`, triggeredAt: new Date() };
+        return deliverAlert(buildAlertNotifiers(settings, stubNotifier), sample, activeProfile);
+    };
+
+    // --- Sharing Handlers ---
+    // Each throws with a readable message so the sharing panel can show it
+    const runSharingAction = async (action, message) => {
+        try {
+            return await action();
+        } catch (e) {
+            console.error(`${message}:`, e);
+            throw new Error(e.code === 'permission-denied' ? "You don't have permission to change sharing for this profile." : `${message}. ${e.message}`);
+        }
+    };
+
+    const handleLoadSharing = (profile) => runSharingAction(() => loadProfileSharing(db, profile), "Could not load sharing");
+    const handleInvite = (profile, invite) => runSharingAction(() => createProfileInvite(db, account, profile, invite), "Could not create the invite");
+    const handleCancelInvite = (code) => runSharingAction(() => deleteDoc(doc(db, dataPaths.profileInvites(), code)), "Could not cancel the invite");
+    const handleChangeMemberRole = (profile, memberId, role) => runSharingAction(() => setMemberRole(db, profile.id, memberId, role), "Could not change the role");
+    const handleRevokeMember = (profile, memberId) => runSharingAction(() => revokeMember(db, profile.id, memberId), "Could not revoke access");
+    const handleLoadMyInvites = () => runSharingAction(() => loadInvitesForAccount(db, account), "Could not load invites");
+    // The profile becomes active once its listeners have loaded it
+    const handleAcceptInvite = (code) => runSharingAction(async () => {
+        const invite = await acceptProfileInvite(db, account, code);
+        setActiveProfileId(invite.profileId);
+        setView('dashboard');
+        if (inviteCodeFromLink) window.history.replaceState(null, '', window.location.pathname);
+        return invite;
+    }, "Could not accept the invite");
+
+    const handleLeaveProfile = async (profile) => {
+        if (!db || !userId) return;
+        try {
+            await leaveSharedProfile(db, userId, profile.id);
+        } catch (e) {
+            console.error("Error leaving profile:", e);
+            setError("Failed to leave profile.");
+        }
+    };
+
+    // --- Account Handlers ---
+    // Each throws with a readable message so the account view can show it
+    const runAuthAction = async (action) => {
+        try {
+            await action();
+            setAccount(toAccount(auth.currentUser));
+        } catch (e) {
+            console.error("Account error:", e);
+            throw new Error(describeAuthError(e));
+        }
+    };
+
+    // Invites sent to an email address can only be accepted once the address is verified
+    const handleCreateAccount = ({ email, password }) => runAuthAction(async () => {
+        const { user } = await linkWithCredential(auth.currentUser, EmailAuthProvider.credential(email, password));
+        await sendEmailVerification(user);
+    });
+    const handleResendVerification = () => runAuthAction(() => sendEmailVerification(auth.currentUser));
+    // The security rules read email_verified from the ID token, so a new token is fetched too
+    const handleCheckVerification = () => runAuthAction(async () => {
+        await auth.currentUser.reload();
+        await auth.currentUser.getIdToken(true);
+    });
+    const handleSignIn = ({ email, password }) => runAuthAction(async () => {
+        await signInWithEmailAndPassword(auth, email, password);
+        setView('dashboard');
+    });
+    // Links Google to the guest account, or signs in to an existing Google account
+    const handleGoogleSignIn = (link) => runAuthAction(async () => {
+        if (link) await linkWithPopup(auth.currentUser, new GoogleAuthProvider());
+        else {
+            await signInWithPopup(auth, new GoogleAuthProvider());
+            setView('dashboard');
+        }
+    });
+    const handleResetPassword = (email) => runAuthAction(() => sendPasswordResetEmail(auth, email));
+    // The local cache still holds the previous user's records after signing out or deleting the
+    // account, so it is cleared while Firestore is stopped, and a fresh instance takes over
+    const resetLocalCache = async (whileStopped) => {
+        writeQueue.clear();
+        await terminate(db);
+        try {
+            await clearIndexedDbPersistence(db).catch(e => {
+                throw e.code === 'failed-precondition' ? new Error('Close MediTrack in your other tabs first.') : e;
+            });
+            await whileStopped();
+        } finally {
+            setDb(initFirestore(firebaseApp.current));
+        }
+    };
+
+    // A new guest account is started once signed out. Changes the server does not have yet would
+    // be lost with the cache, so signing out waits for them.
+    const handleSignOut = () => runAuthAction(async () => {
+        if (syncState.pending > 0 || syncState.failed.length > 0) throw new Error('Some changes have not been saved to the server yet. Sign out once they are saved, or discard the ones that failed.');
+        await resetLocalCache(() => signOut(auth));
+        setView('dashboard');
+    });
+
+    // Signs in again first, since Firebase only deletes recently signed-in users, so a refused
+    // deletion never leaves the account without its data. Guests cannot sign in again; their
+    // sign-in has to be recent enough to last until the account is deleted.
+    const handleDeleteAccount = (password) => runAuthAction(async () => {
+        const user = auth.currentUser;
+        if (user.providerData.some(p => p.providerId === 'password')) await reauthenticateWithCredential(user, EmailAuthProvider.credential(user.email, password));
+        else if (!user.isAnonymous) await reauthenticateWithPopup(user, new GoogleAuthProvider());
+        else if (Date.now() - new Date((await user.getIdTokenResult()).authTime).getTime() > GUEST_DELETE_WINDOW_MS) {
+            throw new Error('A guest account can only be deleted for a few minutes after it starts. Create an account first, then delete it.');
+        }
+        for (const profile of profiles) await deleteProfileData(db, storage, user.uid, profile.id);
+        for (const entry of sharedIndex) await leaveSharedProfile(db, user.uid, entry.id);
+        const contactsSnapshot = await getDocs(query(collection(db, dataPaths.contacts(user.uid))));
+        await commitInChunks(db, contactsSnapshot.docs.map(d => batch => batch.delete(d.ref)));
+        await resetLocalCache(() => deleteUser(user));
+        setView('dashboard');
+    });
+
+    const activeMedicines = useMemo(() => medicines.filter(m => !m.discontinued), [medicines]);
+    const interactionWarnings = useMemo(() => {
+        const acknowledged = activeProfile?.acknowledgedWarnings || [];
+        return checkInteractions(activeMedicines).filter(w => !acknowledged.includes(w.id));
+    }, [activeMedicines, activeProfile]);
+    const alertNotifiers = useMemo(() => buildAlertNotifiers(activeProfile?.alertSettings, stubNotifier), [activeProfile?.alertSettings, stubNotifier]);
+    const openAlertCount = alerts.filter(a => getAlertStatus(a).value === 'open').length;
+
+    // --- Caregiver Alerts ---
+    // Checks the rules whenever the data changes and every minute for doses that become overdue.
+    // Only devices that can edit the profile raise alerts; the raising device delivers them
+    // through the 'once' notifiers.
+    useEffect(() => {
+        if (!repository || !activeProfile || !canEdit || alertRules.length === 0) return;
+        const check = () => {
+            const raised = new Set(alerts.map(a => a.id));
+            evaluateAlertRules(alertRules, { profile: activeProfile, medicines: activeMedicines, logs, vitals, refills })
+                .filter(alert => !raised.has(alert.id) && !raisingAlertIds.current.has(alert.id))
+                .forEach(({ id, triggeredAt, ...alert }) => {
+                    raisingAlertIds.current.add(id);
+                    const record = { ...alert, status: 'open', triggeredAt: Timestamp.fromDate(triggeredAt), createdAt: Timestamp.now() };
+                    repository.raiseAlert(id, record)
+                        .then(async (created) => {
+                            if (!created) return;
+                            const deliveries = await deliverAlert(alertNotifiers, { id, ...record }, activeProfile, 'once');
+                            if (Object.keys(deliveries).length > 0) writeQueue.add('Record alert delivery', () => repository.update('alerts', id, { deliveries }));
+                        })
+                        .catch(e => console.error("Error raising alert:", e))
+                        .finally(() => raisingAlertIds.current.delete(id));
+                });
+        };
+        check();
+        const timer = setInterval(check, ALERT_CHECK_INTERVAL_MS);
+        return () => clearInterval(timer);
+    }, [alertRules, alerts, activeMedicines, logs, vitals, refills, activeProfile, repository, canEdit, alertNotifiers]);
+
+    // Shows new open alerts on this device once, including alerts raised by other devices
+    useEffect(() => {
+        if (!activeProfile) return;
+        const open = alerts.filter(a => getAlertStatus(a).value === 'open');
+        const notified = loadNotifiedAlerts(activeProfile.id);
+        const recent = Date.now() - ALERT_LOOKBACK_HOURS * 60 * 60 * 1000;
+        open.filter(a => !notified.includes(a.id) && toDate(a.triggeredAt) >= recent)
+            .forEach(a => deliverAlert(alertNotifiers, a, activeProfile, 'device'));
+        saveNotifiedAlerts(activeProfile.id, open.map(a => a.id));
+    }, [alerts, activeProfile?.id, alertNotifiers]);
+
+    // --- Render Logic ---
+    const renderView = () => {
+        if (view === 'account') return <AccountView account={account} profileCount={profiles.length} onCreateAccount={handleCreateAccount} onSignIn={handleSignIn} onGoogle={handleGoogleSignIn} onResetPassword={handleResetPassword} onResendVerification={handleResendVerification} onCheckVerification={handleCheckVerification} onSignOut={handleSignOut} onDeleteAccount={handleDeleteAccount} onBack={() => setView('dashboard')} />;
+        const profileManagement = <ProfileManagement userId={userId} account={account} profiles={allProfiles} onAddProfile={handleAddProfile} onDeleteProfile={handleDeleteProfile} onLeaveProfile={handleLeaveProfile} sharing={{ onLoad: handleLoadSharing, onInvite: handleInvite, onCancelInvite: handleCancelInvite, onChangeRole: handleChangeMemberRole, onRevoke: handleRevokeMember, onLoadMyInvites: handleLoadMyInvites, onAccept: handleAcceptInvite }} inviteCode={inviteCodeFromLink} />;
+        if (view === 'profiles' || (!activeProfileId && allProfiles.length === 0 && !isLoading)) return profileManagement;
+        if (!activeProfileId && allProfiles.length > 0) return <div className="text-center p-8">Loading profile...</div>
+
+        switch (view) {
+            case 'addMedicine': return <AddMedicineForm existingMedicines={activeMedicines} contacts={contacts} documents={[]} onAdd={(med, files) => handleSaveMedicine(med, files)} onBack={() => setView('dashboard')} />;
+            case 'editMedicine': {
+                const editing = medicines.find(m => m.id === editingMedicineId);
+                if (!editing) return <div className="text-center p-8">Medicine not found.</div>;
+                return <AddMedicineForm key={editing.id} initialMedicine={editing} existingMedicines={activeMedicines.filter(m => m.id !== editing.id)} contacts={contacts} documents={documents.filter(d => d.medicineId === editing.id)} onAdd={(med, files, openedStock) => handleSaveMedicine(med, files, editing.id, openedStock)} onBack={() => setView('dashboard')} />;
+            }
+            case 'history': return <HistoryView profile={activeProfile} userId={userId} logs={logs} refills={refills} medicines={medicines} vitals={vitals} symptoms={symptoms} onUndoLog={handleUndoLog} onBack={() => setView('dashboard')} />;
+            case 'documents': return <DocumentsView documents={documents} medicines={medicines} appointments={appointments} contacts={contacts} onUpload={handleUploadDocument} onUpdate={handleUpdateDocument} onDelete={handleDeleteDocument} onBack={() => setView('dashboard')} />;
+            case 'contacts': return <ContactsView profile={activeProfile} contacts={contacts} medicines={medicines} appointments={appointments} refills={refills} onSave={handleSaveContact} onDelete={handleDeleteContact} onBack={() => setView('dashboard')} />;
+            case 'appointments': return <AppointmentView appointments={appointments} medicines={medicines} contacts={contacts} documents={documents} onSave={(apt, id) => handleAddOrUpdate('appointments', apt, id)} onUpdate={handleUpdateAppointment} onRecordOutcome={handleRecordAppointmentOutcome} onDelete={(id) => handleDelete('appointments', id)} onBack={() => setView('dashboard')} />;
+            case 'healthMetrics': return <HealthMetricsView profile={activeProfile} vitals={vitals} symptoms={symptoms} logs={logs} medicines={medicines} onUpdateProfile={handleUpdateProfile} onSave={handleAddOrUpdate} onDelete={handleDelete} onBack={() => setView('dashboard')} />;
+            case 'alerts': return <AlertsView profile={activeProfile} alerts={alerts} rules={alertRules} medicines={medicines} canEdit={canEdit} stubDeliveries={stubNotifier.sent} onSetStatus={handleSetAlertStatus} onSaveRule={handleSaveAlertRule} onDeleteRule={(id) => handleDelete('alertRules', id)} onSaveSettings={(alertSettings) => handleUpdateProfile({ alertSettings })} onTestDelivery={handleTestAlertDelivery} onBack={() => setView('dashboard')} />;
+            case 'insights': return <CorrelationView profile={activeProfile} medicines={medicines} logs={logs} vitals={vitals} onBack={() => setView('dashboard')} />;
+            case 'export': return <ExportView profile={activeProfile} medicines={medicines} logs={logs} appointments={appointments} vitals={vitals} symptoms={symptoms} documents={documents} onExportBackup={handleExportBackup} onImportBackup={handleImportBackup} onBulkAdd={handleBulkAdd} onBack={() => setView('dashboard')} />;
+            default: return <Dashboard medicines={medicines} logs={logs} onTakeDose={handleTakeDose} onEditMedicine={handleEditMedicine} onSetDiscontinued={handleSetDiscontinued} onDeleteMedicine={(med) => handleDelete('medicines', med.id)} onRecordRefill={handleRecordRefill} warnings={interactionWarnings} onAcknowledgeWarning={handleAcknowledgeWarning} appointments={appointments} contacts={contacts} documents={documents} onOpenAppointments={() => setView('appointments')} />;
+        }
+    };
+
+    if (isLoading) return <div className="bg-gray-900 text-white flex items-center justify-center h-screen font-sans"><div className="animate-spin rounded-full h-32 w-32 border-t-2 border-b-2 border-cyan-500"></div></div>;
     
-    const [isLoading, setIsLoading] = useState(true);
-    const [isAuthReady, setIsAuthReady] = useState(false);
-    const [db, setDb] = useState(null);
-    const [auth, setAuth] = useState(null);
-    const [storage, setStorage] = useState(null);
-    const [userId, setUserId] = useState(null);
-    const [error, setError] = useState(null);
+    return (
+        <div className="bg-gray-900 text-gray-200 min-h-screen font-sans p-4 sm:p-6 lg:p-8">
+            <div className="max-w-7xl mx-auto">
+                <Header account={account} onOpenAccount={() => setView('account')} profiles={allProfiles} activeProfile={activeProfile} onProfileChange={handleProfileChange} notificationPermission={notificationPermission} onEnableNotifications={handleEnableNotifications} sync={{ online: isOnline, ...syncState, onRetry: writeQueue.retry, onDiscard: writeQueue.discard }} />
+                <main className="mt-8">
+                    <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-6 gap-4">
+                        <h1 className="text-3xl font-bold text-white tracking-wider">
+                            {activeProfile ? `${activeProfile.name}'s Dashboard` : 'MediTrack'}
+                        </h1>
+                        {activeProfile && <Navigation onViewChange={setView} currentView={view} alertCount={openAlertCount} />}
+                    </div>
+                    {activeProfile && !canEdit && view !== 'profiles' && <div className="bg-gray-800 border border-gray-700 text-gray-300 p-3 rounded-lg mb-6 flex items-center gap-3 text-sm"><Eye className="w-4 h-4 text-cyan-400"/> You can view {activeProfile.name}'s profile, but only its owner or a caregiver can change it.</div>}
+                    {error && <div className="bg-red-800/80 border border-red-600 text-white p-4 rounded-lg mb-6 flex items-center gap-4"><AlertTriangle/><p>{error}</p><button onClick={() => setError(null)} className="ml-auto font-bold">X</button></div>}
+                     {renderView()}
+                </main>
+                 {activeProfileId && canEdit && <ReminderSystem key={activeProfileId} profileId={activeProfileId} medicines={activeMedicines} logs={logs} appointments={appointments} onTakeDose={handleTakeDose} onSkipDose={handleSkipDose} linkedAction={reminderLink?.selected && reminderLink.profileId === activeProfileId ? reminderLink : null} onLinkedActionDone={handleReminderLinkDone} />}
+            </div>
+        </div>
+    );
+}
+
+// --- Components ---
+
+// Failed writes can be retried or discarded from the status menu
+const SyncStatus = ({ online, pending, failed, onRetry, onDiscard }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const status = failed.length > 0 ? { icon: AlertTriangle, label: `${failed.length} not synced`, className: 'text-red-300' }
+        : !online ? { icon: CloudOff, label: pending > 0 ? `Offline · ${pending} pending` : 'Offline', className: 'text-yellow-300' }
+        : pending > 0 ? { icon: RefreshCw, label: `Syncing ${pending}`, className: 'text-cyan-300' }
+        : { icon: Cloud, label: 'Synced', className: 'text-green-400' };
+    return (
+        <div className="relative">
+            <button onClick={() => setIsOpen(open => !open)} disabled={failed.length === 0} title={online ? 'Sync status' : 'Changes are saved on this device and sync when you are back online'} className={`flex items-center gap-1 text-sm bg-gray-800 px-2 py-1 rounded ${status.className}`}>
+                <status.icon className="w-4 h-4" /> {status.label}
+            </button>
+            {isOpen && failed.length > 0 && (
+                <div className="absolute right-0 mt-2 w-72 bg-gray-800 border border-gray-700 rounded-lg shadow-xl p-3 z-20 text-sm space-y-2">
+                    <p className="text-gray-400">These changes could not be saved.</p>
+                    {failed.map(write => (
+                        <div key={write.id} className="border-t border-gray-700 pt-2">
+                            <p className="text-white">{write.label}</p>
+                            <p className="text-xs text-red-300">{write.error}</p>
+                            <div className="flex gap-3 mt-1">
+                                <button onClick={() => onRetry(write.id)} className="text-cyan-400 hover:text-cyan-300">Retry</button>
+                                <button onClick={() => onDiscard(write.id)} className="text-gray-400 hover:text-gray-300">Discard</button>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const Header = ({ account, onOpenAccount, profiles, activeProfile, onProfileChange, notificationPermission, onEnableNotifications, sync }) => (
+    <header className="flex flex-col sm:flex-row justify-between items-start sm:items-center pb-4 border-b border-gray-700 gap-4">
+        <div className="flex items-center space-x-3">
+            <Pill className="text-cyan-400 w-8 h-8" />
+            <span className="text-2xl font-semibold text-white">MediTrack</span>
+        </div>
+        <div className="flex items-center gap-4">
+            {profiles.length > 0 && activeProfile && (
+                <select 
+                    value={activeProfile.id} 
+                    onChange={(e) => onProfileChange(e.target.value)}
+                    className="bg-gray-700 border border-gray-600 text-white rounded-lg p-2 focus:ring-2 focus:ring-cyan-500"
+                >
+                    {profiles.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                </select>
+            )}
+            {notificationPermission === 'default' && (
+                <button onClick={onEnableNotifications} title="Enable reminder notifications" className="flex items-center gap-1 text-sm text-cyan-400 hover:text-cyan-300 bg-gray-800 px-2 py-1 rounded"><Bell className="w-4 h-4"/> Notify me</button>
+            )}
+            <SyncStatus {...sync} />
+            {account && <button onClick={onOpenAccount} title="Account" className="flex items-center gap-1 text-xs text-gray-400 hover:text-white bg-gray-800 px-2 py-1 rounded"><User className="w-4 h-4"/> {account.isAnonymous ? 'Guest · Create account' : account.email || account.displayName}</button>}
+        </div>
+    </header>
+);
+
+const Navigation = ({ onViewChange, currentView, alertCount = 0 }) => {
+    const navItems = [
+        { id: 'dashboard', icon: BarChart2, label: 'Dashboard' },
+        { id: 'addMedicine', icon: Plus, label: 'Add Med' },
+        { id: 'history', icon: History, label: 'History' },
+        { id: 'appointments', icon: Calendar, label: 'Appts' },
+        { id: 'contacts', icon: Contact, label: 'Contacts' },
+        { id: 'documents', icon: FolderOpen, label: 'Docs' },
+        { id: 'healthMetrics', icon: HeartPulse, label: 'Vitals' },
+        { id: 'insights', icon: TrendingUp, label: 'Insights' },
+        { id: 'alerts', icon: Bell, label: 'Alerts', badge: alertCount },
+        { id: 'profiles', icon: Users, label: 'Profiles' },
+        { id: 'export', icon: FileText, label: 'Export' },
+    ];
+    return (
+        <nav className="bg-gray-800 p-2 rounded-lg shadow-lg">
+            <ul className="flex items-center space-x-1 sm:space-x-2">
+                {navItems.map(item => (
+                    <li key={item.id}>
+                        <button onClick={() => onViewChange(item.id)} className={`relative flex items-center space-x-2 px-3 py-2 rounded-md text-sm font-medium transition-all duration-300 ease-in-out ${currentView === item.id ? 'bg-cyan-500 text-white shadow-cyan-500/30 shadow-lg' : 'text-gray-300 hover:bg-gray-700 hover:text-white'}`}>
+                            <item.icon className="w-5 h-5" />
+                            <span className="hidden md:inline">{item.label}</span>
+                            {item.badge > 0 && <span className="absolute -top-1 -right-1 bg-red-500 text-white text-xs rounded-full px-1.5">{item.badge}</span>}
+                        </button>
+                    </li>
+                ))}
+            </ul>
+        </nav>
+    );
+};
+
+const Dashboard = ({ medicines, logs, onTakeDose, onRecordRefill, onEditMedicine, onSetDiscontinued, onDeleteMedicine, warnings, onAcknowledgeWarning, appointments, contacts, documents, onOpenAppointments }) => {
+    const [showDiscontinued, setShowDiscontinued] = useState(false);
+    const [confirmingDelete, setConfirmingDelete] = useState(null);
+    const activeMedicines = useMemo(() => medicines.filter(med => !med.discontinued), [medicines]);
+    const discontinuedMedicines = useMemo(() => medicines.filter(med => med.discontinued), [medicines]);
+    const forecasts = useMemo(() => Object.fromEntries(activeMedicines.map(med => [med.id, forecastRunOut(med, logs)])), [activeMedicines, logs]);
+    const lowStockMeds = useMemo(() => activeMedicines.filter(med => isLowStock(med, forecasts[med.id])), [activeMedicines, forecasts]);
+
+    const takenToday = useMemo(() => {
+        const today = startOfDay(new Date());
+        return logs.reduce((acc, log) => {
+            if (toDate(log.takenAt) >= today && log.status !== 'skipped') acc[log.medicineId] = (acc[log.medicineId] || 0) + 1;
+            return acc;
+        }, {});
+    }, [logs]);
+
+    const { upcomingAppointments, awaitingOutcome } = useMemo(() => {
+        const now = new Date();
+        const until = new Date(now.getTime() + DASHBOARD_APPOINTMENT_DAYS * DAY_MS);
+        return {
+            upcomingAppointments: appointments
+                .filter(a => getAppointmentStatus(a).value === 'scheduled' && toDate(a.date) > now && toDate(a.date) <= until)
+                .sort((a, b) => toDate(a.date) - toDate(b.date))
+                .slice(0, 3),
+            awaitingOutcome: appointments.filter(a => needsOutcome(a, now)).length,
+        };
+    }, [appointments]);
+
+    return (
+        <div>
+            <ContactOptions contacts={contacts} type="pharmacy" />
+            {confirmingDelete && (
+                <ConfirmDialog
+                    title="Delete Medicine"
+                    message={<>Delete <span className="font-bold">{confirmingDelete.name}</span>? Its dose history is kept. To stop it but keep it on record, discontinue it instead.</>}
+                    onCancel={() => setConfirmingDelete(null)}
+                    onConfirm={() => { onDeleteMedicine(confirmingDelete); setConfirmingDelete(null); }}
+                />
+            )}
+            {(upcomingAppointments.length > 0 || awaitingOutcome > 0) && (
+                <div className="bg-cyan-800/50 border border-cyan-700 text-cyan-200 p-4 rounded-lg mb-6 flex items-start gap-4">
+                    <Calendar className="w-6 h-6 mt-1"/>
+                    <div className="flex-grow">
+                        <div className="flex justify-between items-center">
+                            <h4 className="font-bold">{upcomingAppointments.length === 1 ? 'Upcoming Appointment' : 'Upcoming Appointments'}</h4>
+                            <button onClick={onOpenAppointments} className="text-sm text-cyan-300 hover:text-cyan-100">View all</button>
+                        </div>
+                        {upcomingAppointments.map(a => (
+                            <p key={a.id}>
+                                {describeAppointment(a)} on {toDate(a.date).toLocaleDateString()} at {toDate(a.date).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}
+                                {a.location && <span className="text-cyan-300/80"> · {a.location}</span>}
+                            </p>
+                        ))}
+                        {awaitingOutcome > 0 && <p className="text-sm text-yellow-200 mt-1">{awaitingOutcome} past {awaitingOutcome === 1 ? 'visit needs' : 'visits need'} an outcome.</p>}
+                    </div>
+                </div>
+            )}
+            {warnings.length > 0 && (
+                <div className="space-y-2 mb-6">
+                    {warnings.map(w => <InteractionWarning key={w.id} warning={w} onAcknowledge={onAcknowledgeWarning} />)}
+                </div>
+            )}
+            {lowStockMeds.length > 0 && (
+                <div className="bg-yellow-800/50 border border-yellow-600 text-yellow-200 p-4 rounded-lg mb-6 flex items-center gap-4">
+                    <AlertTriangle className="w-6 h-6"/>
+                    <div>
+                        <h4 className="font-bold">Low Stock</h4>
+                        {lowStockMeds.map(med => (
+                            <p key={med.id}>{med.name}: {med.stock <= 0 ? 'out of stock' : `runs out ${forecasts[med.id].runOutDate.toLocaleDateString()} (${forecasts[med.id].daysLeft} days left)`}</p>
+                        ))}
+                    </div>
+                </div>
+            )}
+            {activeMedicines.length === 0 ? (
+                <div className="text-center py-16 px-4 bg-gray-800 rounded-lg"><Pill className="mx-auto h-12 w-12 text-gray-500" /><h3 className="mt-2 text-xl font-medium text-white">No Medications Found</h3><p className="mt-1 text-gray-400">Click on 'Add Med' to get started.</p></div>
+            ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                    {activeMedicines.map(med => <MedicineCard key={med.id} medicine={med} documents={documents.filter(d => d.medicineId === med.id)} forecast={forecasts[med.id]} takenToday={takenToday[med.id] || 0} onTakeDose={onTakeDose} onRecordRefill={onRecordRefill} onEdit={onEditMedicine} onDiscontinue={() => onSetDiscontinued(med, true)} onDelete={setConfirmingDelete} />)}
+                </div>
+            )}
+            {discontinuedMedicines.length > 0 && (
+                <div className="mt-8">
+                    <button onClick={() => setShowDiscontinued(!showDiscontinued)} className="text-gray-400 hover:text-white text-sm font-semibold">
+                        {showDiscontinued ? 'Hide' : 'Show'} discontinued medicines ({discontinuedMedicines.length})
+                    </button>
+                    {showDiscontinued && (
+                        <div className="mt-3 space-y-2">
+                            {discontinuedMedicines.map(med => (
+                                <div key={med.id} className="bg-gray-800 border border-gray-700 p-3 rounded-lg flex justify-between items-center">
+                                    <div>
+                                        <p className="font-medium text-gray-300">{med.name}</p>
+                                        <p className="text-sm text-gray-500">Discontinued {toDate(med.discontinuedAt)?.toLocaleDateString()}</p>
+                                    </div>
+                                    <div className="flex items-center gap-2">
+                                        <button onClick={() => onSetDiscontinued(med, false)} className="px-3 py-1 rounded bg-gray-700 hover:bg-gray-600 text-cyan-400 text-sm">Resume</button>
+                                        <button onClick={() => setConfirmingDelete(med)} className="text-red-400 hover:text-red-300 p-2 rounded-full bg-gray-700"><Trash2 className="w-4 h-4"/></button>
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const MedicineCard = ({ medicine, documents, forecast, takenToday, onTakeDose, onRecordRefill, onEdit, onDiscontinue, onDelete }) => {
+    const dosageInfo = { daily: 'bg-green-500', weekdays: 'bg-purple-500', alternate: 'bg-yellow-500', interval: 'bg-orange-500', taper: 'bg-pink-500', prn: 'bg-blue-500' };
+    const schedule = getSchedule(medicine);
+    const nextDose = useMemo(() => {
+        const now = new Date();
+        return buildDoseSlots(medicine, now, new Date(now.getTime() + 14 * DAY_MS))[0];
+    }, [medicine]);
+    const taperStep = schedule.type === 'taper' ? schedule.steps[getTaperStepIndex(schedule, new Date())] : null;
+    const prnLimitReached = schedule.type === 'prn' && schedule.maxPerDay && takenToday >= schedule.maxPerDay;
+    const defaultQuantity = getDoseQuantity(medicine);
+    const [quantity, setQuantity] = useState(defaultQuantity);
+    useEffect(() => setQuantity(defaultQuantity), [defaultQuantity]);
+    const [refill, setRefill] = useState(null); // { quantity, pharmacy } while the refill form is open
+    const lowStock = isLowStock(medicine, forecast);
+
+    const submitRefill = (e) => {
+        e.preventDefault();
+        onRecordRefill(medicine, { quantity: Number(refill.quantity), pharmacy: refill.pharmacy });
+        setRefill(null);
+    };
+
+    return (
+        <div className="bg-gray-800 rounded-xl shadow-lg overflow-hidden transform hover:-translate-y-1 transition-transform duration-300 border border-gray-700">
+            <div className="p-5">
+                <div className="flex justify-between items-start">
+                    <h3 className="text-xl font-bold text-white truncate">{medicine.name}</h3>
+                    <span className={`px-2 py-1 text-xs font-bold text-white rounded-full ${dosageInfo[schedule.type] || 'bg-gray-500'}`}>{describeSchedule(schedule)}</span>
+                </div>
+                <div className="flex gap-3 mt-1 text-xs">
+                    <button onClick={() => onEdit(medicine)} className="text-cyan-400 hover:text-cyan-300 flex items-center"><Pencil className="w-3 h-3 mr-1"/> Edit</button>
+                    <button onClick={onDiscontinue} className="text-gray-400 hover:text-gray-300 flex items-center"><Ban className="w-3 h-3 mr-1"/> Discontinue</button>
+                    <button onClick={() => onDelete(medicine)} className="text-red-400 hover:text-red-300 flex items-center"><Trash2 className="w-3 h-3 mr-1"/> Delete</button>
+                </div>
+                {describeStrength(medicine) && <p className="mt-1 text-sm text-gray-300">{describeStrength(medicine)} · {formatQuantity(defaultQuantity, medicine.unit)} per dose</p>}
+                <div className="flex items-center mt-2 text-gray-400 text-sm"><Stethoscope className="w-4 h-4 mr-2" /><span>Dr. {medicine.doctor}</span></div>
+                {nextDose && <div className="flex items-center mt-1 text-gray-400 text-sm"><Bell className="w-4 h-4 mr-2" /><span>Next: {nextDose.scheduledAt.toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' })}</span></div>}
+                {taperStep && <p className="mt-1 text-sm text-pink-300">Today's dose: {taperStep.dose} {schedule.doseUnit || 'mg'}</p>}
+                {schedule.type === 'prn' && <p className="mt-1 text-sm text-blue-300">Taken today: {takenToday}{schedule.maxPerDay ? ` / ${schedule.maxPerDay}` : ''}</p>}
+                {documents.map(d => <a key={d.id} href={d.url} target="_blank" rel="noopener noreferrer" className="text-cyan-400 text-sm hover:underline mt-1 flex items-center"><FileText className="w-4 h-4 mr-1"/> {d.name}</a>)}
+                <div className="mt-4 flex justify-between items-center">
+                    <div className="flex items-center text-cyan-400"><Package className="w-6 h-6 mr-2" /><span className="text-2xl font-semibold">{medicine.stock}</span><span className="text-sm ml-1 text-gray-400">{medicine.unit ? unitLabel(medicine.stock, medicine.unit) : ''} in stock</span></div>
+                    <div className="flex items-center gap-2">
+                        <input type="number" min="0" step="any" value={quantity} onChange={(e) => setQuantity(e.target.value)} title={`Quantity (${medicine.unit || 'unit'})`} className="w-16 bg-gray-700 border border-gray-600 text-white rounded-lg p-2 text-sm"/>
+                        <button onClick={() => onTakeDose(medicine, Number(quantity))} disabled={medicine.stock < Number(quantity) || !(Number(quantity) > 0) || prnLimitReached} className="flex items-center justify-center px-4 py-2 bg-cyan-500 text-white font-semibold rounded-lg shadow-md hover:bg-cyan-600 disabled:bg-gray-600 disabled:cursor-not-allowed transition-all transform hover:scale-105"><Pill className="w-5 h-5 mr-2" /> Take</button>
+                    </div>
+                </div>
+                <div className="mt-3 flex justify-between items-center text-sm">
+                    <span className={lowStock ? 'text-yellow-400 flex items-center gap-1' : 'text-gray-400'}>
+                        {lowStock && <AlertTriangle className="w-4 h-4"/>}
+                        {medicine.stock <= 0 ? 'Out of stock' : forecast ? `Runs out on ${forecast.runOutDate.toLocaleDateString()}` : 'No upcoming use'}
+                    </span>
+                    {!refill && <button onClick={() => setRefill({ quantity: '', pharmacy: '' })} className="text-cyan-400 hover:text-cyan-300 flex items-center"><Plus className="w-4 h-4 mr-1"/> Record refill</button>}
+                </div>
+                {refill && (
+                    <form onSubmit={submitRefill} className="mt-3 grid grid-cols-2 gap-2">
+                        <input type="number" min="0" step="any" placeholder={`Quantity (${medicine.unit || 'unit'})`} value={refill.quantity} onChange={(e) => setRefill({ ...refill, quantity: e.target.value })} className="bg-gray-700 border border-gray-600 text-white rounded-lg p-2 text-sm" required/>
+                        <input placeholder="Pharmacy" list="contacts-pharmacy" autoComplete="off" value={refill.pharmacy} onChange={(e) => setRefill({ ...refill, pharmacy: e.target.value })} className="bg-gray-700 border border-gray-600 text-white rounded-lg p-2 text-sm"/>
+                        <button type="button" onClick={() => setRefill(null)} className="py-1 rounded bg-gray-600 hover:bg-gray-500 text-white text-sm">Cancel</button>
+                        <button type="submit" className="py-1 rounded bg-cyan-500 hover:bg-cyan-600 text-white text-sm">Save Refill</button>
+                    </form>
+                )}
+            </div>
+        </div>
+    );
+};
+
+const InteractionWarning = ({ warning, onAcknowledge }) => (
+    <div className={`border p-3 rounded-lg flex items-start gap-3 ${SEVERITY_STYLES[warning.severity] || SEVERITY_STYLES.minor}`}>
+        <AlertTriangle className="w-5 h-5 mt-0.5 shrink-0"/>
+        <div className="flex-1">
+            <p className="font-bold">{warning.medicineNames.join(' + ')} <span className="text-xs uppercase ml-1 opacity-80">{warning.severity}</span></p>
+            <p className="text-sm">{warning.description}</p>
+        </div>
+        {onAcknowledge && <button onClick={() => onAcknowledge(warning.id)} className="text-xs font-semibold underline whitespace-nowrap">Got it</button>}
+    </div>
+);
+
+const AddMedicineForm = ({ initialMedicine = null, existingMedicines, contacts, documents, onAdd, onBack }) => {
+    const [med, setMed] = useState(() => {
+        const defaults = { name: '', ingredients: '', doctor: '', stock: '', strength: '', strengthUnit: 'mg', form: 'tablet', unit: 'tablet', doseQuantity: 1, lowStockDays: DEFAULT_LOW_STOCK_DAYS };
+        if (!initialMedicine) return defaults;
+        // Only form fields are copied; id, createdAt and schedule are not part of the update
+        const fields = Object.fromEntries(Object.keys(defaults).map(key => [key, initialMedicine[key] ?? defaults[key]]));
+        return { ...fields, ingredients: (initialMedicine.ingredients || []).join(', '), unit: initialMedicine.unit || 'unit', strength: initialMedicine.strength ?? '' };
+    });
+    // The stock when editing began; saving applies only the change from it (see Offline Sync)
+    const [openedStock] = useState(() => initialMedicine ? Number(initialMedicine.stock) || 0 : null);
+    const [schedule, setSchedule] = useState(() => {
+        const saved = initialMedicine ? getSchedule(initialMedicine) : {};
+        return {
+            type: 'daily', times: ['08:00'], weekdays: [1], everyHours: 8, steps: [{ days: 5, dose: '' }], doseUnit: 'mg',
+            startDate: toDateInputValue(new Date()), endDate: '',
+            ...saved,
+            maxPerDay: saved.maxPerDay ?? '',
+        };
+    });
+    const [prescriptionFiles, setPrescriptionFiles] = useState([]);
+    const [fileErrors, setFileErrors] = useState([]);
+    const [isUploading, setIsUploading] = useState(false);
+
+    const ingredientList = med.ingredients.split(',').map(i => i.trim()).filter(Boolean);
+    const warnings = useMemo(() => {
+        if (!med.name) return [];
+        return checkInteractions([...existingMedicines, { id: 'new', name: med.name, ingredients: ingredientList }])
+            .filter(w => w.medicineIds.includes('new'));
+    }, [existingMedicines, med.name, med.ingredients]);
+
+    const handleInputChange = (e) => setMed({...med, [e.target.name]: e.target.value});
+    const handleFilesChange = (e) => {
+        const files = [...e.target.files];
+        e.target.value = '';
+        setFileErrors(files.map(validateDocumentFile).filter(Boolean));
+        setPrescriptionFiles(prev => [...prev, ...files.filter(file => !validateDocumentFile(file))]);
+    };
+    const handleFormChange = (e) => setMed({ ...med, form: e.target.value, unit: MEDICINE_FORMS.find(f => f.value === e.target.value).unit });
+    const handleScheduleChange = (e) => setSchedule({ ...schedule, [e.target.name]: e.target.value });
+
+    const handleDosesPerDayChange = (e) => {
+        const numTimes = Math.min(Math.max(Number(e.target.value) || 1, 1), 6);
+        setSchedule({ ...schedule, times: Array.from({ length: numTimes }, (_, i) => schedule.times[i] || '08:00') });
+    };
+
+    const handleTimeChange = (index, value) => {
+        const newTimes = [...schedule.times];
+        newTimes[index] = value;
+        setSchedule({...schedule, times: newTimes});
+    };
+
+    const toggleWeekday = (day) => {
+        const weekdays = schedule.weekdays.includes(day) ? schedule.weekdays.filter(d => d !== day) : [...schedule.weekdays, day].sort();
+        setSchedule({ ...schedule, weekdays });
+    };
+
+    const handleStepChange = (index, field, value) => {
+        const steps = schedule.steps.map((step, i) => i === index ? { ...step, [field]: value } : step);
+        setSchedule({ ...schedule, steps });
+    };
+
+    // Only the fields that apply to the chosen type are stored
+    const buildSchedule = () => {
+        const { type, times, weekdays, everyHours, steps, doseUnit, maxPerDay, startDate, endDate } = schedule;
+        const base = { type, startDate, endDate };
+        switch (type) {
+            case 'weekdays': return { ...base, times, weekdays };
+            case 'interval': return { ...base, times: times.slice(0, 1), everyHours: Number(everyHours) };
+            case 'taper': return { ...base, times, doseUnit, steps: steps.map(step => ({ days: Number(step.days), dose: Number(step.dose) })) };
+            case 'prn': return { ...base, maxPerDay: maxPerDay ? Number(maxPerDay) : null };
+            default: return { ...base, times };
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!med.name || !med.doctor || !med.stock) return;
+        if (schedule.type === 'weekdays' && schedule.weekdays.length === 0) return;
+        if (schedule.type === 'taper' && schedule.steps.some(step => !step.days || !step.dose)) return;
+        const finalMed = {
+            ...med,
+            ingredients: ingredientList,
+            stock: Number(med.stock),
+            strength: med.strength ? Number(med.strength) : null,
+            doseQuantity: Number(med.doseQuantity) || 1,
+            lowStockDays: Number(med.lowStockDays) || DEFAULT_LOW_STOCK_DAYS,
+            unit: med.unit.trim() || 'unit',
+            schedule: buildSchedule(),
+        };
+
+        setIsUploading(true);
+        await onAdd(finalMed, prescriptionFiles, openedStock);
+        setIsUploading(false);
+    };
+
+    return (
+        <div className="bg-gray-800 p-8 rounded-lg shadow-2xl max-w-2xl mx-auto border border-gray-700">
+            <button onClick={onBack} className="flex items-center mb-6 text-cyan-400 hover:text-cyan-300"><ChevronLeft className="w-5 h-5 mr-1" /> Back</button>
+            <form onSubmit={handleSubmit} className="space-y-6">
+                <InputField name="name" label="Medicine Name" value={med.name} onChange={handleInputChange} required />
+                <InputField name="ingredients" label="Active Ingredients (Optional, comma separated)" value={med.ingredients} onChange={handleInputChange} placeholder="e.g., paracetamol, caffeine" />
+                {warnings.length > 0 && (
+                    <div className="space-y-2">
+                        {warnings.map(w => <InteractionWarning key={w.id} warning={w} />)}
+                    </div>
+                )}
+                <ContactField contacts={contacts} type="doctor" name="doctor" label="Doctor's Name" value={med.doctor} onChange={handleInputChange} required />
+                <div className="grid grid-cols-2 gap-4">
+                    <SelectField name="form" label="Form" value={med.form} onChange={handleFormChange} options={MEDICINE_FORMS} />
+                    <div className="grid grid-cols-[2fr_1fr] gap-2 items-end">
+                        <InputField name="strength" label="Strength (Optional)" type="number" min="0" step="any" value={med.strength} onChange={handleInputChange} placeholder="e.g., 500" />
+                        <SelectField name="strengthUnit" label="" value={med.strengthUnit} onChange={handleInputChange} options={STRENGTH_UNITS} />
+                    </div>
+                    <InputField name="doseQuantity" label="Quantity per Dose" type="number" min="0" step="any" value={med.doseQuantity} onChange={handleInputChange} required />
+                    <InputField name="unit" label="Counted in" value={med.unit} onChange={handleInputChange} placeholder="e.g., tablet, ml, units, puff" required />
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                    <InputField name="stock" label={`Total in Stock (${unitLabel(2, med.unit || 'unit')})`} type="number" min="0" step="any" value={med.stock} onChange={handleInputChange} required />
+                    <InputField name="lowStockDays" label="Refill Alert (days of supply)" type="number" min="1" value={med.lowStockDays} onChange={handleInputChange} required />
+                </div>
+                <SelectField name="type" label="Dosing Schedule" value={schedule.type} onChange={handleScheduleChange} options={SCHEDULE_TYPES} />
+
+                {schedule.type === 'weekdays' && (
+                    <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-2">Days</label>
+                        <div className="flex flex-wrap gap-2">
+                            {WEEKDAY_LABELS.map((label, day) => (
+                                <button key={label} type="button" onClick={() => toggleWeekday(day)} className={`px-3 py-1 rounded-lg text-sm font-semibold ${schedule.weekdays.includes(day) ? 'bg-cyan-500 text-white' : 'bg-gray-700 text-gray-300'}`}>{label}</button>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
+                {schedule.type === 'interval' && (
+                    <div className="grid grid-cols-2 gap-4">
+                        <InputField name="everyHours" label="Every (hours)" type="number" min="1" max="72" value={schedule.everyHours} onChange={handleScheduleChange} required />
+                        <InputField label="First Dose" type="time" value={schedule.times[0]} onChange={(e) => handleTimeChange(0, e.target.value)} required />
+                    </div>
+                )}
+
+                {schedule.type === 'taper' && (
+                    <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-2">Tapering Steps</label>
+                        {schedule.steps.map((step, index) => (
+                            <div key={index} className="grid grid-cols-[1fr_1fr_auto] gap-2 mb-2 items-center">
+                                <input type="number" min="1" placeholder="Days" value={step.days} onChange={(e) => handleStepChange(index, 'days', e.target.value)} className="bg-gray-700 border border-gray-600 rounded-lg p-2"/>
+                                <input type="number" min="0" step="any" placeholder={`Dose (${schedule.doseUnit})`} value={step.dose} onChange={(e) => handleStepChange(index, 'dose', e.target.value)} className="bg-gray-700 border border-gray-600 rounded-lg p-2"/>
+                                <button type="button" onClick={() => setSchedule({ ...schedule, steps: schedule.steps.filter((_, i) => i !== index) })} disabled={schedule.steps.length === 1} className="text-red-400 hover:text-red-300 p-2 disabled:text-gray-600"><Trash2 className="w-5 h-5"/></button>
+                            </div>
+                        ))}
+                        <div className="flex gap-4 items-center">
+                            <button type="button" onClick={() => setSchedule({ ...schedule, steps: [...schedule.steps, { days: '', dose: '' }] })} className="text-cyan-400 hover:text-cyan-300 text-sm flex items-center"><Plus className="w-4 h-4 mr-1"/> Add Step</button>
+                            <input name="doseUnit" value={schedule.doseUnit} onChange={handleScheduleChange} className="w-24 bg-gray-700 border border-gray-600 rounded-lg p-1 text-sm" aria-label="Dose unit"/>
+                        </div>
+                    </div>
+                )}
+
+                {schedule.type === 'prn' && (
+                    <InputField name="maxPerDay" label="Maximum Doses per Day (Optional)" type="number" min="1" value={schedule.maxPerDay} onChange={handleScheduleChange} />
+                )}
+
+                {['daily', 'weekdays', 'alternate', 'taper'].includes(schedule.type) && (
+                    <div>
+                        <InputField label="Doses per Day" type="number" min="1" max="6" value={schedule.times.length} onChange={handleDosesPerDayChange} />
+                        <label className="block text-sm font-medium text-gray-300 mt-4 mb-2">Dosage Times</label>
+                        {schedule.times.map((time, index) => <input key={index} type="time" value={time} onChange={(e) => handleTimeChange(index, e.target.value)} className="w-full bg-gray-700 border border-gray-600 rounded-lg p-2 mb-2"/>)}
+                    </div>
+                )}
+
+                <div className="grid grid-cols-2 gap-4">
+                    <InputField name="startDate" label="Start Date" type="date" value={schedule.startDate} onChange={handleScheduleChange} required />
+                    <InputField name="endDate" label="End Date (Optional)" type="date" value={schedule.endDate} min={schedule.startDate} onChange={handleScheduleChange} />
+                </div>
+
+                <div>
+                    <label htmlFor="prescription" className="block text-sm font-medium text-gray-300 mb-2">Upload Prescriptions (Optional)</label>
+                    {documents.length > 0 && <p className="text-sm text-gray-400 mb-2">Attached: {documents.map(d => d.name).join(', ')}</p>}
+                    <div className="mt-1 flex justify-center px-6 pt-5 pb-6 border-2 border-gray-600 border-dashed rounded-md">
+                        <div className="space-y-1 text-center">
+                            <Upload className="mx-auto h-12 w-12 text-gray-500"/>
+                            <div className="flex text-sm text-gray-400">
+                                <label htmlFor="file-upload" className="relative cursor-pointer bg-gray-700 rounded-md font-medium text-cyan-400 hover:text-cyan-300 focus-within:outline-none p-1">
+                                    <span>Upload files</span>
+                                    <input id="file-upload" name="file-upload" type="file" multiple accept={Object.keys(DOCUMENT_FILE_TYPES).join(',')} className="sr-only" onChange={handleFilesChange} />
+                                </label>
+                                <p className="pl-1">or drag and drop</p>
+                            </div>
+                            <p className="text-xs text-gray-500">{prescriptionFiles.length ? prescriptionFiles.map(file => file.name).join(', ') : 'PNG, JPG, WebP, PDF up to 10MB'}</p>
+                            {prescriptionFiles.length > 0 && <button type="button" onClick={() => setPrescriptionFiles([])} className="text-xs text-red-400 hover:text-red-300">Clear</button>}
+                        </div>
+                    </div>
+                    {fileErrors.map(err => <p key={err} className="text-sm text-red-400 mt-1">{err}</p>)}
+                </div>
+
+                <button type="submit" disabled={isUploading} className="w-full flex justify-center py-3 px-4 rounded-lg shadow-lg text-white bg-cyan-500 hover:bg-cyan-600 disabled:bg-gray-500">
+                    {isUploading ? 'Uploading...' : `${initialMedicine ? 'Save Changes' : 'Add Medication'}${warnings.length > 0 ? ' Anyway' : ''}`}
+                </button>
+            </form>
+        </div>
+    );
+};
+
+const HistoryView = ({ profile, userId, logs, refills, medicines, vitals, symptoms, onUndoLog, onBack }) => {
+    const [timeFilter, setTimeFilter] = useState('year'); // 'day', 'month', 'year'
+
+    const startDate = useMemo(() => {
+        const now = new Date();
+        let startDate = new Date();
+        if (timeFilter === 'day') startDate.setDate(now.getDate() - 1);
+        else if (timeFilter === 'month') startDate.setMonth(now.getMonth() - 1);
+        else startDate.setFullYear(now.getFullYear() - 1);
+        return startDate;
+    }, [timeFilter]);
+
+    const filteredLogs = useMemo(() => {
+        return logs
+            .filter(log => log.takenAt?.toDate() >= startDate)
+            .sort((a, b) => b.takenAt.toDate() - a.takenAt.toDate());
+    }, [logs, startDate]);
+
+    const filteredRefills = useMemo(() => {
+        return refills
+            .filter(refill => refill.refilledAt?.toDate() >= startDate)
+            .sort((a, b) => b.refilledAt.toDate() - a.refilledAt.toDate());
+    }, [refills, startDate]);
+
+    const timeline = useMemo(() => buildHealthTimeline(profile, vitals, symptoms, startDate), [profile, vitals, symptoms, startDate]);
+
+    const adherence = useMemo(() => computeAdherence(medicines, logs, startDate), [medicines, logs, startDate]);
+    const recentMissed = useMemo(() => adherence.slots.filter(s => s.status === 'missed').sort((a, b) => b.scheduledAt - a.scheduledAt).slice(0, 10), [adherence]);
+
+    const pieData = useMemo(() => {
+        const counts = filteredLogs.filter(log => log.status !== 'skipped').reduce((acc, log) => {
+            acc[log.medicineName] = (acc[log.medicineName] || 0) + 1;
+            return acc;
+        }, {});
+        return Object.entries(counts).map(([name, value]) => ({ name, value }));
+    }, [filteredLogs]);
+
+    const COLORS = ['#06b6d4', '#8b5cf6', '#ec4899', '#f59e0b', '#10b981', '#3b82f6'];
+
+    return (
+        <div className="bg-gray-800 p-4 sm:p-8 rounded-lg shadow-2xl border border-gray-700">
+            <button onClick={onBack} className="flex items-center mb-6 text-cyan-400 hover:text-cyan-300"><ChevronLeft className="w-5 h-5 mr-1" /> Back</button>
+            <div className="flex justify-center gap-2 mb-6">
+                {['day', 'month', 'year'].map(filter => (
+                    <button key={filter} onClick={() => setTimeFilter(filter)} className={`px-4 py-2 rounded-lg text-sm font-semibold ${timeFilter === filter ? 'bg-cyan-500 text-white' : 'bg-gray-700 text-gray-300'}`}>
+                        Last {filter.charAt(0).toUpperCase() + filter.slice(1)}
+                    </button>
+                ))}
+            </div>
+            {logs.length === 0 && medicines.length === 0 ? <div className="text-center py-16"><History className="mx-auto h-12 w-12 text-gray-500" /><h3 className="mt-2 text-xl font-medium text-white">No History</h3></div> : (
+                <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+                    <div>
+                        <h3 className="text-xl font-semibold text-white mb-4">Consumption Chart</h3>
+                        <div className="w-full h-80">
+                            <ResponsiveContainer>
+                                <PieChart>
+                                    <Pie data={pieData} cx="50%" cy="50%" labelLine={false} outerRadius="80%" fill="#8884d8" dataKey="value" label={({ name, percent }) => `${name} ${(percent * 100).toFixed(0)}%`}>
+                                        {pieData.map((entry, index) => <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />)}
+                                    </Pie>
+                                    <Tooltip contentStyle={{ backgroundColor: '#1f2937', border: '1px solid #4b5563' }} />
+                                    <Legend />
+                                </PieChart>
+                            </ResponsiveContainer>
+                        </div>
+                    </div>
+                    <AdherencePanel adherence={adherence} recentMissed={recentMissed} />
+                    <div>
+                        <h3 className="text-xl font-semibold text-white mb-4">Detailed Log</h3>
+                        <div className="max-h-96 overflow-y-auto pr-2 space-y-3">
+                            {filteredLogs.map(log => (
+                                <div key={log.id} className="bg-gray-700 p-3 rounded-lg flex justify-between items-center">
+                                    <div>
+                                        <span className="font-medium text-white">{log.medicineName}</span>
+                                        {log.status === 'skipped'
+                                            ? <span className="text-sm text-red-400 ml-2">Skipped{log.reason ? ` (${log.reason})` : ''}</span>
+                                            : <span className="text-sm text-gray-400 ml-2">{formatQuantity(log.quantity ?? 1, log.unit)}</span>}
+                                        {log.recordedBy && log.recordedBy.uid !== userId && <span className="text-xs text-gray-500 ml-2">by {log.recordedBy.name}</span>}
+                                    </div>
+                                    <div className="flex items-center gap-2">
+                                        <span className="text-sm text-gray-400">{log.takenAt.toDate().toLocaleString()}</span>
+                                        <button onClick={() => onUndoLog(log)} title={log.status === 'skipped' ? 'Remove entry' : 'Undo and return to stock'} className="text-gray-400 hover:text-red-300 p-1"><Undo2 className="w-4 h-4"/></button>
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                </div>
+            )}
+            {filteredRefills.length > 0 && (
+                <div className="mt-8">
+                    <h3 className="text-xl font-semibold text-white mb-4">Refill History</h3>
+                    <div className="max-h-64 overflow-y-auto pr-2 space-y-3">
+                        {filteredRefills.map(refill => (
+                            <div key={refill.id} className="bg-gray-700 p-3 rounded-lg flex justify-between items-center">
+                                <div>
+                                    <span className="font-medium text-white">{refill.medicineName}</span>
+                                    <span className="text-sm text-gray-400 ml-2">+{formatQuantity(refill.quantity, refill.unit)}{refill.pharmacy ? ` from ${refill.pharmacy}` : ''}</span>
+                                </div>
+                                <span className="text-sm text-gray-400">{refill.refilledAt.toDate().toLocaleDateString()}</span>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+            {timeline.length > 0 && (
+                <div className="mt-8">
+                    <h3 className="text-xl font-semibold text-white mb-4">Vitals & Symptoms</h3>
+                    <div className="max-h-96 overflow-y-auto pr-2 space-y-3">
+                        {timeline.map(entry => (
+                            <div key={entry.id} className={`p-3 rounded-lg flex justify-between items-start ${entry.kind === 'symptom' ? 'bg-orange-900/40 border border-orange-800' : 'bg-gray-700'}`}>
+                                <div>
+                                    <span className="font-medium text-white">{entry.title}</span>
+                                    {entry.detail && <p className="text-sm text-gray-400">{entry.detail}</p>}
+                                    {entry.notes && <p className="text-sm text-gray-300 italic">{entry.notes}</p>}
+                                </div>
+                                <span className="text-sm text-gray-400 whitespace-nowrap ml-4">{entry.when.toLocaleString()}</span>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const AdherencePanel = ({ adherence, recentMissed }) => {
+    const { overall, byMedicine } = adherence;
+    return (
+        <div>
+            <h3 className="text-xl font-semibold text-white mb-4">Adherence</h3>
+            <div className="bg-gray-700 p-4 rounded-lg mb-4 flex items-center justify-between">
+                <div>
+                    <p className="text-sm text-gray-400">Overall</p>
+                    <p className="text-3xl font-bold text-white">{overall.percent === null ? '—' : `${overall.percent}%`}</p>
+                </div>
+                <div className="grid grid-cols-2 gap-x-4 text-sm text-gray-300">
+                    <span>Taken: {overall.taken}</span>
+                    <span>Late: {overall.late}</span>
+                    <span className="text-red-400">Missed: {overall.missed}</span>
+                    <span>Skipped: {overall.skipped}</span>
+                </div>
+            </div>
+            <div className="space-y-3">
+                {byMedicine.map(m => (
+                    <div key={m.medicineId}>
+                        <div className="flex justify-between text-sm mb-1">
+                            <span className="font-medium text-white">{m.name}</span>
+                            <span className="text-gray-400">{m.percent === null ? 'No doses due' : `${m.percent}% (${m.missed} missed)`}</span>
+                        </div>
+                        <div className="w-full bg-gray-700 rounded-full h-2">
+                            <div className={`h-2 rounded-full ${adherenceColor(m.percent)}`} style={{ width: `${m.percent || 0}%` }}></div>
+                        </div>
+                    </div>
+                ))}
+            </div>
+            {recentMissed.length > 0 && (
+                <div className="mt-6">
+                    <h4 className="font-semibold text-white mb-2 flex items-center gap-2"><AlertTriangle className="w-4 h-4 text-red-400"/> Recently Missed</h4>
+                    <div className="max-h-48 overflow-y-auto pr-2 space-y-2">
+                        {recentMissed.map(slot => (
+                            <div key={`${slot.medicineId}-${slot.scheduledAt.getTime()}`} className="bg-gray-700 p-2 rounded flex justify-between text-sm">
+                                <span className="text-white">{slot.medicineName}</span>
+                                <span className="text-gray-400">{slot.scheduledAt.toLocaleString()}</span>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const AccountView = ({ account, profileCount, onCreateAccount, onSignIn, onGoogle, onResetPassword, onResendVerification, onCheckVerification, onSignOut, onDeleteAccount, onBack }) => {
+    const [mode, setMode] = useState(account?.isAnonymous ? 'create' : 'signIn');
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [deleteConfirmation, setDeleteConfirmation] = useState('');
+    const [status, setStatus] = useState(null); // { type: 'working' | 'done' | 'error', message }
+    const usesPassword = account?.providers.includes('password');
+
+    const run = async (action, doneMessage = null) => {
+        setStatus({ type: 'working', message: 'Please wait...' });
+        try {
+            await action();
+            setStatus(doneMessage && { type: 'done', message: doneMessage });
+            setPassword('');
+            setConfirmPassword('');
+        } catch (e) {
+            setStatus({ type: 'error', message: e.message });
+        }
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (mode === 'create' && password !== confirmPassword) {
+            setStatus({ type: 'error', message: 'The passwords do not match.' });
+            return;
+        }
+        run(() => mode === 'create' ? onCreateAccount({ email: email.trim(), password }) : onSignIn({ email: email.trim(), password }));
+    };
+
+    const resetPassword = () => {
+        if (!email.trim()) {
+            setStatus({ type: 'error', message: 'Enter your email address first.' });
+            return;
+        }
+        run(() => onResetPassword(email.trim()), `A password reset link was sent to ${email.trim()}.`);
+    };
+
+    return (
+        <div className="bg-gray-800 p-8 rounded-lg shadow-2xl max-w-xl mx-auto border border-gray-700">
+            <button onClick={onBack} className="flex items-center mb-6 text-cyan-400 hover:text-cyan-300"><ChevronLeft className="w-5 h-5 mr-1" /> Back</button>
+            <h2 className="text-2xl font-bold text-white mb-4">Account</h2>
+            {account?.isAnonymous ? (
+                <>
+                    <p className="text-gray-400 mb-6">You are using a guest account, which only lasts as long as this browser keeps its sign-in. Create an account to keep your profiles and use them on other devices.</p>
+                    <div className="flex gap-2 mb-4">
+                        {[['create', 'Create account'], ['signIn', 'Sign in']].map(([value, label]) => (
+                            <button key={value} onClick={() => { setMode(value); setStatus(null); }} className={`px-3 py-1 rounded text-sm ${mode === value ? 'bg-cyan-500 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}>{label}</button>
+                        ))}
+                    </div>
+                    {mode === 'signIn' && profileCount > 0 && (
+                        <p className="text-sm text-yellow-300 mb-4">Signing in to an existing account switches to its data. The {profileCount} {profileCount === 1 ? 'profile' : 'profiles'} in this guest account will not be moved; create an account instead to keep them.</p>
+                    )}
+                    <form onSubmit={handleSubmit} className="space-y-4">
+                        <InputField label="Email" type="email" autoComplete="email" value={email} onChange={e => setEmail(e.target.value)} required />
+                        <InputField label="Password" type="password" autoComplete={mode === 'create' ? 'new-password' : 'current-password'} value={password} onChange={e => setPassword(e.target.value)} required />
+                        {mode === 'create' && <InputField label="Confirm password" type="password" autoComplete="new-password" value={confirmPassword} onChange={e => setConfirmPassword(e.target.value)} required />}
+                        <button type="submit" disabled={status?.type === 'working'} className="w-full py-2 px-4 rounded-lg text-white bg-cyan-500 hover:bg-cyan-600 disabled:bg-gray-600">{mode === 'create' ? 'Create Account' : 'Sign In'}</button>
+                    </form>
+                    <button onClick={() => run(() => onGoogle(mode === 'create'))} disabled={status?.type === 'working'} className="w-full mt-3 py-2 px-4 rounded-lg text-white bg-gray-700 hover:bg-gray-600 disabled:bg-gray-600">Continue with Google</button>
+                    {mode === 'signIn' && <button onClick={resetPassword} className="mt-3 text-sm text-cyan-400 hover:text-cyan-300">Forgot your password?</button>}
+                </>
+            ) : (
+                <>
+                    <p className="text-gray-300">Signed in as <span className="font-semibold text-white">{account?.email || account?.displayName}</span></p>
+                    <p className="text-sm text-gray-400 mb-6">with {account?.providers.map(p => p === 'password' ? 'email and password' : p === 'google.com' ? 'Google' : p).join(' and ')}</p>
+                    {account?.email && !account.emailVerified && (
+                        <div className="bg-gray-700 p-3 rounded-lg mb-6">
+                            <p className="text-sm text-yellow-300">Your email address is not verified yet. Open the link we sent to {account.email} so you can accept invites sent to it.</p>
+                            <div className="flex gap-3 mt-2 text-sm">
+                                <button onClick={() => run(onCheckVerification)} className="text-cyan-400 hover:text-cyan-300">I've verified it</button>
+                                <button onClick={() => run(onResendVerification, `A new link was sent to ${account.email}.`)} className="text-cyan-400 hover:text-cyan-300">Send the link again</button>
+                            </div>
+                        </div>
+                    )}
+                    <div className="flex flex-wrap gap-3">
+                        <button onClick={() => run(onSignOut)} className="py-2 px-4 rounded-lg text-white bg-gray-700 hover:bg-gray-600">Sign Out</button>
+                        {usesPassword && <button onClick={() => run(() => onResetPassword(account.email), `A password reset link was sent to ${account.email}.`)} className="py-2 px-4 rounded-lg text-white bg-gray-700 hover:bg-gray-600">Reset Password</button>}
+                    </div>
+                </>
+            )}
+            {status && <p className={`mt-4 text-sm ${status.type === 'error' ? 'text-red-400' : status.type === 'done' ? 'text-green-400' : 'text-gray-300'}`}>{status.message}</p>}
+            <div className="mt-8 pt-6 border-t border-gray-700 space-y-3">
+                <h3 className="text-lg font-semibold text-red-300">Delete Account</h3>
+                <p className="text-sm text-gray-400">Deletes the account with all its profiles, records, documents and contacts. This cannot be undone.</p>
+                <InputField label='Type "DELETE" to confirm' value={deleteConfirmation} onChange={e => setDeleteConfirmation(e.target.value)} />
+                {usesPassword && <InputField label="Password" type="password" autoComplete="current-password" value={password} onChange={e => setPassword(e.target.value)} />}
+                <button onClick={() => run(() => onDeleteAccount(password))} disabled={deleteConfirmation !== 'DELETE' || (usesPassword && !password) || status?.type === 'working'} className="py-2 px-4 rounded-lg text-white bg-red-600 hover:bg-red-500 disabled:bg-gray-600 disabled:cursor-not-allowed">Delete Account and All Data</button>
+            </div>
+        </div>
+    );
+};
 
-    // --- Firebase Initialization ---
-    useEffect(() => {
+// Members, open invites and new invites for one profile. Reloaded after every change, since the
+// share is not followed live outside this panel.
+const SharingPanel = ({ profile, sharing }) => {
+    const [state, setState] = useState(null); // { members, invites }
+    const [role, setRole] = useState('caregiver');
+    const [email, setEmail] = useState('');
+    const [created, setCreated] = useState(null); // { code, email }
+    const [status, setStatus] = useState(null); // { type: 'working' | 'error', message }
+
+    const run = async (action) => {
+        setStatus({ type: 'working', message: 'Please wait...' });
         try {
-            setLogLevel('debug');
-            const app = initializeApp(firebaseConfig);
-            const firestoreDb = getFirestore(app);
-            const firebaseAuth = getAuth(app);
-            const firebaseStorage = getStorage(app);
-            setDb(firestoreDb);
-            setAuth(firebaseAuth);
-            setStorage(firebaseStorage);
+            await action();
+            setState(await sharing.onLoad(profile));
+            setStatus(null);
+        } catch (e) {
+            setStatus({ type: 'error', message: e.message });
+        }
+    };
 
-            const unsubscribe = onAuthStateChanged(firebaseAuth, async (user) => {
-                if (user) {
-                    setUserId(user.uid);
-                    setIsAuthReady(true);
-                } else {
-                    try {
-                        if (initialAuthToken) await signInWithCustomToken(firebaseAuth, initialAuthToken);
-                        else await signInAnonymously(firebaseAuth);
-                    } catch (authError) {
-                        console.error("Authentication Error:", authError);
-                        setError("Failed to authenticate.");
-                        setIsLoading(false);
-                    }
-                }
-            });
-            return () => unsubscribe();
+    useEffect(() => { run(async () => {}); }, [profile.id]);
+
+    const handleInvite = (e) => {
+        e.preventDefault();
+        run(async () => {
+            const code = await sharing.onInvite(profile, { role, email });
+            setCreated({ code, email: email.trim() });
+            setEmail('');
+        });
+    };
+
+    const roleOptions = SHARE_ROLES.map(r => ({ value: r.value, label: r.label }));
+    const createdLink = created && getInviteLink(created.code);
+    return (
+        <div className="bg-gray-800 p-4 rounded-lg mt-2 space-y-4 text-sm">
+            <form onSubmit={handleInvite} className="space-y-3">
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                    <SelectField label="Role" value={role} onChange={e => setRole(e.target.value)} options={roleOptions} />
+                    <InputField label="Email (optional)" type="email" value={email} onChange={e => setEmail(e.target.value)} placeholder="Only this address can accept" />
+                </div>
+                <p className="text-gray-400">{getShareRole(role).description}.</p>
+                <button type="submit" disabled={status?.type === 'working'} className="py-2 px-4 rounded-lg text-white bg-cyan-500 hover:bg-cyan-600 disabled:bg-gray-600">Create Invite</button>
+            </form>
+            {created && (
+                <div className="bg-gray-700 p-3 rounded-lg space-y-1">
+                    <p className="text-gray-300">Share this code or link{created.email ? ` with ${created.email}` : ''}. It works once and expires in {INVITE_TTL_DAYS} days.</p>
+                    <p className="font-mono text-lg text-white tracking-widest">{created.code}</p>
+                    <div className="flex gap-4">
+                        <button type="button" onClick={() => navigator.clipboard?.writeText(createdLink)} className="text-cyan-400 hover:text-cyan-300">Copy link</button>
+                        {created.email && <a href={`mailto:${created.email}?subject=${encodeURIComponent(`${profile.name}'s MediTrack profile`)}&body=${encodeURIComponent(`Open ${createdLink} or enter the invite code ${created.code} in MediTrack under Profiles.`)}`} className="text-cyan-400 hover:text-cyan-300">Send by email</a>}
+                    </div>
+                </div>
+            )}
+            {state && (
+                <>
+                    <div className="space-y-2">
+                        <h4 className="font-semibold text-white">People with access</h4>
+                        {state.members.length === 0 ? <p className="text-gray-400">Only you.</p> : state.members.map(member => (
+                            <div key={member.uid} className="flex items-center gap-3">
+                                <span className="text-white flex-1">{member.name}</span>
+                                <select value={member.role} onChange={e => run(() => sharing.onChangeRole(profile, member.uid, e.target.value))} className="bg-gray-700 border border-gray-600 text-white rounded p-1">
+                                    {roleOptions.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                                </select>
+                                <button type="button" onClick={() => run(() => sharing.onRevoke(profile, member.uid))} className="text-red-400 hover:text-red-300">Revoke</button>
+                            </div>
+                        ))}
+                    </div>
+                    {state.invites.length > 0 && (
+                        <div className="space-y-2">
+                            <h4 className="font-semibold text-white">Open invites</h4>
+                            {state.invites.map(invite => (
+                                <div key={invite.code} className="flex items-center gap-3">
+                                    <span className="font-mono text-gray-300">{invite.code}</span>
+                                    <span className="text-gray-400 flex-1">{getShareRole(invite.role).label}{invite.email ? ` · ${invite.email}` : ''} · expires {toDate(invite.expiresAt).toLocaleDateString()}</span>
+                                    <button type="button" onClick={() => run(() => sharing.onCancelInvite(invite.code))} className="text-gray-400 hover:text-gray-300">Cancel</button>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </>
+            )}
+            {status && <p className={status.type === 'error' ? 'text-red-400' : 'text-gray-300'}>{status.message}</p>}
+        </div>
+    );
+};
+
+// Accepts an invite by code, or one of the invites sent to the account's email address
+const JoinProfilePanel = ({ account, sharing, initialCode = '' }) => {
+    const [code, setCode] = useState(initialCode);
+    const [invites, setInvites] = useState([]);
+    const [status, setStatus] = useState(null); // { type: 'working' | 'error', message }
+
+    useEffect(() => {
+        sharing.onLoadMyInvites().then(setInvites).catch(e => setStatus({ type: 'error', message: e.message }));
+    }, [account?.uid, account?.email, account?.emailVerified]);
+
+    const accept = async (inviteCode) => {
+        setStatus({ type: 'working', message: 'Joining...' });
+        try {
+            await sharing.onAccept(inviteCode);
+            setStatus(null);
+            setCode('');
         } catch (e) {
-            console.error("Firebase Init Error:", e);
-            setError("Could not initialize the application.");
-            setIsLoading(false);
+            setStatus({ type: 'error', message: e.message });
         }
-    }, []);
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (normalizeInviteCode(code)) accept(code);
+    };
+
+    return (
+        <div className="space-y-3 mb-8">
+            <h3 className="text-lg font-semibold text-white">Join a Shared Profile</h3>
+            {invites.map(invite => (
+                <div key={invite.code} className="bg-gray-700 p-3 rounded-lg flex justify-between items-center">
+                    <p className="text-white">{invite.profileName} <span className="text-sm text-gray-400">as {getShareRole(invite.role).label.toLowerCase()}</span></p>
+                    <button onClick={() => accept(invite.code)} disabled={status?.type === 'working'} className="py-1 px-3 rounded text-white bg-cyan-500 hover:bg-cyan-600 disabled:bg-gray-600">Accept</button>
+                </div>
+            ))}
+            <form onSubmit={handleSubmit} className="flex gap-3 items-end">
+                <div className="flex-1"><InputField label="Invite code" value={code} onChange={e => setCode(e.target.value)} placeholder="e.g. K7QM2XRP4A" /></div>
+                <button type="submit" disabled={!normalizeInviteCode(code) || status?.type === 'working'} className="py-2 px-4 rounded-lg text-white bg-cyan-500 hover:bg-cyan-600 disabled:bg-gray-600">Join</button>
+            </form>
+            {account?.isAnonymous && <p className="text-sm text-gray-400">Create an account first if you want to keep access when this browser's guest sign-in is lost.</p>}
+            {account?.email && !account.emailVerified && <p className="text-sm text-gray-400">Invites sent to {account.email} appear here once the address is verified on the Account page.</p>}
+            {status && <p className={`text-sm ${status.type === 'error' ? 'text-red-400' : 'text-gray-300'}`}>{status.message}</p>}
+        </div>
+    );
+};
+
+const ProfileManagement = ({ userId, account, profiles = [], onAddProfile, onDeleteProfile, onLeaveProfile, sharing, inviteCode = '' }) => {
+    const [name, setName] = useState('');
+    const [relationship, setRelationship] = useState('');
+    const [confirmingDelete, setConfirmingDelete] = useState(null); // State for confirmation
+    const [sharingProfileId, setSharingProfileId] = useState(null);
+    const ownProfileCount = profiles.filter(p => isOwnProfile(p, userId)).length;
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!name || !relationship) return;
+        onAddProfile(name, relationship);
+        setName('');
+        setRelationship('');
+    };
+
+    const handleDeleteClick = (profile) => {
+        setConfirmingDelete(profile);
+    };
+
+    const confirmDelete = () => {
+        if (!confirmingDelete) return;
+        if (isOwnProfile(confirmingDelete, userId)) onDeleteProfile(confirmingDelete.id);
+        else onLeaveProfile(confirmingDelete);
+        setConfirmingDelete(null);
+    };
+
+    return (
+        <div className="bg-gray-800 p-8 rounded-lg shadow-2xl max-w-2xl mx-auto border border-gray-700">
+            {confirmingDelete && (
+                <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50">
+                    <div className="bg-gray-900 p-6 rounded-lg shadow-xl border border-red-500">
+                        {isOwnProfile(confirmingDelete, userId) ? (
+                            <>
+                                <h3 className="text-lg font-bold text-white">Confirm Deletion</h3>
+                                <p className="text-gray-300 mt-2">Are you sure you want to delete the profile for <span className="font-bold">{confirmingDelete.name}</span>? All associated data will be lost forever, including for everyone it is shared with.</p>
+                            </>
+                        ) : (
+                            <>
+                                <h3 className="text-lg font-bold text-white">Leave Profile</h3>
+                                <p className="text-gray-300 mt-2">You will no longer see <span className="font-bold">{confirmingDelete.name}</span>'s profile. Its owner can invite you again.</p>
+                            </>
+                        )}
+                        <div className="mt-4 flex justify-end gap-3">
+                            <button onClick={() => setConfirmingDelete(null)} className="px-4 py-2 rounded bg-gray-600 hover:bg-gray-500 text-white">Cancel</button>
+                            <button onClick={confirmDelete} className="px-4 py-2 rounded bg-red-600 hover:bg-red-500 text-white">{isOwnProfile(confirmingDelete, userId) ? 'Delete' : 'Leave'}</button>
+                        </div>
+                    </div>
+                </div>
+            )}
+            <h2 className="text-2xl font-bold text-white mb-6">Manage Profiles</h2>
+            <form onSubmit={handleSubmit} className="space-y-4 mb-8">
+                <InputField label="Profile Name" value={name} onChange={e => setName(e.target.value)} placeholder="e.g., John Doe" required />
+                <InputField label="Relationship" value={relationship} onChange={e => setRelationship(e.target.value)} placeholder="e.g., Self, Spouse, Child" required />
+                <button type="submit" disabled={ownProfileCount >= 10} className="w-full flex justify-center py-2 px-4 rounded-lg text-white bg-cyan-500 hover:bg-cyan-600 disabled:bg-gray-500 disabled:cursor-not-allowed">Add Profile</button>
+                {ownProfileCount >= 10 && <p className="text-sm text-yellow-400 text-center">Profile limit of 10 reached.</p>}
+            </form>
+            <JoinProfilePanel account={account} sharing={sharing} initialCode={inviteCode} />
+            <div className="space-y-3">
+                <h3 className="text-lg font-semibold text-white">Existing Profiles</h3>
+                {profiles.length === 0 ? <p className="text-gray-400">No profiles created yet. Add one above to start.</p> :
+                profiles.map(p => (
+                    <div key={p.id} className="bg-gray-700 p-3 rounded-lg">
+                        <div className="flex justify-between items-center">
+                            <div>
+                                <p className="font-medium text-white">{p.name}</p>
+                                <p className="text-sm text-gray-400">{p.relationship}{!isOwnProfile(p, userId) && ` · Shared with you as ${getShareRole(p.role).label.toLowerCase()}`}</p>
+                            </div>
+                            <div className="flex gap-2">
+                                {canManageSharing(p) && <button onClick={() => setSharingProfileId(id => id === p.id ? null : p.id)} title="Share" className="text-cyan-400 hover:text-cyan-300 p-2 rounded-full bg-gray-800"><Share2 className="w-5 h-5"/></button>}
+                                {isOwnProfile(p, userId)
+                                    ? <button onClick={() => handleDeleteClick(p)} title="Delete" className="text-red-400 hover:text-red-300 p-2 rounded-full bg-gray-800"><Trash2 className="w-5 h-5"/></button>
+                                    : <button onClick={() => handleDeleteClick(p)} title="Leave" className="text-red-400 hover:text-red-300 p-2 rounded-full bg-gray-800"><LogOut className="w-5 h-5"/></button>}
+                            </div>
+                        </div>
+                        {sharingProfileId === p.id && <SharingPanel profile={p} sharing={sharing} />}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+const EMPTY_APPOINTMENT_FORM = { doctor: '', specialty: '', location: '', reason: '', preVisitNotes: '', questions: '', date: '', time: '', reminders: DEFAULT_APPOINTMENT_REMINDERS };
+
+const AppointmentOutcomeForm = ({ appointment, medicines, onSave, onCancel }) => {
+    const [notes, setNotes] = useState('');
+    const [prescribedMedicineIds, setPrescribedMedicineIds] = useState([]);
+    const [followUpDate, setFollowUpDate] = useState('');
+    const [followUpTime, setFollowUpTime] = useState(() => toDate(appointment.date).toTimeString().slice(0, 5));
+
+    const toggleMedicine = (id) => setPrescribedMedicineIds(prev => prev.includes(id) ? prev.filter(m => m !== id) : [...prev, id]);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onSave({ notes, prescribedMedicineIds, followUpAt: followUpDate ? new Date(`${followUpDate}T${followUpTime}`) : null });
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="mt-3 space-y-3 bg-gray-800 p-3 rounded-lg">
+            <TextAreaField label="Visit notes" value={notes} onChange={e => setNotes(e.target.value)} placeholder="What did the doctor say?" />
+            {medicines.length > 0 && (
+                <div>
+                    <p className="block text-sm font-medium text-gray-300 mb-2">New prescriptions</p>
+                    <div className="flex flex-wrap gap-2">
+                        {medicines.map(med => (
+                            <label key={med.id} className={`px-2 py-1 rounded text-sm cursor-pointer ${prescribedMedicineIds.includes(med.id) ? 'bg-cyan-600 text-white' : 'bg-gray-700 text-gray-300'}`}>
+                                <input type="checkbox" className="hidden" checked={prescribedMedicineIds.includes(med.id)} onChange={() => toggleMedicine(med.id)} />
+                                {med.name}
+                            </label>
+                        ))}
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">Add a new medicine first if it is not listed.</p>
+                </div>
+            )}
+            <div className="grid grid-cols-2 gap-3">
+                <InputField label="Follow-up date (optional)" type="date" value={followUpDate} min={toDateInputValue(new Date())} onChange={e => setFollowUpDate(e.target.value)} />
+                <InputField label="Follow-up time" type="time" value={followUpTime} onChange={e => setFollowUpTime(e.target.value)} required={!!followUpDate} />
+            </div>
+            <div className="flex gap-2">
+                <button type="submit" className="flex-1 py-2 rounded-lg text-white bg-cyan-500 hover:bg-cyan-600">Complete Visit</button>
+                <button type="button" onClick={onCancel} className="flex-1 py-2 rounded-lg text-white bg-gray-600 hover:bg-gray-500">Cancel</button>
+            </div>
+        </form>
+    );
+};
+
+const AppointmentView = ({ appointments, medicines, contacts, documents, onSave, onUpdate, onRecordOutcome, onDelete, onBack }) => {
+    const [form, setForm] = useState(EMPTY_APPOINTMENT_FORM);
+    const [editingId, setEditingId] = useState(null);
+    const [confirmingDelete, setConfirmingDelete] = useState(null);
+    const [recordingOutcome, setRecordingOutcome] = useState(null);
+
+    const setField = (key, value) => setForm(prev => ({ ...prev, [key]: value }));
+    // Picking a known doctor fills in their specialty and address if those are still empty
+    const setDoctor = (value) => {
+        const contact = findContact(contacts, 'doctor', value);
+        setForm(prev => ({
+            ...prev,
+            doctor: value,
+            specialty: prev.specialty || contact?.specialty || '',
+            location: prev.location || contact?.address || '',
+        }));
+    };
+    const toggleReminder = (minutes) => setField('reminders', form.reminders.includes(minutes) ? form.reminders.filter(m => m !== minutes) : [...form.reminders, minutes]);
+    const resetForm = () => { setForm(EMPTY_APPOINTMENT_FORM); setEditingId(null); };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const dateTime = new Date(`${form.date}T${form.time}`);
+        onSave({
+            doctor: form.doctor.trim(),
+            specialty: form.specialty.trim(),
+            location: form.location.trim(),
+            reason: form.reason.trim(),
+            preVisitNotes: form.preVisitNotes.trim(),
+            questions: form.questions.split('\n').map(q => q.trim()).filter(Boolean),
+            date: Timestamp.fromDate(dateTime),
+            reminders: [...form.reminders].sort((a, b) => b - a),
+            ...(!editingId && { status: 'scheduled' }),
+        }, editingId);
+        resetForm();
+    };
+
+    const startEdit = (a) => {
+        const when = a.date.toDate();
+        setForm({
+            doctor: a.doctor,
+            specialty: a.specialty || '',
+            location: a.location || '',
+            reason: a.reason || '',
+            preVisitNotes: a.preVisitNotes || '',
+            questions: (a.questions || []).join('\n'),
+            date: toDateInputValue(when),
+            time: when.toTimeString().slice(0, 5),
+            reminders: a.reminders ?? DEFAULT_APPOINTMENT_REMINDERS,
+        });
+        setEditingId(a.id);
+    };
+
+    const { upcoming, past } = useMemo(() => {
+        const now = new Date();
+        const sorted = [...appointments].sort((a, b) => toDate(a.date) - toDate(b.date));
+        return {
+            upcoming: sorted.filter(a => toDate(a.date) >= now && getAppointmentStatus(a).value === 'scheduled'),
+            past: sorted.filter(a => toDate(a.date) < now || getAppointmentStatus(a).value !== 'scheduled').reverse(),
+        };
+    }, [appointments]);
+    const medicineName = (id) => medicines.find(m => m.id === id)?.name || 'Deleted medicine';
+    const findAppointment = (id) => appointments.find(a => a.id === id);
+
+    const renderAppointment = (a) => {
+        const status = getAppointmentStatus(a);
+        const followUp = a.outcome?.followUpId && findAppointment(a.outcome.followUpId);
+        const followUpOf = a.followUpOf && findAppointment(a.followUpOf);
+        return (
+            <div key={a.id} className={`p-3 rounded-lg ${status.value === 'scheduled' && toDate(a.date) >= new Date() ? 'bg-cyan-900/70' : 'bg-gray-700'}`}>
+                <div className="flex justify-between items-start">
+                    <div>
+                        <p className="font-medium text-white">{describeAppointment(a)} <span className={`ml-2 px-2 py-0.5 rounded text-xs text-white ${status.badge}`}>{status.label}</span></p>
+                        <p className="text-sm text-gray-300">{a.date?.toDate().toLocaleString()}{a.location && ` · ${a.location}`}</p>
+                        {a.reason && <p className="text-sm text-gray-400">Reason: {a.reason}</p>}
+                        {followUpOf && <p className="text-xs text-gray-400">Follow-up of the visit on {toDate(followUpOf.date).toLocaleDateString()}</p>}
+                    </div>
+                    <div className="flex items-center gap-2">
+                        <button onClick={() => startEdit(a)} className="text-cyan-400 hover:text-cyan-300 p-2 rounded-full bg-gray-800"><Pencil className="w-4 h-4"/></button>
+                        <button onClick={() => setConfirmingDelete(a)} className="text-red-400 hover:text-red-300 p-2 rounded-full bg-gray-800"><Trash2 className="w-4 h-4"/></button>
+                    </div>
+                </div>
+                {a.preVisitNotes && <p className="text-sm text-gray-300 mt-2 whitespace-pre-line">{a.preVisitNotes}</p>}
+                {a.questions?.length > 0 && (
+                    <ul className="text-sm text-gray-300 mt-2 list-disc list-inside">
+                        {a.questions.map((q, i) => <li key={i}>{q}</li>)}
+                    </ul>
+                )}
+                {documents.some(d => d.appointmentId === a.id) && (
+                    <div className="flex flex-wrap gap-3 mt-2">
+                        {documents.filter(d => d.appointmentId === a.id).map(d => <a key={d.id} href={d.url} target="_blank" rel="noopener noreferrer" className="text-cyan-400 text-sm hover:underline flex items-center"><FileText className="w-4 h-4 mr-1"/> {d.name}</a>)}
+                    </div>
+                )}
+                {a.outcome && (
+                    <div className="mt-2 text-sm border-t border-gray-600 pt-2">
+                        {a.outcome.notes && <p className="text-gray-200 whitespace-pre-line">{a.outcome.notes}</p>}
+                        {a.outcome.prescribedMedicineIds?.length > 0 && <p className="text-gray-400">Prescribed: {a.outcome.prescribedMedicineIds.map(medicineName).join(', ')}</p>}
+                        {followUp && <p className="text-gray-400">Follow-up on {toDate(followUp.date).toLocaleString()}</p>}
+                    </div>
+                )}
+                {status.value === 'scheduled' && (
+                    recordingOutcome === a.id ? (
+                        <AppointmentOutcomeForm appointment={a} medicines={medicines} onCancel={() => setRecordingOutcome(null)} onSave={(outcome) => { onRecordOutcome(a, outcome); setRecordingOutcome(null); }} />
+                    ) : (
+                        <div className="flex gap-2 mt-2">
+                            {toDate(a.date) < new Date() && <button onClick={() => setRecordingOutcome(a.id)} className="px-3 py-1 rounded bg-cyan-500 hover:bg-cyan-600 text-white text-sm">Record Outcome</button>}
+                            {toDate(a.date) < new Date() && <button onClick={() => onUpdate(a.id, { status: 'no-show' })} className="px-3 py-1 rounded bg-gray-600 hover:bg-gray-500 text-white text-sm">No-show</button>}
+                            <button onClick={() => onUpdate(a.id, { status: 'cancelled' })} className="px-3 py-1 rounded bg-gray-600 hover:bg-gray-500 text-red-300 text-sm">Cancel Appointment</button>
+                        </div>
+                    )
+                )}
+                {(status.value === 'cancelled' || status.value === 'no-show') && (
+                    <button onClick={() => onUpdate(a.id, { status: 'scheduled' })} className="mt-2 px-3 py-1 rounded bg-gray-600 hover:bg-gray-500 text-white text-sm flex items-center gap-1"><Undo2 className="w-4 h-4"/>Restore</button>
+                )}
+            </div>
+        );
+    };
+
+    return (
+        <div className="bg-gray-800 p-8 rounded-lg shadow-2xl max-w-4xl mx-auto border border-gray-700">
+            <button onClick={onBack} className="flex items-center mb-6 text-cyan-400 hover:text-cyan-300"><ChevronLeft className="w-5 h-5 mr-1" /> Back</button>
+            {confirmingDelete && (
+                <ConfirmDialog
+                    title="Delete Appointment"
+                    message={`Delete the appointment with Dr. ${confirmingDelete.doctor} on ${confirmingDelete.date?.toDate().toLocaleString()}?`}
+                    onCancel={() => setConfirmingDelete(null)}
+                    onConfirm={() => { onDelete(confirmingDelete.id); setConfirmingDelete(null); }}
+                />
+            )}
+            <h2 className="text-2xl font-bold text-white mb-6">Doctor Appointments</h2>
+            <form onSubmit={handleSubmit} className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-8 items-end">
+                <ContactField contacts={contacts} type="doctor" label="Doctor's Name" value={form.doctor} onChange={e => setDoctor(e.target.value)} required />
+                <InputField label="Specialty" value={form.specialty} onChange={e => setField('specialty', e.target.value)} placeholder="e.g. Cardiology" />
+                <InputField label="Location / Clinic" value={form.location} onChange={e => setField('location', e.target.value)} />
+                <InputField label="Date" type="date" value={form.date} onChange={e => setField('date', e.target.value)} required />
+                <InputField label="Time" type="time" value={form.time} onChange={e => setField('time', e.target.value)} required />
+                <InputField label="Reason" value={form.reason} onChange={e => setField('reason', e.target.value)} placeholder="e.g. Blood pressure review" />
+                <div className="sm:col-span-3 grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <TextAreaField label="Pre-visit notes" value={form.preVisitNotes} onChange={e => setField('preVisitNotes', e.target.value)} />
+                    <TextAreaField label="Questions to ask (one per line)" value={form.questions} onChange={e => setField('questions', e.target.value)} />
+                </div>
+                <div className="sm:col-span-3">
+                    <p className="block text-sm font-medium text-gray-300 mb-2">Reminders</p>
+                    <div className="flex flex-wrap gap-2">
+                        {APPOINTMENT_REMINDER_OPTIONS.map(opt => (
+                            <button key={opt.value} type="button" onClick={() => toggleReminder(opt.value)} className={`px-3 py-1 rounded text-sm ${form.reminders.includes(opt.value) ? 'bg-cyan-600 text-white' : 'bg-gray-700 text-gray-300'}`}>{opt.label}</button>
+                        ))}
+                    </div>
+                </div>
+                <button type="submit" className={`${editingId ? 'sm:col-span-2' : 'sm:col-span-3'} py-2 px-4 rounded-lg text-white bg-cyan-500 hover:bg-cyan-600`}>{editingId ? 'Save Appointment' : 'Add Appointment'}</button>
+                {editingId && <button type="button" onClick={resetForm} className="py-2 px-4 rounded-lg text-white bg-gray-600 hover:bg-gray-500">Cancel</button>}
+            </form>
+            <h3 className="text-lg font-semibold text-white mb-3">Upcoming</h3>
+            <div className="space-y-3 mb-6">
+                {upcoming.length === 0 ? <p className="text-gray-400">No upcoming appointments.</p> : upcoming.map(renderAppointment)}
+            </div>
+            <h3 className="text-lg font-semibold text-white mb-3">Past & Cancelled</h3>
+            <div className="space-y-3 max-h-[32rem] overflow-y-auto">
+                {past.length === 0 ? <p className="text-gray-400">No past appointments.</p> : past.map(renderAppointment)}
+            </div>
+        </div>
+    );
+};
+
+const EMPTY_DOCUMENT_FORM = { type: 'lab', date: '', issuer: '', tags: '', medicineId: '', appointmentId: '', includeInReport: false };
+
+const toDocumentMetadata = (form) => ({
+    type: form.type,
+    date: Timestamp.fromDate(parseDateInput(form.date) || new Date()),
+    issuer: form.issuer.trim(),
+    tags: parseTags(form.tags),
+    medicineId: form.medicineId || null,
+    appointmentId: form.appointmentId || null,
+    includeInReport: form.includeInReport,
+});
+
+const DocumentPreview = ({ document, onClose }) => (
+    <div className="fixed inset-0 bg-black/80 flex items-center justify-center z-50 p-4" onClick={onClose}>
+        <div className="bg-gray-900 rounded-lg shadow-xl border border-gray-700 w-full max-w-4xl max-h-full flex flex-col" onClick={e => e.stopPropagation()}>
+            <div className="flex justify-between items-center p-3 border-b border-gray-700">
+                <p className="text-white font-semibold truncate">{document.name}</p>
+                <div className="flex items-center gap-3">
+                    <a href={document.url} target="_blank" rel="noopener noreferrer" className="text-sm text-cyan-400 hover:text-cyan-300">Open in new tab</a>
+                    <button onClick={onClose} className="font-bold text-gray-300 hover:text-white">X</button>
+                </div>
+            </div>
+            {isImageDocument(document)
+                ? <img src={document.url} alt={document.name} className="max-h-[80vh] object-contain mx-auto" />
+                : isPdfDocument(document)
+                    ? <iframe src={document.url} title={document.name} className="w-full h-[80vh] bg-white" />
+                    : <p className="p-6 text-gray-400">This file cannot be previewed here.</p>}
+        </div>
+    </div>
+);
+
+const DocumentsView = ({ documents, medicines, appointments, contacts, onUpload, onUpdate, onDelete, onBack }) => {
+    const [files, setFiles] = useState([]);
+    const [fileErrors, setFileErrors] = useState([]);
+    const [form, setForm] = useState(() => ({ ...EMPTY_DOCUMENT_FORM, date: toDateInputValue(new Date()) }));
+    const [status, setStatus] = useState(null); // { type: 'working' | 'done' | 'error', message }
+    const [filter, setFilter] = useState({ type: '', search: '' });
+    const [editing, setEditing] = useState(null); // { id, form }
+    const [previewing, setPreviewing] = useState(null);
+    const [confirmingDelete, setConfirmingDelete] = useState(null);
+
+    const setField = (key, value) => setForm(prev => ({ ...prev, [key]: value }));
+    const setEditField = (key, value) => setEditing(prev => ({ ...prev, form: { ...prev.form, [key]: value } }));
+
+    const handleFiles = (e) => {
+        const chosen = [...e.target.files];
+        e.target.value = '';
+        setStatus(null);
+        setFileErrors(chosen.map(validateDocumentFile).filter(Boolean));
+        setFiles(chosen.filter(file => !validateDocumentFile(file)));
+    };
+
+    const handleUpload = async (e) => {
+        e.preventDefault();
+        if (files.length === 0) return;
+        let uploaded = 0;
+        for (const file of files) {
+            setStatus({ type: 'working', message: `Uploading ${file.name}...` });
+            if (await onUpload(file, { name: file.name, ...toDocumentMetadata(form) })) uploaded++;
+        }
+        setStatus(uploaded === files.length
+            ? { type: 'done', message: `Uploaded ${uploaded} ${uploaded === 1 ? 'file' : 'files'}.` }
+            : { type: 'error', message: `Uploaded ${uploaded} of ${files.length} files.` });
+        setFiles([]);
+    };
+
+    const startEdit = (d) => setEditing({ id: d.id, form: {
+        name: d.name,
+        type: getDocumentType(d).value,
+        date: toDate(d.date) ? toDateInputValue(toDate(d.date)) : '',
+        issuer: d.issuer || '',
+        tags: (d.tags || []).join(', '),
+        medicineId: d.medicineId || '',
+        appointmentId: d.appointmentId || '',
+        includeInReport: !!d.includeInReport,
+    } });
+
+    const saveEdit = (e) => {
+        e.preventDefault();
+        onUpdate(editing.id, { name: editing.form.name.trim() || 'Untitled', ...toDocumentMetadata(editing.form) });
+        setEditing(null);
+    };
+
+    const medicineOptions = [{ value: '', label: '— none —' }, ...medicines.map(med => ({ value: med.id, label: med.name }))];
+    const appointmentOptions = [{ value: '', label: '— none —' }, ...[...appointments]
+        .sort((a, b) => toDate(b.date) - toDate(a.date))
+        .map(a => ({ value: a.id, label: `${toDate(a.date).toLocaleDateString()} · ${describeAppointment(a)}` }))];
+
+    const listed = useMemo(() => {
+        const search = filter.search.trim().toLowerCase();
+        return documents
+            .filter(d => !filter.type || getDocumentType(d).value === filter.type)
+            .filter(d => !search || [d.name, d.issuer, ...(d.tags || []), medicines.find(m => m.id === d.medicineId)?.name].some(text => text?.toLowerCase().includes(search)))
+            .sort((a, b) => toDate(b.date) - toDate(a.date));
+    }, [documents, medicines, filter]);
+
+    const renderMetadataFields = (values, set) => (
+        <>
+            <SelectField label="Type" value={values.type} onChange={e => set('type', e.target.value)} options={DOCUMENT_TYPES} />
+            <InputField label="Document date" type="date" value={values.date} onChange={e => set('date', e.target.value)} required />
+            <ContactField contacts={contacts} type="doctor" label="Issued by" value={values.issuer} onChange={e => set('issuer', e.target.value)} placeholder="Doctor, lab or hospital" />
+            <InputField label="Tags (comma separated)" value={values.tags} onChange={e => set('tags', e.target.value)} placeholder="e.g. cholesterol, annual" />
+            <SelectField label="Medicine" value={values.medicineId} onChange={e => set('medicineId', e.target.value)} options={medicineOptions} />
+            <SelectField label="Appointment" value={values.appointmentId} onChange={e => set('appointmentId', e.target.value)} options={appointmentOptions} />
+            <label className="sm:col-span-2 flex items-center gap-2 text-sm text-gray-300">
+                <input type="checkbox" checked={values.includeInReport} onChange={e => set('includeInReport', e.target.checked)} /> Include in the PDF report
+            </label>
+        </>
+    );
+
+    return (
+        <div className="bg-gray-800 p-8 rounded-lg shadow-2xl max-w-4xl mx-auto border border-gray-700">
+            <button onClick={onBack} className="flex items-center mb-6 text-cyan-400 hover:text-cyan-300"><ChevronLeft className="w-5 h-5 mr-1" /> Back</button>
+            {previewing && <DocumentPreview document={previewing} onClose={() => setPreviewing(null)} />}
+            {confirmingDelete && (
+                <ConfirmDialog
+                    title="Delete Document"
+                    message={`Delete ${confirmingDelete.name}? The file is removed from storage as well.`}
+                    onCancel={() => setConfirmingDelete(null)}
+                    onConfirm={() => { onDelete(confirmingDelete); setConfirmingDelete(null); }}
+                />
+            )}
+            <h2 className="text-2xl font-bold text-white mb-6">Documents</h2>
+            <form onSubmit={handleUpload} className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-8 bg-gray-700/50 p-4 rounded-lg">
+                <label className="sm:col-span-2 py-2 px-4 rounded-lg text-cyan-400 bg-gray-700 hover:bg-gray-600 cursor-pointer flex items-center justify-center gap-2">
+                    <Upload className="w-4 h-4"/> {files.length ? files.map(file => file.name).join(', ') : 'Choose files (PDF, JPG, PNG, WebP up to 10MB)'}
+                    <input type="file" multiple accept={Object.keys(DOCUMENT_FILE_TYPES).join(',')} className="sr-only" onChange={handleFiles} />
+                </label>
+                {fileErrors.length > 0 && <div className="sm:col-span-2 text-sm text-red-400">{fileErrors.map(err => <p key={err}>{err}</p>)}</div>}
+                {renderMetadataFields(form, setField)}
+                <button type="submit" disabled={files.length === 0 || status?.type === 'working'} className="sm:col-span-2 py-2 px-4 rounded-lg text-white bg-cyan-500 hover:bg-cyan-600 disabled:bg-gray-500">Upload {files.length > 1 ? `${files.length} files` : ''}</button>
+                {status && <p className={`sm:col-span-2 text-sm ${status.type === 'error' ? 'text-red-400' : 'text-gray-300'}`}>{status.message}</p>}
+            </form>
+            <div className="grid grid-cols-2 gap-4 mb-4">
+                <SelectField label="Show" value={filter.type} onChange={e => setFilter({ ...filter, type: e.target.value })} options={[{ value: '', label: 'All types' }, ...DOCUMENT_TYPES]} />
+                <InputField label="Search" value={filter.search} onChange={e => setFilter({ ...filter, search: e.target.value })} placeholder="Name, issuer, tag or medicine" />
+            </div>
+            <div className="space-y-3">
+                {listed.length === 0 && <p className="text-gray-400">No documents{documents.length ? ' match the filter' : ' yet'}.</p>}
+                {listed.map(d => {
+                    const medicine = medicines.find(m => m.id === d.medicineId);
+                    const appointment = appointments.find(a => a.id === d.appointmentId);
+                    return (
+                        <div key={d.id} className="bg-gray-700 p-3 rounded-lg">
+                            {editing?.id === d.id ? (
+                                <form onSubmit={saveEdit} className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                                    <div className="sm:col-span-2"><InputField label="Name" value={editing.form.name} onChange={e => setEditField('name', e.target.value)} required /></div>
+                                    {renderMetadataFields(editing.form, setEditField)}
+                                    <button type="submit" className="py-2 px-4 rounded-lg text-white bg-cyan-500 hover:bg-cyan-600">Save</button>
+                                    <button type="button" onClick={() => setEditing(null)} className="py-2 px-4 rounded-lg text-white bg-gray-600 hover:bg-gray-500">Cancel</button>
+                                </form>
+                            ) : (
+                                <div className="flex gap-3 items-start">
+                                    <button onClick={() => setPreviewing(d)} className="w-16 h-16 flex-shrink-0 rounded bg-gray-800 overflow-hidden flex items-center justify-center">
+                                        {isImageDocument(d) ? <img src={d.url} alt="" className="w-full h-full object-cover" /> : <FileText className="w-8 h-8 text-cyan-400" />}
+                                    </button>
+                                    <div className="flex-grow min-w-0">
+                                        <p className="font-medium text-white truncate">{d.name} <span className="ml-1 px-2 py-0.5 rounded text-xs bg-gray-600 text-gray-200">{getDocumentType(d).label}</span>{d.includeInReport && <span className="ml-1 px-2 py-0.5 rounded text-xs bg-cyan-700 text-white">In report</span>}</p>
+                                        <p className="text-sm text-gray-400">{[toDate(d.date)?.toLocaleDateString(), d.issuer, d.size && formatFileSize(d.size)].filter(Boolean).join(' · ')}</p>
+                                        {(medicine || appointment) && <p className="text-sm text-gray-400">{[medicine && `For ${medicine.name}`, appointment && `Visit ${toDate(appointment.date).toLocaleDateString()} with ${describeAppointment(appointment)}`].filter(Boolean).join(' · ')}</p>}
+                                        {d.tags?.length > 0 && <div className="flex flex-wrap gap-1 mt-1">{d.tags.map(tag => <span key={tag} className="px-2 py-0.5 rounded-full text-xs bg-gray-800 text-gray-300">#{tag}</span>)}</div>}
+                                    </div>
+                                    <div className="flex items-center gap-2">
+                                        <button onClick={() => startEdit(d)} className="text-cyan-400 hover:text-cyan-300 p-2 rounded-full bg-gray-800"><Pencil className="w-4 h-4"/></button>
+                                        <button onClick={() => setConfirmingDelete(d)} className="text-red-400 hover:text-red-300 p-2 rounded-full bg-gray-800"><Trash2 className="w-4 h-4"/></button>
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+const EMPTY_CONTACT = { name: '', specialty: '', phone: '', address: '', notes: '' };
+
+const ContactsView = ({ profile, contacts, medicines, appointments, refills, onSave, onDelete, onBack }) => {
+    const [type, setType] = useState('doctor');
+    const [form, setForm] = useState(null); // contact being added or edited
+    const [editingId, setEditingId] = useState(null);
+    const [selectedId, setSelectedId] = useState(null);
+    const [confirmingDelete, setConfirmingDelete] = useState(null);
+
+    const listed = useMemo(() => contacts.filter(c => c.type === type).sort((a, b) => a.name.localeCompare(b.name)), [contacts, type]);
+    const selected = contacts.find(c => c.id === selectedId);
+    const activity = useMemo(() => selected ? getContactActivity(selected, { medicines, appointments, refills }) : null, [selected, medicines, appointments, refills]);
+
+    const setField = (key, value) => setForm(prev => ({ ...prev, [key]: value }));
+    const startAdd = () => { setForm(EMPTY_CONTACT); setEditingId(null); };
+    const startEdit = (c) => { setForm(Object.fromEntries(Object.keys(EMPTY_CONTACT).map(key => [key, c[key] || '']))); setEditingId(c.id); };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const name = toContactName(type, form.name);
+        const duplicate = findContact(contacts, type, name);
+        if (!name || (duplicate && duplicate.id !== editingId)) return;
+        onSave({ ...Object.fromEntries(Object.entries(form).map(([key, value]) => [key, value.trim()])), name, type }, editingId);
+        setForm(null);
+        setEditingId(null);
+    };
+
+    const duplicate = form && findContact(contacts, type, form.name);
+
+    return (
+        <div className="bg-gray-800 p-8 rounded-lg shadow-2xl max-w-4xl mx-auto border border-gray-700">
+            <button onClick={onBack} className="flex items-center mb-6 text-cyan-400 hover:text-cyan-300"><ChevronLeft className="w-5 h-5 mr-1" /> Back</button>
+            {confirmingDelete && (
+                <ConfirmDialog
+                    title="Delete Contact"
+                    message={`Delete ${confirmingDelete.name} from the directory? Medicines, appointments and refills keep the name.`}
+                    onCancel={() => setConfirmingDelete(null)}
+                    onConfirm={() => { onDelete(confirmingDelete.id); setConfirmingDelete(null); if (selectedId === confirmingDelete.id) setSelectedId(null); }}
+                />
+            )}
+            <div className="flex justify-between items-center mb-6">
+                <h2 className="text-2xl font-bold text-white">Doctors & Pharmacies</h2>
+                {!form && <button onClick={startAdd} className="py-2 px-4 rounded-lg text-white bg-cyan-500 hover:bg-cyan-600 flex items-center gap-1"><Plus className="w-4 h-4"/> Add {CONTACT_TYPES.find(t => t.value === type).label}</button>}
+            </div>
+            <div className="flex gap-2 mb-6">
+                {CONTACT_TYPES.map(t => (
+                    <button key={t.value} onClick={() => { setType(t.value); setForm(null); setSelectedId(null); }} className={`px-4 py-2 rounded-lg text-sm ${type === t.value ? 'bg-cyan-500 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}>{t.plural}</button>
+                ))}
+            </div>
+            {form && (
+                <form onSubmit={handleSubmit} className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-8 bg-gray-700/50 p-4 rounded-lg">
+                    <InputField label="Name" value={form.name} onChange={e => setField('name', e.target.value)} required />
+                    {type === 'doctor' && <InputField label="Specialty" value={form.specialty} onChange={e => setField('specialty', e.target.value)} />}
+                    <InputField label="Phone" type="tel" value={form.phone} onChange={e => setField('phone', e.target.value)} />
+                    <InputField label="Address" value={form.address} onChange={e => setField('address', e.target.value)} />
+                    <div className="sm:col-span-2"><TextAreaField label="Notes" value={form.notes} onChange={e => setField('notes', e.target.value)} /></div>
+                    {duplicate && duplicate.id !== editingId && <p className="sm:col-span-2 text-sm text-yellow-400">{duplicate.name} is already in the directory.</p>}
+                    <button type="submit" className="py-2 px-4 rounded-lg text-white bg-cyan-500 hover:bg-cyan-600">{editingId ? 'Save Contact' : 'Add Contact'}</button>
+                    <button type="button" onClick={() => { setForm(null); setEditingId(null); }} className="py-2 px-4 rounded-lg text-white bg-gray-600 hover:bg-gray-500">Cancel</button>
+                </form>
+            )}
+            <div className="space-y-3">
+                {listed.length === 0 && <p className="text-gray-400">No {CONTACT_TYPES.find(t => t.value === type).plural.toLowerCase()} yet. Names entered on medicines, appointments and refills are added automatically.</p>}
+                {listed.map(c => (
+                    <div key={c.id} className={`p-3 rounded-lg ${selectedId === c.id ? 'bg-cyan-900/70' : 'bg-gray-700'}`}>
+                        <div className="flex justify-between items-start">
+                            <button onClick={() => setSelectedId(selectedId === c.id ? null : c.id)} className="text-left">
+                                <p className="font-medium text-white">{type === 'doctor' ? `Dr. ${c.name}` : c.name}{c.specialty && <span className="text-gray-400"> · {c.specialty}</span>}</p>
+                                <p className="text-sm text-gray-400">{[c.phone, c.address].filter(Boolean).join(' · ')}</p>
+                            </button>
+                            <div className="flex items-center gap-2">
+                                <button onClick={() => startEdit(c)} className="text-cyan-400 hover:text-cyan-300 p-2 rounded-full bg-gray-800"><Pencil className="w-4 h-4"/></button>
+                                <button onClick={() => setConfirmingDelete(c)} className="text-red-400 hover:text-red-300 p-2 rounded-full bg-gray-800"><Trash2 className="w-4 h-4"/></button>
+                            </div>
+                        </div>
+                        {selectedId === c.id && activity && (
+                            <div className="mt-3 border-t border-gray-600 pt-3 space-y-3 text-sm">
+                                {c.notes && <p className="text-gray-300 whitespace-pre-line">{c.notes}</p>}
+                                {type === 'doctor' ? (
+                                    <>
+                                        <div>
+                                            <h4 className="font-semibold text-white mb-1">Prescribed for {profile?.name}</h4>
+                                            {activity.medicines.length === 0 ? <p className="text-gray-400">Nothing yet.</p> : activity.medicines.map(med => (
+                                                <p key={med.id} className="text-gray-300">{med.name}{med.discontinued && <span className="text-gray-500"> (discontinued)</span>} <span className="text-gray-500">{describeSchedule(getSchedule(med))}</span></p>
+                                            ))}
+                                        </div>
+                                        <div>
+                                            <h4 className="font-semibold text-white mb-1">Appointments</h4>
+                                            {activity.appointments.length === 0 ? <p className="text-gray-400">None yet.</p> : activity.appointments.map(a => (
+                                                <p key={a.id} className="text-gray-300">{toDate(a.date).toLocaleString()} <span className="text-gray-500">{getAppointmentStatus(a).label}{a.reason && ` · ${a.reason}`}</span></p>
+                                            ))}
+                                        </div>
+                                    </>
+                                ) : (
+                                    <div>
+                                        <h4 className="font-semibold text-white mb-1">Refills for {profile?.name}</h4>
+                                        {activity.refills.length === 0 ? <p className="text-gray-400">None yet.</p> : activity.refills.map(r => (
+                                            <p key={r.id} className="text-gray-300">{toDate(r.refilledAt).toLocaleDateString()}: {r.medicineName} +{formatQuantity(r.quantity, r.unit)}</p>
+                                        ))}
+                                    </div>
+                                )}
+                            </div>
+                        )}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+const TrendChart = ({ data, series, bands = [], days }) => {
+    const now = Date.now();
+    if (data.length === 0) return <p className="text-gray-500 text-sm text-center py-8">No readings in the last {days} days.</p>;
+    return (
+        <div className="w-full h-56">
+            <ResponsiveContainer>
+                <LineChart data={data} margin={{ top: 5, right: 10, left: -20, bottom: 0 }}>
+                    <CartesianGrid stroke="#374151" strokeDasharray="3 3" />
+                    <XAxis dataKey="t" type="number" scale="time" domain={[now - days * DAY_MS, now]} tickFormatter={t => new Date(t).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })} stroke="#9ca3af" fontSize={12} />
+                    <YAxis stroke="#9ca3af" fontSize={12} domain={['auto', 'auto']} />
+                    {bands.map(band => <ReferenceArea key={band.key} y1={band.y1} y2={band.y2} fill={band.fill} fillOpacity={0.12} ifOverflow="extendDomain" />)}
+                    <Tooltip contentStyle={{ backgroundColor: '#1f2937', border: '1px solid #4b5563' }} labelFormatter={t => new Date(t).toLocaleString()} />
+                    {series.map(s => <Line key={s.key} type="monotone" dataKey={s.key} name={s.name} stroke={s.color} dot={{ r: 2 }} isAnimationActive={false} />)}
+                    {series.map(s => <Line key={`${s.key}Avg`} type="monotone" dataKey={`${s.key}Avg`} name={`${s.name} (${MOVING_AVERAGE_DAYS}d avg)`} stroke={s.color} strokeDasharray="5 5" strokeOpacity={0.6} dot={false} connectNulls isAnimationActive={false} />)}
+                </LineChart>
+            </ResponsiveContainer>
+        </div>
+    );
+};
+
+const ClassificationBadge = ({ level }) => {
+    if (!level) return null;
+    const style = VITAL_CLASS_STYLES[level];
+    return <span className={`text-xs font-semibold px-2 py-0.5 rounded-full text-white ${style.badge}`}>{style.label}</span>;
+};
+
+const BP_TARGET_FIELDS = [
+    ['lowSystolic', 'Low below (sys)'], ['lowDiastolic', 'Low below (dia)'],
+    ['elevatedSystolic', 'Elevated from (sys)'], ['stage1Systolic', 'Stage 1 from (sys)'],
+    ['stage1Diastolic', 'Stage 1 from (dia)'], ['stage2Systolic', 'Stage 2 from (sys)'],
+    ['stage2Diastolic', 'Stage 2 from (dia)'], ['crisisSystolic', 'Crisis above (sys)'],
+    ['crisisDiastolic', 'Crisis above (dia)'],
+];
+const GLUCOSE_TARGET_FIELDS = [['low', 'Low below'], ['targetMax', 'Target up to'], ['elevatedMax', 'Elevated up to']];
+
+const VitalTargetsEditor = ({ targets, onSave, onCancel }) => {
+    const [draft, setDraft] = useState(targets);
 
-    // --- Profile Fetching & Management ---
-    useEffect(() => {
-        if (!isAuthReady || !db || !userId) return;
+    const applyPreset = (preset) => setDraft(getVitalTargets({ vitalTargets: { preset } }));
+    const setBp = (key, value) => setDraft({ ...draft, bp: { ...draft.bp, [key]: value } });
+    const setGlucose = (type, key, value) => setDraft({ ...draft, glucose: { ...draft.glucose, [type]: { ...draft.glucose[type], [key]: value } } });
 
-        const profilesPath = `/artifacts/${appId}/users/${userId}/profiles`;
-        const q = query(collection(db, profilesPath));
-        const unsubscribe = onSnapshot(q, (snapshot) => {
-            const profilesData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-            setProfiles(profilesData);
-            if (!activeProfileId && profilesData.length > 0) {
-                setActiveProfileId(profilesData[0].id);
-            } else if (profilesData.findIndex(p => p.id === activeProfileId) === -1 && profilesData.length > 0) {
-                // If active profile was deleted, switch to the first available
-                setActiveProfileId(profilesData[0].id);
-            } else if (profilesData.length === 0) {
-                setActiveProfileId(null);
-            }
-            setIsLoading(false);
-        }, (err) => {
-            console.error("Error fetching profiles:", err);
-            setError("Could not load profiles.");
-            setIsLoading(false);
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const toNumbers = (obj) => Object.fromEntries(Object.entries(obj).map(([k, v]) => [k, Number(v)]));
+        onSave({
+            preset: draft.preset,
+            bp: toNumbers(draft.bp),
+            glucose: Object.fromEntries(Object.entries(draft.glucose).map(([type, range]) => [type, toNumbers(range)])),
         });
-        return () => unsubscribe();
-    }, [isAuthReady, db, userId]);
+    };
 
-    // --- Data Fetching for Active Profile ---
-    useEffect(() => {
-        if (!activeProfileId || !db || !userId) {
-            const resetState = [setMedicines, setLogs, setAppointments, setBloodPressure, setBloodSugar];
-            resetState.forEach(setter => setter([]));
-            return;
+    return (
+        <form onSubmit={handleSubmit} className="bg-gray-900/50 border border-gray-700 rounded-lg p-4 mb-8 space-y-4">
+            <div className="flex flex-wrap items-end justify-between gap-4">
+                <h3 className="text-lg font-semibold text-white">Target Ranges</h3>
+                <div className="w-64">
+                    <SelectField label="Start from preset" value={draft.preset} onChange={e => applyPreset(e.target.value)} options={Object.entries(VITAL_TARGET_PRESETS).map(([value, p]) => ({ value, label: p.label }))} />
+                </div>
+            </div>
+            <p className="text-sm text-gray-400">Adjust the thresholds to the targets agreed with your doctor, for example for children or during pregnancy.</p>
+            <div>
+                <h4 className="text-sm font-semibold text-gray-300 mb-2">Blood pressure (mmHg)</h4>
+                <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+                    {BP_TARGET_FIELDS.map(([key, label]) => <InputField key={key} label={label} type="number" value={draft.bp[key]} onChange={e => setBp(key, e.target.value)} required />)}
+                </div>
+            </div>
+            {Object.keys(draft.glucose).map(type => (
+                <div key={type}>
+                    <h4 className="text-sm font-semibold text-gray-300 mb-2">Blood sugar – {type} (mg/dL)</h4>
+                    <div className="grid grid-cols-3 gap-3">
+                        {GLUCOSE_TARGET_FIELDS.map(([key, label]) => <InputField key={key} label={label} type="number" value={draft.glucose[type][key]} onChange={e => setGlucose(type, key, e.target.value)} required />)}
+                    </div>
+                </div>
+            ))}
+            <div className="flex justify-end gap-3">
+                <button type="button" onClick={onCancel} className="px-4 py-2 rounded-lg bg-gray-600 hover:bg-gray-500 text-white">Cancel</button>
+                <button type="submit" className="px-4 py-2 rounded-lg bg-cyan-500 hover:bg-cyan-600 text-white">Save Targets</button>
+            </div>
+        </form>
+    );
+};
+
+const MetricPanel = ({ type, readings, logs, targets, profile, units, range, onSave, onDelete, onUpdateProfile }) => {
+    const dimension = getMetricDimension(type);
+    const emptyForm = () => {
+        const now = new Date();
+        return {
+            ...Object.fromEntries(type.fields.map(f => [f.key, ''])),
+            ...(type.variant && { [type.variant.key]: type.variant.options[0] }),
+            ...Object.fromEntries((type.context || []).map(c => [c.key, ''])),
+            date: toDateInputValue(now), time: now.toTimeString().slice(0, 5), notes: '', doseLink: 'auto',
         };
+    };
+    const [form, setForm] = useState(emptyForm);
+    const [editing, setEditing] = useState(null);
+    const [formErrors, setFormErrors] = useState([]);
+    const [variantFilter, setVariantFilter] = useState(type.variant?.options[0]);
+    const [height, setHeight] = useState(profile?.heightCm || '');
+    const [confirmingDelete, setConfirmingDelete] = useState(null);
 
-        const collectionsToFetch = [
-            { name: 'medicines', setter: setMedicines },
-            { name: 'medicineLogs', setter: setLogs },
-            { name: 'appointments', setter: setAppointments },
-            { name: 'bloodPressureReadings', setter: setBloodPressure },
-            { name: 'bloodSugarReadings', setter: setBloodSugar },
-        ];
+    const measuredAt = form.date && form.time ? new Date(`${form.date}T${form.time}`) : null;
+    const nearbyDoses = useMemo(() => type.linksDose && measuredAt ? findNearbyDoses(logs, measuredAt) : [], [type, logs, form.date, form.time]);
 
-        const unsubscribers = collectionsToFetch.map(({ name, setter }) => {
-            const dataPath = `/artifacts/${appId}/users/${userId}/profiles/${activeProfileId}/${name}`;
-            const q = query(collection(db, dataPath));
-            return onSnapshot(q, (snapshot) => {
-                const data = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-                setter(data);
-            }, (err) => console.error(`Error fetching ${name}:`, err));
-        });
+    const reset = () => { setForm(emptyForm()); setEditing(null); setFormErrors([]); };
 
-        return () => unsubscribers.forEach(unsub => unsub());
-    }, [activeProfileId, db, userId]);
-    
-    // --- CRUD Handlers ---
-    const handleAddOrUpdate = async (collectionName, data, id = null) => {
-        if (!db || !userId || !activeProfileId) return;
-        const path = `/artifacts/${appId}/users/${userId}/profiles/${activeProfileId}/${collectionName}`;
-        try {
-            if (id) {
-                await updateDoc(doc(db, path, id), data);
-            } else {
-                await addDoc(collection(db, path), { ...data, createdAt: Timestamp.now() });
-            }
-            setView('dashboard'); // Go back to dashboard after add/update
-        } catch (e) {
-            console.error(`Error saving to ${collectionName}:`, e);
-            setError(`Failed to save ${collectionName.slice(0, -1)}.`);
-        }
-    };
-    
-    const handleTakeDose = async (med) => {
-        if (!db || !userId || !activeProfileId || med.stock <= 0) return;
-        try {
-            const medRef = doc(db, `/artifacts/${appId}/users/${userId}/profiles/${activeProfileId}/medicines`, med.id);
-            await updateDoc(medRef, { stock: med.stock - 1 });
-            await addDoc(collection(db, `/artifacts/${appId}/users/${userId}/profiles/${activeProfileId}/medicineLogs`), {
-                medicineId: med.id,
-                medicineName: med.name,
-                takenAt: Timestamp.now()
-            });
-        } catch (e) { console.error("Error taking dose:", e); }
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const errors = validateMetricReading(type, form, units);
+        if (!measuredAt || isNaN(measuredAt)) errors.push('Enter when the reading was taken.');
+        else if (measuredAt > new Date(Date.now() + 5 * 60 * 1000)) errors.push('The measurement time is in the future.');
+        setFormErrors(errors);
+        if (errors.length > 0) return;
+        const linkedLog = form.doseLink === 'auto' ? nearbyDoses[0] : nearbyDoses.find(log => log.id === form.doseLink);
+        const keptLink = editing?.linkedDose?.logId === form.doseLink ? editing.linkedDose : null;
+        const data = {
+            ...Object.fromEntries(type.fields.map(f => [f.key, Number(form[f.key])])),
+            ...(dimension && { unit: units[dimension] }),
+            ...(type.variant && { [type.variant.key]: form[type.variant.key] }),
+            ...Object.fromEntries((type.context || []).map(c => [c.key, form[c.key]])),
+            ...(type.linksDose && { linkedDose: linkedLog ? toLinkedDose(linkedLog) : keptLink }),
+            ...(type.collection === METRIC_READINGS && { metricType: type.id }),
+            measuredAt: Timestamp.fromDate(measuredAt),
+            notes: form.notes.trim(),
+        };
+        onSave(type.collection, data, editing?.id);
+        reset();
     };
 
-    const handleProfileChange = (profileId) => {
-        setActiveProfileId(profileId);
-        setView('dashboard');
+    const startEdit = (reading) => {
+        const display = toDisplayReading(type, reading, units);
+        const when = getMeasuredAt(reading);
+        setForm({
+            ...Object.fromEntries(type.fields.map(f => [f.key, display[f.key] ?? ''])),
+            ...(type.variant && { [type.variant.key]: reading[type.variant.key] }),
+            ...Object.fromEntries((type.context || []).map(c => [c.key, reading[c.key] || ''])),
+            date: toDateInputValue(when), time: when.toTimeString().slice(0, 5), notes: reading.notes || '',
+            doseLink: reading.linkedDose ? reading.linkedDose.logId : 'none',
+        });
+        setEditing(reading);
+        setFormErrors([]);
     };
 
-    const handleAddProfile = async (profileName, relationship) => {
-        if (!db || !userId || profiles.length >= 10) {
-            setError("You can add a maximum of 10 profiles.");
-            return;
-        }
-        const path = `/artifacts/${appId}/users/${userId}/profiles`;
-        try {
-            const newProfile = await addDoc(collection(db, path), { name: profileName, relationship });
-            setActiveProfileId(newProfile.id);
-            setView('dashboard');
-        } catch (e) { console.error("Error adding profile:", e); }
-    };
+    const sorted = useMemo(() => [...readings].sort((a, b) => getMeasuredAt(b) - getMeasuredAt(a)), [readings]);
 
-    const handleDeleteProfile = async (profileIdToDelete) => {
-        if (!db || !userId) return;
-        
-        try {
-            const collectionsToDelete = ['medicines', 'medicineLogs', 'appointments', 'bloodPressureReadings', 'bloodSugarReadings'];
-            const batch = writeBatch(db);
+    const chartData = useMemo(() => {
+        const since = Date.now() - range * DAY_MS;
+        const points = readings
+            .filter(d => getMeasuredAt(d) && (!type.variant || d[type.variant.key] === variantFilter))
+            .map(d => ({ ...toDisplayReading(type, d, units), t: getMeasuredAt(d).getTime() }))
+            .map(d => ({ t: d.t, ...Object.fromEntries(type.fields.map(f => [f.key, d[f.key] === undefined || d[f.key] === '' ? null : Number(d[f.key])])) }))
+            .filter(p => p.t >= since)
+            .sort((a, b) => a.t - b.t);
+        return withMovingAverage(points, type.fields.map(f => f.key));
+    }, [readings, range, variantFilter, type, units]);
 
-            for (const coll of collectionsToDelete) {
-                const collPath = `/artifacts/${appId}/users/${userId}/profiles/${profileIdToDelete}/${coll}`;
-                const snapshot = await getDocs(query(collection(db, collPath)));
-                snapshot.docs.forEach(doc => batch.delete(doc.ref));
-            }
+    const Icon = type.icon;
+    return (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+            {confirmingDelete && (
+                <ConfirmDialog
+                    title={`Delete ${type.name} Reading`}
+                    message={`Delete the reading of ${formatMetricReading(type, confirmingDelete, units)} from ${getMeasuredAt(confirmingDelete)?.toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}?`}
+                    onCancel={() => setConfirmingDelete(null)}
+                    onConfirm={() => { onDelete(type.collection, confirmingDelete.id); setConfirmingDelete(null); }}
+                />
+            )}
+            <div className="space-y-4">
+                <div className="flex justify-between items-center">
+                    <h3 className="text-xl font-bold text-white flex items-center gap-2"><Icon/> {type.name}</h3>
+                    {dimension && (
+                        <div className="flex gap-1">
+                            {Object.keys(UNIT_DIMENSIONS[dimension].units).map(unit => (
+                                <button key={unit} onClick={() => onUpdateProfile({ units: { ...profile?.units, [dimension]: unit } })} className={`px-3 py-1 rounded text-xs font-semibold ${units[dimension] === unit ? 'bg-cyan-500 text-white' : 'bg-gray-700 text-gray-300'}`}>{unit}</button>
+                            ))}
+                        </div>
+                    )}
+                    {type.variant && (
+                        <div className="flex gap-1">
+                            {type.variant.options.map(option => (
+                                <button key={option} onClick={() => setVariantFilter(option)} className={`px-3 py-1 rounded text-xs font-semibold ${variantFilter === option ? 'bg-purple-500 text-white' : 'bg-gray-700 text-gray-300'}`}>{option}</button>
+                            ))}
+                        </div>
+                    )}
+                </div>
+                <TrendChart data={chartData} days={range}
+                    series={type.fields.map(f => ({ key: f.key, name: `${f.label} (${fieldUnit(f, units)})`, color: f.color }))}
+                    bands={getMetricBands(type, targets, variantFilter, units)} />
+                {type.usesHeight && (
+                    <form onSubmit={(e) => { e.preventDefault(); onUpdateProfile({ heightCm: Number(height) }); }} className="flex items-end gap-2">
+                        <div className="flex-grow"><InputField label="Height for BMI (cm)" type="number" min="30" max="250" value={height} onChange={e => setHeight(e.target.value)} required /></div>
+                        <button type="submit" className="py-2 px-4 rounded-lg bg-gray-600 hover:bg-gray-500 text-white">Save</button>
+                    </form>
+                )}
+            </div>
+            <div className="space-y-4">
+                <form onSubmit={handleSubmit} className="grid grid-cols-2 gap-4">
+                    {type.fields.map(f => (
+                        <InputField key={f.key} label={`${f.label} (${fieldUnit(f, units)})`} type="number" step={f.dimension ? String(10 ** -UNIT_DIMENSIONS[f.dimension].units[units[f.dimension]].decimals) : f.step || '1'} value={form[f.key]} onChange={e => setForm({ ...form, [f.key]: e.target.value })} required />
+                    ))}
+                    {type.variant && <SelectField label={type.variant.label} value={form[type.variant.key]} onChange={e => setForm({ ...form, [type.variant.key]: e.target.value })} options={type.variant.options} />}
+                    {(type.context || []).map(c => (
+                        <SelectField key={c.key} label={c.label} value={form[c.key]} onChange={e => setForm({ ...form, [c.key]: e.target.value })} options={[{ value: '', label: 'Not recorded' }, ...c.options]} />
+                    ))}
+                    <InputField label="Date" type="date" value={form.date} onChange={e => setForm({ ...form, date: e.target.value })} required />
+                    <InputField label="Time" type="time" value={form.time} onChange={e => setForm({ ...form, time: e.target.value })} required />
+                    {type.linksDose && (
+                        <div className="col-span-2">
+                            <SelectField label="Linked dose" value={form.doseLink} onChange={e => setForm({ ...form, doseLink: e.target.value })} options={[
+                                { value: 'auto', label: nearbyDoses[0] ? `Closest: ${describeDoseLink(toLinkedDose(nearbyDoses[0]), measuredAt)}` : `Closest (no dose within ${DOSE_LINK_WINDOW_HOURS}h)` },
+                                ...nearbyDoses.map(log => ({ value: log.id, label: describeDoseLink(toLinkedDose(log), measuredAt) })),
+                                ...(editing?.linkedDose && !nearbyDoses.some(log => log.id === editing.linkedDose.logId) ? [{ value: editing.linkedDose.logId, label: `Keep: ${describeDoseLink(editing.linkedDose, measuredAt || getMeasuredAt(editing))}` }] : []),
+                                { value: 'none', label: 'No linked dose' },
+                            ]} />
+                        </div>
+                    )}
+                    <div className="col-span-2"><InputField label="Notes" value={form.notes} onChange={e => setForm({ ...form, notes: e.target.value })} placeholder="e.g., after a long walk" /></div>
+                    {formErrors.length > 0 && <div className="col-span-2 text-sm text-red-400">{formErrors.map(err => <p key={err}>{err}</p>)}</div>}
+                    <button type="submit" className={`${editing ? '' : 'col-span-2'} py-2 rounded-lg bg-cyan-500 hover:bg-cyan-600 text-white`}>{editing ? 'Save Reading' : `Add ${type.name} Reading`}</button>
+                    {editing && <button type="button" onClick={reset} className="py-2 rounded-lg bg-gray-600 hover:bg-gray-500 text-white">Cancel</button>}
+                </form>
+                <div className="space-y-2 max-h-80 overflow-y-auto">
+                    {sorted.length === 0 && <p className="text-gray-500 text-sm">No readings recorded yet.</p>}
+                    {sorted.map(d => {
+                        const derived = type.derived?.(toBaseReading(type, d), profile);
+                        const context = describeReadingContext(type, d);
+                        return (
+                            <div key={d.id} className="bg-gray-700 p-2 rounded flex justify-between items-center">
+                                <div>
+                                    <span className="flex items-center gap-2">
+                                        {formatMetricReading(type, d, units)}
+                                        {derived && <span className="text-gray-400 text-sm">{derived}</span>}
+                                        <ClassificationBadge level={classifyMetricReading(type, d, targets, profile)} />
+                                    </span>
+                                    {(context || d.linkedDose) && <p className="text-xs text-gray-400">{[context, d.linkedDose && describeDoseLink(d.linkedDose, getMeasuredAt(d))].filter(Boolean).join(' · ')}</p>}
+                                    {d.notes && <p className="text-xs text-gray-300 italic">{d.notes}</p>}
+                                </div>
+                                <div className="flex items-center gap-2">
+                                    <span className="text-gray-400 text-sm">{getMeasuredAt(d)?.toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}</span>
+                                    <button onClick={() => startEdit(d)} className="text-cyan-400 hover:text-cyan-300"><Pencil className="w-4 h-4"/></button>
+                                    <button onClick={() => setConfirmingDelete(d)} className="text-red-400 hover:text-red-300"><Trash2 className="w-4 h-4"/></button>
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            </div>
+        </div>
+    );
+};
 
-            const profileDocRef = doc(db, `/artifacts/${appId}/users/${userId}/profiles`, profileIdToDelete);
-            batch.delete(profileDocRef);
+const CustomMetricsEditor = ({ customMetrics, vitals, onSave, onCancel }) => {
+    const [draft, setDraft] = useState({ name: '', unit: '', min: '', max: '', normalMin: '', normalMax: '' });
 
-            await batch.commit();
-            
-            // Active profile will be updated by the onSnapshot listener in the useEffect hook
-            setView('dashboard');
-        } catch (e) {
-            console.error("Error deleting profile:", e);
-            setError("Failed to delete profile.");
-        }
+    const handleAdd = (e) => {
+        e.preventDefault();
+        const numbers = Object.fromEntries(['min', 'max', 'normalMin', 'normalMax'].filter(k => draft[k] !== '').map(k => [k, Number(draft[k])]));
+        onSave([...customMetrics, { id: crypto.randomUUID().slice(0, 8), name: draft.name.trim(), unit: draft.unit.trim(), ...numbers }]);
+        setDraft({ name: '', unit: '', min: '', max: '', normalMin: '', normalMax: '' });
     };
 
-    const activeProfile = useMemo(() => profiles.find(p => p.id === activeProfileId), [profiles, activeProfileId]);
+    const readingCount = (metric) => (vitals[METRIC_READINGS] || []).filter(r => r.metricType === `custom:${metric.id}`).length;
 
-    // --- Render Logic ---
-    const renderView = () => {
-        if (!activeProfileId && profiles.length > 0) return <div className="text-center p-8">Loading profile...</div>
-        if (!activeProfileId && profiles.length === 0 && !isLoading) return <ProfileManagement profiles={profiles} onAddProfile={handleAddProfile} />;
+    return (
+        <div className="bg-gray-900/50 border border-gray-700 rounded-lg p-4 mb-8 space-y-4">
+            <h3 className="text-lg font-semibold text-white">Custom Metrics</h3>
+            {customMetrics.map(metric => (
+                <div key={metric.id} className="bg-gray-700 p-2 rounded flex justify-between items-center text-sm">
+                    <span>{metric.name} ({metric.unit}) <span className="text-gray-400">accepts {metric.min}–{metric.max}{metric.normalMin !== undefined || metric.normalMax !== undefined ? `, normal ${metric.normalMin ?? '…'}–${metric.normalMax ?? '…'}` : ''}</span></span>
+                    {readingCount(metric) > 0
+                        ? <span className="text-gray-400">{readingCount(metric)} readings</span>
+                        : <button onClick={() => onSave(customMetrics.filter(m => m.id !== metric.id))} className="text-red-400 hover:text-red-300"><Trash2 className="w-4 h-4"/></button>}
+                </div>
+            ))}
+            <form onSubmit={handleAdd} className="grid grid-cols-2 md:grid-cols-3 gap-3">
+                <InputField label="Name" value={draft.name} onChange={e => setDraft({ ...draft, name: e.target.value })} placeholder="e.g., Peak flow" required />
+                <InputField label="Unit" value={draft.unit} onChange={e => setDraft({ ...draft, unit: e.target.value })} placeholder="e.g., L/min" required />
+                <InputField label="Lowest accepted" type="number" step="any" value={draft.min} onChange={e => setDraft({ ...draft, min: e.target.value })} required />
+                <InputField label="Highest accepted" type="number" step="any" value={draft.max} onChange={e => setDraft({ ...draft, max: e.target.value })} required />
+                <InputField label="Normal from (optional)" type="number" step="any" value={draft.normalMin} onChange={e => setDraft({ ...draft, normalMin: e.target.value })} />
+                <InputField label="Normal up to (optional)" type="number" step="any" value={draft.normalMax} onChange={e => setDraft({ ...draft, normalMax: e.target.value })} />
+                <div className="col-span-2 md:col-span-3 flex justify-end gap-3">
+                    <button type="button" onClick={onCancel} className="px-4 py-2 rounded-lg bg-gray-600 hover:bg-gray-500 text-white">Close</button>
+                    <button type="submit" className="px-4 py-2 rounded-lg bg-cyan-500 hover:bg-cyan-600 text-white">Add Metric</button>
+                </div>
+            </form>
+        </div>
+    );
+};
 
-        switch (view) {
-            case 'addMedicine': return <AddMedicineForm onAdd={(med) => handleAddOrUpdate('medicines', med)} onBack={() => setView('dashboard')} storage={storage} userId={userId} appId={appId} profileId={activeProfileId} />;
-            case 'history': return <HistoryView logs={logs} onBack={() => setView('dashboard')} />;
-            case 'profiles': return <ProfileManagement profiles={profiles} onAddProfile={handleAddProfile} onDeleteProfile={handleDeleteProfile} />;
-            case 'appointments': return <AppointmentView appointments={appointments} onSave={(apt) => handleAddOrUpdate('appointments', apt)} onBack={() => setView('dashboard')} />;
-            case 'healthMetrics': return <HealthMetricsView bpData={bloodPressure} bsData={bloodSugar} onSaveBP={(data) => handleAddOrUpdate('bloodPressureReadings', data)} onSaveBS={(data) => handleAddOrUpdate('bloodSugarReadings', data)} onBack={() => setView('dashboard')} />;
-            case 'export': return <ExportView profile={activeProfile} medicines={medicines} logs={logs} appointments={appointments} bpData={bloodPressure} bsData={bloodSugar} onBack={() => setView('dashboard')} />;
-            default: return <Dashboard medicines={medicines} onTakeDose={handleTakeDose} appointments={appointments} />;
-        }
+const SymptomJournal = ({ symptoms, medicines, onSave, onDelete }) => {
+    const emptyForm = () => {
+        const now = new Date();
+        return { symptom: '', severity: 'mild', medicineId: '', date: toDateInputValue(now), time: now.toTimeString().slice(0, 5), notes: '' };
     };
+    const [form, setForm] = useState(emptyForm);
+    const [editingId, setEditingId] = useState(null);
+
+    const reset = () => { setForm(emptyForm()); setEditingId(null); };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const medicine = medicines.find(m => m.id === form.medicineId);
+        onSave('symptoms', {
+            symptom: form.symptom.trim(),
+            severity: form.severity,
+            medicineId: medicine?.id || null,
+            medicineName: medicine?.name || null,
+            occurredAt: Timestamp.fromDate(new Date(`${form.date}T${form.time}`)),
+            notes: form.notes.trim(),
+        }, editingId);
+        reset();
+    };
+
+    const startEdit = (entry) => {
+        const when = toDate(entry.occurredAt);
+        setForm({ symptom: entry.symptom, severity: entry.severity, medicineId: entry.medicineId || '', date: toDateInputValue(when), time: when.toTimeString().slice(0, 5), notes: entry.notes || '' });
+        setEditingId(entry.id);
+    };
+
+    const sorted = useMemo(() => [...symptoms].sort((a, b) => toDate(b.occurredAt) - toDate(a.occurredAt)), [symptoms]);
 
-    if (isLoading) return <div className="bg-gray-900 text-white flex items-center justify-center h-screen font-sans"><div className="animate-spin rounded-full h-32 w-32 border-t-2 border-b-2 border-cyan-500"></div></div>;
-    
     return (
-        <div className="bg-gray-900 text-gray-200 min-h-screen font-sans p-4 sm:p-6 lg:p-8">
-            <div className="max-w-7xl mx-auto">
-                <Header userId={userId} profiles={profiles} activeProfile={activeProfile} onProfileChange={handleProfileChange} />
-                <main className="mt-8">
-                    <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-6 gap-4">
-                        <h1 className="text-3xl font-bold text-white tracking-wider">
-                            {activeProfile ? `${activeProfile.name}'s Dashboard` : 'MediTrack'}
-                        </h1>
-                        {activeProfile && <Navigation onViewChange={setView} currentView={view} />}
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+            <form onSubmit={handleSubmit} className="grid grid-cols-2 gap-4 content-start">
+                <h3 className="col-span-2 text-xl font-bold text-white flex items-center gap-2"><AlertTriangle/> Symptom Journal</h3>
+                <div className="col-span-2">
+                    <InputField label="Symptom or side effect" list="common-symptoms" value={form.symptom} onChange={e => setForm({ ...form, symptom: e.target.value })} required />
+                    <datalist id="common-symptoms">{COMMON_SYMPTOMS.map(name => <option key={name} value={name} />)}</datalist>
+                </div>
+                <SelectField label="Severity" value={form.severity} onChange={e => setForm({ ...form, severity: e.target.value })} options={SYMPTOM_SEVERITIES} />
+                <SelectField label="Related medicine" value={form.medicineId} onChange={e => setForm({ ...form, medicineId: e.target.value })} options={[{ value: '', label: 'None / unsure' }, ...medicines.map(m => ({ value: m.id, label: m.name }))]} />
+                <InputField label="Date" type="date" value={form.date} onChange={e => setForm({ ...form, date: e.target.value })} required />
+                <InputField label="Time" type="time" value={form.time} onChange={e => setForm({ ...form, time: e.target.value })} required />
+                <div className="col-span-2"><InputField label="Notes" value={form.notes} onChange={e => setForm({ ...form, notes: e.target.value })} placeholder="e.g., started an hour after the morning dose" /></div>
+                <button type="submit" className={`${editingId ? '' : 'col-span-2'} py-2 rounded-lg bg-cyan-500 hover:bg-cyan-600 text-white`}>{editingId ? 'Save Entry' : 'Add Entry'}</button>
+                {editingId && <button type="button" onClick={reset} className="py-2 rounded-lg bg-gray-600 hover:bg-gray-500 text-white">Cancel</button>}
+            </form>
+            <div className="space-y-2 max-h-[32rem] overflow-y-auto">
+                {sorted.length === 0 && <p className="text-gray-500 text-sm">No symptoms recorded.</p>}
+                {sorted.map(entry => (
+                    <div key={entry.id} className="bg-gray-700 p-2 rounded flex justify-between items-center">
+                        <div>
+                            <span className="flex items-center gap-2">
+                                {entry.symptom}
+                                <span className={`text-xs font-semibold px-2 py-0.5 rounded-full text-white ${getSeverity(entry.severity).badge}`}>{getSeverity(entry.severity).label}</span>
+                            </span>
+                            {entry.medicineName && <p className="text-xs text-gray-400">Possibly related to {entry.medicineName}</p>}
+                            {entry.notes && <p className="text-xs text-gray-300 italic">{entry.notes}</p>}
+                        </div>
+                        <div className="flex items-center gap-2">
+                            <span className="text-gray-400 text-sm">{toDate(entry.occurredAt)?.toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}</span>
+                            <button onClick={() => startEdit(entry)} className="text-cyan-400 hover:text-cyan-300"><Pencil className="w-4 h-4"/></button>
+                            <button onClick={() => onDelete('symptoms', entry.id)} className="text-red-400 hover:text-red-300"><Trash2 className="w-4 h-4"/></button>
+                        </div>
                     </div>
-                    {error && <div className="bg-red-800/80 border border-red-600 text-white p-4 rounded-lg mb-6 flex items-center gap-4"><AlertTriangle/><p>{error}</p><button onClick={() => setError(null)} className="ml-auto font-bold">X</button></div>}
-                     {renderView()}
-                </main>
-                 <ReminderSystem medicines={medicines} onTakeDose={handleTakeDose} />
+                ))}
             </div>
         </div>
     );
-}
+};
 
-// --- Components ---
+const HealthMetricsView = ({ profile, vitals, symptoms, logs, medicines, onUpdateProfile, onSave, onDelete, onBack }) => {
+    const targets = useMemo(() => getVitalTargets(profile), [profile]);
+    const metricTypes = useMemo(() => getMetricTypes(profile), [profile]);
+    const units = useMemo(() => getUnitPreferences(profile), [profile]);
+    const [range, setRange] = useState(30);
+    const [activeTypeId, setActiveTypeId] = useState(BUILT_IN_METRIC_TYPES[0].id);
+    const [showTargets, setShowTargets] = useState(false);
+    const [showCustom, setShowCustom] = useState(false);
 
-const Header = ({ userId, profiles, activeProfile, onProfileChange }) => (
-    <header className="flex flex-col sm:flex-row justify-between items-start sm:items-center pb-4 border-b border-gray-700 gap-4">
-        <div className="flex items-center space-x-3">
-            <Pill className="text-cyan-400 w-8 h-8" />
-            <span className="text-2xl font-semibold text-white">MediTrack</span>
-        </div>
-        <div className="flex items-center gap-4">
-            {profiles.length > 0 && activeProfile && (
-                <select 
-                    value={activeProfile.id} 
-                    onChange={(e) => onProfileChange(e.target.value)}
-                    className="bg-gray-700 border border-gray-600 text-white rounded-lg p-2 focus:ring-2 focus:ring-cyan-500"
-                >
-                    {profiles.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
-                </select>
-            )}
-            {userId && <div className="text-xs text-gray-500 bg-gray-800 px-2 py-1 rounded">UID: {userId.substring(0,8)}...</div>}
-        </div>
-    </header>
-);
+    const activeType = metricTypes.find(t => t.id === activeTypeId) || metricTypes[0];
 
-const Navigation = ({ onViewChange, currentView }) => {
-    const navItems = [
-        { id: 'dashboard', icon: BarChart2, label: 'Dashboard' },
-        { id: 'addMedicine', icon: Plus, label: 'Add Med' },
-        { id: 'history', icon: History, label: 'History' },
-        { id: 'appointments', icon: Calendar, label: 'Appts' },
-        { id: 'healthMetrics', icon: HeartPulse, label: 'Vitals' },
-        { id: 'profiles', icon: Users, label: 'Profiles' },
-        { id: 'export', icon: FileText, label: 'Export' },
-    ];
     return (
-        <nav className="bg-gray-800 p-2 rounded-lg shadow-lg">
-            <ul className="flex items-center space-x-1 sm:space-x-2">
-                {navItems.map(item => (
-                    <li key={item.id}>
-                        <button onClick={() => onViewChange(item.id)} className={`flex items-center space-x-2 px-3 py-2 rounded-md text-sm font-medium transition-all duration-300 ease-in-out ${currentView === item.id ? 'bg-cyan-500 text-white shadow-cyan-500/30 shadow-lg' : 'text-gray-300 hover:bg-gray-700 hover:text-white'}`}>
-                            <item.icon className="w-5 h-5" />
-                            <span className="hidden md:inline">{item.label}</span>
-                        </button>
-                    </li>
+        <div className="bg-gray-800 p-8 rounded-lg shadow-2xl border border-gray-700">
+            <button onClick={onBack} className="flex items-center mb-6 text-cyan-400 hover:text-cyan-300"><ChevronLeft className="w-5 h-5 mr-1" /> Back</button>
+            <div className="flex flex-wrap gap-2 mb-4">
+                {metricTypes.map(type => (
+                    <button key={type.id} onClick={() => setActiveTypeId(type.id)} className={`px-3 py-2 rounded-lg text-sm font-semibold ${activeTypeId === type.id ? 'bg-cyan-500 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}>{type.name}</button>
                 ))}
-            </ul>
-        </nav>
+                <button onClick={() => setActiveTypeId('symptoms')} className={`px-3 py-2 rounded-lg text-sm font-semibold ${activeTypeId === 'symptoms' ? 'bg-cyan-500 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}>Symptoms</button>
+            </div>
+            <div className="flex flex-wrap justify-between items-center gap-4 mb-6">
+                <div className="flex gap-2">
+                    {CHART_RANGES.map(r => (
+                        <button key={r.value} onClick={() => setRange(r.value)} className={`px-4 py-2 rounded-lg text-sm font-semibold ${range === r.value ? 'bg-cyan-500 text-white' : 'bg-gray-700 text-gray-300'}`}>{r.label}</button>
+                    ))}
+                </div>
+                <div className="flex gap-2">
+                    <button onClick={() => setShowCustom(!showCustom)} className="flex items-center gap-1 px-4 py-2 rounded-lg text-sm bg-gray-700 hover:bg-gray-600 text-gray-200"><Settings className="w-4 h-4"/> Custom metrics</button>
+                    <button onClick={() => setShowTargets(!showTargets)} className="px-4 py-2 rounded-lg text-sm bg-gray-700 hover:bg-gray-600 text-gray-200">
+                        Targets: {VITAL_TARGET_PRESETS[targets.preset]?.label || 'Custom'}
+                    </button>
+                </div>
+            </div>
+            {showTargets && <VitalTargetsEditor targets={targets} onCancel={() => setShowTargets(false)} onSave={async (vitalTargets) => { await onUpdateProfile({ vitalTargets }); setShowTargets(false); }} />}
+            {showCustom && <CustomMetricsEditor customMetrics={profile?.customMetrics || []} vitals={vitals} onCancel={() => setShowCustom(false)} onSave={(customMetrics) => onUpdateProfile({ customMetrics })} />}
+            {activeTypeId === 'symptoms'
+                ? <SymptomJournal symptoms={symptoms} medicines={medicines} onSave={onSave} onDelete={onDelete} />
+                : <MetricPanel key={activeType.id} type={activeType} readings={getMetricReadings(activeType, vitals)} logs={logs} targets={targets} profile={profile} units={units} range={range} onSave={onSave} onDelete={onDelete} onUpdateProfile={onUpdateProfile} />}
+        </div>
     );
 };
 
-const Dashboard = ({ medicines, onTakeDose, appointments }) => {
-    const upcomingAppointment = useMemo(() => {
-        const now = new Date();
-        return appointments
-            .filter(a => a.date?.toDate() > now)
-            .sort((a, b) => a.date.toDate() - b.date.toDate())[0];
-    }, [appointments]);
+const CorrelationView = ({ profile, medicines, logs, vitals, onBack }) => {
+    const metricTypes = useMemo(() => getMetricTypes(profile), [profile]);
+    const units = useMemo(() => getUnitPreferences(profile), [profile]);
+    const [medicineId, setMedicineId] = useState('');
+    const [typeId, setTypeId] = useState(metricTypes[0].id);
+    const [windowDays, setWindowDays] = useState(30);
+    const [variant, setVariant] = useState('');
+
+    const med = medicines.find(m => m.id === medicineId) || medicines[0];
+    const type = metricTypes.find(t => t.id === typeId) || metricTypes[0];
+
+    const analysis = useMemo(() => med
+        ? analyzeMedicationEffect(med, type, getMetricReadings(type, vitals), logs, { windowDays, variant: variant || null, units })
+        : null, [med, type, vitals, logs, windowDays, variant, units]);
+
+    const chartData = useMemo(() => {
+        if (!analysis) return [];
+        return getMetricReadings(type, vitals)
+            .filter(r => !type.variant || !variant || r[type.variant.key] === variant)
+            .map(r => ({ ...toDisplayReading(type, r, units), t: getMeasuredAt(r)?.getTime() }))
+            .filter(r => r.t >= analysis.from.getTime() && r.t <= analysis.to.getTime())
+            .map(r => ({ t: r.t, ...Object.fromEntries(type.fields.map(f => [f.key, Number(r[f.key])])) }))
+            .sort((a, b) => a.t - b.t);
+    }, [analysis, type, vitals, variant, units]);
+
+    const doseEvents = useMemo(() => analysis ? logs
+        .filter(log => log.medicineId === med.id && toDate(log.takenAt) >= analysis.from && toDate(log.takenAt) <= analysis.to)
+        .map(log => ({ id: log.id, t: toDate(log.takenAt).getTime(), skipped: log.status === 'skipped' })) : [], [analysis, logs, med]);
+
+    const formatStat = (stat, unit) => stat ? `${stat.mean} ${unit} (n=${stat.count})` : '–';
+    const formatChange = (value, unit) => value === null || value === undefined ? '–' : `${value > 0 ? '+' : ''}${value} ${unit}`;
+
+    if (medicines.length === 0) {
+        return (
+            <div className="bg-gray-800 p-8 rounded-lg shadow-2xl border border-gray-700 text-center">
+                <TrendingUp className="mx-auto h-12 w-12 text-gray-500" />
+                <h3 className="mt-2 text-xl font-medium text-white">Add a medicine to analyse its effect on your vitals.</h3>
+            </div>
+        );
+    }
 
     return (
-        <div>
-            {upcomingAppointment && (
-                <div className="bg-cyan-800/50 border border-cyan-700 text-cyan-200 p-4 rounded-lg mb-6 flex items-center gap-4">
-                    <Calendar className="w-6 h-6"/>
-                    <div>
-                        <h4 className="font-bold">Upcoming Appointment</h4>
-                        <p>With Dr. {upcomingAppointment.doctor} on {upcomingAppointment.date.toDate().toLocaleDateString()} at {upcomingAppointment.date.toDate().toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}</p>
+        <div className="bg-gray-800 p-8 rounded-lg shadow-2xl border border-gray-700">
+            <button onClick={onBack} className="flex items-center mb-6 text-cyan-400 hover:text-cyan-300"><ChevronLeft className="w-5 h-5 mr-1" /> Back</button>
+            <h2 className="text-2xl font-bold text-white mb-6">Medication & Vitals</h2>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+                <SelectField label="Medicine" value={med?.id || ''} onChange={e => setMedicineId(e.target.value)} options={medicines.map(m => ({ value: m.id, label: m.discontinued ? `${m.name} (discontinued)` : m.name }))} />
+                <SelectField label="Vital" value={typeId} onChange={e => { setTypeId(e.target.value); setVariant(''); }} options={metricTypes.map(t => ({ value: t.id, label: t.name }))} />
+                {type.variant
+                    ? <SelectField label={type.variant.label} value={variant} onChange={e => setVariant(e.target.value)} options={[{ value: '', label: 'All' }, ...type.variant.options]} />
+                    : <div className="hidden md:block" />}
+                <SelectField label="Compare" value={windowDays} onChange={e => setWindowDays(Number(e.target.value))} options={CORRELATION_WINDOWS.map(days => ({ value: days, label: `${days} days before / after` }))} />
+            </div>
+            {analysis && (
+                <>
+                    <p className="text-sm text-gray-400 mb-4">{med.name} started on {analysis.start.toLocaleDateString()}. Comparing {type.name.toLowerCase()} readings from {analysis.from.toLocaleDateString()} to {analysis.to.toLocaleDateString()}.</p>
+                    {chartData.length === 0 ? <p className="text-gray-500 text-sm text-center py-8">No {type.name.toLowerCase()} readings in this period.</p> : (
+                        <div className="w-full h-72 mb-6">
+                            <ResponsiveContainer>
+                                <LineChart data={chartData} margin={{ top: 20, right: 10, left: -20, bottom: 0 }}>
+                                    <CartesianGrid stroke="#374151" strokeDasharray="3 3" />
+                                    <XAxis dataKey="t" type="number" scale="time" domain={[analysis.from.getTime(), analysis.to.getTime()]} tickFormatter={t => new Date(t).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })} stroke="#9ca3af" fontSize={12} />
+                                    <YAxis stroke="#9ca3af" fontSize={12} domain={['auto', 'auto']} />
+                                    {doseEvents.map(dose => <ReferenceLine key={dose.id} x={dose.t} stroke={dose.skipped ? '#f87171' : '#06b6d4'} strokeOpacity={0.3} />)}
+                                    <ReferenceLine x={analysis.start.getTime()} stroke="#facc15" strokeWidth={2} label={{ value: 'Started', fill: '#facc15', fontSize: 12, position: 'top' }} />
+                                    <Tooltip contentStyle={{ backgroundColor: '#1f2937', border: '1px solid #4b5563' }} labelFormatter={t => new Date(t).toLocaleString()} />
+                                    {type.fields.map(f => <Line key={f.key} type="monotone" dataKey={f.key} name={`${f.label} (${fieldUnit(f, units)})`} stroke={f.color} dot={{ r: 2 }} isAnimationActive={false} />)}
+                                </LineChart>
+                            </ResponsiveContainer>
+                            <p className="text-xs text-gray-500 text-center">Vertical lines mark doses (blue: taken, red: skipped); yellow marks the start date.</p>
+                        </div>
+                    )}
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-sm text-left">
+                            <thead className="text-gray-400 border-b border-gray-700">
+                                <tr><th className="py-2 pr-4"></th><th className="py-2 pr-4">Before</th><th className="py-2 pr-4">After</th><th className="py-2 pr-4">Change</th><th className="py-2 pr-4">Trend after (per week)</th><th className="py-2 pr-4">Adherent days</th><th className="py-2">Missed-dose days</th></tr>
+                            </thead>
+                            <tbody>
+                                {analysis.fields.map(f => (
+                                    <tr key={f.key} className="border-b border-gray-700 text-gray-200">
+                                        <td className="py-2 pr-4 font-semibold text-white">{f.label}</td>
+                                        <td className="py-2 pr-4">{formatStat(f.before, f.unit)}</td>
+                                        <td className="py-2 pr-4">{formatStat(f.after, f.unit)}</td>
+                                        <td className="py-2 pr-4">{formatChange(f.change, f.unit)}</td>
+                                        <td className="py-2 pr-4">{formatChange(f.after?.slopePerWeek, f.unit)}</td>
+                                        <td className="py-2 pr-4">{formatStat(f.adherent, f.unit)}</td>
+                                        <td className="py-2">{formatStat(f.nonAdherent, f.unit)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
                     </div>
-                </div>
+                    <p className="text-xs text-gray-500 mt-4">Averages show an association, not proof that the medicine caused the change. Discuss results with your doctor before changing any treatment.</p>
+                </>
             )}
-            {medicines.length === 0 ? (
-                <div className="text-center py-16 px-4 bg-gray-800 rounded-lg"><Pill className="mx-auto h-12 w-12 text-gray-500" /><h3 className="mt-2 text-xl font-medium text-white">No Medications Found</h3><p className="mt-1 text-gray-400">Click on 'Add Med' to get started.</p></div>
-            ) : (
-                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-                    {medicines.map(med => <MedicineCard key={med.id} medicine={med} onTakeDose={onTakeDose} />)}
+        </div>
+    );
+};
+
+const EMPTY_ALERT_RULE = { type: 'missedDose', medicineId: '', minutes: 60, days: 5, metricTypeId: 'bloodPressure', field: 'systolic', operator: 'above', threshold: '', variant: '' };
+
+// Thresholds are entered in the profile's preferred units and saved in base units
+const AlertRuleForm = ({ profile, medicines, onSave }) => {
+    const [values, setValues] = useState(EMPTY_ALERT_RULE);
+    const [formError, setFormError] = useState(null);
+    const set = (key, value) => setValues(v => ({ ...v, [key]: value }));
+    const units = getUnitPreferences(profile);
+    const metricTypes = getMetricTypes(profile);
+    const metricType = metricTypes.find(t => t.id === values.metricTypeId) || metricTypes[0];
+    const field = metricType.fields.find(f => f.key === values.field) || metricType.fields[0];
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const medicineId = values.medicineId || null;
+        if (values.type === 'missedDose') onSave({ type: 'missedDose', medicineId, minutes: Number(values.minutes) });
+        else if (values.type === 'lowStock') onSave({ type: 'lowStock', medicineId, days: Number(values.days) });
+        else {
+            const threshold = Number(values.threshold);
+            if (values.threshold === '' || isNaN(threshold)) {
+                setFormError('Enter the limit.');
+                return;
+            }
+            const base = field.dimension ? convertUnit(threshold, field.dimension, fieldUnit(field, units), null) : threshold;
+            onSave({ type: 'vital', metricTypeId: metricType.id, field: field.key, operator: values.operator, threshold: roundTo(base, 2), variant: values.variant || null });
+        }
+        setFormError(null);
+        setValues(EMPTY_ALERT_RULE);
+    };
+
+    const medicineOptions = [{ value: '', label: 'Any medicine' }, ...medicines.map(m => ({ value: m.id, label: m.name }))];
+    return (
+        <form onSubmit={handleSubmit} className="grid grid-cols-1 sm:grid-cols-2 gap-4 bg-gray-900/50 border border-gray-700 rounded-lg p-4">
+            <SelectField label="Alert when" value={values.type} onChange={e => set('type', e.target.value)} options={ALERT_RULE_TYPES} />
+            {values.type !== 'vital' && <SelectField label="Medicine" value={values.medicineId} onChange={e => set('medicineId', e.target.value)} options={medicineOptions} />}
+            {values.type === 'missedDose' && <InputField label="Minutes after the scheduled time" type="number" min="1" value={values.minutes} onChange={e => set('minutes', e.target.value)} required />}
+            {values.type === 'lowStock' && <InputField label="Fewer days of supply than" type="number" min="1" value={values.days} onChange={e => set('days', e.target.value)} required />}
+            {values.type === 'vital' && (
+                <>
+                    <SelectField label="Metric" value={metricType.id} onChange={e => setValues(v => ({ ...v, metricTypeId: e.target.value, field: metricTypes.find(t => t.id === e.target.value).fields[0].key, variant: '' }))} options={metricTypes.map(t => ({ value: t.id, label: t.name }))} />
+                    {metricType.fields.length > 1 && <SelectField label="Value" value={field.key} onChange={e => set('field', e.target.value)} options={metricType.fields.map(f => ({ value: f.key, label: f.label }))} />}
+                    {metricType.variant && <SelectField label={metricType.variant.label} value={values.variant} onChange={e => set('variant', e.target.value)} options={[{ value: '', label: 'Any' }, ...metricType.variant.options]} />}
+                    <SelectField label="Is" value={values.operator} onChange={e => set('operator', e.target.value)} options={ALERT_OPERATORS} />
+                    <InputField label={`Limit (${fieldUnit(field, units) || 'value'})`} type="number" step="any" value={values.threshold} onChange={e => set('threshold', e.target.value)} required />
+                </>
+            )}
+            <div className="sm:col-span-2 flex items-center gap-4">
+                <button type="submit" className="py-2 px-4 rounded-lg text-white bg-cyan-500 hover:bg-cyan-600">Add Rule</button>
+                {formError && <p className="text-sm text-red-400">{formError}</p>}
+            </div>
+        </form>
+    );
+};
+
+const AlertSettingsForm = ({ settings = {}, stubDeliveries, onSave, onTest }) => {
+    const [values, setValues] = useState({ browser: settings.browser !== false, webhookUrl: settings.webhookUrl || '', emails: (settings.emails || []).join(', '), stub: !!settings.stub });
+    const [status, setStatus] = useState(null); // { type: 'working' | 'done' | 'error', message }
+    const set = (key, value) => setValues(v => ({ ...v, [key]: value }));
+    const toSettings = () => ({ browser: values.browser, webhookUrl: values.webhookUrl.trim(), emails: parseTags(values.emails), stub: values.stub });
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (values.webhookUrl.trim() && !/^https:\/\//i.test(values.webhookUrl.trim())) {
+            setStatus({ type: 'error', message: 'The webhook URL must start with https://.' });
+            return;
+        }
+        onSave(toSettings());
+        setStatus({ type: 'done', message: 'Delivery settings saved.' });
+    };
+
+    const sendTest = async () => {
+        setStatus({ type: 'working', message: 'Sending a test alert...' });
+        try {
+            const results = await onTest(toSettings());
+            const entries = Object.entries(results);
+            if (entries.length === 0) setStatus({ type: 'error', message: 'No delivery method is turned on.' });
+            else setStatus({ type: entries.every(([, result]) => result === 'sent') ? 'done' : 'error', message: entries.map(([id, result]) => `${id}: ${result}`).join(' · ') });
+        } catch (e) {
+            setStatus({ type: 'error', message: e.message });
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-4 bg-gray-900/50 border border-gray-700 rounded-lg p-4">
+            <label className="flex items-center gap-2 text-sm text-gray-300">
+                <input type="checkbox" checked={values.browser} onChange={e => set('browser', e.target.checked)} /> Browser notifications on every device that has this profile open
+            </label>
+            <InputField label="Webhook URL (optional)" type="url" value={values.webhookUrl} onChange={e => set('webhookUrl', e.target.value)} placeholder="https://..." />
+            <InputField label="Email recipients for the webhook (comma separated)" value={values.emails} onChange={e => set('emails', e.target.value)} placeholder="e.g. parent@example.com" />
+            <p className="text-xs text-gray-400">Each alert is posted once as JSON with the recipients, a subject and the text, so an email relay or chat integration can forward it.</p>
+            <label className="flex items-center gap-2 text-sm text-gray-300">
+                <input type="checkbox" checked={values.stub} onChange={e => set('stub', e.target.checked)} /> Also keep a local test log on this device (nothing is sent)
+            </label>
+            <div className="flex flex-wrap items-center gap-3">
+                <button type="submit" className="py-2 px-4 rounded-lg text-white bg-cyan-500 hover:bg-cyan-600">Save Delivery Settings</button>
+                <button type="button" onClick={sendTest} disabled={status?.type === 'working'} className="py-2 px-4 rounded-lg text-white bg-gray-700 hover:bg-gray-600 disabled:bg-gray-600">Send Test Alert</button>
+            </div>
+            {status && <p className={`text-sm ${status.type === 'error' ? 'text-red-400' : status.type === 'done' ? 'text-green-400' : 'text-gray-300'}`}>{status.message}</p>}
+            {values.stub && stubDeliveries.length > 0 && (
+                <div className="text-sm space-y-1">
+                    <h4 className="font-semibold text-white">Test log</h4>
+                    {stubDeliveries.slice(-10).reverse().map((delivery, i) => (
+                        <p key={i} className="text-gray-400">{delivery.at.toLocaleTimeString()} · {delivery.alert.title}: {delivery.alert.message}</p>
+                    ))}
                 </div>
             )}
-        </div>
+        </form>
     );
 };
 
-const MedicineCard = ({ medicine, onTakeDose }) => {
-    const dosageInfo = { 'Once a day': 'bg-green-500', 'Twice a day': 'bg-yellow-500', 'Thrice a day': 'bg-orange-500', 'Once a week': 'bg-purple-500' };
+// `medicines` includes discontinued ones, so rules for them are still described by name
+const AlertsView = ({ profile, alerts, rules, medicines, canEdit, stubDeliveries, onSetStatus, onSaveRule, onDeleteRule, onSaveSettings, onTestDelivery, onBack }) => {
+    const [filter, setFilter] = useState('open');
+    const activeMedicines = medicines.filter(m => !m.discontinued);
+    const shown = alerts
+        .filter(a => filter === 'all' || getAlertStatus(a).value === filter)
+        .sort((a, b) => toDate(b.triggeredAt) - toDate(a.triggeredAt));
+    const describeBy = (label, by, at) => by && `${label} by ${by.name}${at ? ` on ${toDate(at).toLocaleString()}` : ''}`;
+
     return (
-        <div className="bg-gray-800 rounded-xl shadow-lg overflow-hidden transform hover:-translate-y-1 transition-transform duration-300 border border-gray-700">
-            <div className="p-5">
-                <div className="flex justify-between items-start">
-                    <h3 className="text-xl font-bold text-white truncate">{medicine.name}</h3>
-                    <span className={`px-2 py-1 text-xs font-bold text-white rounded-full ${dosageInfo[medicine.dosage] || 'bg-gray-500'}`}>{medicine.dosage}</span>
+        <div className="bg-gray-800 p-8 rounded-lg shadow-2xl max-w-4xl mx-auto border border-gray-700 space-y-8">
+            <button onClick={onBack} className="flex items-center text-cyan-400 hover:text-cyan-300"><ChevronLeft className="w-5 h-5 mr-1" /> Back to Dashboard</button>
+            <section>
+                <h2 className="text-2xl font-bold text-white mb-4 flex items-center gap-2"><Bell/> Alerts</h2>
+                <div className="flex gap-2 mb-4">
+                    {[...ALERT_STATUSES, { value: 'all', label: 'All' }].map(s => (
+                        <button key={s.value} onClick={() => setFilter(s.value)} className={`px-3 py-1 rounded text-sm ${filter === s.value ? 'bg-cyan-500 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}>{s.label}</button>
+                    ))}
                 </div>
-                <div className="flex items-center mt-2 text-gray-400 text-sm"><Stethoscope className="w-4 h-4 mr-2" /><span>Dr. {medicine.doctor}</span></div>
-                {medicine.prescriptionUrl && <a href={medicine.prescriptionUrl} target="_blank" rel="noopener noreferrer" className="text-cyan-400 text-sm hover:underline mt-1 flex items-center"><FileText className="w-4 h-4 mr-1"/> View Prescription</a>}
-                <div className="mt-4 flex justify-between items-center">
-                    <div className="flex items-center text-cyan-400"><Package className="w-6 h-6 mr-2" /><span className="text-2xl font-semibold">{medicine.stock}</span><span className="text-sm ml-1 text-gray-400">in stock</span></div>
-                    <button onClick={() => onTakeDose(medicine)} disabled={medicine.stock <= 0} className="flex items-center justify-center px-4 py-2 bg-cyan-500 text-white font-semibold rounded-lg shadow-md hover:bg-cyan-600 disabled:bg-gray-600 disabled:cursor-not-allowed transition-all transform hover:scale-105"><Pill className="w-5 h-5 mr-2" /> Take</button>
+                <div className="space-y-3">
+                    {shown.length === 0 ? <p className="text-gray-400">No alerts here.</p> : shown.map(alert => {
+                        const status = getAlertStatus(alert);
+                        return (
+                            <div key={alert.id} className={`bg-gray-700 p-4 rounded-lg border-l-4 ${ALERT_SEVERITY_STYLES[alert.severity] || ALERT_SEVERITY_STYLES.info}`}>
+                                <div className="flex justify-between items-start gap-4">
+                                    <div>
+                                        <p className="font-semibold text-white">{alert.title}</p>
+                                        <p className="text-sm text-gray-300">{alert.message}</p>
+                                        <p className="text-xs text-gray-400 mt-1">{[toDate(alert.triggeredAt).toLocaleString(), describeBy('Acknowledged', alert.acknowledgedBy, alert.acknowledgedAt), describeBy('Resolved', alert.resolvedBy, alert.resolvedAt)].filter(Boolean).join(' · ')}</p>
+                                        {alert.deliveries && <p className="text-xs text-gray-500">{Object.entries(alert.deliveries).map(([id, result]) => `${id}: ${result}`).join(' · ')}</p>}
+                                    </div>
+                                    <span className={`text-xs px-2 py-1 rounded-full whitespace-nowrap ${status.className}`}>{status.label}</span>
+                                </div>
+                                {canEdit && status.value !== 'resolved' && (
+                                    <div className="flex gap-3 mt-3 text-sm">
+                                        {status.value === 'open' && <button onClick={() => onSetStatus(alert, 'acknowledged')} className="text-yellow-300 hover:text-yellow-200">Acknowledge</button>}
+                                        <button onClick={() => onSetStatus(alert, 'resolved')} className="text-green-400 hover:text-green-300">Resolve</button>
+                                    </div>
+                                )}
+                            </div>
+                        );
+                    })}
                 </div>
-            </div>
+            </section>
+            <section className="space-y-4">
+                <h3 className="text-xl font-semibold text-white">Rules</h3>
+                <p className="text-sm text-gray-400">Rules are checked by MediTrack while it is open with {profile.name} selected, on a device that can edit the profile. While no such device has it open, nothing is checked; missed doses and readings from the last {ALERT_LOOKBACK_HOURS} hours are caught up once one does.</p>
+                {rules.length === 0 && <p className="text-gray-400">No rules yet. Add one below or start from an example.</p>}
+                {rules.map(rule => (
+                    <div key={rule.id} className="bg-gray-700 p-3 rounded-lg flex items-center gap-3">
+                        <label className="flex items-center gap-2 flex-1 text-sm text-gray-200">
+                            <input type="checkbox" checked={rule.enabled !== false} disabled={!canEdit} onChange={e => onSaveRule({ enabled: e.target.checked }, rule.id)} />
+                            <span>
+                                {describeAlertRule(rule, profile, medicines)}
+                                {isOrphanedAlertRule(rule, medicines) && <span className="block text-xs text-yellow-300">Its medicine was deleted, so this rule no longer raises alerts. Delete it or add a new rule.</span>}
+                            </span>
+                        </label>
+                        {canEdit && <button onClick={() => onDeleteRule(rule.id)} title="Delete rule" className="text-red-400 hover:text-red-300 p-1"><Trash2 className="w-4 h-4"/></button>}
+                    </div>
+                ))}
+                {canEdit && (
+                    <>
+                        <div className="flex flex-wrap gap-2">
+                            {ALERT_RULE_PRESETS.map((preset, i) => (
+                                <button key={i} onClick={() => onSaveRule(preset)} className="text-sm px-3 py-1 rounded bg-gray-700 text-gray-300 hover:bg-gray-600">+ {describeAlertRule(preset, profile, activeMedicines)}</button>
+                            ))}
+                        </div>
+                        <AlertRuleForm profile={profile} medicines={activeMedicines} onSave={onSaveRule} />
+                    </>
+                )}
+            </section>
+            {canEdit && (
+                <section className="space-y-4">
+                    <h3 className="text-xl font-semibold text-white">Delivery</h3>
+                    <AlertSettingsForm key={profile.id} settings={profile.alertSettings} stubDeliveries={stubDeliveries} onSave={onSaveSettings} onTest={onTestDelivery} />
+                </section>
+            )}
         </div>
     );
 };
 
-const AddMedicineForm = ({ onAdd, onBack, storage, userId, appId, profileId }) => {
-    const [med, setMed] = useState({ name: '', doctor: '', stock: '', dosage: 'Once a day', times: ['08:00'] });
-    const [prescriptionFile, setPrescriptionFile] = useState(null);
-    const [isUploading, setIsUploading] = useState(false);
+const ExportView = ({ profile, medicines, logs, appointments, vitals, symptoms, documents, onExportBackup, onImportBackup, onBulkAdd, onBack }) => {
+    const [fhirErrors, setFhirErrors] = useState([]);
+    const [pdfStatus, setPdfStatus] = useState(null); // { type: 'working' | 'done' | 'error', message }
+    const [reportRange, setReportRange] = useState(() => ({ from: toDateInputValue(new Date(Date.now() - DEFAULT_REPORT_DAYS * DAY_MS)), to: toDateInputValue(new Date()) }));
+    const [reportSections, setReportSections] = useState(() => REPORT_SECTIONS.map(s => s.id));
+    const reportDocuments = useMemo(() => documents.filter(d => d.includeInReport), [documents]);
 
-    useEffect(() => {
-        const dosageMap = { 'Once a day': 1, 'Twice a day': 2, 'Thrice a day': 3, 'Once a week': 1 };
-        const numTimes = dosageMap[med.dosage] || 1;
-        const newTimes = Array.from({ length: numTimes }, (_, i) => med.times[i] || '08:00');
-        if (newTimes.length !== med.times.length) {
-            setMed(prevMed => ({ ...prevMed, times: newTimes }));
-        }
-    }, [med.dosage]);
+    const toggleSection = (id) => setReportSections(current => current.includes(id) ? current.filter(s => s !== id) : [...current, id]);
 
-    const handleInputChange = (e) => setMed({...med, [e.target.name]: e.target.value});
-    
-    const handleTimeChange = (index, value) => {
-        const newTimes = [...med.times];
-        newTimes[index] = value;
-        setMed({...med, times: newTimes});
+    const exportFhir = () => {
+        if (!profile) return;
+        const bundle = buildFhirBundle(profile, { medicines, logs, appointments, vitals });
+        const errors = validateJsonSchema(bundle, fhirBundleSchema);
+        setFhirErrors(errors);
+        if (errors.length > 0) return;
+        downloadFile(`${profile.name}_FHIR_Bundle.json`, JSON.stringify(bundle, null, 2), 'application/fhir+json');
     };
 
-    const handleSubmit = async (e) => {
-        e.preventDefault();
-        if (!med.name || !med.doctor || !med.stock) return;
-        let finalMed = { ...med, stock: Number(med.stock) };
+    const generatePdf = async () => {
+        if (!profile) return;
+        // jsPDF and its autoTable plugin are loaded from a CDN
+        const jsPDF = window.jspdf?.jsPDF;
+        if (typeof jsPDF !== 'function' || typeof jsPDF.API?.autoTable !== 'function') {
+            setPdfStatus({ type: 'error', message: 'The PDF library could not be loaded. Check your connection and reload the page.' });
+            return;
+        }
+        const from = parseDateInput(reportRange.from), to = parseDateInput(reportRange.to);
+        if (!from || !to || from > to) {
+            setPdfStatus({ type: 'error', message: 'Choose a start date on or before the end date.' });
+            return;
+        }
+        if (reportSections.length === 0) {
+            setPdfStatus({ type: 'error', message: 'Choose at least one section for the report.' });
+            return;
+        }
+        to.setHours(23, 59, 59, 999);
 
-        if (prescriptionFile && storage) {
-            setIsUploading(true);
-            const filePath = `/artifacts/${appId}/users/${userId}/profiles/${profileId}/prescriptions/${Date.now()}_${prescriptionFile.name}`;
-            const storageRef = ref(storage, filePath);
-            try {
-                const snapshot = await uploadBytes(storageRef, prescriptionFile);
-                const downloadURL = await getDownloadURL(snapshot.ref);
-                finalMed.prescriptionUrl = downloadURL;
-            } catch (error) {
-                console.error("Upload failed", error);
-                setIsUploading(false);
-                return;
+        try {
+            setPdfStatus({ type: 'working', message: 'Building the report...' });
+            const model = buildReportModel(profile, { medicines, logs, appointments, vitals, symptoms, documents }, { from, to, sections: reportSections });
+            const images = {};
+            const imageBlocks = model.blocks.filter(b => b.kind === 'image');
+            if (imageBlocks.length > 0) setPdfStatus({ type: 'working', message: 'Adding attached images...' });
+            for (const block of imageBlocks) {
+                try {
+                    images[block.documentId] = await fetchAsDataUrl(documents.find(d => d.id === block.documentId).url);
+                } catch (e) {
+                    console.error(`Could not add ${block.title} to the report:`, e);
+                }
             }
+            const { doc, notEmbedded } = renderReportPdf(jsPDF, model, images);
+            doc.save(`${profile.name}_Health_Report_${reportRange.from}_${reportRange.to}.pdf`);
+            setPdfStatus(notEmbedded.length > 0
+                ? { type: 'error', message: `Could not add ${notEmbedded.join(', ')} as images; they are linked in the report instead.` }
+                : { type: 'done', message: 'The report was downloaded.' });
+        } catch (e) {
+            console.error("Error generating PDF report:", e);
+            setPdfStatus({ type: 'error', message: `The report could not be generated: ${e.message}` });
         }
-        onAdd(finalMed);
-        setIsUploading(false);
     };
 
     return (
-        <div className="bg-gray-800 p-8 rounded-lg shadow-2xl max-w-2xl mx-auto border border-gray-700">
+        <div className="bg-gray-800 p-8 rounded-lg shadow-2xl max-w-2xl mx-auto border border-gray-700 text-center">
             <button onClick={onBack} className="flex items-center mb-6 text-cyan-400 hover:text-cyan-300"><ChevronLeft className="w-5 h-5 mr-1" /> Back</button>
-            <form onSubmit={handleSubmit} className="space-y-6">
-                <InputField name="name" label="Medicine Name" value={med.name} onChange={handleInputChange} required />
-                <InputField name="doctor" label="Doctor's Name" value={med.doctor} onChange={handleInputChange} required />
-                <InputField name="stock" label="Total in Stock" type="number" value={med.stock} onChange={handleInputChange} required />
-                <SelectField name="dosage" label="Dosage Frequency" value={med.dosage} onChange={handleInputChange} options={['Once a day', 'Twice a day', 'Thrice a day', 'Once a week']} />
-                
-                <div>
-                    <label className="block text-sm font-medium text-gray-300 mb-2">Dosage Times</label>
-                    {med.times.map((time, index) => <input key={index} type="time" value={time} onChange={(e) => handleTimeChange(index, e.target.value)} className="w-full bg-gray-700 border border-gray-600 rounded-lg p-2 mb-2"/>)}
+            <h2 className="text-2xl font-bold text-white mb-4">Export Report</h2>
+            <p className="text-gray-400 mb-6">Generate a PDF summary of {profile?.name}'s health data for doctor visits.</p>
+            <div className="bg-gray-900/50 border border-gray-700 rounded-lg p-4 mb-6 text-left">
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <InputField label="From" type="date" value={reportRange.from} max={reportRange.to} onChange={e => setReportRange(r => ({ ...r, from: e.target.value }))} />
+                    <InputField label="To" type="date" value={reportRange.to} min={reportRange.from} onChange={e => setReportRange(r => ({ ...r, to: e.target.value }))} />
                 </div>
-
-                <div>
-                    <label htmlFor="prescription" className="block text-sm font-medium text-gray-300 mb-2">Upload Prescription (Optional)</label>
-                    <div className="mt-1 flex justify-center px-6 pt-5 pb-6 border-2 border-gray-600 border-dashed rounded-md">
-                        <div className="space-y-1 text-center">
-                            <Upload className="mx-auto h-12 w-12 text-gray-500"/>
-                            <div className="flex text-sm text-gray-400">
-                                <label htmlFor="file-upload" className="relative cursor-pointer bg-gray-700 rounded-md font-medium text-cyan-400 hover:text-cyan-300 focus-within:outline-none p-1">
-                                    <span>Upload a file</span>
-                                    <input id="file-upload" name="file-upload" type="file" className="sr-only" onChange={(e) => setPrescriptionFile(e.target.files[0])} />
-                                </label>
-                                <p className="pl-1">or drag and drop</p>
-                            </div>
-                            <p className="text-xs text-gray-500">{prescriptionFile ? prescriptionFile.name : 'PNG, JPG, PDF up to 10MB'}</p>
-                        </div>
-                    </div>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 mt-4">
+                    {REPORT_SECTIONS.map(section => (
+                        <label key={section.id} className="flex items-center gap-2 text-sm text-gray-300">
+                            <input type="checkbox" checked={reportSections.includes(section.id)} onChange={() => toggleSection(section.id)} /> {section.label}
+                        </label>
+                    ))}
                 </div>
-
-                <button type="submit" disabled={isUploading} className="w-full flex justify-center py-3 px-4 rounded-lg shadow-lg text-white bg-cyan-500 hover:bg-cyan-600 disabled:bg-gray-500">
-                    {isUploading ? 'Uploading...' : 'Add Medication'}
-                </button>
-            </form>
+            </div>
+            <div className="flex flex-wrap justify-center gap-3">
+                <button onClick={generatePdf} disabled={pdfStatus?.type === 'working'} className="py-3 px-6 rounded-lg text-white bg-cyan-500 hover:bg-cyan-600 font-semibold disabled:bg-gray-600">Generate and Download PDF</button>
+                <button onClick={exportFhir} className="py-3 px-6 rounded-lg text-white bg-gray-700 hover:bg-gray-600 font-semibold">Download FHIR R4 Bundle</button>
+            </div>
+            {reportSections.includes('documents') && reportDocuments.length > 0 && <p className="mt-3 text-sm text-gray-400">{reportDocuments.length} attached {reportDocuments.length === 1 ? 'document is' : 'documents are'} included. Images are added as pages, PDFs are linked.</p>}
+            {pdfStatus && <p className={`mt-3 text-sm ${pdfStatus.type === 'error' ? 'text-red-400' : pdfStatus.type === 'done' ? 'text-green-400' : 'text-gray-300'}`}>{pdfStatus.message}</p>}
+            {fhirErrors.length > 0 && (
+                <div className="mt-4 bg-red-900/60 border border-red-700 text-red-200 p-3 rounded-lg text-sm text-left max-h-40 overflow-y-auto">
+                    <p className="font-semibold">The FHIR export failed validation:</p>
+                    {fhirErrors.slice(0, 10).map(err => <p key={err}>{err}</p>)}
+                </div>
+            )}
+            <CsvPanel profile={profile} data={{ medicineLogs: logs, ...Object.fromEntries(VITAL_COLLECTIONS.map(name => [name, vitals[name] || []])), symptoms, appointments }} onBulkAdd={onBulkAdd} />
+            <CalendarPanel profile={profile} medicines={medicines} appointments={appointments} onBulkAdd={onBulkAdd} />
+            <BackupPanel profile={profile} onExport={onExportBackup} onImport={onImportBackup} />
         </div>
     );
 };
 
-const HistoryView = ({ logs, onBack }) => {
-    const [timeFilter, setTimeFilter] = useState('year'); // 'day', 'month', 'year'
+const CsvPanel = ({ profile, data, onBulkAdd }) => {
+    const [from, setFrom] = useState('');
+    const [to, setTo] = useState('');
+    const [target, setTarget] = useState('bloodPressureReadings');
+    const [parsed, setParsed] = useState(null);
+    const [mapping, setMapping] = useState({});
+    const [dateFormat, setDateFormat] = useState('auto');
+    const [status, setStatus] = useState(null); // { type: 'working' | 'done' | 'error', message }
 
-    const filteredLogs = useMemo(() => {
-        const now = new Date();
-        let startDate = new Date();
-        if (timeFilter === 'day') startDate.setDate(now.getDate() - 1);
-        else if (timeFilter === 'month') startDate.setMonth(now.getMonth() - 1);
-        else startDate.setFullYear(now.getFullYear() - 1);
-        
-        return logs
-            .filter(log => log.takenAt?.toDate() >= startDate)
-            .sort((a, b) => b.takenAt.toDate() - a.takenAt.toDate());
-    }, [logs, timeFilter]);
+    const exportCsv = (name) => {
+        const { dateOf, columns, label } = CSV_EXPORTS[name];
+        const start = parseDateInput(from);
+        const end = to ? new Date(parseDateInput(to).getTime() + DAY_MS - 1) : null;
+        const rows = data[name]
+            .filter(d => {
+                const when = dateOf(d);
+                return when && (!start || when >= start) && (!end || when <= end);
+            })
+            .sort((a, b) => dateOf(a) - dateOf(b));
+        downloadFile(`${profile.name}_${label.replace(/\s+/g, '_')}${from || to ? `_${from || 'start'}_to_${to || 'today'}` : ''}.csv`, toCsv(rows, columns, getUnitPreferences(profile), profile), 'text/csv');
+    };
 
-    const pieData = useMemo(() => {
-        const counts = filteredLogs.reduce((acc, log) => {
-            acc[log.medicineName] = (acc[log.medicineName] || 0) + 1;
-            return acc;
-        }, {});
-        return Object.entries(counts).map(([name, value]) => ({ name, value }));
-    }, [filteredLogs]);
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        setStatus(null);
+        if (!file) return;
+        const result = parseCsv(await file.text());
+        if (result.headers.length === 0 || result.rows.length === 0) {
+            setParsed(null);
+            setStatus({ type: 'error', message: 'The file has no data rows.' });
+            return;
+        }
+        setParsed(result);
+        setMapping(guessCsvMapping(result.headers, target));
+    };
 
-    const COLORS = ['#06b6d4', '#8b5cf6', '#ec4899', '#f59e0b', '#10b981', '#3b82f6'];
+    const changeTarget = (value) => {
+        setTarget(value);
+        if (parsed) setMapping(guessCsvMapping(parsed.headers, value));
+    };
+
+    const mapped = useMemo(() => parsed ? mapCsvReadings(parsed, target, mapping, dateFormat) : null, [parsed, target, mapping, dateFormat]);
+    const missingFields = CSV_IMPORT_TARGETS[target].fields.filter(f => f.required && mapping[f.key] === '');
+
+    const runImport = async () => {
+        setStatus({ type: 'working', message: `Importing ${mapped.readings.length} readings...` });
+        try {
+            await onBulkAdd(target, mapped.readings);
+            setStatus({ type: 'done', message: `Imported ${mapped.readings.length} readings${mapped.skipped ? `, skipped ${mapped.skipped} invalid rows` : ''}.` });
+            setParsed(null);
+        } catch (err) {
+            console.error("Error importing CSV:", err);
+            setStatus({ type: 'error', message: 'Import failed. Nothing after the last completed batch was saved.' });
+        }
+    };
 
     return (
-        <div className="bg-gray-800 p-4 sm:p-8 rounded-lg shadow-2xl border border-gray-700">
-            <button onClick={onBack} className="flex items-center mb-6 text-cyan-400 hover:text-cyan-300"><ChevronLeft className="w-5 h-5 mr-1" /> Back</button>
-            <div className="flex justify-center gap-2 mb-6">
-                {['day', 'month', 'year'].map(filter => (
-                    <button key={filter} onClick={() => setTimeFilter(filter)} className={`px-4 py-2 rounded-lg text-sm font-semibold ${timeFilter === filter ? 'bg-cyan-500 text-white' : 'bg-gray-700 text-gray-300'}`}>
-                        Last {filter.charAt(0).toUpperCase() + filter.slice(1)}
-                    </button>
+        <div className="mt-10 pt-6 border-t border-gray-700 text-left space-y-4">
+            <h3 className="text-xl font-bold text-white">Spreadsheet (CSV)</h3>
+            <div className="grid grid-cols-2 gap-4">
+                <InputField label="From (Optional)" type="date" value={from} onChange={e => setFrom(e.target.value)} />
+                <InputField label="To (Optional)" type="date" value={to} min={from} onChange={e => setTo(e.target.value)} />
+            </div>
+            <div className="flex flex-wrap gap-3">
+                {Object.entries(CSV_EXPORTS).map(([name, { label }]) => (
+                    <button key={name} onClick={() => exportCsv(name)} className="py-2 px-4 rounded-lg text-white bg-gray-700 hover:bg-gray-600">{label} CSV</button>
                 ))}
             </div>
-            {logs.length === 0 ? <div className="text-center py-16"><History className="mx-auto h-12 w-12 text-gray-500" /><h3 className="mt-2 text-xl font-medium text-white">No History</h3></div> : (
-                <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
-                    <div>
-                        <h3 className="text-xl font-semibold text-white mb-4">Consumption Chart</h3>
-                        <div className="w-full h-80">
-                            <ResponsiveContainer>
-                                <PieChart>
-                                    <Pie data={pieData} cx="50%" cy="50%" labelLine={false} outerRadius="80%" fill="#8884d8" dataKey="value" label={({ name, percent }) => `${name} ${(percent * 100).toFixed(0)}%`}>
-                                        {pieData.map((entry, index) => <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />)}
-                                    </Pie>
-                                    <Tooltip contentStyle={{ backgroundColor: '#1f2937', border: '1px solid #4b5563' }} />
-                                    <Legend />
-                                </PieChart>
-                            </ResponsiveContainer>
-                        </div>
-                    </div>
-                    <div>
-                        <h3 className="text-xl font-semibold text-white mb-4">Detailed Log</h3>
-                        <div className="max-h-96 overflow-y-auto pr-2 space-y-3">
-                            {filteredLogs.map(log => (
-                                <div key={log.id} className="bg-gray-700 p-3 rounded-lg flex justify-between items-center">
-                                    <span className="font-medium text-white">{log.medicineName}</span>
-                                    <span className="text-sm text-gray-400">{log.takenAt.toDate().toLocaleString()}</span>
-                                </div>
+            <div className="bg-gray-700/50 p-4 rounded-lg space-y-3">
+                <h4 className="font-semibold text-white">Import vitals</h4>
+                <div className="grid grid-cols-2 gap-4 items-end">
+                    <SelectField label="Reading type" value={target} onChange={e => changeTarget(e.target.value)} options={Object.entries(CSV_IMPORT_TARGETS).map(([value, { label }]) => ({ value, label }))} />
+                    <label className="py-2 px-4 rounded-lg text-cyan-400 bg-gray-700 hover:bg-gray-600 cursor-pointer flex items-center justify-center gap-2">
+                        <Upload className="w-4 h-4"/> Choose CSV file
+                        <input type="file" accept=".csv,text/csv" className="sr-only" onChange={handleFile} />
+                    </label>
+                </div>
+                {parsed && (
+                    <>
+                        <div className="grid grid-cols-2 gap-4">
+                            {CSV_IMPORT_TARGETS[target].fields.map(field => (
+                                <SelectField key={field.key} label={`${field.label}${field.required ? ' *' : ''}`} value={mapping[field.key] ?? ''} onChange={e => setMapping({ ...mapping, [field.key]: e.target.value })}
+                                    options={[{ value: '', label: '— not in file —' }, ...parsed.headers.map((h, i) => ({ value: String(i), label: h || `Column ${i + 1}` }))]} />
                             ))}
+                            <SelectField label="Date format" value={dateFormat} onChange={e => setDateFormat(e.target.value)} options={[
+                                { value: 'auto', label: 'Automatic (ISO)' },
+                                { value: 'dmy', label: 'DD/MM/YYYY' },
+                                { value: 'mdy', label: 'MM/DD/YYYY' },
+                            ]} />
                         </div>
-                    </div>
-                </div>
-            )}
+                        {missingFields.length > 0 ? (
+                            <p className="text-sm text-yellow-400">Map {missingFields.map(f => f.label).join(', ')} to continue.</p>
+                        ) : (
+                            <>
+                                <p className="text-sm text-gray-300">
+                                    {mapped.readings.length} readings ready{mapped.skipped ? `, ${mapped.skipped} rows cannot be read and will be skipped` : ''}.
+                                    {mapped.detectedUnit === 'mmol/L' && ' Values without a unit column look like mmol/L.'}
+                                </p>
+                                <div className="text-sm text-gray-400 space-y-1">
+                                    {mapped.readings.slice(0, 5).map((r, i) => (
+                                        <p key={i}>{r.measuredAt.toDate().toLocaleString()}: {target === 'bloodPressureReadings' ? `${r.systolic}/${r.diastolic} mmHg` : `${r.value} ${r.unit} (${r.type})`}</p>
+                                    ))}
+                                </div>
+                                <button onClick={runImport} disabled={mapped.readings.length === 0 || status?.type === 'working'} className="w-full py-2 rounded-lg text-white bg-cyan-500 hover:bg-cyan-600 disabled:bg-gray-500">Import {mapped.readings.length} readings</button>
+                            </>
+                        )}
+                    </>
+                )}
+                {status && <p className={`text-sm ${status.type === 'error' ? 'text-red-400' : 'text-gray-300'}`}>{status.message}</p>}
+            </div>
         </div>
     );
 };
 
-const ProfileManagement = ({ profiles = [], onAddProfile, onDeleteProfile }) => {
-    const [name, setName] = useState('');
-    const [relationship, setRelationship] = useState('');
-    const [confirmingDelete, setConfirmingDelete] = useState(null); // State for confirmation
+const CalendarPanel = ({ profile, medicines, appointments, onBulkAdd }) => {
+    const [pending, setPending] = useState(null); // mapIcsAppointments result waiting for confirmation
+    const [status, setStatus] = useState(null); // { type: 'working' | 'done' | 'error', message }
 
-    const handleSubmit = (e) => {
-        e.preventDefault();
-        if (!name || !relationship) return;
-        onAddProfile(name, relationship);
-        setName('');
-        setRelationship('');
-    };
+    const exportAppointments = () => downloadFile(`${profile.name}_Appointments.ics`, buildAppointmentsIcs(profile, appointments), 'text/calendar');
+    const exportDoses = () => downloadFile(`${profile.name}_Medication.ics`, buildDoseScheduleIcs(profile, medicines), 'text/calendar');
 
-    const handleDeleteClick = (profile) => {
-        setConfirmingDelete(profile);
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        setPending(null); setStatus(null);
+        if (!file) return;
+        const result = mapIcsAppointments(await file.text(), appointments);
+        if (result.appointments.length === 0) {
+            setStatus({ type: 'error', message: result.duplicates ? `All ${result.duplicates} events are already in the appointments.` : 'The file has no events that can be read.' });
+            return;
+        }
+        setPending(result);
     };
 
-    const confirmDelete = () => {
-        if (confirmingDelete) {
-            onDeleteProfile(confirmingDelete.id);
-            setConfirmingDelete(null);
+    const runImport = async () => {
+        setStatus({ type: 'working', message: `Importing ${pending.appointments.length} appointments...` });
+        try {
+            await onBulkAdd('appointments', pending.appointments);
+            setStatus({ type: 'done', message: `Imported ${pending.appointments.length} appointments.` });
+            setPending(null);
+        } catch (err) {
+            console.error("Error importing calendar:", err);
+            setStatus({ type: 'error', message: 'Import failed. Nothing after the last completed batch was saved.' });
         }
     };
 
     return (
-        <div className="bg-gray-800 p-8 rounded-lg shadow-2xl max-w-2xl mx-auto border border-gray-700">
-            {confirmingDelete && (
-                <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50">
-                    <div className="bg-gray-900 p-6 rounded-lg shadow-xl border border-red-500">
-                        <h3 className="text-lg font-bold text-white">Confirm Deletion</h3>
-                        <p className="text-gray-300 mt-2">Are you sure you want to delete the profile for <span className="font-bold">{confirmingDelete.name}</span>? All associated data will be lost forever.</p>
-                        <div className="mt-4 flex justify-end gap-3">
-                            <button onClick={() => setConfirmingDelete(null)} className="px-4 py-2 rounded bg-gray-600 hover:bg-gray-500 text-white">Cancel</button>
-                            <button onClick={confirmDelete} className="px-4 py-2 rounded bg-red-600 hover:bg-red-500 text-white">Delete</button>
-                        </div>
+        <div className="mt-10 pt-6 border-t border-gray-700 text-left space-y-4">
+            <h3 className="text-xl font-bold text-white">Calendar (.ics)</h3>
+            <p className="text-gray-400 text-sm">Add appointments and dose times to Google Calendar, Apple Calendar or Outlook. Events keep stable IDs, so calendar apps update them when you import a newer file, and importing here skips appointments you already have.</p>
+            <div className="flex flex-wrap gap-3">
+                <button onClick={exportAppointments} disabled={appointments.length === 0} className="py-2 px-4 rounded-lg text-white bg-gray-700 hover:bg-gray-600 disabled:text-gray-500">Appointments .ics</button>
+                <button onClick={exportDoses} disabled={!medicines.some(med => !med.discontinued)} className="py-2 px-4 rounded-lg text-white bg-gray-700 hover:bg-gray-600 disabled:text-gray-500">Dose schedule .ics</button>
+                <label className="py-2 px-4 rounded-lg text-cyan-400 bg-gray-700 hover:bg-gray-600 cursor-pointer flex items-center gap-2">
+                    <Upload className="w-4 h-4"/> Import appointments
+                    <input type="file" accept=".ics,text/calendar" className="sr-only" onChange={handleFile} />
+                </label>
+            </div>
+            {pending && (
+                <div className="bg-gray-700 p-4 rounded-lg space-y-3">
+                    <p className="text-sm text-gray-300">
+                        {pending.appointments.length} new appointments
+                        {pending.duplicates ? `, ${pending.duplicates} already imported` : ''}
+                        {pending.skipped ? `, ${pending.skipped} events without a start time will be skipped` : ''}.
+                    </p>
+                    <div className="text-sm text-gray-400 space-y-1">
+                        {pending.appointments.slice(0, 5).map((a, i) => <p key={i}>{a.date.toDate().toLocaleString()}: {describeAppointment(a)}</p>)}
                     </div>
+                    <button onClick={runImport} disabled={status?.type === 'working'} className="w-full py-2 rounded-lg text-white bg-cyan-500 hover:bg-cyan-600 disabled:bg-gray-500">Import {pending.appointments.length} appointments</button>
                 </div>
             )}
-            <h2 className="text-2xl font-bold text-white mb-6">Manage Profiles</h2>
-            <form onSubmit={handleSubmit} className="space-y-4 mb-8">
-                <InputField label="Profile Name" value={name} onChange={e => setName(e.target.value)} placeholder="e.g., John Doe" required />
-                <InputField label="Relationship" value={relationship} onChange={e => setRelationship(e.target.value)} placeholder="e.g., Self, Spouse, Child" required />
-                <button type="submit" disabled={profiles.length >= 10} className="w-full flex justify-center py-2 px-4 rounded-lg text-white bg-cyan-500 hover:bg-cyan-600 disabled:bg-gray-500 disabled:cursor-not-allowed">Add Profile</button>
-                {profiles.length >= 10 && <p className="text-sm text-yellow-400 text-center">Profile limit of 10 reached.</p>}
-            </form>
-            <div className="space-y-3">
-                <h3 className="text-lg font-semibold text-white">Existing Profiles</h3>
-                {profiles.length === 0 ? <p className="text-gray-400">No profiles created yet. Add one above to start.</p> :
-                profiles.map(p => (
-                    <div key={p.id} className="bg-gray-700 p-3 rounded-lg flex justify-between items-center">
-                        <div>
-                            <p className="font-medium text-white">{p.name}</p>
-                            <p className="text-sm text-gray-400">{p.relationship}</p>
-                        </div>
-                        <button onClick={() => handleDeleteClick(p)} className="text-red-400 hover:text-red-300 p-2 rounded-full bg-gray-800"><Trash2 className="w-5 h-5"/></button>
-                    </div>
-                ))}
-            </div>
+            {status && <p className={`text-sm ${status.type === 'error' ? 'text-red-400' : 'text-gray-300'}`}>{status.message}</p>}
         </div>
     );
 };
 
-const AppointmentView = ({ appointments, onSave, onBack }) => {
-    const [doctor, setDoctor] = useState('');
-    const [date, setDate] = useState('');
-    const [time, setTime] = useState('');
+const BackupPanel = ({ profile, onExport, onImport }) => {
+    const [backup, setBackup] = useState(null);
+    const [errors, setErrors] = useState([]);
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [mode, setMode] = useState('new');
+    const [status, setStatus] = useState(null); // { type: 'working' | 'done' | 'error', message }
 
-    const handleSubmit = (e) => {
-        e.preventDefault();
-        const dateTime = new Date(`${date}T${time}`);
-        onSave({ doctor, date: Timestamp.fromDate(dateTime) });
-        setDoctor(''); setDate(''); setTime('');
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        setBackup(null); setStatus(null);
+        if (!file) return;
+        try {
+            const parsed = JSON.parse(await file.text());
+            const problems = validateBackup(parsed);
+            setErrors(problems);
+            if (problems.length === 0) {
+                setBackup(parsed);
+                setSelectedIds(parsed.profiles.map(p => p.id));
+                setMode(parsed.profiles.length === 1 ? 'merge' : 'new');
+            }
+        } catch (err) {
+            setErrors(['The file is not valid JSON.']);
+        }
     };
-    
-    const sortedAppointments = useMemo(() => [...appointments].sort((a,b) => a.date?.toDate() - b.date?.toDate()), [appointments]);
 
-    return (
-        <div className="bg-gray-800 p-8 rounded-lg shadow-2xl max-w-4xl mx-auto border border-gray-700">
-            <button onClick={onBack} className="flex items-center mb-6 text-cyan-400 hover:text-cyan-300"><ChevronLeft className="w-5 h-5 mr-1" /> Back</button>
-            <h2 className="text-2xl font-bold text-white mb-6">Doctor Appointments</h2>
-            <form onSubmit={handleSubmit} className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-8 items-end">
-                <InputField label="Doctor's Name" value={doctor} onChange={e => setDoctor(e.target.value)} required />
-                <InputField label="Date" type="date" value={date} onChange={e => setDate(e.target.value)} required />
-                <InputField label="Time" type="time" value={time} onChange={e => setTime(e.target.value)} required />
-                <button type="submit" className="sm:col-span-3 py-2 px-4 rounded-lg text-white bg-cyan-500 hover:bg-cyan-600">Add Appointment</button>
-            </form>
-            <div className="space-y-3 max-h-96 overflow-y-auto">
-                {sortedAppointments.map(a => (
-                    <div key={a.id} className={`p-3 rounded-lg flex justify-between items-center ${a.date?.toDate() < new Date() ? 'bg-gray-700' : 'bg-cyan-900/70'}`}>
-                        <div>
-                            <p className="font-medium text-white">Dr. {a.doctor}</p>
-                            <p className="text-sm text-gray-300">{a.date?.toDate().toLocaleString()}</p>
-                        </div>
-                    </div>
-                ))}
-            </div>
-        </div>
-    );
-};
+    const toggleSelected = (id) => setSelectedIds(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]);
+
+    const runImport = async () => {
+        setStatus({ type: 'working', message: 'Importing...' });
+        try {
+            const results = await onImport(backup, { mode, profileIds: selectedIds });
+            const total = results.reduce((sum, r) => sum + Object.values(r.created).reduce((a, b) => a + b, 0), 0);
+            setStatus({ type: 'done', message: `Imported ${total} records into ${results.map(r => r.name).join(', ')}.` });
+            setBackup(null);
+        } catch (err) {
+            console.error("Error importing backup:", err);
+            setStatus({ type: 'error', message: err.message || 'Import failed.' });
+        }
+    };
 
-const HealthMetricsView = ({ bpData, bsData, onSaveBP, onSaveBS, onBack }) => {
-    const [bp, setBp] = useState({ systolic: '', diastolic: '' });
-    const [bs, setBs] = useState({ value: '', type: 'Fasting' });
+    const preview = backup ? summarizeBackup(backup) : [];
 
-    const sortedBp = useMemo(() => [...bpData].sort((a,b) => b.createdAt?.toDate() - a.createdAt?.toDate()), [bpData]);
-    const sortedBs = useMemo(() => [...bsData].sort((a,b) => b.createdAt?.toDate() - a.createdAt?.toDate()), [bsData]);
-    
     return (
-        <div className="bg-gray-800 p-8 rounded-lg shadow-2xl border border-gray-700">
-            <button onClick={onBack} className="flex items-center mb-6 text-cyan-400 hover:text-cyan-300"><ChevronLeft className="w-5 h-5 mr-1" /> Back</button>
-            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
-                {/* Blood Pressure */}
-                <div className="space-y-4">
-                    <h3 className="text-xl font-bold text-white flex items-center gap-2"><HeartPulse/> Blood Pressure</h3>
-                    <form onSubmit={(e) => { e.preventDefault(); onSaveBP(bp); setBp({systolic:'', diastolic:''}); }} className="grid grid-cols-2 gap-4">
-                        <InputField label="Systolic" type="number" value={bp.systolic} onChange={e => setBp({...bp, systolic: e.target.value})} required/>
-                        <InputField label="Diastolic" type="number" value={bp.diastolic} onChange={e => setBp({...bp, diastolic: e.target.value})} required/>
-                        <button type="submit" className="col-span-2 py-2 rounded-lg bg-pink-500 hover:bg-pink-600 text-white">Add BP Reading</button>
-                    </form>
-                    <div className="space-y-2 max-h-60 overflow-y-auto">
-                        {sortedBp.map(d => <div key={d.id} className="bg-gray-700 p-2 rounded flex justify-between"><span>{d.systolic}/{d.diastolic} mmHg</span><span className="text-gray-400 text-sm">{d.createdAt?.toDate().toLocaleDateString()}</span></div>)}
-                    </div>
+        <div className="mt-10 pt-6 border-t border-gray-700 text-left space-y-4">
+            <h3 className="text-xl font-bold text-white">Backup & Restore</h3>
+            <p className="text-gray-400 text-sm">A JSON backup contains every record with its original timestamps and can be imported on another device.</p>
+            <div className="flex flex-wrap gap-3">
+                <button onClick={() => onExport('profile')} className="py-2 px-4 rounded-lg text-white bg-gray-700 hover:bg-gray-600">Back up {profile?.name}</button>
+                <button onClick={() => onExport('all')} className="py-2 px-4 rounded-lg text-white bg-gray-700 hover:bg-gray-600">Back up all profiles</button>
+                <label className="py-2 px-4 rounded-lg text-cyan-400 bg-gray-700 hover:bg-gray-600 cursor-pointer flex items-center gap-2">
+                    <Upload className="w-4 h-4"/> Import backup
+                    <input type="file" accept="application/json,.json" className="sr-only" onChange={handleFile} />
+                </label>
+            </div>
+            {errors.length > 0 && (
+                <div className="bg-red-900/60 border border-red-700 text-red-200 p-3 rounded-lg text-sm">
+                    {errors.map(err => <p key={err}>{err}</p>)}
                 </div>
-                {/* Blood Sugar */}
-                <div className="space-y-4">
-                    <h3 className="text-xl font-bold text-white flex items-center gap-2"><Droplets/> Blood Sugar</h3>
-                    <form onSubmit={(e) => { e.preventDefault(); onSaveBS(bs); setBs({value:'', type:'Fasting'}); }} className="grid grid-cols-2 gap-4">
-                        <InputField label="Value (mg/dL)" type="number" value={bs.value} onChange={e => setBs({...bs, value: e.target.value})} required/>
-                        <SelectField label="Type" value={bs.type} onChange={e => setBs({...bs, type: e.target.value})} options={['Fasting', 'PP', 'Random']} />
-                        <button type="submit" className="col-span-2 py-2 rounded-lg bg-purple-500 hover:bg-purple-600 text-white">Add BS Reading</button>
-                    </form>
-                    <div className="space-y-2 max-h-60 overflow-y-auto">
-                        {sortedBs.map(d => <div key={d.id} className="bg-gray-700 p-2 rounded flex justify-between"><span>{d.value} mg/dL ({d.type})</span><span className="text-gray-400 text-sm">{d.createdAt?.toDate().toLocaleDateString()}</span></div>)}
-                    </div>
+            )}
+            {backup && (
+                <div className="bg-gray-700 p-4 rounded-lg space-y-3">
+                    <p className="text-sm text-gray-300">Backup from {new Date(backup.exportedAt).toLocaleString()}</p>
+                    {preview.map(p => (
+                        <label key={p.id} className="flex items-start gap-3 text-sm">
+                            <input type="checkbox" checked={selectedIds.includes(p.id)} onChange={() => toggleSelected(p.id)} className="mt-1" />
+                            <span>
+                                <span className="font-semibold text-white">{p.name}</span>
+                                <span className="block text-gray-400">{p.counts.medicines} medicines, {p.counts.medicineLogs} dose logs, {p.counts.appointments} appointments, {VITAL_COLLECTIONS.reduce((sum, name) => sum + p.counts[name], 0)} vitals, {p.counts.refills} refills</span>
+                            </span>
+                        </label>
+                    ))}
+                    <SelectField label="Import as" value={mode} onChange={e => setMode(e.target.value)} options={[
+                        { value: 'new', label: 'New profile(s)' },
+                        { value: 'merge', label: `Merge into ${profile?.name}` },
+                        { value: 'replace', label: `Replace all data of ${profile?.name}` },
+                    ]} />
+                    {mode === 'replace' && <p className="text-sm text-yellow-400">Every existing record of {profile?.name} will be deleted once the backup has been written.</p>}
+                    <button onClick={runImport} disabled={selectedIds.length === 0 || status?.type === 'working'} className="w-full py-2 rounded-lg text-white bg-cyan-500 hover:bg-cyan-600 disabled:bg-gray-500">Import</button>
                 </div>
-            </div>
+            )}
+            {status && <p className={`text-sm ${status.type === 'error' ? 'text-red-400' : 'text-gray-300'}`}>{status.message}</p>}
         </div>
     );
 };
 
-const ExportView = ({ profile, medicines, logs, appointments, bpData, bsData, onBack }) => {
-    const generatePdf = () => {
-        // Access jsPDF from the window object, assuming it's loaded from a CDN
-        if (!window.jspdf || typeof window.jspdf.jsPDF !== 'function') {
-            console.error("jsPDF library not found. PDF export is disabled.");
-            return;
-        }
+const ReminderSystem = ({ profileId, medicines, logs, appointments, onTakeDose, onSkipDose, linkedAction = null, onLinkedActionDone }) => {
+    const [reminders, setReminders] = useState(() => loadReminderState(profileId));
+    const remindersRef = useRef(reminders);
+    const [skipping, setSkipping] = useState(null); // { key, reason } while choosing a skip reason
+    const [dismissedLowStock, setDismissedLowStock] = useState([]);
 
-        const { jsPDF } = window.jspdf;
-        const doc = new jsPDF();
-        
-        if(!profile) return;
-        doc.text(`Health Report for ${profile.name}`, 14, 16);
-        doc.setFontSize(10);
-        doc.text(`Report Generated: ${new Date().toLocaleDateString()}`, 14, 22);
-
-        // Medications
-        doc.autoTable({
-            startY: 30,
-            head: [['Medication', 'Doctor', 'Dosage']],
-            body: medicines.map(m => [m.name, m.doctor, m.dosage]),
-            headStyles: { fillColor: [6, 182, 212] }
-        });
+    const updateReminders = (next) => {
+        remindersRef.current = next;
+        saveReminderState(profileId, next);
+        setReminders(next);
+    };
 
-        // Consumption Log
-        doc.autoTable({
-            startY: doc.lastAutoTable.finalY + 10,
-            head: [['Medication Taken', 'Date & Time']],
-            body: logs.slice(0, 20).map(l => [l.medicineName, l.takenAt?.toDate().toLocaleString()]),
-            headStyles: { fillColor: [6, 182, 212] }
-        });
-        
-        // Health Vitals
-        const vitals = [
-            ...bpData.map(d => [`Blood Pressure: ${d.systolic}/${d.diastolic} mmHg`, d.createdAt?.toDate().toLocaleString()]),
-            ...bsData.map(d => [`Blood Sugar: ${d.value} mg/dL (${d.type})`, d.createdAt?.toDate().toLocaleString()])
-        ].sort((a,b) => new Date(b[1]) - new Date(a[1]));
-
-        doc.autoTable({
-            startY: doc.lastAutoTable.finalY + 10,
-            head: [['Vital Reading', 'Date & Time']],
-            body: vitals.slice(0,20),
-            headStyles: { fillColor: [139, 92, 246] }
-        });
+    const resolveReminder = (key) => {
+        const { [key]: _, ...entries } = remindersRef.current.entries;
+        updateReminders({ ...remindersRef.current, entries });
+    };
 
-        doc.save(`${profile.name}_Health_Report.pdf`);
+    const snoozeReminder = (key, minutes) => {
+        const entry = remindersRef.current.entries[key];
+        if (!entry) return;
+        const snoozedUntil = Date.now() + minutes * 60 * 1000;
+        updateReminders({ ...remindersRef.current, entries: { ...remindersRef.current.entries, [key]: { ...entry, snoozedUntil, notified: false } } });
     };
 
-    return (
-        <div className="bg-gray-800 p-8 rounded-lg shadow-2xl max-w-2xl mx-auto border border-gray-700 text-center">
-            <button onClick={onBack} className="flex items-center mb-6 text-cyan-400 hover:text-cyan-300"><ChevronLeft className="w-5 h-5 mr-1" /> Back</button>
-            <h2 className="text-2xl font-bold text-white mb-4">Export Report</h2>
-            <p className="text-gray-400 mb-6">Generate a PDF summary of {profile?.name}'s health data for doctor visits.</p>
-            <button onClick={generatePdf} className="py-3 px-6 rounded-lg text-white bg-cyan-500 hover:bg-cyan-600 font-semibold">Generate and Download PDF</button>
-        </div>
-    );
-};
+    // Dismissed appointment reminders are remembered so the next check does not bring them back
+    const dismissAppointmentReminder = (key) => {
+        const entry = remindersRef.current.entries[key];
+        const { [key]: _, ...entries } = remindersRef.current.entries;
+        updateReminders({ ...remindersRef.current, entries, dismissed: { ...remindersRef.current.dismissed, [key]: entry.appointmentAt } });
+    };
+
+    // Puts a cleared reminder back as due, for a dose the server refused after all
+    const restoreReminder = (key, entry) => {
+        updateReminders({ ...remindersRef.current, entries: { ...remindersRef.current.entries, [key]: { ...entry, snoozedUntil: null, notified: false } } });
+    };
+
+    // The reminder is cleared once the dose is queued; a dose refused here (out of stock,
+    // view-only access) leaves it due, and one the server refuses later brings it back
+    const markAsTaken = async (key) => {
+        const entry = remindersRef.current.entries[key];
+        const med = entry && medicines.find(m => m.id === entry.medicineId);
+        if (!med) return;
+        const scheduledAt = new Date(entry.scheduledAt);
+        if (await onTakeDose(med, getDoseQuantity(med, scheduledAt), scheduledAt, { onFailed: () => restoreReminder(key, entry) })) resolveReminder(key);
+    };
+
+    const confirmSkip = async () => {
+        const { key, reason } = skipping;
+        const entry = remindersRef.current.entries[key];
+        const med = entry && medicines.find(m => m.id === entry.medicineId);
+        setSkipping(null);
+        if (!med || await onSkipDose(med, new Date(entry.scheduledAt), reason, { onFailed: () => restoreReminder(key, entry) })) resolveReminder(key);
+    };
 
-const ReminderSystem = ({ medicines, onTakeDose }) => {
-    const [dueMeds, setDueMeds] = useState([]);
-    
     useEffect(() => {
+        // Medicines arrive asynchronously; checking before they do would skip past due slots
+        if (medicines.length === 0) return;
         const checkReminders = () => {
             const now = new Date();
-            const currentTime = `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}`;
-            const due = medicines.filter(med => med.times && med.times.includes(currentTime) && med.stock > 0);
-            if (due.length > 0) {
-                setDueMeds(prev => [...prev, ...due.filter(d => !prev.find(p => p.id === d.id))]);
+            const next = tickReminders(remindersRef.current, medicines, logs, now);
+            if (document.hidden) {
+                Object.entries(next.entries).forEach(([key, entry]) => {
+                    const med = medicines.find(m => m.id === entry.medicineId);
+                    if (!med || entry.notified || !isReminderVisible(entry, now)) return;
+                    showReminderNotification(key, med, new Date(entry.scheduledAt), profileId);
+                    next.entries[key] = { ...entry, notified: true };
+                });
             }
+            updateReminders(next);
         };
-        const interval = setInterval(checkReminders, 60000); // Check every minute
-        return () => clearInterval(interval);
-    }, [medicines]);
+        checkReminders();
+        const interval = setInterval(checkReminders, REMINDER_CHECK_INTERVAL_MS);
+        document.addEventListener('visibilitychange', checkReminders);
+        return () => {
+            clearInterval(interval);
+            document.removeEventListener('visibilitychange', checkReminders);
+        };
+    }, [medicines, logs]);
+
+    useEffect(() => {
+        if (appointments.length === 0) return;
+        const checkAppointments = () => {
+            const now = new Date();
+            const next = tickAppointmentReminders(remindersRef.current, appointments, now);
+            if (document.hidden) {
+                Object.entries(next.entries).forEach(([key, entry]) => {
+                    const apt = entry.kind === 'appointment' && appointments.find(a => a.id === entry.appointmentId);
+                    if (!apt || entry.notified || !isReminderVisible(entry, now)) return;
+                    showAppointmentNotification(key, apt);
+                    next.entries[key] = { ...entry, notified: true };
+                });
+            }
+            updateReminders(next);
+        };
+        checkAppointments();
+        const interval = setInterval(checkAppointments, REMINDER_CHECK_INTERVAL_MS);
+        document.addEventListener('visibilitychange', checkAppointments);
+        return () => {
+            clearInterval(interval);
+            document.removeEventListener('visibilitychange', checkAppointments);
+        };
+    }, [appointments]);
 
-    const markAsTaken = (med) => {
-        onTakeDose(med);
-        setDueMeds(prev => prev.filter(d => d.id !== med.id));
+    const runNotificationAction = (action, key) => {
+        if (!remindersRef.current.entries[key]) return;
+        if (action === 'take') markAsTaken(key);
+        else if (action === 'snooze') snoozeReminder(key, 15);
     };
 
-    if (dueMeds.length === 0) return null;
+    // Action buttons on service-worker notifications come back as messages
+    useEffect(() => {
+        if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+        const handleMessage = (event) => {
+            const { type, action, key } = event.data || {};
+            if (type === 'reminder-action') runNotificationAction(action, key);
+        };
+        navigator.serviceWorker.addEventListener('message', handleMessage);
+        return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+    }, [medicines]);
+
+    // ...or in the link that opened the app when no window was open
+    useEffect(() => {
+        if (!linkedAction || medicines.length === 0) return;
+        runNotificationAction(linkedAction.action, linkedAction.key);
+        onLinkedActionDone();
+    }, [linkedAction, medicines]);
+
+    const dueReminders = Object.entries(reminders.entries)
+        .filter(([, entry]) => isReminderVisible(entry) && medicines.some(m => m.id === entry.medicineId))
+        .map(([key, entry]) => ({ key, scheduledAt: new Date(entry.scheduledAt), med: medicines.find(m => m.id === entry.medicineId) }))
+        .sort((a, b) => a.scheduledAt - b.scheduledAt);
+    const dueAppointments = Object.entries(reminders.entries)
+        .filter(([, entry]) => entry.kind === 'appointment' && isReminderVisible(entry) && appointments.some(a => a.id === entry.appointmentId))
+        .map(([key, entry]) => ({ key, apt: appointments.find(a => a.id === entry.appointmentId) }))
+        .sort((a, b) => toDate(a.apt.date) - toDate(b.apt.date));
+    const lowStockMeds = useMemo(() => medicines.filter(med => !dismissedLowStock.includes(med.id) && isLowStock(med, forecastRunOut(med, logs))), [medicines, logs, dismissedLowStock]);
+
+    if (dueReminders.length === 0 && dueAppointments.length === 0 && lowStockMeds.length === 0) return null;
 
     return (
-        <div className="fixed bottom-4 right-4 w-80 bg-gray-800 border border-cyan-500 rounded-lg shadow-2xl p-4 z-50">
-            <h4 className="font-bold text-white flex items-center gap-2"><Bell className="text-cyan-400"/>Medication Reminder</h4>
+        <div className="fixed bottom-4 right-4 w-80 max-h-[80vh] overflow-y-auto bg-gray-800 border border-cyan-500 rounded-lg shadow-2xl p-4 z-50">
+            {dueReminders.length > 0 && <h4 className="font-bold text-white flex items-center gap-2"><Bell className="text-cyan-400"/>Medication Reminder</h4>}
             <div className="mt-2 space-y-2">
-                {dueMeds.map(med => (
-                    <div key={med.id} className="bg-gray-700 p-2 rounded-lg">
+                {dueReminders.map(({ key, scheduledAt, med }) => (
+                    <div key={key} className="bg-gray-700 p-2 rounded-lg">
                         <p className="text-white font-semibold">{med.name}</p>
-                        <p className="text-sm text-gray-400">It's time for your dose.</p>
-                        <button onClick={() => markAsTaken(med)} className="w-full text-center mt-2 py-1 px-2 rounded bg-cyan-500 hover:bg-cyan-600 text-white text-sm">Mark as Taken</button>
+                        <p className="text-sm text-gray-400">
+                            {formatQuantity(getDoseQuantity(med, scheduledAt), med.unit)} due {scheduledAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                            {scheduledAt.toDateString() !== new Date().toDateString() && ` on ${scheduledAt.toLocaleDateString()}`}
+                        </p>
+                        {skipping?.key === key ? (
+                            <div className="mt-2 space-y-2">
+                                <select value={skipping.reason} onChange={(e) => setSkipping({ ...skipping, reason: e.target.value })} className="w-full bg-gray-800 border border-gray-600 text-white rounded p-1 text-sm">
+                                    {SKIP_REASONS.map(reason => <option key={reason} value={reason}>{reason}</option>)}
+                                </select>
+                                <div className="flex gap-2">
+                                    <button onClick={() => setSkipping(null)} className="flex-1 py-1 rounded bg-gray-600 hover:bg-gray-500 text-white text-sm">Cancel</button>
+                                    <button onClick={confirmSkip} className="flex-1 py-1 rounded bg-red-600 hover:bg-red-500 text-white text-sm">Skip Dose</button>
+                                </div>
+                            </div>
+                        ) : (
+                            <>
+                                <button onClick={() => markAsTaken(key)} disabled={med.stock < getDoseQuantity(med, scheduledAt)} className="w-full text-center mt-2 py-1 px-2 rounded bg-cyan-500 hover:bg-cyan-600 disabled:bg-gray-600 text-white text-sm">Mark as Taken</button>
+                                <div className="flex gap-1 mt-1">
+                                    {SNOOZE_OPTIONS_MIN.map(minutes => (
+                                        <button key={minutes} onClick={() => snoozeReminder(key, minutes)} className="flex-1 py-1 rounded bg-gray-600 hover:bg-gray-500 text-white text-xs">{minutes < 60 ? `${minutes}m` : `${minutes / 60}h`}</button>
+                                    ))}
+                                    <button onClick={() => setSkipping({ key, reason: SKIP_REASONS[0] })} className="flex-1 py-1 rounded bg-gray-600 hover:bg-gray-500 text-red-300 text-xs">Skip</button>
+                                </div>
+                            </>
+                        )}
+                    </div>
+                ))}
+                {dueAppointments.length > 0 && <h4 className="font-bold text-white flex items-center gap-2"><Calendar className="text-cyan-400"/>Appointment Reminder</h4>}
+                {dueAppointments.map(({ key, apt }) => (
+                    <div key={key} className="bg-gray-700 p-2 rounded-lg">
+                        <p className="text-white font-semibold">{describeAppointment(apt)}</p>
+                        <p className="text-sm text-gray-400">
+                            {toDate(apt.date).toLocaleDateString()} at {toDate(apt.date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                            {apt.location && `, ${apt.location}`}
+                        </p>
+                        <div className="flex gap-1 mt-2">
+                            {SNOOZE_OPTIONS_MIN.map(minutes => (
+                                <button key={minutes} onClick={() => snoozeReminder(key, minutes)} className="flex-1 py-1 rounded bg-gray-600 hover:bg-gray-500 text-white text-xs">{minutes < 60 ? `${minutes}m` : `${minutes / 60}h`}</button>
+                            ))}
+                            <button onClick={() => dismissAppointmentReminder(key)} className="flex-1 py-1 rounded bg-cyan-500 hover:bg-cyan-600 text-white text-xs">Dismiss</button>
+                        </div>
+                    </div>
+                ))}
+                {lowStockMeds.map(med => (
+                    <div key={`low-${med.id}`} className="bg-yellow-900/60 p-2 rounded-lg flex justify-between items-center">
+                        <p className="text-sm text-yellow-200 flex items-center gap-2"><AlertTriangle className="w-4 h-4"/>{med.name} is running low. Time to refill.</p>
+                        <button onClick={() => setDismissedLowStock(prev => [...prev, med.id])} className="font-bold text-yellow-200 ml-2">X</button>
                     </div>
                 ))}
             </div>
@@ -725,6 +6492,19 @@ const ReminderSystem = ({ medicines, onTakeDose }) => {
 };
 
 // --- Helper Form Components ---
+const ConfirmDialog = ({ title, message, confirmLabel = 'Delete', onCancel, onConfirm }) => (
+    <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50">
+        <div className="bg-gray-900 p-6 rounded-lg shadow-xl border border-red-500 max-w-md">
+            <h3 className="text-lg font-bold text-white">{title}</h3>
+            <p className="text-gray-300 mt-2">{message}</p>
+            <div className="mt-4 flex justify-end gap-3">
+                <button onClick={onCancel} className="px-4 py-2 rounded bg-gray-600 hover:bg-gray-500 text-white">Cancel</button>
+                <button onClick={onConfirm} className="px-4 py-2 rounded bg-red-600 hover:bg-red-500 text-white">{confirmLabel}</button>
+            </div>
+        </div>
+    </div>
+);
+
 const InputField = ({ label, ...props }) => (
     <div>
         <label className="block text-sm font-medium text-gray-300 mb-2">{label}</label>
@@ -732,11 +6512,48 @@ const InputField = ({ label, ...props }) => (
     </div>
 );
 
+// Suggestions for inputs with list={`contacts-${type}`}
+const ContactOptions = ({ contacts, type }) => (
+    <datalist id={`contacts-${type}`}>
+        {contacts.filter(c => c.type === type).map(c => <option key={c.id} value={c.name}>{c.specialty}</option>)}
+    </datalist>
+);
+
+const ContactField = ({ contacts, type, ...props }) => (
+    <>
+        <InputField list={`contacts-${type}`} autoComplete="off" {...props} />
+        <ContactOptions contacts={contacts} type={type} />
+    </>
+);
+
+const TextAreaField = ({ label, ...props }) => (
+    <div>
+        <label className="block text-sm font-medium text-gray-300 mb-2">{label}</label>
+        <textarea rows={3} {...props} className="w-full bg-gray-700 border border-gray-600 text-white rounded-lg p-2 focus:ring-2 focus:ring-cyan-500" />
+    </div>
+);
+
 const SelectField = ({ label, options, ...props }) => (
     <div>
         <label className="block text-sm font-medium text-gray-300 mb-2">{label}</label>
         <select {...props} className="w-full bg-gray-700 border border-gray-600 text-white rounded-lg p-2 focus:ring-2 focus:ring-cyan-500">
-            {options.map(opt => <option key={opt} value={opt}>{opt}</option>)}
+            {options.map(opt => typeof opt === 'object'
+                ? <option key={opt.value} value={opt.value}>{opt.label}</option>
+                : <option key={opt} value={opt}>{opt}</option>)}
         </select>
     </div>
 );
+
+// --- Exports ---
+// Pure helpers covered by the test suites in tests/
+export {
+    dataPaths, createRepository, prepareRecord, migrateRecord, getSchemaVersion, commitInChunks, BATCH_LIMIT,
+    buildBackup, validateBackup, restoreProfileBackup, deleteProfileData,
+    CSV_EXPORTS, toCsv, guessCsvMapping, normalizeMealType, getUnitPreferences,
+    buildAppointmentsIcs, buildDoseScheduleIcs, parseIcs, parseIcsDate, mapIcsAppointments,
+    buildFhirBundle, validateJsonSchema,
+    buildReportModel,
+    createWriteQueue,
+    acceptProfileInvite,
+    evaluateAlertRules, describeAlertRule, isOrphanedAlertRule, deliverAlert, createStubNotifier, createWebhookNotifier, buildAlertNotifiers,
+};
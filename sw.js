@@ -0,0 +1,20 @@
+// Service worker for medication reminder notifications. The page shows the notifications
+// through the registration; clicks and action buttons are routed back to an open tab, or to
+// the tab they open.
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const { key, profileId } = event.notification.data || {};
+    const action = event.action || 'open';
+
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        // Without an open window the action goes along in the URL, see ReminderSystem
+        if (windows.length === 0) return self.clients.openWindow(`./?${new URLSearchParams({ reminderAction: action, key, profile: profileId || '' })}`);
+        windows[0].postMessage({ type: 'reminder-action', action, key });
+        return windows[0].focus();
+    })());
+});
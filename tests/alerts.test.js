@@ -0,0 +1,108 @@
+import { describe, expect, it, vi } from 'vitest';
+import { buildAlertNotifiers, createStubNotifier, createWebhookNotifier, deliverAlert, describeAlertRule, evaluateAlertRules, isOrphanedAlertRule } from '../main.js';
+import { NOW, logs, medicines, profile, refills, vitals } from './fixtures.js';
+
+const data = { profile, medicines, logs, vitals, refills };
+const evaluate = (rules, overrides = {}) => evaluateAlertRules(rules, { ...data, ...overrides }, NOW);
+
+describe('evaluateAlertRules', () => {
+    it('raises a missed dose once its delay has passed', () => {
+        const alerts = evaluate([{ id: 'r1', type: 'missedDose', minutes: 60, medicineId: 'm1' }]);
+        const scheduledAt = new Date(2024, 5, 15, 8, 0);
+        expect(alerts).toContainEqual(expect.objectContaining({
+            id: `r1_m1_${scheduledAt.getTime()}`, ruleId: 'r1', type: 'missedDose', severity: 'warning', title: 'Metformin not logged',
+            triggeredAt: new Date(2024, 5, 15, 9, 0),
+        }));
+        expect(alerts.every(a => a.triggeredAt <= NOW)).toBe(true);
+    });
+
+    it('raises readings out of range from the last day only', () => {
+        const alerts = evaluate([{ id: 'r2', type: 'vital', metricTypeId: 'bloodPressure', field: 'systolic', operator: 'above', threshold: 120 }]);
+        expect(alerts.map(a => a.id)).toEqual(['r2_bp2']);
+        expect(alerts[0]).toMatchObject({ severity: 'critical', triggeredAt: vitals.bloodPressureReadings[1].measuredAt });
+    });
+
+    it('compares readings in base units and checks the variant', () => {
+        const rule = { id: 'r3', type: 'vital', metricTypeId: 'bloodSugar', field: 'value', operator: 'above', threshold: 160, variant: 'PP' };
+        const bs = { id: 'bs3', value: 9.5, unit: 'mmol/L', type: 'PP', measuredAt: new Date(2024, 5, 15, 10, 0) };
+        const withReading = { vitals: { ...vitals, bloodSugarReadings: [bs] } };
+        expect(evaluate([rule], withReading).map(a => a.id)).toEqual(['r3_bs3']);
+        expect(evaluate([{ ...rule, variant: 'Fasting' }], withReading)).toEqual([]);
+    });
+
+    it('raises low stock once per refill', () => {
+        const rule = { id: 'r4', type: 'lowStock', days: 5, medicineId: null };
+        const empty = medicines.map(m => m.id === 'm2' ? { ...m, stock: 0 } : m);
+        const refilledAt = refills[0].refilledAt.getTime();
+        expect(evaluate([rule], { medicines: empty }).map(a => a.id)).toEqual([`r4_m2_${refilledAt}`]);
+        const later = [...refills, { id: 'r2', medicineId: 'm2', quantity: 30, refilledAt: new Date(2024, 5, 1) }];
+        expect(evaluate([rule], { medicines: empty, refills: later }).map(a => a.id)).toEqual([`r4_m2_${later[1].refilledAt.getTime()}`]);
+    });
+
+    it('skips disabled rules, rules newer than the event and rules for deleted medicines', () => {
+        const missed = { id: 'r1', type: 'missedDose', minutes: 60, medicineId: 'm1' };
+        expect(evaluate([{ ...missed, enabled: false }])).toEqual([]);
+        expect(evaluate([{ ...missed, createdAt: new Date(2024, 5, 15, 11, 0) }])).toEqual([]);
+        expect(evaluate([{ ...missed, medicineId: 'gone' }])).toEqual([]);
+    });
+});
+
+describe('alert rules for deleted medicines', () => {
+    it('are flagged and described as such', () => {
+        const rule = { type: 'lowStock', days: 5, medicineId: 'gone' };
+        expect(isOrphanedAlertRule(rule, medicines)).toBe(true);
+        expect(isOrphanedAlertRule({ ...rule, medicineId: null }, medicines)).toBe(false);
+        expect(isOrphanedAlertRule({ ...rule, medicineId: 'm2' }, medicines)).toBe(false);
+        expect(describeAlertRule(rule, profile, medicines)).toBe('Stock of a deleted medicine lasts fewer than 5 days');
+        expect(describeAlertRule({ ...rule, medicineId: null }, profile, medicines)).toBe('Stock of any medicine lasts fewer than 5 days');
+    });
+});
+
+describe('alert delivery', () => {
+    const alert = { id: 'r2_bp2', type: 'vital', severity: 'critical', title: 'Blood pressure above limit', message: '165/102 mmHg', triggeredAt: NOW };
+    const okFetch = () => vi.fn().mockResolvedValue({ ok: true, status: 200 });
+
+    it('posts the alert as JSON to the webhook', async () => {
+        const fetchImpl = okFetch();
+        const notifier = createWebhookNotifier({ url: 'https://relay.example/hook', emails: ['carer@example.com'], fetchImpl });
+        expect(notifier).toMatchObject({ id: 'webhook', label: 'Email to carer@example.com', scope: 'once' });
+        await notifier.notify(alert, profile);
+        const [url, request] = fetchImpl.mock.calls[0];
+        expect(url).toBe('https://relay.example/hook');
+        expect(request).toMatchObject({ method: 'POST', headers: { 'Content-Type': 'application/json' } });
+        expect(JSON.parse(request.body)).toEqual({
+            profile: { id: 'p1', name: 'Asha' },
+            alert: { id: 'r2_bp2', type: 'vital', severity: 'critical', title: 'Blood pressure above limit', message: '165/102 mmHg', triggeredAt: NOW.toISOString() },
+            to: ['carer@example.com'],
+            subject: 'Asha: Blood pressure above limit',
+            text: '165/102 mmHg',
+        });
+    });
+
+    it('reports what each notifier did, and one failure does not stop the others', async () => {
+        const stub = createStubNotifier();
+        const webhook = createWebhookNotifier({ url: 'https://relay.example/hook', fetchImpl: vi.fn().mockResolvedValue({ ok: false, status: 502 }) });
+        const failing = { ...createStubNotifier({ fail: true }), id: 'failing' };
+        expect(await deliverAlert([webhook, stub, failing], alert, profile)).toEqual({
+            webhook: 'The webhook answered 502.',
+            stub: 'sent',
+            failing: 'The stub notifier was set to fail.',
+        });
+        expect(stub.sent).toEqual([expect.objectContaining({ alert, profileId: 'p1' })]);
+    });
+
+    it('only uses the notifiers of the given scope', async () => {
+        const onDevice = createStubNotifier({ scope: 'device' });
+        const fetchImpl = okFetch();
+        const notifiers = [onDevice, createWebhookNotifier({ url: 'https://relay.example/hook', fetchImpl })];
+        expect(await deliverAlert(notifiers, alert, profile, 'device')).toEqual({ stub: 'sent' });
+        expect(fetchImpl).not.toHaveBeenCalled();
+        expect(await deliverAlert(notifiers, alert, profile, 'once')).toEqual({ webhook: 'sent' });
+    });
+
+    it('builds the notifiers the profile settings ask for', () => {
+        const stub = createStubNotifier();
+        expect(buildAlertNotifiers({ webhookUrl: 'https://relay.example/hook', stub: true }, stub).map(n => n.id)).toEqual(['browser', 'webhook', 'stub']);
+        expect(buildAlertNotifiers({ browser: false, stub: true }, null)).toEqual([]);
+    });
+});
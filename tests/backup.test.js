@@ -0,0 +1,31 @@
+import { describe, expect, it } from 'vitest';
+import { validateBackup } from '../main.js';
+
+const backupOf = (collections, data = { name: 'Asha' }) => ({ format: 'meditrack-backup', version: 1, profiles: [{ id: 'p1', data, collections }] });
+
+describe('validateBackup', () => {
+    it('accepts a well-formed backup', () => {
+        const backup = backupOf({
+            medicines: [{ id: 'm1', data: { name: 'Metformin' } }],
+            medicineLogs: [{ id: 'l1', data: { medicineId: 'm1', medicineName: 'Metformin' } }],
+        });
+        expect(validateBackup(backup)).toEqual([]);
+    });
+
+    it('accepts entries of medicines that were deleted before the export', () => {
+        const backup = backupOf({
+            medicines: [],
+            medicineLogs: [{ id: 'l1', data: { medicineId: 'gone', medicineName: 'Amoxicillin' } }],
+            alertRules: [{ id: 'r1', data: { type: 'missedDose', medicineId: 'gone' } }],
+        });
+        expect(validateBackup(backup)).toEqual([]);
+    });
+
+    it('rejects other files, newer versions and malformed entries', () => {
+        expect(validateBackup({ format: 'something-else' })).toEqual(['This is not a MediTrack backup file.']);
+        expect(validateBackup({ ...backupOf({}), version: 2 })).toEqual(['Unsupported backup version 2.']);
+        expect(validateBackup(backupOf({ pets: [] }))).toEqual(['Asha: unknown collection "pets".']);
+        expect(validateBackup(backupOf({ medicines: [{ data: {} }] }))).toEqual(['Asha: malformed medicines entries.']);
+        expect(validateBackup(backupOf({}, {}))).toEqual(['Profile 1: missing id or name.']);
+    });
+});
@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest';
+import { CSV_EXPORTS, getUnitPreferences, guessCsvMapping, normalizeMealType, toCsv } from '../main.js';
+import { profile, vitals } from './fixtures.js';
+
+describe('normalizeMealType', () => {
+    it.each([
+        ['Fasting', 'Fasting'],
+        ['fast', 'Fasting'],
+        ['Before breakfast', 'Fasting'],
+        ['pre-meal', 'Fasting'],
+        ['After breakfast', 'PP'],
+        ['post-lunch', 'PP'],
+        ['Postprandial', 'PP'],
+        ['PP', 'PP'],
+        ['2h after dinner', 'PP'],
+        ['Random', 'Random'],
+        ['Breakfast', 'Random'],
+        ['Prescribed check', 'Random'],
+        ['', 'Random'],
+    ])('reads "%s" as %s', (text, expected) => {
+        expect(normalizeMealType(text)).toBe(expected);
+    });
+});
+
+describe('guessCsvMapping', () => {
+    it('maps separate date and time columns in either order', () => {
+        expect(guessCsvMapping(['Time', 'Date', 'Systolic', 'Diastolic'], 'bloodPressureReadings')).toEqual({ date: '1', time: '0', systolic: '2', diastolic: '3' });
+        expect(guessCsvMapping(['Date', 'Time', 'Glucose', 'Meal'], 'bloodSugarReadings')).toEqual({ date: '0', time: '1', value: '2', type: '3', unit: '' });
+    });
+
+    it('takes a combined date and time column as the date', () => {
+        expect(guessCsvMapping(['Timestamp', 'SYS', 'DIA'], 'bloodPressureReadings')).toEqual({ date: '0', time: '', systolic: '1', diastolic: '2' });
+    });
+});
+
+describe('CSV export of other vitals', () => {
+    const exportReadings = (rows) => toCsv(rows, CSV_EXPORTS.metricReadings.columns, getUnitPreferences(profile), profile).split('\r\n');
+
+    it('names built-in and custom metrics and formats their readings', () => {
+        const [header, weight, lipids, peakFlow] = exportReadings(vitals.metricReadings);
+        expect(header).toBe('Date,Metric,Reading,Notes');
+        expect(weight).toContain(',Weight,68.2 kg,');
+        expect(lipids).toContain(',Lipid Panel,');
+        expect(peakFlow).toContain(',Peak flow,420 L/min,');
+    });
+
+    it('keeps the stored type and value of a metric the profile no longer has', () => {
+        const [, row] = exportReadings([{ metricType: 'custom:removed', value: 7, measuredAt: new Date(2024, 5, 1) }]);
+        expect(row).toContain(',custom:removed,7,');
+    });
+});
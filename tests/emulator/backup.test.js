@@ -0,0 +1,68 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { Timestamp, collection, getDocsFromServer } from 'firebase/firestore';
+import { getDownloadURL, listAll, ref, uploadBytes } from 'firebase/storage';
+import { buildBackup, createRepository, dataPaths, deleteProfileData, restoreProfileBackup } from '../../main.js';
+import { clearFirestore, signInGuest } from './firebase.js';
+
+describe('restoring a backup', () => {
+    let guest, repository, scheduledAt;
+    const recordsIn = async (profileId, name) => (await getDocsFromServer(collection(guest.db, `${dataPaths.profile(guest.user.uid, profileId)}/${name}`))).docs.map(d => ({ id: d.id, ...d.data() }));
+
+    beforeEach(async () => {
+        await clearFirestore();
+        guest = await signInGuest();
+        await createRepository(guest.db, guest.user.uid).set('profiles', 'p1', { name: 'Asha' });
+        repository = createRepository(guest.db, guest.user.uid, 'p1');
+        scheduledAt = new Date(Date.now() - 2 * 60 * 60 * 1000);
+        await repository.set('medicines', 'm1', { name: 'Metformin', stock: 30 });
+        await repository.set('alertRules', 'r1', { type: 'missedDose', minutes: 60, medicineId: 'm1' });
+        await repository.set('alerts', `r1_m1_${scheduledAt.getTime()}`, { ruleId: 'r1', type: 'missedDose', title: 'Metformin not logged', status: 'resolved', triggeredAt: Timestamp.fromDate(scheduledAt) });
+    });
+    afterEach(() => guest?.close());
+
+    it('gives restored alerts the IDs the restored rules would raise them with', async () => {
+        const backup = await buildBackup(guest.db, guest.user.uid, [{ id: 'p1', name: 'Asha' }]);
+        const { profileId } = await restoreProfileBackup(guest.db, guest.storage, guest.user.uid, backup.profiles[0], { mode: 'new', recordedBy: { uid: guest.user.uid, name: 'Guest' } });
+
+        const [medicine] = await recordsIn(profileId, 'medicines');
+        const [rule] = await recordsIn(profileId, 'alertRules');
+        const alerts = await recordsIn(profileId, 'alerts');
+        expect(alerts.map(a => a.id)).toEqual([`${rule.id}_${medicine.id}_${scheduledAt.getTime()}`]);
+        expect(alerts[0]).toMatchObject({ ruleId: rule.id, status: 'resolved' });
+    });
+
+    it('keeps the alerts a merged profile already has', async () => {
+        await repository.update('alerts', `r1_m1_${scheduledAt.getTime()}`, { status: 'open' });
+        const backup = await buildBackup(guest.db, guest.user.uid, [{ id: 'p1', name: 'Asha' }]);
+        await repository.update('alerts', `r1_m1_${scheduledAt.getTime()}`, { status: 'resolved' });
+        const { created } = await restoreProfileBackup(guest.db, guest.storage, guest.user.uid, backup.profiles[0], { mode: 'merge', targetProfileId: 'p1', recordedBy: { uid: guest.user.uid, name: 'Guest' } });
+
+        expect(created).toMatchObject({ medicines: 0, alertRules: 0, alerts: 0 });
+        expect((await recordsIn('p1', 'alerts')).map(a => a.status)).toEqual(['resolved']);
+    });
+});
+
+describe('deleting a profile', () => {
+    let guest;
+    const pdf = new Uint8Array([0x25, 0x50, 0x44, 0x46]);
+
+    beforeEach(async () => {
+        await clearFirestore();
+        guest = await signInGuest();
+    });
+    afterEach(() => guest?.close());
+
+    it('deletes prescriptions that are only linked from a medicine', async () => {
+        const folder = dataPaths.profile(guest.user.uid, 'p1');
+        const prescription = ref(guest.storage, `${folder}/prescriptions/rx.pdf`);
+        await uploadBytes(prescription, pdf, { contentType: 'application/pdf' });
+        await uploadBytes(ref(guest.storage, `${folder}/documents/report.pdf`), pdf, { contentType: 'application/pdf' });
+        await createRepository(guest.db, guest.user.uid).set('profiles', 'p1', { name: 'Asha' });
+        await createRepository(guest.db, guest.user.uid, 'p1').set('medicines', 'm1', { name: 'Metformin', stock: 30, prescriptionUrl: await getDownloadURL(prescription) });
+
+        await deleteProfileData(guest.db, guest.storage, guest.user.uid, 'p1');
+
+        const { items, prefixes } = await listAll(ref(guest.storage, folder));
+        expect([...items, ...prefixes]).toEqual([]);
+    });
+});
@@ -0,0 +1,38 @@
+import { deleteApp, initializeApp } from 'firebase/app';
+import { connectAuthEmulator, getAuth, signInAnonymously } from 'firebase/auth';
+import { connectFirestoreEmulator, initializeFirestore, terminate } from 'firebase/firestore';
+import { connectStorageEmulator, getStorage } from 'firebase/storage';
+
+// Clients for the emulators started by `npm run test:emulator`. Each signed-in user gets its
+// own app, like a separate browser, and writes through the real security rules.
+export const PROJECT_ID = 'demo-meditrack';
+
+const hostOf = (variable, fallback) => {
+    const [host, port] = (process.env[variable] || fallback).split(':');
+    return { host, port: Number(port) };
+};
+const FIRESTORE = hostOf('FIRESTORE_EMULATOR_HOST', '127.0.0.1:8080');
+const AUTH = hostOf('FIREBASE_AUTH_EMULATOR_HOST', '127.0.0.1:9099');
+const STORAGE = hostOf('FIREBASE_STORAGE_EMULATOR_HOST', '127.0.0.1:9199');
+
+let appCount = 0;
+
+export const signInGuest = async () => {
+    const app = initializeApp({ projectId: PROJECT_ID, apiKey: 'demo-key', storageBucket: `${PROJECT_ID}.appspot.com` }, `guest-${++appCount}`);
+    const auth = getAuth(app);
+    connectAuthEmulator(auth, `http://${AUTH.host}:${AUTH.port}`, { disableWarnings: true });
+    const { user } = await signInAnonymously(auth);
+    const db = initializeFirestore(app, {});
+    connectFirestoreEmulator(db, FIRESTORE.host, FIRESTORE.port);
+    const storage = getStorage(app);
+    connectStorageEmulator(storage, STORAGE.host, STORAGE.port);
+    return {
+        app, auth, user, db, storage,
+        close: async () => {
+            await terminate(db);
+            await deleteApp(app);
+        },
+    };
+};
+
+export const clearFirestore = () => fetch(`http://${FIRESTORE.host}:${FIRESTORE.port}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`, { method: 'DELETE' });
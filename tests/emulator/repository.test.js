@@ -0,0 +1,92 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { Timestamp, collection, disableNetwork, doc, enableNetwork, getCountFromServer, getDocFromServer } from 'firebase/firestore';
+import { BATCH_LIMIT, commitInChunks, createRepository, dataPaths } from '../../main.js';
+import { clearFirestore, signInGuest } from './firebase.js';
+
+describe('repository against the emulator', () => {
+    let guest, repository;
+    const dose = (quantity = 1) => ({ medicineId: 'm1', medicineName: 'Metformin', quantity, unit: 'tablet', takenAt: Timestamp.now(), recordedBy: { uid: guest.user.uid, name: 'Guest' } });
+    const medicinesPath = () => `${dataPaths.profile(guest.user.uid, 'p1')}/medicines`;
+    const stockOf = async () => (await getDocFromServer(doc(guest.db, medicinesPath(), 'm1'))).data().stock;
+    const logExists = async (id) => (await getDocFromServer(doc(guest.db, `${dataPaths.profile(guest.user.uid, 'p1')}/medicineLogs`, id))).exists();
+
+    beforeEach(async () => {
+        await clearFirestore();
+        guest = await signInGuest();
+        await createRepository(guest.db, guest.user.uid).set('profiles', 'p1', { name: 'Asha' });
+        repository = createRepository(guest.db, guest.user.uid, 'p1');
+        await repository.set('medicines', 'm1', { name: 'Metformin', stock: 3 });
+    });
+    afterEach(async () => {
+        vi.unstubAllGlobals();
+        await guest?.close();
+    });
+
+    describe('changeStock', () => {
+        it('takes a dose and changes the stock in one transaction', async () => {
+            await repository.takeDose('m1', 'l1', dose(2));
+            expect(await stockOf()).toBe(1);
+            expect(await logExists('l1')).toBe(true);
+        });
+
+        it('adds a refill to the stock', async () => {
+            await repository.recordRefill('m1', 'r1', { medicineId: 'm1', medicineName: 'Metformin', quantity: 30, refilledAt: Timestamp.now() });
+            expect(await stockOf()).toBe(33);
+        });
+
+        it('applies a retried dose only once', async () => {
+            await repository.takeDose('m1', 'l1', dose());
+            await repository.takeDose('m1', 'l1', dose());
+            expect(await stockOf()).toBe(2);
+        });
+
+        it('refuses a dose the stock cannot cover and writes nothing', async () => {
+            await expect(repository.takeDose('m1', 'l1', dose(4))).rejects.toMatchObject({ code: 'failed-precondition' });
+            expect(await stockOf()).toBe(3);
+            expect(await logExists('l1')).toBe(false);
+        });
+
+        it('refuses a dose of a deleted medicine', async () => {
+            await repository.remove('medicines', 'm1');
+            await expect(repository.takeDose('m1', 'l1', dose())).rejects.toMatchObject({ code: 'not-found' });
+        });
+
+        it('falls back to increment() while offline and applies it on reconnect', async () => {
+            vi.stubGlobal('navigator', { onLine: false });
+            await disableNetwork(guest.db);
+            const offlineDose = repository.takeDose('m1', 'l1', dose());
+            await enableNetwork(guest.db);
+            await offlineDose;
+            expect(await stockOf()).toBe(2);
+            expect(await logExists('l1')).toBe(true);
+        });
+
+        it('leaves the stock below zero rather than losing an offline dose', async () => {
+            vi.stubGlobal('navigator', { onLine: false });
+            await disableNetwork(guest.db);
+            const offlineDose = repository.takeDose('m1', 'l1', dose(5));
+            await enableNetwork(guest.db);
+            await offlineDose;
+            expect(await stockOf()).toBe(-2);
+        });
+
+        it('validates before writing', () => {
+            expect(() => repository.takeDose('m1', 'l1', { ...dose(), takenAt: 'now' })).toThrow(/takenAt/);
+        });
+    });
+
+    describe('commitInChunks', () => {
+        it(`commits more than ${BATCH_LIMIT} operations in several batches`, async () => {
+            const count = BATCH_LIMIT * 2 + 10;
+            const symptoms = collection(guest.db, `${dataPaths.profile(guest.user.uid, 'p1')}/symptoms`);
+            await commitInChunks(guest.db, Array.from({ length: count }, (_, i) => batch => batch.set(doc(symptoms, `s${i}`), { symptom: 'Cough', severity: 'mild', occurredAt: Timestamp.now() })));
+            expect((await getCountFromServer(symptoms)).data().count).toBe(count);
+        });
+
+        it('does the same through the repository', async () => {
+            const count = BATCH_LIMIT + 1;
+            await repository.writeInChunks(Array.from({ length: count }, (_, i) => w => w.set('symptoms', `s${i}`, { symptom: 'Cough', severity: 'mild', occurredAt: Timestamp.now() })));
+            expect((await getCountFromServer(collection(guest.db, `${dataPaths.profile(guest.user.uid, 'p1')}/symptoms`))).data().count).toBe(count);
+        });
+    });
+});
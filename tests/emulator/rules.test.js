@@ -0,0 +1,207 @@
+import { readFileSync } from 'node:fs';
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from 'vitest';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { Timestamp, deleteDoc, deleteField, doc, getDoc, setDoc, updateDoc, writeBatch } from 'firebase/firestore';
+import { ref, uploadBytes } from 'firebase/storage';
+import { acceptProfileInvite, dataPaths } from '../../main.js';
+import { PROJECT_ID } from './firebase.js';
+
+// The security rules on their own, with users made up by the test environment instead of signed in
+const readRules = (file) => readFileSync(new URL(`../../${file}`, import.meta.url), 'utf8');
+
+describe('security rules', () => {
+    let env;
+    const guest = () => env.authenticatedContext('guest', { firebase: { sign_in_provider: 'anonymous' } });
+    const alice = () => env.authenticatedContext('alice', { email: 'alice@example.com', email_verified: true });
+    const bob = (verified = true) => env.authenticatedContext('bob', { email: 'bob@example.com', email_verified: verified });
+    const carol = () => env.authenticatedContext('carol', { email: 'carol@example.com', email_verified: true });
+    const profilePath = (uid) => dataPaths.profile(uid, 'p1');
+    const filePath = (uid, name) => `${profilePath(uid)}/documents/${name}`;
+
+    beforeAll(async () => {
+        env = await initializeTestEnvironment({
+            projectId: PROJECT_ID,
+            firestore: { rules: readRules('firestore.rules') },
+            storage: { rules: readRules('storage.rules') },
+        });
+    });
+    afterAll(() => env?.cleanup());
+    beforeEach(async () => {
+        await env.clearFirestore();
+        await env.clearStorage();
+        await env.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), profilePath('alice')), { name: 'Asha' }));
+    });
+
+    describe('Firestore', () => {
+        it('lets the owner read and write their own data', async () => {
+            const db = alice().firestore();
+            await assertSucceeds(getDoc(doc(db, profilePath('alice'))));
+            await assertSucceeds(setDoc(doc(db, `${profilePath('alice')}/medicines`, 'm1'), { name: 'Metformin', stock: 30 }));
+            await assertSucceeds(setDoc(doc(db, dataPaths.contacts('alice'), 'c1'), { type: 'doctor', name: 'Dr. Rao' }));
+            await assertSucceeds(deleteDoc(doc(db, `${profilePath('alice')}/medicines`, 'm1')));
+        });
+
+        it('keeps other users out of an account', async () => {
+            const db = bob().firestore();
+            await assertFails(getDoc(doc(db, profilePath('alice'))));
+            await assertFails(setDoc(doc(db, `${profilePath('alice')}/medicines`, 'm1'), { name: 'Metformin', stock: 30 }));
+            await assertFails(setDoc(doc(db, dataPaths.contacts('alice'), 'c1'), { type: 'doctor', name: 'Dr. Rao' }));
+        });
+
+        it('keeps signed-out visitors out', async () => {
+            await assertFails(getDoc(doc(env.unauthenticatedContext().firestore(), profilePath('alice'))));
+        });
+
+        it('treats a guest account like any other owner', async () => {
+            const db = guest().firestore();
+            await assertSucceeds(setDoc(doc(db, profilePath('guest')), { name: 'Me' }));
+            await assertSucceeds(getDoc(doc(db, profilePath('guest'))));
+            await assertFails(getDoc(doc(db, profilePath('alice'))));
+        });
+    });
+
+    describe('invites', () => {
+        const shareDoc = (db) => doc(db, dataPaths.profileShares(), 'p1');
+        const inviteDoc = (db, code) => doc(db, dataPaths.profileInvites(), code);
+        const bobAccount = { uid: 'bob', email: 'bob@example.com', emailVerified: true, displayName: 'Bob' };
+        // What acceptProfileInvite writes, without its checks
+        const joinBatch = (db, code, role, { deleteInvite = true } = {}) => {
+            const batch = writeBatch(db);
+            batch.update(shareDoc(db), { 'members.bob': role, 'memberNames.bob': 'Bob', inviteCode: code });
+            batch.set(doc(db, dataPaths.sharedWithMe('bob'), 'p1'), { ownerId: 'alice', profileName: 'Asha', role });
+            if (deleteInvite) batch.delete(inviteDoc(db, code));
+            return batch.commit();
+        };
+
+        beforeEach(async () => {
+            await env.withSecurityRulesDisabled(async (context) => {
+                const db = context.firestore();
+                const invite = { profileId: 'p1', ownerId: 'alice', profileName: 'Asha', createdBy: 'alice', expiresAt: Timestamp.fromMillis(Date.now() + 86400000) };
+                await setDoc(shareDoc(db), { ownerId: 'alice', profileName: 'Asha', members: { carol: 'viewer' }, memberNames: { carol: 'Carol' } });
+                await setDoc(inviteDoc(db, 'OPEN'), { ...invite, role: 'caregiver', email: '' });
+                await setDoc(inviteDoc(db, 'FORBOB'), { ...invite, role: 'viewer', email: 'bob@example.com' });
+            });
+        });
+
+        it('joins and uses up the invite in one batch', async () => {
+            const db = bob().firestore();
+            await assertSucceeds(acceptProfileInvite(db, bobAccount, 'OPEN'));
+            await assertSucceeds(getDoc(doc(db, profilePath('alice'))));
+            await env.withSecurityRulesDisabled(async (context) => {
+                expect((await getDoc(inviteDoc(context.firestore(), 'OPEN'))).exists()).toBe(false);
+                expect((await getDoc(shareDoc(context.firestore()))).data().members.bob).toBe('caregiver');
+            });
+        });
+
+        it('refuses a join that keeps the invite for another use', async () => {
+            await assertFails(joinBatch(bob().firestore(), 'OPEN', 'caregiver', { deleteInvite: false }));
+        });
+
+        it('refuses a role other than the invite grants', async () => {
+            await assertFails(joinBatch(bob().firestore(), 'OPEN', 'owner'));
+        });
+
+        it('needs a verified address for an invite sent to one', async () => {
+            await assertFails(joinBatch(bob(false).firestore(), 'FORBOB', 'viewer'));
+            await assertFails(joinBatch(carol().firestore(), 'FORBOB', 'viewer'));
+            await assertSucceeds(joinBatch(bob().firestore(), 'FORBOB', 'viewer'));
+        });
+
+        it('lets only the managers cancel an invite', async () => {
+            await assertFails(deleteDoc(inviteDoc(carol().firestore(), 'OPEN')));
+            await assertFails(deleteDoc(inviteDoc(bob().firestore(), 'OPEN')));
+            await assertSucceeds(deleteDoc(inviteDoc(alice().firestore(), 'OPEN')));
+        });
+
+        it('lets a member with the owner role cancel an invite', async () => {
+            await env.withSecurityRulesDisabled(context => updateDoc(shareDoc(context.firestore()), { 'members.carol': 'owner' }));
+            await assertSucceeds(deleteDoc(inviteDoc(carol().firestore(), 'OPEN')));
+        });
+    });
+
+    describe('shared profiles', () => {
+        const shareDoc = (db) => doc(db, dataPaths.profileShares(), 'p1');
+        const logsPath = `${dataPaths.profile('alice', 'p1')}/medicineLogs`;
+        const log = (uid) => ({ medicineId: 'm1', medicineName: 'Metformin', quantity: 1, takenAt: Timestamp.now(), recordedBy: { uid, name: uid } });
+
+        beforeEach(async () => {
+            await env.withSecurityRulesDisabled(async (context) => {
+                const db = context.firestore();
+                await setDoc(shareDoc(db), { ownerId: 'alice', profileName: 'Asha', members: { bob: 'caregiver', carol: 'viewer' }, memberNames: { bob: 'Bob', carol: 'Carol' } });
+                await setDoc(doc(db, logsPath, 'l1'), log('alice'));
+            });
+        });
+
+        it('lets a viewer read but not change the records', async () => {
+            const db = carol().firestore();
+            await assertSucceeds(getDoc(doc(db, profilePath('alice'))));
+            await assertSucceeds(getDoc(doc(db, logsPath, 'l1')));
+            await assertFails(setDoc(doc(db, logsPath, 'l2'), log('carol')));
+            await assertFails(updateDoc(doc(db, profilePath('alice')), { name: 'Someone else' }));
+        });
+
+        it('lets a caregiver change the records but not delete the profile or manage sharing', async () => {
+            const db = bob().firestore();
+            await assertSucceeds(setDoc(doc(db, logsPath, 'l2'), log('bob')));
+            await assertSucceeds(updateDoc(doc(db, profilePath('alice')), { relationship: 'Mother' }));
+            await assertFails(deleteDoc(doc(db, profilePath('alice'))));
+            await assertFails(updateDoc(shareDoc(db), { 'members.carol': 'owner' }));
+        });
+
+        it('only accepts dose logs recorded by the signed-in account', async () => {
+            await assertFails(setDoc(doc(bob().firestore(), logsPath, 'l2'), log('alice')));
+            await assertFails(setDoc(doc(alice().firestore(), logsPath, 'l2'), log('bob')));
+            const { recordedBy, ...unattributed } = log('bob');
+            await assertFails(setDoc(doc(bob().firestore(), logsPath, 'l2'), unattributed));
+            await assertSucceeds(setDoc(doc(alice().firestore(), logsPath, 'l2'), log('alice')));
+        });
+
+        it('keeps who recorded a dose when it is edited', async () => {
+            await assertSucceeds(updateDoc(doc(bob().firestore(), logsPath, 'l1'), { quantity: 2 }));
+            await assertFails(updateDoc(doc(bob().firestore(), logsPath, 'l1'), { recordedBy: { uid: 'bob', name: 'Bob' } }));
+        });
+
+        it('takes access away on revoke', async () => {
+            await assertSucceeds(updateDoc(shareDoc(alice().firestore()), { 'members.bob': deleteField(), 'memberNames.bob': deleteField() }));
+            await assertFails(getDoc(doc(bob().firestore(), profilePath('alice'))));
+            await assertFails(setDoc(doc(bob().firestore(), logsPath, 'l2'), log('bob')));
+        });
+
+        it('lets a member leave but not change anyone else', async () => {
+            await assertFails(updateDoc(shareDoc(carol().firestore()), { 'members.bob': deleteField() }));
+            await assertSucceeds(updateDoc(shareDoc(carol().firestore()), { 'members.carol': deleteField(), 'memberNames.carol': deleteField() }));
+        });
+    });
+
+    describe('Storage', () => {
+        const pdf = new Uint8Array([0x25, 0x50, 0x44, 0x46]);
+
+        it('lets the owner upload PDFs and images', async () => {
+            const storage = alice().storage();
+            await assertSucceeds(uploadBytes(ref(storage, filePath('alice', 'report.pdf')), pdf, { contentType: 'application/pdf' }));
+            await assertSucceeds(uploadBytes(ref(storage, filePath('alice', 'scan.webp')), pdf, { contentType: 'image/webp' }));
+        });
+
+        it('lets a guest upload to their own account only', async () => {
+            const storage = guest().storage();
+            await assertSucceeds(uploadBytes(ref(storage, filePath('guest', 'report.pdf')), pdf, { contentType: 'application/pdf' }));
+            await assertFails(uploadBytes(ref(storage, filePath('alice', 'report.pdf')), pdf, { contentType: 'application/pdf' }));
+        });
+
+        it('rejects file types the document vault does not accept', async () => {
+            const storage = alice().storage();
+            await assertFails(uploadBytes(ref(storage, filePath('alice', 'notes.txt')), pdf, { contentType: 'text/plain' }));
+            await assertFails(uploadBytes(ref(storage, filePath('alice', 'page.html')), pdf, { contentType: 'text/html' }));
+        });
+
+        it('rejects files over 10 MB', async () => {
+            const storage = alice().storage();
+            await assertSucceeds(uploadBytes(ref(storage, filePath('alice', 'limit.pdf')), new Uint8Array(10 * 1024 * 1024), { contentType: 'application/pdf' }));
+            await assertFails(uploadBytes(ref(storage, filePath('alice', 'large.pdf')), new Uint8Array(10 * 1024 * 1024 + 1), { contentType: 'application/pdf' }));
+        });
+
+        it('keeps other users out of an account', async () => {
+            await assertFails(uploadBytes(ref(bob().storage(), filePath('alice', 'report.pdf')), pdf, { contentType: 'application/pdf' }));
+        });
+    });
+});
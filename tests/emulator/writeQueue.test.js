@@ -0,0 +1,63 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { disableNetwork, doc, enableNetwork, getDocFromServer, getDocsFromServer, collection } from 'firebase/firestore';
+import { createRepository, createWriteQueue, dataPaths, deleteProfileData } from '../../main.js';
+import { clearFirestore, signInGuest } from './firebase.js';
+
+// Short enough that each test outlasts the whole schedule
+const RETRY_DELAYS = [100, 200, 400];
+
+describe('write queue against the emulator', () => {
+    let guest, states, queue, repository;
+    const last = () => states[states.length - 1];
+
+    beforeEach(async () => {
+        await clearFirestore();
+        guest = await signInGuest();
+        states = [];
+        queue = createWriteQueue(state => states.push(state), RETRY_DELAYS);
+        repository = createRepository(guest.db, guest.user.uid);
+    });
+    afterEach(() => guest?.close());
+
+    it('keeps an offline write pending until the device is back online', async () => {
+        await disableNetwork(guest.db);
+        queue.add('Add profile Asha', () => repository.set('profiles', 'p1', { name: 'Asha' }));
+        await new Promise(resolve => setTimeout(resolve, 500));
+        expect(last()).toEqual({ pending: 1, failed: [] });
+
+        await enableNetwork(guest.db);
+        await vi.waitFor(() => expect(last()).toEqual({ pending: 0, failed: [] }), { timeout: 10000 });
+        const saved = await getDocFromServer(doc(guest.db, dataPaths.profile(guest.user.uid, 'p1')));
+        expect(saved.data()).toMatchObject({ name: 'Asha', schemaVersion: 2 });
+    });
+
+    it('reports a write the rules reject as failed and lets it be discarded', async () => {
+        const onDiscard = vi.fn();
+        const other = createRepository(guest.db, 'someone-else');
+        queue.add('Add profile', () => other.set('profiles', 'p1', { name: 'Not mine' }), { onDiscard });
+        await vi.waitFor(() => expect(last().failed).toHaveLength(1), { timeout: 10000 });
+        expect(last().failed[0].label).toBe('Add profile');
+
+        queue.discard(last().failed[0].id);
+        expect(onDiscard).toHaveBeenCalledTimes(1);
+        expect(last()).toEqual({ pending: 0, failed: [] });
+    });
+
+    it('retries a profile deletion made offline after longer than the whole delay schedule', async () => {
+        await repository.set('profiles', 'p1', { name: 'Asha' });
+        const profileRepository = createRepository(guest.db, guest.user.uid, 'p1');
+        await profileRepository.set('medicines', 'm1', { name: 'Metformin', stock: 30 });
+
+        await disableNetwork(guest.db);
+        queue.add('Delete profile Asha', () => deleteProfileData(guest.db, null, guest.user.uid, 'p1'));
+        await new Promise(resolve => setTimeout(resolve, RETRY_DELAYS.reduce((a, b) => a + b) * 4));
+        expect(last()).toEqual({ pending: 1, failed: [] });
+
+        await enableNetwork(guest.db);
+        queue.retryWaiting();
+        await vi.waitFor(() => expect(last()).toEqual({ pending: 0, failed: [] }), { timeout: 10000 });
+        const profiles = await getDocsFromServer(collection(guest.db, dataPaths.profiles(guest.user.uid)));
+        const medicines = await getDocsFromServer(collection(guest.db, `${dataPaths.profile(guest.user.uid, 'p1')}/medicines`));
+        expect(profiles.size + medicines.size).toBe(0);
+    });
+});
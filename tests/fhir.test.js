@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest';
+import { buildFhirBundle, validateJsonSchema } from '../main.js';
+import fhirBundleSchema from '../fhir-bundle.schema.json';
+import { NOW, appointments, logs, medicines, profile, vitals } from './fixtures.js';
+
+const build = () => buildFhirBundle(profile, { medicines, logs, appointments, vitals }, NOW);
+const resourcesOfType = (bundle, type) => bundle.entry.map(e => e.resource).filter(r => r.resourceType === type);
+
+describe('buildFhirBundle', () => {
+    it('builds a bundle that matches fhir-bundle.schema.json', () => {
+        expect(validateJsonSchema(build(), fhirBundleSchema)).toEqual([]);
+    });
+
+    it('has one resource per record', () => {
+        const bundle = build();
+        expect(resourcesOfType(bundle, 'Patient')).toHaveLength(1);
+        expect(resourcesOfType(bundle, 'MedicationStatement')).toHaveLength(medicines.length);
+        expect(resourcesOfType(bundle, 'MedicationAdministration')).toHaveLength(logs.length);
+        expect(resourcesOfType(bundle, 'Appointment')).toHaveLength(appointments.length);
+        expect(resourcesOfType(bundle, 'Observation')).toHaveLength(Object.values(vitals).flat().length);
+    });
+
+    it('links doses to their medication statement', () => {
+        const bundle = build();
+        const statementUrl = bundle.entry.find(e => e.resource.medicationCodeableConcept?.text?.startsWith('Metformin') && e.resource.resourceType === 'MedicationStatement').fullUrl;
+        const taken = resourcesOfType(bundle, 'MedicationAdministration').find(r => r.status === 'completed' && r.medicationCodeableConcept.text === 'Metformin');
+        expect(taken.supportingInformation).toEqual([{ reference: statementUrl }]);
+        expect(resourcesOfType(bundle, 'MedicationAdministration').find(r => r.status === 'not-done').statusReason).toEqual([{ text: 'Felt unwell' }]);
+    });
+
+    it('exports glucose in mg/dL whatever unit the profile prefers', () => {
+        const glucose = resourcesOfType(build(), 'Observation').filter(r => r.code.text.startsWith('Blood Sugar'));
+        expect(glucose.map(r => r.valueQuantity.unit)).toEqual(['mg/dL', 'mg/dL']);
+        expect(glucose[1].valueQuantity.value).toBe(171);
+        expect(glucose[1].code.coding[0].code).toBe('1521-4');
+    });
+
+    it('exports blood pressure and lipids as panels with components', () => {
+        const observations = resourcesOfType(build(), 'Observation');
+        const bp = observations.find(r => r.code.text === 'Blood Pressure');
+        expect(bp.component.map(c => c.valueQuantity.code)).toEqual(['mm[Hg]', 'mm[Hg]']);
+        expect(observations.find(r => r.code.text === 'Lipid Panel').component).toHaveLength(3);
+    });
+
+    it('reports what is wrong with a broken bundle', () => {
+        const bundle = build();
+        delete bundle.entry[0].resource.resourceType;
+        bundle.timestamp = '15/06/2024';
+        expect(validateJsonSchema(bundle, fhirBundleSchema).length).toBeGreaterThan(0);
+    });
+});
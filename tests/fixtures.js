@@ -0,0 +1,63 @@
+// A small profile with a few weeks of data, shared by the suites. Dates are local times.
+export const NOW = new Date(2024, 5, 15, 12, 0);
+
+export const profile = {
+    id: 'p1', name: 'Asha', heightCm: 165,
+    units: { glucose: 'mmol/L' },
+    customMetrics: [{ id: 'peakflow', name: 'Peak flow', unit: 'L/min', min: 50, max: 900 }],
+};
+
+export const medicines = [
+    {
+        id: 'm1', name: 'Metformin', strength: '500', strengthUnit: 'mg', form: 'tablet', unit: 'tablet', stock: 40, doctor: 'Rao',
+        schedule: { type: 'daily', times: ['08:00', '20:00'], startDate: '2024-05-01' }, createdAt: new Date(2024, 4, 1, 9, 0),
+    },
+    {
+        id: 'm2', name: 'Vitamin D', unit: 'capsule', stock: 3,
+        schedule: { type: 'weekdays', weekdays: [1, 4], times: ['09:00'], startDate: '2024-05-01' }, createdAt: new Date(2024, 4, 1, 9, 0),
+    },
+    {
+        id: 'm3', name: 'Paracetamol', unit: 'tablet', stock: 10,
+        schedule: { type: 'prn', maxPerDay: 4 }, createdAt: new Date(2024, 4, 1, 9, 0),
+    },
+];
+
+export const logs = [
+    { id: 'l1', medicineId: 'm1', medicineName: 'Metformin', status: 'taken', quantity: 1, unit: 'tablet', takenAt: new Date(2024, 5, 14, 8, 5) },
+    { id: 'l2', medicineId: 'm1', medicineName: 'Metformin', status: 'skipped', reason: 'Felt unwell', takenAt: new Date(2024, 5, 14, 20, 0) },
+    { id: 'l3', medicineId: 'm3', medicineName: 'Paracetamol', status: 'taken', quantity: 2, unit: 'tablet', takenAt: new Date(2024, 5, 10, 14, 30) },
+];
+
+export const appointments = [
+    { id: 'a1', doctor: 'Rao', specialty: 'Endocrinology', location: 'City Clinic', reason: 'Diabetes review', date: new Date(2024, 5, 20, 10, 30), status: 'scheduled', reminders: [1440] },
+    { id: 'a2', doctor: 'Mehta', reason: 'Check-up', date: new Date(2024, 4, 10, 9, 0), status: 'completed', outcome: { notes: 'All good' } },
+];
+
+export const vitals = {
+    bloodPressureReadings: [
+        { id: 'bp1', systolic: 128, diastolic: 84, arm: 'Left arm', measuredAt: new Date(2024, 5, 14, 7, 30) },
+        { id: 'bp2', systolic: 165, diastolic: 102, measuredAt: new Date(2024, 5, 15, 7, 30) },
+    ],
+    bloodSugarReadings: [
+        { id: 'bs1', value: 110, unit: 'mg/dL', type: 'Fasting', measuredAt: new Date(2024, 5, 14, 7, 0) },
+        { id: 'bs2', value: 9.5, unit: 'mmol/L', type: 'PP', measuredAt: new Date(2024, 5, 14, 10, 0) },
+    ],
+    metricReadings: [
+        { id: 'w1', metricType: 'weight', value: 68.2, unit: 'kg', measuredAt: new Date(2024, 5, 1, 8, 0) },
+        { id: 'lp1', metricType: 'lipids', total: 210, ldl: 130, hdl: 45, measuredAt: new Date(2024, 5, 2, 8, 0) },
+        { id: 'pf1', metricType: 'custom:peakflow', value: 420, measuredAt: new Date(2024, 5, 3, 8, 0) },
+    ],
+};
+
+export const symptoms = [
+    { id: 's1', symptom: 'Nausea', severity: 'moderate', medicineId: 'm1', medicineName: 'Metformin', occurredAt: new Date(2024, 5, 12, 9, 0) },
+];
+
+export const refills = [
+    { id: 'r1', medicineId: 'm2', medicineName: 'Vitamin D', quantity: 30, refilledAt: new Date(2024, 4, 1, 10, 0) },
+];
+
+export const documents = [
+    { id: 'd1', name: 'lipids.pdf', type: 'lab', date: new Date(2024, 5, 2), contentType: 'application/pdf', includeInReport: true, storagePath: 'x/lipids.pdf', url: 'https://files.example/lipids.pdf', createdAt: new Date(2024, 5, 2, 12, 0) },
+    { id: 'd2', name: 'old-xray.png', type: 'imaging', date: new Date(2023, 0, 15), contentType: 'image/png', includeInReport: true, storagePath: 'x/old-xray.png', url: 'https://files.example/old-xray.png', createdAt: new Date(2023, 0, 15, 12, 0) },
+];
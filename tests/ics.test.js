@@ -0,0 +1,88 @@
+import { describe, expect, it } from 'vitest';
+import { buildAppointmentsIcs, buildDoseScheduleIcs, mapIcsAppointments, parseIcs, parseIcsDate } from '../main.js';
+import { NOW, appointments, medicines, profile } from './fixtures.js';
+
+const events = (text) => parseIcs(text).components.flatMap(c => c.components).filter(c => c.name === 'VEVENT');
+const propOf = (event, name) => event.properties.find(p => p.name === name)?.value;
+
+describe('appointments calendar', () => {
+    const detailed = {
+        ...appointments[0],
+        preVisitNotes: 'Bring the glucose diary; fasting, no breakfast\nAsk about the new dose',
+        questions: ['Can I stop the Vitamin D?', 'Is 128/84 fine, or too high?'],
+        reminders: [1440, 180],
+        location: 'City Clinic, 2nd floor – a name long enough that the line has to be folded when it is written',
+    };
+
+    it('reads back what it wrote', () => {
+        const text = buildAppointmentsIcs(profile, [detailed, appointments[1]], NOW);
+        const { appointments: imported, duplicates, skipped } = mapIcsAppointments(text, [], NOW);
+        expect({ duplicates, skipped }).toEqual({ duplicates: 0, skipped: 0 });
+        expect(imported).toHaveLength(2);
+        expect(imported[0]).toMatchObject({
+            doctor: 'Rao', specialty: 'Endocrinology', location: detailed.location, reason: 'Diabetes review',
+            preVisitNotes: detailed.preVisitNotes, questions: detailed.questions, status: 'scheduled', reminders: [1440, 180],
+            icsUid: 'a1@meditrack',
+        });
+        expect(imported[0].date.toDate()).toEqual(detailed.date);
+        expect(imported[1]).toMatchObject({ doctor: 'Mehta', status: 'completed', icsUid: 'a2@meditrack' });
+    });
+
+    it('folds long lines at 75 octets', () => {
+        const text = buildAppointmentsIcs(profile, [detailed], NOW);
+        text.split('\r\n').forEach(line => expect(new TextEncoder().encode(line).length).toBeLessThanOrEqual(75));
+    });
+
+    it('counts events it already has as duplicates', () => {
+        const text = buildAppointmentsIcs(profile, appointments, NOW);
+        const result = mapIcsAppointments(text, [appointments[0]], NOW);
+        expect(result.duplicates).toBe(1);
+        expect(result.appointments).toHaveLength(1);
+    });
+});
+
+describe('dose schedule calendar', () => {
+    it('writes one recurring event per dose time', () => {
+        const doses = events(buildDoseScheduleIcs(profile, medicines, NOW));
+        expect(doses.map(e => propOf(e, 'RRULE'))).toEqual(['FREQ=DAILY', 'FREQ=DAILY', 'FREQ=WEEKLY;BYDAY=MO,TH']);
+        expect(doses.map(e => propOf(e, 'DTSTART'))).toEqual(['20240501T080000', '20240501T200000', '20240502T090000']);
+    });
+
+    it('starts weekday schedules on their first scheduled day', () => {
+        const fromMonday = { ...medicines[1], schedule: { ...medicines[1].schedule, startDate: '2024-05-06' } };
+        const fromFriday = { ...medicines[1], schedule: { ...medicines[1].schedule, startDate: '2024-05-03' } };
+        expect(events(buildDoseScheduleIcs(profile, [fromMonday, fromFriday], NOW)).map(e => propOf(e, 'DTSTART'))).toEqual(['20240506T090000', '20240506T090000']);
+    });
+
+    it('leaves out weekday schedules without days instead of writing an empty BYDAY', () => {
+        const noDays = { ...medicines[1], schedule: { ...medicines[1].schedule, weekdays: [] } };
+        const text = buildDoseScheduleIcs(profile, [noDays], NOW);
+        expect(text).not.toContain('BYDAY=');
+        expect(events(text)).toHaveLength(0);
+    });
+});
+
+describe('parseIcsDate', () => {
+    it('reads UTC, floating and all-day values', () => {
+        expect(parseIcsDate('20240615T093000Z').toISOString()).toBe('2024-06-15T09:30:00.000Z');
+        expect(parseIcsDate('20240615T093000')).toEqual(new Date(2024, 5, 15, 9, 30));
+        expect(parseIcsDate('20240615')).toEqual(new Date(2024, 5, 15));
+        expect(parseIcsDate('next tuesday')).toBeNull();
+    });
+
+    it('reads TZID times as wall-clock times in that zone', () => {
+        expect(parseIcsDate('20240615T093000', 'America/New_York').toISOString()).toBe('2024-06-15T13:30:00.000Z');
+        expect(parseIcsDate('20240115T093000', 'America/New_York').toISOString()).toBe('2024-01-15T14:30:00.000Z');
+        expect(parseIcsDate('20240615T093000', 'Asia/Kolkata').toISOString()).toBe('2024-06-15T04:00:00.000Z');
+        // Just after the spring-forward gap and just after the autumn change
+        expect(parseIcsDate('20240331T030000', 'Europe/Berlin').toISOString()).toBe('2024-03-31T01:00:00.000Z');
+        expect(parseIcsDate('20241027T040000', 'Europe/Berlin').toISOString()).toBe('2024-10-27T03:00:00.000Z');
+    });
+
+    it('imports an event with a TZID start at the right instant', () => {
+        const text = ['BEGIN:VCALENDAR', 'BEGIN:VEVENT', 'UID:x1@example', 'DTSTART;TZID=Europe/London:20240615T093000', 'SUMMARY:Dr. Smith', 'END:VEVENT', 'END:VCALENDAR'].join('\r\n');
+        const [imported] = mapIcsAppointments(text, [], NOW).appointments;
+        expect(imported.date.toDate().toISOString()).toBe('2024-06-15T08:30:00.000Z');
+        expect(imported.doctor).toBe('Smith');
+    });
+});
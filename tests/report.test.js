@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest';
+import { buildReportModel } from '../main.js';
+import { NOW, appointments, documents, logs, medicines, profile, symptoms, vitals } from './fixtures.js';
+
+const ALL_SECTIONS = ['summary', 'medications', 'adherence', 'vitals', 'appointments', 'symptoms', 'documents'];
+const data = { medicines, logs, appointments, vitals, symptoms, documents };
+const build = (from, to, sections = ALL_SECTIONS) => buildReportModel(profile, data, { from, to, sections }, NOW);
+const headings = (model) => model.blocks.filter(b => b.kind === 'heading').map(b => b.text);
+const tableAfter = (model, text) => model.blocks.slice(model.blocks.findIndex(b => b.kind === 'heading' && b.text === text)).find(b => b.kind === 'table');
+
+describe('buildReportModel', () => {
+    const from = new Date(2024, 5, 1), to = new Date(2024, 5, 15, 23, 59, 59);
+
+    it('builds the chosen sections in order', () => {
+        expect(headings(build(from, to))).toEqual(['Clinician Summary', 'Medications', 'Adherence', 'Dose Log', 'Vitals', 'Appointments', 'Symptoms', 'Attached Documents']);
+        expect(headings(build(from, to, ['symptoms', 'medications']))).toEqual(['Medications', 'Symptoms']);
+    });
+
+    it('only includes records from the period', () => {
+        const model = build(from, to);
+        expect(tableAfter(model, 'Dose Log').body.map(row => row[0])).toEqual(['Metformin', 'Metformin', 'Paracetamol']);
+        expect(model.blocks[model.blocks.findIndex(b => b.text === 'Appointments') + 1]).toEqual({ kind: 'note', text: 'No appointments in this period.' });
+        expect(tableAfter(build(from, new Date(2024, 5, 30)), 'Appointments').body.map(row => row[2])).toEqual(['Diabetes review']);
+        expect(model.blocks.filter(b => b.kind === 'chart').map(b => b.title)).toEqual(['Blood Pressure', 'Blood Sugar', 'Weight', 'Lipid Panel', 'Peak flow']);
+    });
+
+    it('only attaches documents dated in the period', () => {
+        const model = build(from, to);
+        expect(tableAfter(model, 'Attached Documents').body.map(row => row[0])).toEqual(['lipids.pdf']);
+        expect(model.blocks.filter(b => b.kind === 'image')).toEqual([]);
+
+        const older = build(new Date(2023, 0, 1), to);
+        expect(tableAfter(older, 'Attached Documents').body.map(row => row[0])).toEqual(['old-xray.png', 'lipids.pdf']);
+        expect(older.blocks.filter(b => b.kind === 'image').map(b => b.documentId)).toEqual(['d2']);
+    });
+
+    it('leaves the documents section out when nothing in the period is attached', () => {
+        expect(headings(build(new Date(2024, 0, 1), new Date(2024, 0, 31)))).not.toContain('Attached Documents');
+    });
+
+    it('counts documents without a date from their upload', () => {
+        const undated = [{ ...documents[1], id: 'd3', date: null, createdAt: new Date(2024, 5, 5) }];
+        const model = buildReportModel(profile, { ...data, documents: undated }, { from, to, sections: ['documents'] }, NOW);
+        expect(tableAfter(model, 'Attached Documents').body).toHaveLength(1);
+    });
+});
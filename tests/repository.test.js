@@ -0,0 +1,83 @@
+import { describe, expect, it } from 'vitest';
+import { Timestamp, increment } from 'firebase/firestore';
+import { getSchemaVersion, migrateRecord, prepareRecord } from '../main.js';
+
+describe('prepareRecord', () => {
+    it('coerces numeric strings and stamps the schema version', () => {
+        expect(prepareRecord('medicines', { name: 'Metformin', stock: '30', doseQuantity: ' 2 ', unit: 'tablet' }))
+            .toEqual({ name: 'Metformin', stock: 30, doseQuantity: 2, unit: 'tablet', schemaVersion: getSchemaVersion('medicines') });
+    });
+
+    it('keeps fields the schema does not describe', () => {
+        expect(prepareRecord('medicines', { name: 'Metformin', stock: 30, form: 'tablet' })).toMatchObject({ form: 'tablet' });
+    });
+
+    it('lists every problem it finds', () => {
+        expect(() => prepareRecord('medicines', { stock: 'lots', doseQuantity: -1, discontinued: 'no' }))
+            .toThrow('Invalid medicines record: name is required, stock must be a number, doseQuantity must be at least 0, discontinued must be true or false.');
+        expect(() => prepareRecord('medicineLogs', { medicineId: 'm1', medicineName: 'Metformin', takenAt: new Date() }))
+            .toThrow('Invalid medicineLogs record: takenAt must be a date.');
+        expect(() => prepareRecord('appointments', { doctor: 'Rao', date: Timestamp.now(), questions: 'none' }))
+            .toThrow('questions must be a list');
+    });
+
+    it('accepts null only for nullable fields', () => {
+        expect(prepareRecord('medicines', { name: 'Metformin', stock: 30, doctorId: null })).toMatchObject({ doctorId: null });
+        expect(() => prepareRecord('medicines', { name: null, stock: 30 })).toThrow('name is required');
+    });
+
+    it('drops fields that are undefined', () => {
+        expect(prepareRecord('medicines', { name: 'Metformin', stock: 30, doctor: undefined })).not.toHaveProperty('doctor');
+    });
+
+    it('only checks the fields an update contains', () => {
+        expect(prepareRecord('medicines', { stock: '5' }, { partial: true })).toEqual({ stock: 5 });
+        expect(() => prepareRecord('medicines', { stock: 'five' }, { partial: true })).toThrow('stock must be a number');
+    });
+
+    it('lets field transforms through unchecked', () => {
+        const stock = increment(-1);
+        expect(prepareRecord('medicines', { stock }, { partial: true })).toEqual({ stock });
+    });
+
+    it('refuses unknown collections', () => {
+        expect(() => prepareRecord('pets', { name: 'Rex' })).toThrow('Unknown collection "pets".');
+    });
+});
+
+describe('migrateRecord', () => {
+    it('returns current records unchanged', () => {
+        const record = { name: 'Metformin', stock: 30, schedule: { type: 'daily', times: ['08:00'] }, schemaVersion: 2 };
+        expect(migrateRecord('medicines', record)).toBe(record);
+    });
+
+    it('version 2 coerces numeric strings in every collection', () => {
+        expect(migrateRecord('refills', { medicineId: 'm1', medicineName: 'Metformin', quantity: '30' })).toMatchObject({ quantity: 30, schemaVersion: 2 });
+        expect(migrateRecord('bloodPressureReadings', { systolic: '128', diastolic: '84' })).toMatchObject({ systolic: 128, diastolic: 84, schemaVersion: 2 });
+        expect(migrateRecord('medicineLogs', { quantity: 'two' })).toMatchObject({ quantity: 'two', schemaVersion: 2 });
+    });
+
+    it('version 2 turns a medicine\'s legacy dosage and times into a schedule', () => {
+        const createdAt = Timestamp.fromDate(new Date(2024, 0, 10, 9, 0));
+        expect(migrateRecord('medicines', { name: 'Metformin', stock: '30', dosage: 'Twice a day', times: ['08:00', '20:00', '22:00'], createdAt })).toMatchObject({
+            stock: 30,
+            schedule: { type: 'daily', times: ['08:00', '20:00'], startDate: '2024-01-10' },
+            schemaVersion: 2,
+        });
+        expect(migrateRecord('medicines', { name: 'Vitamin D', stock: 4, dosage: 'Once a week', createdAt }).schedule)
+            .toEqual({ type: 'weekdays', weekdays: [3], times: ['08:00'], startDate: '2024-01-10' });
+    });
+
+    it('version 2 keeps a schedule that is already there', () => {
+        const schedule = { type: 'prn', maxPerDay: 4 };
+        expect(migrateRecord('medicines', { name: 'Paracetamol', stock: 10, schedule }).schedule).toBe(schedule);
+    });
+
+    it('version 2 gives readings without a unit their base unit', () => {
+        expect(migrateRecord('bloodSugarReadings', { value: '110', type: 'Fasting' })).toMatchObject({ value: 110, unit: 'mg/dL' });
+        expect(migrateRecord('bloodSugarReadings', { value: 6.1, unit: 'mmol/L' })).toMatchObject({ unit: 'mmol/L' });
+        expect(migrateRecord('metricReadings', { metricType: 'weight', value: '68.2' })).toMatchObject({ value: 68.2, unit: 'kg' });
+        expect(migrateRecord('metricReadings', { metricType: 'temperature', value: 36.8 })).toMatchObject({ unit: '°C' });
+        expect(migrateRecord('metricReadings', { metricType: 'pulse', value: 72 })).not.toHaveProperty('unit');
+    });
+});
@@ -0,0 +1,135 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createWriteQueue } from '../main.js';
+
+const DELAYS = [1000, 5000];
+const firestoreError = (code) => Object.assign(new Error(`Firestore: ${code}`), { code });
+
+describe('createWriteQueue', () => {
+    let states, queue;
+    const last = () => states[states.length - 1];
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        states = [];
+        queue = createWriteQueue(state => states.push(state), DELAYS);
+    });
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+    });
+
+    it('counts a write as pending until it is acknowledged', async () => {
+        let acknowledge;
+        queue.add('Dose', () => new Promise(resolve => { acknowledge = resolve; }));
+        expect(last()).toEqual({ pending: 1, failed: [] });
+        acknowledge();
+        await vi.runAllTimersAsync();
+        expect(last()).toEqual({ pending: 0, failed: [] });
+    });
+
+    it('retries transient errors after each delay, then keeps retrying at the last one', async () => {
+        const write = vi.fn().mockRejectedValue(firestoreError('unavailable'));
+        queue.add('Dose', write);
+        await vi.advanceTimersByTimeAsync(0);
+        expect(write).toHaveBeenCalledTimes(1);
+        expect(last().pending).toBe(1);
+
+        await vi.advanceTimersByTimeAsync(DELAYS[0]);
+        expect(write).toHaveBeenCalledTimes(2);
+        await vi.advanceTimersByTimeAsync(DELAYS[1]);
+        expect(write).toHaveBeenCalledTimes(3);
+        await vi.advanceTimersByTimeAsync(DELAYS[1] * 4);
+        expect(write).toHaveBeenCalledTimes(7);
+        expect(last()).toEqual({ pending: 1, failed: [] });
+    });
+
+    it('goes through after being offline for longer than the whole delay schedule', async () => {
+        let online = false;
+        const write = vi.fn(() => online ? Promise.resolve() : Promise.reject(firestoreError('unavailable')));
+        queue.add('Delete profile Asha', write);
+        await vi.advanceTimersByTimeAsync(DELAYS.reduce((a, b) => a + b) * 10);
+        expect(last()).toEqual({ pending: 1, failed: [] });
+
+        online = true;
+        queue.retryWaiting();
+        await vi.advanceTimersByTimeAsync(0);
+        expect(last()).toEqual({ pending: 0, failed: [] });
+        const calls = write.mock.calls.length;
+        await vi.runAllTimersAsync();
+        expect(write).toHaveBeenCalledTimes(calls);
+    });
+
+    it('succeeds on a retry', async () => {
+        const write = vi.fn().mockRejectedValueOnce(firestoreError('deadline-exceeded')).mockResolvedValue();
+        queue.add('Refill', write);
+        await vi.advanceTimersByTimeAsync(DELAYS[0]);
+        expect(write).toHaveBeenCalledTimes(2);
+        expect(last()).toEqual({ pending: 0, failed: [] });
+    });
+
+    it('fails right away on errors that a retry cannot fix', async () => {
+        const write = vi.fn().mockRejectedValue(firestoreError('permission-denied'));
+        queue.add('Edit medicine', write);
+        await vi.advanceTimersByTimeAsync(0);
+        expect(last().failed).toEqual([{ id: 1, label: 'Edit medicine', error: 'The server refused this change, so it was undone on this device.' }]);
+        await vi.runAllTimersAsync();
+        expect(write).toHaveBeenCalledTimes(1);
+    });
+
+    it('says why a dose transaction failed', async () => {
+        queue.add('Dose of Metformin', () => Promise.reject(Object.assign(new Error('Not enough Metformin in stock.'), { code: 'failed-precondition' })));
+        await vi.advanceTimersByTimeAsync(0);
+        expect(last().failed[0].error).toBe('Not enough Metformin in stock. Nothing was saved.');
+    });
+
+    it('calls onFail when a write fails for good, but not while it is retried', async () => {
+        const onFail = vi.fn();
+        queue.add('Dose of Metformin', vi.fn().mockRejectedValueOnce(firestoreError('unavailable')).mockRejectedValue(firestoreError('failed-precondition')), { onFail });
+        await vi.advanceTimersByTimeAsync(0);
+        expect(onFail).not.toHaveBeenCalled();
+        await vi.advanceTimersByTimeAsync(DELAYS[0]);
+        expect(onFail).toHaveBeenCalledTimes(1);
+    });
+
+    it('runs a failed write again on retry()', async () => {
+        const write = vi.fn().mockRejectedValueOnce(firestoreError('permission-denied')).mockResolvedValue();
+        queue.add('Edit medicine', write);
+        await vi.advanceTimersByTimeAsync(0);
+        queue.retry(1);
+        expect(last().pending).toBe(1);
+        await vi.advanceTimersByTimeAsync(0);
+        expect(write).toHaveBeenCalledTimes(2);
+        expect(last()).toEqual({ pending: 0, failed: [] });
+    });
+
+    it('drops a write on discard() and undoes what it depended on', async () => {
+        const onDiscard = vi.fn();
+        const write = vi.fn().mockRejectedValue(firestoreError('unavailable'));
+        queue.add('Add document', write, { onDiscard });
+        await vi.advanceTimersByTimeAsync(0);
+        queue.discard(1);
+        expect(onDiscard).toHaveBeenCalledTimes(1);
+        expect(last()).toEqual({ pending: 0, failed: [] });
+        await vi.runAllTimersAsync();
+        expect(write).toHaveBeenCalledTimes(1);
+    });
+
+    it('forgets every write on clear() without retrying or undoing them', async () => {
+        const onDiscard = vi.fn();
+        const write = vi.fn().mockRejectedValue(firestoreError('unavailable'));
+        queue.add('Add document', write, { onDiscard });
+        queue.add('Dose', () => new Promise(() => {}));
+        await vi.advanceTimersByTimeAsync(0);
+        queue.clear();
+        expect(last()).toEqual({ pending: 0, failed: [] });
+        await vi.runAllTimersAsync();
+        expect(write).toHaveBeenCalledTimes(1);
+        expect(onDiscard).not.toHaveBeenCalled();
+    });
+
+    it('rethrows a write that fails before it starts and does not queue it', () => {
+        expect(() => queue.add('Bad record', () => { throw new Error('medicines.name is required'); })).toThrow('medicines.name is required');
+        expect(states).toEqual([]);
+    });
+});
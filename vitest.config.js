@@ -0,0 +1,11 @@
+import { defineConfig } from 'vitest/config';
+
+// main.js is plain .js with JSX in it. The suites in tests/emulator need the Firebase emulators
+// and run with `npm run test:emulator` (vitest.emulator.config.js).
+export default defineConfig({
+    esbuild: { loader: 'jsx', include: /\.js$/, exclude: [] },
+    test: {
+        include: ['tests/**/*.test.js'],
+        exclude: ['tests/emulator/**', 'node_modules/**'],
+    },
+});
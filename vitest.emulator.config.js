@@ -0,0 +1,13 @@
+import { defineConfig } from 'vitest/config';
+
+// Started by `firebase emulators:exec`, which provides the emulator hosts from firebase.json.
+// The suites share one emulator, so they run one file at a time.
+export default defineConfig({
+    esbuild: { loader: 'jsx', include: /\.js$/, exclude: [] },
+    test: {
+        include: ['tests/emulator/**/*.test.js'],
+        fileParallelism: false,
+        testTimeout: 20000,
+        hookTimeout: 20000,
+    },
+});